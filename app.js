@@ -1,17 +1,31 @@
 import "./config/load-config.js";
 import { COOKIE_MAX_AGE_SECONDS } from "./config/cookies.js";
+import { TRUST_PROXY } from "./config/proxy.js";
 import { engine } from "express-handlebars";
 import cleanupExpiredSeatSession from "./middleware/cleanup-expired-seat-session.js";
 import cookieParser from "cookie-parser";
 import cookieSession from "cookie-session";
+import displayRouter from "./routes/display.js";
 import express from "express";
+import hostRouter from "./routes/host.js";
+import hoursRouter from "./routes/hours.js";
+import locationRouter from "./routes/locations.js";
 import logger from "./utils/logger.js";
 import morgan from "morgan";
 import partyRouter from "./routes/parties.js";
 import path from "path";
+import reportRouter from "./routes/reports.js";
+import reservationRouter from "./routes/reservations.js";
+import resolveLocation from "./middleware/resolve-location.js";
+import settingsRouter from "./routes/settings.js";
+import staffRouter from "./routes/staff.js";
+import tableRouter from "./routes/tables.js";
+import webhookRouter from "./routes/webhooks.js";
 
 /* @param {Express} app */
 const app = express();
+// behind a load balancer, the client's IP address (which requests are rate limited by) comes from the proxy
+app.set("trust proxy", TRUST_PROXY);
 
 if (process.env.NODE_ENV === "production") {
   app.use(
@@ -56,6 +70,23 @@ app.use((req, _res, next) => {
 });
 
 app.use(cleanupExpiredSeatSession);
-app.use(partyRouter);
+app.use(staffRouter);
+app.use(webhookRouter);
+app.use(locationRouter);
+app.use(settingsRouter);
+
+// each location has its own waitlist, so these routes are served for each location under /l/<slug>,
+// and for the default location without the prefix
+const locationRouters = [
+  partyRouter,
+  hostRouter,
+  tableRouter,
+  hoursRouter,
+  reservationRouter,
+  reportRouter,
+  displayRouter,
+];
+app.use("/l/:locationSlug", resolveLocation, ...locationRouters);
+app.use(resolveLocation, ...locationRouters);
 
 export default app;
@@ -0,0 +1,9 @@
+import { DISPLAY_PRIVACY_INITIALS } from "../constants/display-privacy.js";
+
+// how parties are identified on the lobby display (see constants/display-privacy.js)
+export const DISPLAY_PRIVACY =
+  process.env.DISPLAY_PRIVACY ?? DISPLAY_PRIVACY_INITIALS;
+// the most queued parties listed on the lobby display (the rest are counted instead)
+export const DISPLAY_MAX_QUEUED_PARTIES = process.env.DISPLAY_MAX_QUEUED_PARTIES
+  ? parseInt(process.env.DISPLAY_MAX_QUEUED_PARTIES)
+  : 15;
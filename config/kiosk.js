@@ -0,0 +1,4 @@
+// how long (in seconds) a kiosk shows a party's confirmation before resetting the join form for the next party
+export const KIOSK_RESET_SECONDS = process.env.KIOSK_RESET_SECONDS
+  ? parseInt(process.env.KIOSK_RESET_SECONDS)
+  : 30;
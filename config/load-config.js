@@ -17,4 +17,6 @@ if (["development", "dev"].includes(process.env.NODE_ENV)) {
 
 configDotenv({
   path: path.resolve(__dirname, "..", envFile),
+  // keep stdout clean for scripts that write their output to it
+  quiet: true,
 });
@@ -0,0 +1,8 @@
+// which proxies in front of the app are trusted to report the client's IP address and protocol (Express's `trust proxy`):
+// a number of hops (ex: `1` for a single load balancer), `true` to trust every proxy, or a comma-separated list of addresses
+const trustProxy = process.env.TRUST_PROXY ?? "false";
+export const TRUST_PROXY = /^\d+$/.test(trustProxy)
+  ? parseInt(trustProxy)
+  : ["true", "false"].includes(trustProxy)
+    ? trustProxy === "true"
+    : trustProxy;
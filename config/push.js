@@ -0,0 +1,10 @@
+import { PUSH_TRANSPORT_WEB_PUSH } from "../constants/push-notifications.js";
+
+// how push notifications are sent (see services/push-transports.js)
+export const PUSH_TRANSPORT =
+  process.env.PUSH_TRANSPORT ?? PUSH_TRANSPORT_WEB_PUSH;
+// the VAPID key pair that identifies the waitlist to push services (omitted if push is not set up)
+export const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY ?? null;
+export const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY ?? null;
+// a contact for the push services (a mailto: or https: URL)
+export const VAPID_SUBJECT = process.env.VAPID_SUBJECT ?? null;
@@ -0,0 +1,16 @@
+// the secret used to sign party recovery links (defaults to the session key, which also signs the party's session cookie)
+export const RECOVERY_SECRET =
+  process.env.RECOVERY_SECRET ?? process.env.SESSION_KEY;
+// how long (in seconds) a party's recovery link can be used for
+export const RECOVERY_LINK_TTL_SECONDS = process.env.RECOVERY_LINK_TTL_SECONDS
+  ? parseInt(process.env.RECOVERY_LINK_TTL_SECONDS)
+  : 12 * 60 * 60;
+// how many recovery attempts a client can make within the rate limit window
+export const RECOVERY_RATE_LIMIT = process.env.RECOVERY_RATE_LIMIT
+  ? parseInt(process.env.RECOVERY_RATE_LIMIT)
+  : 10;
+// how long (in seconds) recovery attempts are counted for before the count resets
+export const RECOVERY_RATE_LIMIT_WINDOW_SECONDS = process.env
+  .RECOVERY_RATE_LIMIT_WINDOW_SECONDS
+  ? parseInt(process.env.RECOVERY_RATE_LIMIT_WINDOW_SECONDS)
+  : 15 * 60;
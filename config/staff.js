@@ -0,0 +1,10 @@
+// how many sign in attempts a client can make within the rate limit window
+// (staff at a venue usually share an IP address, so this allows for everyone signing in at the start of a shift)
+export const STAFF_LOGIN_RATE_LIMIT = process.env.STAFF_LOGIN_RATE_LIMIT
+  ? parseInt(process.env.STAFF_LOGIN_RATE_LIMIT)
+  : 20;
+// how long (in seconds) sign in attempts are counted for before the count resets
+export const STAFF_LOGIN_RATE_LIMIT_WINDOW_SECONDS = process.env
+  .STAFF_LOGIN_RATE_LIMIT_WINDOW_SECONDS
+  ? parseInt(process.env.STAFF_LOGIN_RATE_LIMIT_WINDOW_SECONDS)
+  : 15 * 60;
@@ -1,3 +1,5 @@
+import { DEQUEUE_STRATEGY_STRICT_FIFO } from "../constants/dequeue-strategies.js";
+
 export const MAX_SEATS = process.env.MAX_SEATS
   ? parseInt(process.env.MAX_SEATS)
   : 10;
@@ -7,6 +9,59 @@ export const SERVICE_TIME_SECONDS = process.env.SERVICE_TIME_SECONDS
 export const CHECKIN_EXPIRY_SECONDS = process.env.CHECKIN_EXPIRY_SECONDS
   ? parseInt(process.env.CHECKIN_EXPIRY_SECONDS)
   : 60;
+// when parties are reminded to check in, as comma-separated fractions of the check-in window
+// (ex: "0.5,0.8" reminds them half-way through, and when 80% of the window has passed)
+export const CHECKIN_REMINDER_POINTS = (
+  process.env.CHECKIN_REMINDER_POINTS ?? "0.5,0.8"
+)
+  .split(",")
+  .map((point) => parseFloat(point))
+  .filter((point) => point > 0 && point < 1)
+  .sort((a, b) => a - b);
+// how many places back in the queue a checking-in party is put when they snooze (0 puts them at the end of the queue)
+export const SNOOZE_POSITIONS = process.env.SNOOZE_POSITIONS
+  ? parseInt(process.env.SNOOZE_POSITIONS)
+  : 3;
+// how many times a party can snooze before they have to check in (or let their check-in expire)
+export const MAX_SNOOZES = process.env.MAX_SNOOZES
+  ? parseInt(process.env.MAX_SNOOZES)
+  : 1;
 export const MAX_PARY_NAME_LENGTH = process.env.MAX_PARY_NAME_LENGTH
   ? parseInt(MAX_PARY_NAME_LENGTH)
   : 30;
+// how parties are chosen to be dequeued (see services/dequeue-strategies.js)
+export const DEQUEUE_STRATEGY =
+  process.env.DEQUEUE_STRATEGY ?? DEQUEUE_STRATEGY_STRICT_FIFO;
+// for the fairness-capped strategy: how many times a party can be skipped over,
+// and for how many minutes after first being skipped, before no one else can skip ahead of them
+export const FAIRNESS_MAX_SKIPS = process.env.FAIRNESS_MAX_SKIPS
+  ? parseInt(process.env.FAIRNESS_MAX_SKIPS)
+  : 3;
+export const FAIRNESS_MAX_SKIP_MINUTES = process.env.FAIRNESS_MAX_SKIP_MINUTES
+  ? parseInt(process.env.FAIRNESS_MAX_SKIP_MINUTES)
+  : 15;
+// the time zone used to group the reports by hour (ex: for finding the peak hours)
+export const REPORTS_TIME_ZONE = process.env.REPORTS_TIME_ZONE ?? "UTC";
+// the time zone that each location's opening hours are in (defaults to the reports' time zone)
+export const OPERATING_HOURS_TIME_ZONE =
+  process.env.OPERATING_HOURS_TIME_ZONE ?? REPORTS_TIME_ZONE;
+// caps on how long a location's queue can grow before new parties are turned away (0 for no cap):
+// how many parties can be queued, how many people (covers) they can add up to,
+// and how many minutes a new party can be expected to wait
+export const MAX_QUEUED_PARTIES = process.env.MAX_QUEUED_PARTIES
+  ? parseInt(process.env.MAX_QUEUED_PARTIES)
+  : 0;
+export const MAX_QUEUED_COVERS = process.env.MAX_QUEUED_COVERS
+  ? parseInt(process.env.MAX_QUEUED_COVERS)
+  : 0;
+export const MAX_WAIT_MINUTES = process.env.MAX_WAIT_MINUTES
+  ? parseInt(process.env.MAX_WAIT_MINUTES)
+  : 0;
+// how many minutes before a reservation's time its seats are held back from walk-ins,
+// and how many minutes after it they are held for before the reservation is treated as a no-show
+export const RESERVATION_HOLD_MINUTES = process.env.RESERVATION_HOLD_MINUTES
+  ? parseInt(process.env.RESERVATION_HOLD_MINUTES)
+  : 30;
+export const RESERVATION_GRACE_MINUTES = process.env.RESERVATION_GRACE_MINUTES
+  ? parseInt(process.env.RESERVATION_GRACE_MINUTES)
+  : 15;
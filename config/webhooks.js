@@ -0,0 +1,17 @@
+// how often (in ms) new party events are checked for and turned into webhook deliveries
+export const WEBHOOK_DISPATCH_INTERVAL_MS = process.env
+  .WEBHOOK_DISPATCH_INTERVAL_MS
+  ? parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_MS)
+  : 2000;
+// how many times a delivery is attempted before it is moved to the dead-letter queue
+export const WEBHOOK_MAX_ATTEMPTS = process.env.WEBHOOK_MAX_ATTEMPTS
+  ? parseInt(process.env.WEBHOOK_MAX_ATTEMPTS)
+  : 8;
+// how long (in ms) to wait before retrying a failed delivery, doubling after each attempt
+export const WEBHOOK_RETRY_DELAY_MS = process.env.WEBHOOK_RETRY_DELAY_MS
+  ? parseInt(process.env.WEBHOOK_RETRY_DELAY_MS)
+  : 10 * 1000;
+// how long (in ms) a subscriber has to respond to a delivery
+export const WEBHOOK_TIMEOUT_MS = process.env.WEBHOOK_TIMEOUT_MS
+  ? parseInt(process.env.WEBHOOK_TIMEOUT_MS)
+  : 10 * 1000;
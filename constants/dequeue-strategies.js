@@ -0,0 +1,3 @@
+export const DEQUEUE_STRATEGY_STRICT_FIFO = "strict-fifo";
+export const DEQUEUE_STRATEGY_BEST_FIT = "best-fit";
+export const DEQUEUE_STRATEGY_FAIRNESS_CAPPED = "fairness-capped";
@@ -0,0 +1,6 @@
+// the lobby display shows each party's full name
+export const DISPLAY_PRIVACY_NAME = "name";
+// the lobby display shows each party's initials (ex: "J. D.")
+export const DISPLAY_PRIVACY_INITIALS = "initials";
+// the lobby display only shows the end of each party's ID (which is shown on their status page)
+export const DISPLAY_PRIVACY_ID_SUFFIX = "id-suffix";
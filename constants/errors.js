@@ -2,8 +2,44 @@
 export const PARTY_NOT_FOUND = "PARTY_NOT_FOUND";
 export const PARTY_COULD_NOT_BE_CREATED = "PARTY_COULD_NOT_BE_CREATED";
 export const PARTY_COULD_NOT_BE_DELETED = "PARTY_COULD_NOT_BE_DELETED";
+export const PARTY_COULD_NOT_BE_UPDATED = "PARTY_COULD_NOT_BE_UPDATED";
 export const PARTY_COULD_NOT_CHECK_IN = "PARTY_COULD_NOT_CHECK_IN";
 export const PARTY_COULD_NOT_SET_SEATED = "PARTY_COULD_NOT_SET_SEATED";
+export const PARTY_COULD_NOT_EXTEND_SEAT = "PARTY_COULD_NOT_EXTEND_SEAT";
+export const PARTY_COULD_NOT_EXTEND_CHECKIN = "PARTY_COULD_NOT_EXTEND_CHECKIN";
+export const PARTY_COULD_NOT_SNOOZE = "PARTY_COULD_NOT_SNOOZE";
+export const PARTY_SNOOZE_LIMIT_REACHED = "PARTY_SNOOZE_LIMIT_REACHED";
+export const PARTY_RECOVERY_LINK_INVALID = "PARTY_RECOVERY_LINK_INVALID";
+export const PARTY_RECOVERY_FAILED = "PARTY_RECOVERY_FAILED";
+export const PARTY_NO_TABLE_AVAILABLE = "PARTY_NO_TABLE_AVAILABLE";
+export const STAFF_INVALID_CREDENTIALS = "STAFF_INVALID_CREDENTIALS";
+export const STAFF_COULD_NOT_BE_CREATED = "STAFF_COULD_NOT_BE_CREATED";
+export const STAFF_USERNAME_TAKEN = "STAFF_USERNAME_TAKEN";
+export const TABLE_NOT_FOUND = "TABLE_NOT_FOUND";
+export const TABLE_COULD_NOT_BE_CREATED = "TABLE_COULD_NOT_BE_CREATED";
+export const TABLE_COULD_NOT_BE_DELETED = "TABLE_COULD_NOT_BE_DELETED";
+export const TABLE_NAME_TAKEN = "TABLE_NAME_TAKEN";
+export const TABLE_OCCUPIED = "TABLE_OCCUPIED";
+export const WEBHOOK_NOT_FOUND = "WEBHOOK_NOT_FOUND";
+export const WEBHOOK_COULD_NOT_BE_CREATED = "WEBHOOK_COULD_NOT_BE_CREATED";
+export const WEBHOOK_COULD_NOT_BE_DELETED = "WEBHOOK_COULD_NOT_BE_DELETED";
+export const PUSH_SUBSCRIPTION_COULD_NOT_BE_SAVED =
+  "PUSH_SUBSCRIPTION_COULD_NOT_BE_SAVED";
+export const LOCATION_NOT_FOUND = "LOCATION_NOT_FOUND";
+export const LOCATION_COULD_NOT_BE_CREATED = "LOCATION_COULD_NOT_BE_CREATED";
+export const LOCATION_SLUG_TAKEN = "LOCATION_SLUG_TAKEN";
+export const SETTINGS_COULD_NOT_BE_UPDATED = "SETTINGS_COULD_NOT_BE_UPDATED";
+export const WAITLIST_CLOSED = "WAITLIST_CLOSED";
+export const WAITLIST_FULL = "WAITLIST_FULL";
+export const WAITLIST_COULD_NOT_BE_UPDATED = "WAITLIST_COULD_NOT_BE_UPDATED";
+export const HOURS_COULD_NOT_BE_UPDATED = "HOURS_COULD_NOT_BE_UPDATED";
+export const HOURS_OVERRIDE_NOT_FOUND = "HOURS_OVERRIDE_NOT_FOUND";
+export const RESERVATION_NOT_FOUND = "RESERVATION_NOT_FOUND";
+export const RESERVATION_COULD_NOT_BE_CREATED =
+  "RESERVATION_COULD_NOT_BE_CREATED";
+export const RESERVATION_COULD_NOT_BE_DELETED =
+  "RESERVATION_COULD_NOT_BE_DELETED";
+export const RESERVATION_COULD_NOT_CHECK_IN = "RESERVATION_COULD_NOT_CHECK_IN";
 
 export const FALLBACK_ERROR_MESSAGE = "Server error";
 
@@ -12,23 +48,93 @@ export const COULD_NOT_CALCULATE_PARTY_QUEUE_POSITIONS =
   "PARTY_COULD_NOT_CALCULATE_QUEUE_POSITIONS";
 export const COULD_NOT_GET_MAX_AVAILABLE_SEATS =
   "COULD_NOT_GET_MAX_AVAILABLE_SEATS";
-export const COULD_NOT_GET_PARTIES_TO_DEQUEUE =
-  "COULD_NOT_GET_PARTIES_TO_DEQUEUE";
 export const COULD_NOT_DELETE_CHECKIN_EXPIRED_PARTIES =
   "COULD_NOT_DELETE_CHECKIN_EXPIRED_PARTIES";
 export const COULD_NOT_REMOVE_EXPIRED_SEATS = "COULD_NOT_REMOVE_EXPIRED_SEATS";
+export const COULD_NOT_GET_WAITLIST_PARTIES = "COULD_NOT_GET_WAITLIST_PARTIES";
+export const COULD_NOT_GET_QUEUED_PARTIES = "COULD_NOT_GET_QUEUED_PARTIES";
+export const COULD_NOT_RECORD_SKIPPED_PARTIES =
+  "COULD_NOT_RECORD_SKIPPED_PARTIES";
+export const COULD_NOT_GET_TABLES = "COULD_NOT_GET_TABLES";
+export const COULD_NOT_GET_LOCATIONS = "COULD_NOT_GET_LOCATIONS";
+export const COULD_NOT_GET_SETTINGS = "COULD_NOT_GET_SETTINGS";
+export const COULD_NOT_GET_OPERATING_HOURS = "COULD_NOT_GET_OPERATING_HOURS";
+export const COULD_NOT_GET_RESERVATIONS = "COULD_NOT_GET_RESERVATIONS";
+export const COULD_NOT_GET_CHECKIN_LATENCIES =
+  "COULD_NOT_GET_CHECKIN_LATENCIES";
+export const COULD_NOT_GET_OCCUPYING_PARTIES =
+  "COULD_NOT_GET_OCCUPYING_PARTIES";
+export const COULD_NOT_GET_VISIT_METRICS = "COULD_NOT_GET_VISIT_METRICS";
+export const COULD_NOT_GET_ARRIVALS_BY_HOUR = "COULD_NOT_GET_ARRIVALS_BY_HOUR";
+export const COULD_NOT_GET_SEAT_UTILIZATION = "COULD_NOT_GET_SEAT_UTILIZATION";
+export const COULD_NOT_GET_PARTY_CONTACT = "COULD_NOT_GET_PARTY_CONTACT";
+export const COULD_NOT_GET_CHECKING_IN_PARTIES =
+  "COULD_NOT_GET_CHECKING_IN_PARTIES";
+export const COULD_NOT_SEND_NOTIFICATION = "COULD_NOT_SEND_NOTIFICATION";
+export const COULD_NOT_GET_WEBHOOKS = "COULD_NOT_GET_WEBHOOKS";
+export const COULD_NOT_GET_WEBHOOK_DELIVERIES =
+  "COULD_NOT_GET_WEBHOOK_DELIVERIES";
+export const COULD_NOT_DISPATCH_WEBHOOKS = "COULD_NOT_DISPATCH_WEBHOOKS";
+export const COULD_NOT_RECORD_WEBHOOK_DELIVERY =
+  "COULD_NOT_RECORD_WEBHOOK_DELIVERY";
+export const WEBHOOK_DELIVERY_FAILED = "WEBHOOK_DELIVERY_FAILED";
+export const COULD_NOT_GET_PUSH_SUBSCRIPTIONS =
+  "COULD_NOT_GET_PUSH_SUBSCRIPTIONS";
+export const COULD_NOT_DELETE_PUSH_SUBSCRIPTION =
+  "COULD_NOT_DELETE_PUSH_SUBSCRIPTION";
+export const COULD_NOT_SEND_PUSH_NOTIFICATION =
+  "COULD_NOT_SEND_PUSH_NOTIFICATION";
 
 const CODE_TO_ERROR_MESSAGE = {
   PARTY_NOT_FOUND: "Could not find party",
   PARTY_COULD_NOT_BE_CREATED: "Could not create party",
   PARTY_COULD_NOT_BE_DELETED: "Could not delete party",
+  PARTY_COULD_NOT_BE_UPDATED: "Could not update party",
   PARTY_COULD_NOT_CHECK_IN: "Could not check-in",
   PARTY_COULD_NOT_SET_SEATED: "Could not seat party",
+  PARTY_COULD_NOT_EXTEND_SEAT: "Could not extend seat",
+  PARTY_COULD_NOT_EXTEND_CHECKIN: "Could not extend check-in",
+  PARTY_COULD_NOT_SNOOZE: "Could not move you back in the queue",
+  PARTY_SNOOZE_LIMIT_REACHED:
+    "You cannot move back in the queue again, please check in",
+  PARTY_RECOVERY_LINK_INVALID:
+    "This link has expired or is invalid, please enter your party ID and name instead",
+  PARTY_RECOVERY_FAILED: "Could not find a party with that ID and name",
+  PARTY_NO_TABLE_AVAILABLE: "No free table fits this party",
+  STAFF_INVALID_CREDENTIALS: "Invalid username or password",
+  STAFF_COULD_NOT_BE_CREATED: "Could not create staff account",
+  STAFF_USERNAME_TAKEN: "That username is already taken",
+  TABLE_NOT_FOUND: "Could not find table",
+  TABLE_COULD_NOT_BE_CREATED: "Could not create table",
+  TABLE_COULD_NOT_BE_DELETED: "Could not delete table",
+  TABLE_NAME_TAKEN: "That table name is already taken",
+  TABLE_OCCUPIED: "That table is occupied",
+  WEBHOOK_NOT_FOUND: "Could not find webhook",
+  WEBHOOK_COULD_NOT_BE_CREATED: "Could not create webhook",
+  WEBHOOK_COULD_NOT_BE_DELETED: "Could not delete webhook",
+  PUSH_SUBSCRIPTION_COULD_NOT_BE_SAVED: "Could not turn on notifications",
+  LOCATION_NOT_FOUND: "Could not find location",
+  LOCATION_COULD_NOT_BE_CREATED: "Could not create location",
+  LOCATION_SLUG_TAKEN: "That location slug is already taken",
+  SETTINGS_COULD_NOT_BE_UPDATED: "Could not update the settings",
+  WAITLIST_CLOSED:
+    "The waitlist is closed right now, please come back when it opens",
+  WAITLIST_FULL: "The waitlist is full right now, please try again later",
+  WAITLIST_COULD_NOT_BE_UPDATED: "Could not update the waitlist",
+  HOURS_COULD_NOT_BE_UPDATED: "Could not update the opening hours",
+  HOURS_OVERRIDE_NOT_FOUND: "There are no special hours for that date",
+  RESERVATION_NOT_FOUND: "Could not find reservation",
+  RESERVATION_COULD_NOT_BE_CREATED: "Could not create reservation",
+  RESERVATION_COULD_NOT_BE_DELETED: "Could not cancel reservation",
+  RESERVATION_COULD_NOT_CHECK_IN: "Could not check in the reservation",
 };
 
 // non-code-related error messages
 export const ERROR_INVALID_REQUEST = "Invalid request";
 export const ERROR_UNAUTHORIZED = "Unauthorized request";
+export const ERROR_FORBIDDEN = "Forbidden request";
+export const ERROR_TOO_MANY_REQUESTS =
+  "Too many requests, please wait a few minutes and try again";
 
 /**
  * Gets a client-facing message from an error code.
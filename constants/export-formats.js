@@ -0,0 +1,4 @@
+export const EXPORT_FORMAT_CSV = "csv";
+export const EXPORT_FORMAT_NDJSON = "ndjson";
+
+export const EXPORT_FORMATS = [EXPORT_FORMAT_CSV, EXPORT_FORMAT_NDJSON];
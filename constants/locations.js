@@ -0,0 +1,3 @@
+// the location that existed before the waitlist was split up by location
+// (its pages are also served without the /l/<slug> prefix, so existing links and QR codes keep working)
+export const DEFAULT_LOCATION_SLUG = "default";
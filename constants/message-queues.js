@@ -1,4 +1,11 @@
 // worker queues
 export const DEQUEUE_QUEUE = "dequeue-party";
 export const CHECKIN_EXPIRED_QUEUE = "checkin-expired";
+export const CHECKIN_REMINDER_QUEUE = "checkin-reminder";
 export const SEAT_EXPIRED_QUEUE = "seat-expired";
+export const NOTIFICATIONS_QUEUE = "notifications";
+export const PUSH_NOTIFICATIONS_QUEUE = "push-notifications";
+export const WEBHOOK_DISPATCH_QUEUE = "webhook-dispatch";
+export const WEBHOOK_DELIVERY_QUEUE = "webhook-delivery";
+// deliveries that failed on every attempt are moved here, so they can be inspected
+export const WEBHOOK_DEAD_LETTER_QUEUE = "webhook-dead-letter";
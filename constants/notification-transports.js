@@ -0,0 +1,4 @@
+export const NOTIFICATION_TRANSPORT_CONSOLE = "console";
+export const NOTIFICATION_TRANSPORT_FILE = "file";
+export const NOTIFICATION_TRANSPORT_SMTP = "smtp";
+export const NOTIFICATION_TRANSPORT_SMS_HTTP = "sms-http";
@@ -0,0 +1,8 @@
+// the party size ranges that the reports are broken down by, from smallest to largest
+// (the last bucket has no maximum, so it includes every larger party)
+export const PARTY_SIZE_BUCKETS = [
+  { label: "1-2", maxSize: 2 },
+  { label: "3-4", maxSize: 4 },
+  { label: "5-6", maxSize: 6 },
+  { label: "7+", maxSize: null },
+];
@@ -1,4 +1,8 @@
 export const STATUS_SEATED = "seated";
 export const STATUS_QUEUED = "queued";
 export const STATUS_CHECKING_IN = "checking-in";
+// terminal statuses, recorded in the party history once a party is removed from the waitlist
 export const STATUS_CHECKIN_EXPIRED = "checkin-expired";
+export const STATUS_LEFT = "left";
+export const STATUS_REMOVED = "removed";
+export const STATUS_COMPLETED = "completed";
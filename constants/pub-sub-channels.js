@@ -2,7 +2,17 @@
 export const CHANNEL_DEQUEUE = "dequeued-channel";
 // this channel is for clients who did not hit the 'check in' button within the time limit
 export const CHANNEL_CHECKING_IN_EXPIRED = "checking-in-expired-channel";
+// this channel is for clients whose check-in window is closing, and who have not checked in yet
+export const CHANNEL_CHECKIN_WINDOW_CLOSING = "checkin-window-closing-channel";
+// this channel is for clients whose check-in window has been extended by a host
+export const CHANNEL_CHECKIN_EXTENDED = "checkin-extended-channel";
 // this channel is for updating all clients on the current positions of the queue
 export const CHANNEL_QUEUE_POSITIONS = "queue-positions-channel";
 // this channel is for users who have freshly signed up, but who have not connected to the event stream yet to pull their position from
 export const CACHE_QUEUED_PARTY_POSITIONS = "queued-party-positions";
+// this channel is for parties who have been seated (either by checking in or by a host)
+export const CHANNEL_PARTY_SEATED = "party-seated-channel";
+// this channel is for parties who have been removed from the waitlist by a host
+export const CHANNEL_PARTY_REMOVED = "party-removed-channel";
+// this channel is for the web app and workers to pick up settings that a manager has changed (it is shared by every location)
+export const CHANNEL_SETTINGS_UPDATED = "settings-updated-channel";
@@ -0,0 +1,7 @@
+// how push notifications are sent
+export const PUSH_TRANSPORT_WEB_PUSH = "web-push";
+export const PUSH_TRANSPORT_STUB = "stub";
+
+// the kinds of push notifications sent to checking-in parties
+export const PUSH_TABLE_READY = "table-ready";
+export const PUSH_CHECKIN_REMINDER = "checkin-reminder";
@@ -0,0 +1,8 @@
+// the settings that managers can change while the waitlist is running, by their key in the 'settings' table
+// (each falls back to its environmental variable until a manager changes it, see config/waitlist.js)
+export const SETTING_MAX_SEATS = "max_seats";
+export const SETTING_SERVICE_TIME_SECONDS = "service_time_seconds";
+export const SETTING_CHECKIN_EXPIRY_SECONDS = "checkin_expiry_seconds";
+export const SETTING_MAX_QUEUED_PARTIES = "max_queued_parties";
+export const SETTING_MAX_QUEUED_COVERS = "max_queued_covers";
+export const SETTING_MAX_WAIT_MINUTES = "max_wait_minutes";
@@ -0,0 +1,4 @@
+export const ROLE_HOST = "host";
+export const ROLE_MANAGER = "manager";
+
+export const STAFF_ROLES = [ROLE_HOST, ROLE_MANAGER];
@@ -0,0 +1,29 @@
+// the party lifecycle events that webhooks can subscribe to
+export const WEBHOOK_EVENT_PARTY_CREATED = "party.created";
+export const WEBHOOK_EVENT_PARTY_DEQUEUED = "party.dequeued";
+export const WEBHOOK_EVENT_PARTY_SEATED = "party.seated";
+export const WEBHOOK_EVENT_PARTY_LEFT = "party.left";
+export const WEBHOOK_EVENT_PARTY_EXPIRED = "party.expired";
+// a seated party's seat time ran out, finishing their visit (unlike `party.expired`, which is a no-show)
+export const WEBHOOK_EVENT_PARTY_COMPLETED = "party.completed";
+
+export const WEBHOOK_EVENTS = [
+  WEBHOOK_EVENT_PARTY_CREATED,
+  WEBHOOK_EVENT_PARTY_DEQUEUED,
+  WEBHOOK_EVENT_PARTY_SEATED,
+  WEBHOOK_EVENT_PARTY_LEFT,
+  WEBHOOK_EVENT_PARTY_EXPIRED,
+  WEBHOOK_EVENT_PARTY_COMPLETED,
+];
+
+// the states of a webhook delivery
+export const DELIVERY_STATUS_PENDING = "pending";
+export const DELIVERY_STATUS_DELIVERED = "delivered";
+// the delivery failed on every attempt, and was moved to the dead-letter queue
+export const DELIVERY_STATUS_DEAD = "dead";
+
+export const DELIVERY_STATUSES = [
+  DELIVERY_STATUS_PENDING,
+  DELIVERY_STATUS_DELIVERED,
+  DELIVERY_STATUS_DEAD,
+];
@@ -0,0 +1,39 @@
+/**
+ * @file Defines controllers for endpoints accessed by the lobby display.
+ */
+
+import logger from "../../utils/logger.js";
+import displayEventStreamService from "../../services/display-event-stream-service.js";
+
+/**
+ * @import { ExpressRequest, ExpressResponse } from '../../typedefs.js';
+ */
+
+/**
+ * Controller for streaming the live queue to the lobby display.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Connects an event stream which sends a snapshot of the location's queue on connection,
+ * and again whenever the queue changes.
+ * The stream is public (so that the display does not need to be signed in), as it does not
+ * include any party IDs.
+ */
+async function streamDisplayEvents(req, res) {
+  res.writeHead(200, {
+    "content-type": "text/event-stream",
+    "cache-control": "no-cache",
+    connection: "keep-alive",
+  });
+
+  req.on("close", () => {
+    logger.info("Event stream with display closed");
+  });
+
+  await displayEventStreamService.setupStream(req.location.id, res);
+}
+
+export default {
+  streamDisplayEvents,
+};
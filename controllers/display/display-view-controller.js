@@ -0,0 +1,29 @@
+/**
+ * @file Defines controllers for rendering the lobby display, which shows the live queue on a screen in the venue.
+ */
+
+/**
+ * @import { ExpressRequest, ExpressResponse } from '../../typedefs.js';
+ */
+
+/**
+ * Controller for rendering the lobby display.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Renders an empty board, which the display fills in (and keeps up to date) via the display event stream.
+ */
+function renderDisplayPage(req, res) {
+  res.render("display/display", {
+    title: "Waitlist",
+    styles: ["/dist/css/display/display.css"],
+    scripts: ["/dist/js/display/display.js"],
+    serverBaseURL: req.locationBaseURL,
+    locationPath: req.locationPath,
+  });
+}
+
+export default {
+  renderDisplayPage,
+};
@@ -0,0 +1,371 @@
+/**
+ * @file Defines controllers for endpoints accessed by hosts managing the waitlist.
+ */
+
+import { matchedData, validationResult } from "express-validator";
+import redis from "../../utils/redis.js";
+import logger from "../../utils/logger.js";
+import parties from "../../models/parties.js";
+import locations from "../../models/locations.js";
+import {
+  DEQUEUE_QUEUE,
+  SEAT_EXPIRED_QUEUE,
+} from "../../constants/message-queues.js";
+import {
+  CHANNEL_PARTY_REMOVED,
+  CHANNEL_PARTY_SEATED,
+} from "../../constants/pub-sub-channels.js";
+import { STATUS_REMOVED } from "../../constants/party-statuses.js";
+import hostEventStreamService from "../../services/host-event-stream-service.js";
+import dequeueService from "../../services/dequeue-service.js";
+import tableService from "../../services/table-service.js";
+import scheduleJobAt from "../../utils/schedule-job.js";
+import { getLocationKey } from "../../utils/location-keys.js";
+import clearPartySession from "../../utils/clear-party-session.js";
+import clearStaffSession from "../../utils/clear-staff-session.js";
+import {
+  ERROR_INVALID_REQUEST,
+  getClientErrorMessage,
+} from "../../constants/errors.js";
+
+/**
+ * @import { ExpressRequest, ExpressResponse } from '../../typedefs.js';
+ */
+
+/**
+ * Controller for streaming the live waitlist to the host dashboard.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Connects an event stream which sends a snapshot of the location's waitlist on connection,
+ * and again whenever the waitlist changes.
+ */
+async function streamWaitlistEvents(req, res) {
+  res.writeHead(200, {
+    "content-type": "text/event-stream",
+    "cache-control": "no-cache",
+    connection: "keep-alive",
+  });
+
+  req.on("close", () => {
+    logger.info("Event stream with host closed");
+  });
+
+  await hostEventStreamService.setupStream(req.location.id, res);
+}
+
+/**
+ * Controller for a host seating a party.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Seats a queued or checking-in party (assigning them a free table that fits them if the venue
+ * has tables and they do not have one yet), schedules the seat expiration worker to clean up
+ * the party when their seat expires, and broadcasts that the party was seated so that
+ * the guest's status page updates.
+ * As seating a queued party changes everyone else's position, a dequeue is also scheduled.
+ *
+ * Sends a 200 response with the seat's expiration on success.
+ */
+async function seatParty(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { partyID } = matchedData(req);
+  const locationID = req.location.id;
+  const [tablesError, tableIDs] = await tableService.getTablesToAssign(
+    locationID,
+    partyID,
+  );
+  if (tablesError) {
+    res.status(400).json({ message: getClientErrorMessage(tablesError) });
+    return;
+  }
+
+  const [error, seatExpiration] = await parties.forceSeatParty(
+    locationID,
+    partyID,
+    tableIDs,
+  );
+  if (error) {
+    res.status(400).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  const seatExpiredQueue = redis.createQueue(SEAT_EXPIRED_QUEUE);
+  await scheduleJobAt(
+    seatExpiredQueue,
+    "seat-expired",
+    { locationID },
+    new Date(seatExpiration),
+  );
+
+  const redisClient = redis.createRedisClient();
+  await redisClient.publish(
+    getLocationKey(CHANNEL_PARTY_SEATED, locationID),
+    JSON.stringify({ partyIDs: [partyID], seatExpiration }),
+  );
+
+  const dequeueQueue = redis.createQueue(DEQUEUE_QUEUE);
+  await dequeueQueue.add("dequeue", { locationID });
+
+  res.status(200).json({ seatExpiration });
+}
+
+/**
+ * Controller for a host calling a party forward from the queue.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Dequeues a queued party regardless of their position in the queue or the number of available seats,
+ * setting them to checking-in.
+ * The party is notified the same way as a regular dequeue, so that the guest's status page prompts
+ * them to check in, and the checkin expiration worker cleans them up if they do not.
+ *
+ * Sends a 200 response with the party's checking-in expiration on success.
+ */
+async function dequeueParty(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { partyID } = matchedData(req);
+  const [error, checkingInExpiration] = await dequeueService.dequeueParty(
+    req.location.id,
+    partyID,
+  );
+  if (error) {
+    res.status(400).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  res.status(200).json({ checkingInExpiration });
+}
+
+/**
+ * Controller for a host removing a party from the waitlist.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Deletes the party (recording in the party history that a host removed them),
+ * broadcasts that the party was removed so that the guest's status page
+ * updates, then schedules a dequeue so that the next parties can move up in the queue.
+ *
+ * Sends a 204 response on success.
+ */
+async function removeParty(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { partyID } = matchedData(req);
+  const locationID = req.location.id;
+  const [error, _result] = await parties.deletePartyByID(
+    locationID,
+    partyID,
+    STATUS_REMOVED,
+  );
+  if (error) {
+    res.status(400).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  const redisClient = redis.createRedisClient();
+  await redisClient.publish(
+    getLocationKey(CHANNEL_PARTY_REMOVED, locationID),
+    JSON.stringify({ partyIDs: [partyID] }),
+  );
+
+  const queue = redis.createQueue(DEQUEUE_QUEUE);
+  await queue.add("dequeue-party", { locationID });
+
+  res.status(204).end();
+}
+
+/**
+ * Controller for a host extending a seated party's time at their table.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Pushes the party's seat expiration back by the requested number of minutes, then schedules
+ * the seat expiration worker for the new expiration (the previously scheduled job will leave
+ * the party in place, since their seat will not have expired yet).
+ * The seated message is re-broadcast with the new expiration so that host dashboards update.
+ *
+ * Sends a 200 response with the seat's new expiration on success.
+ */
+async function extendSeat(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { partyID, minutes } = matchedData(req);
+  const locationID = req.location.id;
+  const [error, seatExpiration] = await parties.extendSeatExpiration(
+    locationID,
+    partyID,
+    minutes * 60,
+  );
+  if (error) {
+    res.status(400).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  const queue = redis.createQueue(SEAT_EXPIRED_QUEUE);
+  await scheduleJobAt(
+    queue,
+    "seat-expired",
+    { locationID },
+    new Date(seatExpiration),
+  );
+
+  const redisClient = redis.createRedisClient();
+  await redisClient.publish(
+    getLocationKey(CHANNEL_PARTY_SEATED, locationID),
+    JSON.stringify({ partyIDs: [partyID], seatExpiration }),
+  );
+
+  res.status(200).json({ seatExpiration });
+}
+
+/**
+ * Controller for a host extending a checking-in party's time to check in.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Pushes the party's check-in expiration back by the requested number of minutes (ex: when a guest
+ * calls ahead to say they are parking), rescheduling the checkin expiration worker and check-in reminders,
+ * and broadcasting the new expiration so that the guest's status page restarts its countdown.
+ *
+ * Sends a 200 response with the party's new checking-in expiration on success.
+ */
+async function extendCheckin(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { partyID, minutes } = matchedData(req);
+  const [error, checkingInExpiration] =
+    await dequeueService.extendCheckinWindow(
+      req.location.id,
+      partyID,
+      minutes * 60,
+    );
+  if (error) {
+    res.status(400).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  res.status(200).json({ checkingInExpiration });
+}
+
+/**
+ * Controller for turning the host's device into a kiosk (ex: a shared tablet at the host stand).
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Flags the device's session as a kiosk, so that parties created from it are not saved to its session
+ * (letting the next party join from the same device).
+ * The host is then signed out (along with any party the device was in), so that guests using the kiosk
+ * cannot reach the host dashboard.
+ *
+ * Sends a 204 success code and empty request body on success.
+ */
+async function startKioskMode(req, res) {
+  clearPartySession(req);
+  clearStaffSession(req);
+  req.session.kiosk = true;
+
+  res.status(204).end();
+}
+
+/**
+ * Controller for turning a kiosk back into a regular device.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * A host signs in on the kiosk to turn kiosk mode off, after which parties created from the device
+ * are saved to its session again.
+ *
+ * Sends a 204 success code and empty request body on success.
+ */
+async function stopKioskMode(req, res) {
+  delete req.session.kiosk;
+
+  res.status(204).end();
+}
+
+/**
+ * Controller for a host pausing or resuming the location's waitlist.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Pausing intake stops new parties from joining (regardless of the opening hours), and pausing dequeue
+ * stops queued parties from being called to check in (hosts can still call parties forward themselves).
+ * When dequeuing is resumed, a dequeue is scheduled so that any seats freed up in the meantime are filled.
+ *
+ * Sends a 200 response with whether intake and dequeue are paused on success.
+ */
+async function setWaitlistPaused(req, res) {
+  const validation = validationResult(req);
+  const { intakePaused, dequeuePaused } = matchedData(req);
+  if (
+    !validation.isEmpty() ||
+    (intakePaused === undefined && dequeuePaused === undefined)
+  ) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const locationID = req.location.id;
+  const [error, location] = await locations.setWaitlistPaused(locationID, {
+    intakePaused,
+    dequeuePaused,
+  });
+  if (error) {
+    res.status(400).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  if (dequeuePaused === false) {
+    const queue = redis.createQueue(DEQUEUE_QUEUE);
+    await queue.add("dequeue", { locationID });
+  }
+
+  res.status(200).json({
+    intakePaused: location.intake_paused,
+    dequeuePaused: location.dequeue_paused,
+  });
+}
+
+export default {
+  streamWaitlistEvents,
+  dequeueParty,
+  seatParty,
+  removeParty,
+  extendSeat,
+  extendCheckin,
+  startKioskMode,
+  stopKioskMode,
+  setWaitlistPaused,
+};
@@ -0,0 +1,155 @@
+/**
+ * @file Defines controllers for rendering the pages used by hosts to manage the waitlist.
+ */
+
+import parties from "../../models/parties.js";
+import locations from "../../models/locations.js";
+import reservations from "../../models/reservations.js";
+import operatingHoursService from "../../services/operating-hours-service.js";
+import { formatOpening } from "../../utils/operating-hours.js";
+import {
+  STATUS_CHECKING_IN,
+  STATUS_QUEUED,
+  STATUS_SEATED,
+} from "../../constants/party-statuses.js";
+import { getClientErrorMessage } from "../../constants/errors.js";
+import { DEFAULT_LOCATION_SLUG } from "../../constants/locations.js";
+
+/**
+ * @import { ExpressRequest, ExpressResponse } from '../../typedefs.js';
+ * @import { Party, Reservation } from '../../typedefs.js';
+ * @import { IntakeStatus } from '../../services/operating-hours-service.js';
+ */
+
+// shown in place of a table for parties that have not been assigned one
+const NO_TABLE_PLACEHOLDER = "—";
+
+/**
+ * Formats a party for rendering in the host dashboard.
+ *
+ * @param {Party} party - the party to format
+ * @returns {object} the party, with its timestamps converted to ISO strings (and a placeholder if they have no table)
+ * @private
+ */
+function formatPartyRow(party) {
+  const toISOString = (date) => (date ? new Date(date).toISOString() : "");
+
+  return {
+    ...party,
+    queued_at: toISOString(party.queued_at),
+    checkin_expiration: toISOString(party.checkin_expiration),
+    seat_expiration: toISOString(party.seat_expiration),
+    table_names: party.table_names ?? NO_TABLE_PLACEHOLDER,
+  };
+}
+
+/**
+ * Formats a reservation for rendering in the host dashboard.
+ *
+ * @param {Reservation & { is_holding_seats: boolean }} reservation - the reservation to format
+ * @returns {object} the reservation, with its time converted to an ISO string
+ * @private
+ */
+function formatReservationRow(reservation) {
+  return {
+    ...reservation,
+    reservation_time: new Date(reservation.reservation_time).toISOString(),
+  };
+}
+
+/**
+ * Describes whether parties can join the waitlist, for the host dashboard.
+ *
+ * @param {IntakeStatus|null} intake - the waitlist's intake status,
+ * or `null` if it could not be checked
+ * @returns {string} the description (ex: "Closed until Monday, October 19 at 11:00 AM")
+ * @private
+ */
+function describeIntake(intake) {
+  if (!intake) return "Unknown";
+  if (intake.isOpen) return "Open";
+  if (intake.isPaused) return "Paused";
+  if (intake.nextOpening) {
+    return `Closed until ${formatOpening(intake.nextOpening)}`;
+  }
+
+  return "Closed";
+}
+
+/**
+ * Controller for rendering the host dashboard.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Renders the location's parties that are currently checking in, queued, and seated, grouped by status.
+ * The dashboard then keeps itself up to date via the host event stream.
+ *
+ * Every location the staff member works at is linked to from the dashboard, so that they can switch between them.
+ * The dashboard also shows whether parties can join the waitlist and be called from it,
+ * with controls for pausing and resuming each.
+ *
+ * Upcoming reservations are listed below the waitlist, for the host to check in as they arrive.
+ */
+async function renderDashboardPage(req, res) {
+  let lookupError;
+  const [error, waitlist] = await parties.getWaitlistParties(req.location.id);
+  if (error) {
+    // continue to the page, as the event stream may still be able to populate the waitlist
+    lookupError = getClientErrorMessage(error);
+  }
+
+  // the dashboard still works for the current location without the links to the others
+  const [_locationsError, allLocations] = await locations.getLocations();
+  // staff who work at a single location can not switch to the others
+  const { staffLocationID } = req.session;
+  const staffLocations = (allLocations ?? []).filter(
+    (location) => !staffLocationID || location.id === staffLocationID,
+  );
+  const locationLinks = staffLocations.map((location) => ({
+    name: location.name,
+    href:
+      location.slug === DEFAULT_LOCATION_SLUG
+        ? "/host"
+        : `/l/${location.slug}/host`,
+    isCurrent: location.id === req.location.id,
+  }));
+
+  // the rest of the dashboard still works if the opening hours cannot be checked
+  const [_intakeError, intake] = await operatingHoursService.getIntakeStatus(
+    req.location,
+  );
+
+  // reservations are not sent by the event stream, so they are left out if they cannot be looked up
+  const [_reservationsError, upcomingReservations] =
+    await reservations.getUpcomingReservations(req.location.id);
+
+  const rows = (waitlist ?? []).map(formatPartyRow);
+  const byStatus = (status) => rows.filter((row) => row.status === status);
+
+  res.render("host/dashboard", {
+    title: "Host Dashboard",
+    styles: ["/dist/css/host/dashboard.css"],
+    scripts: ["/dist/js/host/dashboard.js"],
+    serverBaseURL: req.locationBaseURL,
+    locationPath: req.locationPath,
+    locationName: req.location.name,
+    // there is nothing to switch to until a second location is added
+    locationLinks: locationLinks.length > 1 ? locationLinks : [],
+    staffUsername: req.session.staffUsername,
+    // the host signs in on a kiosk to turn kiosk mode off
+    isKiosk: Boolean(req.session.kiosk),
+    intakeStatus: describeIntake(intake),
+    intakePaused: req.location.intake_paused,
+    dequeuePaused: req.location.dequeue_paused,
+    checkingInParties: byStatus(STATUS_CHECKING_IN),
+    queuedParties: byStatus(STATUS_QUEUED),
+    seatedParties: byStatus(STATUS_SEATED),
+    reservations: (upcomingReservations ?? []).map(formatReservationRow),
+    lookupError,
+  });
+}
+
+export default {
+  renderDashboardPage,
+};
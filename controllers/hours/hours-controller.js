@@ -0,0 +1,167 @@
+/**
+ * @file Defines controllers for endpoints used by managers to set each location's opening hours.
+ */
+
+import { matchedData, validationResult } from "express-validator";
+import operatingHours from "../../models/operating-hours.js";
+import operatingHoursService from "../../services/operating-hours-service.js";
+import { getLocalDateTime } from "../../utils/operating-hours.js";
+import { OPERATING_HOURS_TIME_ZONE } from "../../config/waitlist.js";
+import {
+  ERROR_INVALID_REQUEST,
+  getClientErrorMessage,
+  HOURS_OVERRIDE_NOT_FOUND,
+} from "../../constants/errors.js";
+
+/**
+ * @import { ExpressRequest, ExpressResponse } from '../../typedefs.js';
+ */
+
+/**
+ * Controller for getting the location's opening hours.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Sends a 200 response with the time zone the hours are in, the location's weekly hours,
+ * its special hours from today onwards, and whether the waitlist is open (see `getIntakeStatus`)
+ * or has its dequeuing paused.
+ */
+async function getHours(req, res) {
+  const locationID = req.location.id;
+  const today = getLocalDateTime(new Date(), OPERATING_HOURS_TIME_ZONE).date;
+
+  const [weeklyHoursError, weeklyHours] =
+    await operatingHours.getWeeklyHours(locationID);
+  if (weeklyHoursError) {
+    res.status(500).json({ message: getClientErrorMessage(weeklyHoursError) });
+    return;
+  }
+
+  const [overridesError, overrides] = await operatingHours.getHoursOverrides(
+    locationID,
+    today,
+  );
+  if (overridesError) {
+    res.status(500).json({ message: getClientErrorMessage(overridesError) });
+    return;
+  }
+
+  const [intakeError, intake] = await operatingHoursService.getIntakeStatus(
+    req.location,
+  );
+  if (intakeError) {
+    res.status(500).json({ message: getClientErrorMessage(intakeError) });
+    return;
+  }
+
+  res.status(200).json({
+    timeZone: OPERATING_HOURS_TIME_ZONE,
+    weeklyHours,
+    overrides,
+    intake,
+    dequeuePaused: req.location.dequeue_paused,
+  });
+}
+
+/**
+ * Controller for a manager replacing the location's weekly opening hours.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Each period is given as the weekday it opens on (0 for Sunday), and its opening and closing times.
+ * A period that closes at or before it opens runs past midnight, and an empty list removes the hours
+ * (so the waitlist is open all day, every day).
+ *
+ * Sends a 200 response with the location's new weekly hours on success.
+ */
+async function updateWeeklyHours(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { weeklyHours } = matchedData(req);
+  const [error, updatedHours] = await operatingHours.replaceWeeklyHours(
+    req.location.id,
+    weeklyHours,
+  );
+  if (error) {
+    res.status(400).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  res.status(200).json({ weeklyHours: updatedHours });
+}
+
+/**
+ * Controller for a manager setting the location's special hours for a date (ex: a holiday).
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * The special hours are used instead of the weekly hours on the date. Without an opening and closing time,
+ * the waitlist is closed for the whole date.
+ *
+ * Sends a 200 response with the date's special hours on success.
+ */
+async function setHoursOverride(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { date, opensAt, closesAt } = matchedData(req);
+  const [error, override] = await operatingHours.setHoursOverride(
+    req.location.id,
+    date,
+    opensAt ?? null,
+    closesAt ?? null,
+  );
+  if (error) {
+    res.status(400).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  res.status(200).json(override);
+}
+
+/**
+ * Controller for a manager removing the location's special hours for a date.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Sends a 204 response on success (after which the weekly hours are used on the date again),
+ * or a 404 response if the date has no special hours.
+ */
+async function deleteHoursOverride(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { date } = matchedData(req);
+  const [error, _result] = await operatingHours.deleteHoursOverride(
+    req.location.id,
+    date,
+  );
+  if (error) {
+    const status = error === HOURS_OVERRIDE_NOT_FOUND ? 404 : 400;
+    res.status(status).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  res.status(204).end();
+}
+
+export default {
+  getHours,
+  updateWeeklyHours,
+  setHoursOverride,
+  deleteHoursOverride,
+};
@@ -0,0 +1,71 @@
+/**
+ * @file Defines controllers for endpoints used by managers to set up the group's locations.
+ */
+
+import { matchedData, validationResult } from "express-validator";
+import locations from "../../models/locations.js";
+import {
+  ERROR_INVALID_REQUEST,
+  getClientErrorMessage,
+  LOCATION_SLUG_TAKEN,
+} from "../../constants/errors.js";
+
+/**
+ * @import { ExpressRequest, ExpressResponse } from '../../typedefs.js';
+ */
+
+/**
+ * Controller for listing the group's locations.
+ *
+ * @param {ExpressRequest} _req
+ * @param {ExpressResponse} res
+ * @description
+ * Sends a 200 response with every location.
+ */
+async function getLocations(_req, res) {
+  const [error, allLocations] = await locations.getLocations();
+  if (error) {
+    res.status(500).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  res.status(200).json({ locations: allLocations });
+}
+
+/**
+ * Controller for a manager adding a location.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Creates the location, whose waitlist is then available under `/l/<slug>`.
+ * Sends a 201 response with the created location on success, or a 409 response if the
+ * location's slug is already in use.
+ */
+async function createLocation(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { slug, name, maxSeats } = matchedData(req);
+  const [error, location] = await locations.createLocation({
+    slug,
+    name,
+    maxSeats,
+  });
+
+  if (error) {
+    const status = error === LOCATION_SLUG_TAKEN ? 409 : 400;
+    res.status(status).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  res.status(201).json(location);
+}
+
+export default {
+  getLocations,
+  createLocation,
+};
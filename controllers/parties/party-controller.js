@@ -5,36 +5,74 @@
 import redis from "../../utils/redis.js";
 import logger from "../../utils/logger.js";
 import parties from "../../models/parties.js";
+import locations from "../../models/locations.js";
+import pushSubscriptions from "../../models/push-subscriptions.js";
 import {
   DEQUEUE_QUEUE,
   SEAT_EXPIRED_QUEUE,
 } from "../../constants/message-queues.js";
 import eventStreamService from "../../services/event-stream-service.js";
-import { STATUS_SEATED } from "../../constants/party-statuses.js";
+import operatingHoursService from "../../services/operating-hours-service.js";
+import queueCapsService from "../../services/queue-caps-service.js";
+import tableService from "../../services/table-service.js";
+import { CHANNEL_PARTY_SEATED } from "../../constants/pub-sub-channels.js";
+import { STATUS_LEFT, STATUS_SEATED } from "../../constants/party-statuses.js";
 import scheduleJobAt from "../../utils/schedule-job.js";
+import { getLocationKey } from "../../utils/location-keys.js";
 import { validationResult } from "express-validator";
 import { matchedData } from "express-validator";
 import {
+  ERROR_FORBIDDEN,
   ERROR_INVALID_REQUEST,
   ERROR_UNAUTHORIZED,
   getClientErrorMessage,
   PARTY_NOT_FOUND,
+  PARTY_RECOVERY_FAILED,
+  WAITLIST_CLOSED,
+  WAITLIST_FULL,
 } from "../../constants/errors.js";
 import clearPartySession from "../../utils/clear-party-session.js";
+import restorePartySession from "../../utils/restore-party-session.js";
+import { getRecoveryURL } from "../../utils/recovery-tokens.js";
+import { QR_FORMAT_SVG, renderQRCode } from "../../utils/qr-codes.js";
 
 /**
  * @import { ExpressRequest, ExpressResponse } from '../typedefs.js';
  */
 
+/**
+ * Gets the location of the client's party.
+ *
+ * @param {ExpressRequest} req
+ * @returns {string} the ID of the party's location
+ * @private
+ * @description
+ * Sessions from before locations were added do not have a location,
+ * so those parties are assumed to be at the requested location (the default location, for URLs without `/l/<slug>`).
+ */
+function getSessionLocationID(req) {
+  return req.session?.locationID ?? req.location.id;
+}
+
 /**
  * Controller for joining a waitlist.
  *
  * @param {ExpressRequest} req
  * @param {ExpressResponse} res
  * @description
- * Acts as an endpoint for creating a new party.
+ * Acts as an endpoint for creating a new party at the requested location (see `resolveLocation`).
+ * Parties can only join while the location's waitlist is open (see `getIntakeStatus`),
+ * otherwise a 403 response is sent.
+ * Parties that the location could never seat (see `canSeatPartySize`) are rejected with a 400 response,
+ * as they would hold up the queue behind them.
+ * Parties who would take the queue past one of its caps (see `isOverQueueCaps`) are turned away with a 409 response.
  * If a new party is successfully created, a cookie session is created with its information, and a dequeue is scheduled.
+ * The party can optionally give a phone number and/or email to be notified at when they are dequeued.
  * Sends back a 201 response on success, with the party's ID and position in queue.
+ *
+ * Parties created from a kiosk are not saved to its session (so that the next party can join from it).
+ * Instead, the response also includes the party's recovery link and a QR code of it (as an SVG data URL),
+ * so that they can follow their place in the queue on their own device.
  */
 async function createParty(req, res) {
   const validation = validationResult(req);
@@ -45,30 +83,175 @@ async function createParty(req, res) {
     return;
   }
 
-  const { size, name } = matchedData(req);
-  const [error, result] = await parties.createParty(name, size);
+  const { size, name, phone, email } = matchedData(req);
+  // each location has its own seats or tables, which a party must be able to be seated at
+  const [seatableError, isSeatable] = await tableService.canSeatPartySize(
+    req.location,
+    size,
+  );
+  if (seatableError) {
+    res.status(500).json({ message: getClientErrorMessage(seatableError) });
+    return;
+  }
+  if (!isSeatable) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const [intakeError, intake] = await operatingHoursService.getIntakeStatus(
+    req.location,
+  );
+  if (intakeError) {
+    res.status(500).json({ message: getClientErrorMessage(intakeError) });
+    return;
+  }
+  if (!intake.isOpen) {
+    res.status(403).json({ message: getClientErrorMessage(WAITLIST_CLOSED) });
+    return;
+  }
+
+  const [limitsError, queueLimits] = await queueCapsService.getQueueLimits(
+    req.location,
+    parseInt(size),
+  );
+  if (limitsError) {
+    res.status(500).json({ message: getClientErrorMessage(limitsError) });
+    return;
+  }
+
+  const locationID = req.location.id;
+  const [error, result] = await parties.createParty(
+    locationID,
+    name,
+    size,
+    { phone, email },
+    queueLimits,
+  );
 
   if (error) {
-    res.status(400).json({ message: getClientErrorMessage(error) });
+    const status = error === WAITLIST_FULL ? 409 : 400;
+    res.status(status).json({ message: getClientErrorMessage(error) });
     return;
   }
 
   const { partyID, positionInQueue } = result;
-  // create a session cookie with the party ID
-  // we use this to save future DB lookups
-  req.session.partyID = partyID;
-  req.session.partySize = size;
-
-  // save the initial position in queue for displaying when we reach the status page
-  req.session.initialQueuePosition = positionInQueue;
+  if (!req.session.kiosk) {
+    // create a session cookie with the party ID
+    // we use this to save future DB lookups
+    req.session.partyID = partyID;
+    req.session.partySize = size;
+    req.session.locationID = locationID;
+
+    // save the initial position in queue for displaying when we reach the status page
+    req.session.initialQueuePosition = positionInQueue;
+  }
 
   const queue = redis.createQueue(DEQUEUE_QUEUE);
   // the string value here does not matter, as the job checks the DB for parties needing dequeue
-  await queue.add("dequeue");
+  await queue.add("dequeue", { locationID });
+
+  if (req.session.kiosk) {
+    const recoveryURL = getRecoveryURL(req.locationBaseURL, partyID);
+    // the party has already joined, so the kiosk shows their party ID without the QR code if it cannot be rendered
+    let recoveryQRCode = null;
+    try {
+      const qrCode = await renderQRCode(recoveryURL, QR_FORMAT_SVG);
+      recoveryQRCode = `data:${qrCode.contentType};base64,${Buffer.from(qrCode.body).toString("base64")}`;
+    } catch (error) {
+      logger.error(`[Kiosk]: could not render QR code - ${error.message}`);
+    }
+
+    res.status(201).json({ ...result, recoveryURL, recoveryQRCode });
+    return;
+  }
 
   res.status(201).json(result);
 }
 
+/**
+ * Controller for changing a queued party's name and size.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Verifies that the request is coming from a verified party via a cookie session check.
+ * If the party is still queued, their name and size are updated (keeping their place in the queue),
+ * and their session is updated with the new size.
+ * A dequeue is then scheduled, since a party that shrinks may now fit in the available seats
+ * (and everyone's estimated wait may have changed).
+ *
+ * Sends a 200 success code on success, with the party's updated name and size,
+ * a 400 if the location could never seat the party at their new size (see `canSeatPartySize`),
+ * or a 409 if the party would grow the queue past one of its caps.
+ */
+async function updateParty(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { partyID, partySize } = req.session ?? {};
+  const locationID = getSessionLocationID(req);
+
+  // in the event that the session is stale (and there's no party ID)
+  // we just send an error
+  if (!partyID || !partySize) {
+    clearPartySession(req);
+    res.status(401).json({ message: ERROR_UNAUTHORIZED });
+    return;
+  }
+
+  const { name, size } = matchedData(req);
+  const [locationError, location] = await locations.getLocationByID(locationID);
+  if (locationError) {
+    res.status(400).json({ message: getClientErrorMessage(locationError) });
+    return;
+  }
+  const [seatableError, isSeatable] = await tableService.canSeatPartySize(
+    location,
+    size,
+  );
+  if (seatableError) {
+    res.status(500).json({ message: getClientErrorMessage(seatableError) });
+    return;
+  }
+  if (!isSeatable) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const [limitsError, queueLimits] = await queueCapsService.getQueueLimits(
+    location,
+    parseInt(size),
+    partyID,
+  );
+  if (limitsError) {
+    res.status(500).json({ message: getClientErrorMessage(limitsError) });
+    return;
+  }
+
+  const [error, result] = await parties.updateQueuedParty(
+    locationID,
+    partyID,
+    { name, size },
+    queueLimits,
+  );
+  if (error) {
+    const status = error === WAITLIST_FULL ? 409 : 400;
+    res.status(status).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  req.session.partySize = result.size;
+
+  const queue = redis.createQueue(DEQUEUE_QUEUE);
+  // the string value here does not matter, as the job checks the DB for parties needing dequeue
+  await queue.add("dequeue", { locationID });
+
+  res.status(200).json(result);
+}
+
 /**
  * Controller for streaming events for a party.
  *
@@ -107,6 +290,12 @@ async function streamPartyEvents(req, res) {
     return;
   }
 
+  // the party may have been seated by a host, in which case there is nothing to stream
+  if (party.status === STATUS_SEATED) {
+    res.end();
+    return;
+  }
+
   // connect the event stream
   res.writeHead(200, {
     "content-type": "text/event-stream",
@@ -134,6 +323,7 @@ async function streamPartyEvents(req, res) {
  */
 async function checkInParty(req, res) {
   const { partyID, partySize } = req.session ?? {};
+  const locationID = getSessionLocationID(req);
 
   // in the event that the session is stale (and there's no party ID)
   // we just send an error
@@ -144,6 +334,7 @@ async function checkInParty(req, res) {
   }
 
   const [error, seatExpiration] = await parties.updateSeatedStatus(
+    locationID,
     partyID,
     parseInt(partySize),
   );
@@ -162,7 +353,19 @@ async function checkInParty(req, res) {
 
   // Schedule a job to expire the seat after a certain time
   const queue = redis.createQueue(SEAT_EXPIRED_QUEUE);
-  await scheduleJobAt(queue, "seat-expired", {}, new Date(seatExpiration));
+  await scheduleJobAt(
+    queue,
+    "seat-expired",
+    { locationID },
+    new Date(seatExpiration),
+  );
+
+  // let any listeners (such as the host dashboard) know that the party was seated
+  const redisClient = redis.createRedisClient();
+  await redisClient.publish(
+    getLocationKey(CHANNEL_PARTY_SEATED, locationID),
+    JSON.stringify({ partyIDs: [partyID], seatExpiration }),
+  );
 
   // Update existing session cookie with max age to expiration time
   // Add the seated status to cookies
@@ -188,6 +391,7 @@ async function checkInParty(req, res) {
  */
 async function deleteParty(req, res) {
   const { partyID, partySize } = req.session ?? {};
+  const locationID = getSessionLocationID(req);
 
   // in the event that the session is stale (and there's no party ID)
   // we just send an error
@@ -198,7 +402,11 @@ async function deleteParty(req, res) {
   }
 
   // delete party from the database
-  const [error, _result] = await parties.deletePartyByID(partyID);
+  const [error, _result] = await parties.deletePartyByID(
+    locationID,
+    partyID,
+    STATUS_LEFT,
+  );
 
   if (error) {
     if (error === PARTY_NOT_FOUND) {
@@ -215,14 +423,146 @@ async function deleteParty(req, res) {
 
   const queue = redis.createQueue(DEQUEUE_QUEUE);
   // the string value here does not matter, as the job checks the DB for parties needing dequeue
-  await queue.add("dequeue-party");
+  await queue.add("dequeue-party", { locationID });
+
+  res.status(204).json({});
+}
+
+/**
+ * Controller that allows a checking-in party to move back in the queue instead of checking in.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Verifies that the request is coming from a verified party via a cookie session check.
+ * If the party is still checking in (and has snoozes left), they are returned to the queue a few places back,
+ * and a dequeue is scheduled so that the seats they were holding go to the next parties
+ * (which also broadcasts everyone's updated positions).
+ *
+ * Sends a 200 success code on success, with the party's new position in queue and how many more times they can snooze.
+ */
+async function snoozeParty(req, res) {
+  const { partyID, partySize } = req.session ?? {};
+  const locationID = getSessionLocationID(req);
+
+  // in the event that the session is stale (and there's no party ID)
+  // we just send an error
+  if (!partyID || !partySize) {
+    clearPartySession(req);
+    res.status(401).json({ message: ERROR_UNAUTHORIZED });
+    return;
+  }
+
+  const [error, result] = await parties.snoozeParty(locationID, partyID);
+  if (error) {
+    res.status(400).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  // the status page is rendered with this position until the party's event stream sends the latest positions
+  req.session.initialQueuePosition = result.positionInQueue;
+
+  const queue = redis.createQueue(DEQUEUE_QUEUE);
+  // the string value here does not matter, as the job checks the DB for parties needing dequeue
+  await queue.add("dequeue", { locationID });
+
+  res.status(200).json(result);
+}
+
+/**
+ * Controller for recovering a party's session by their party ID and name.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Acts as an alternative to the party's recovery link (ex: if they only wrote down their party ID).
+ * If a party exists with the given ID and name (ignoring case), their session is restored.
+ * The same error is sent whether the ID or the name is wrong, so that the response does not
+ * reveal which party IDs exist. Kiosks cannot recover a party.
+ *
+ * Sends a 200 success code on success, with the party's ID.
+ */
+async function recoverParty(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  // a kiosk is shared by every party, so it cannot take over a party's session
+  if (req.session.kiosk) {
+    res.status(403).json({ message: ERROR_FORBIDDEN });
+    return;
+  }
+
+  const { partyID, name } = matchedData(req);
+  const [error, party] = await parties.getPartyByID(partyID);
+  if (error || !party || party.name.toLowerCase() !== name.toLowerCase()) {
+    res
+      .status(404)
+      .json({ message: getClientErrorMessage(PARTY_RECOVERY_FAILED) });
+    return;
+  }
+
+  restorePartySession(req, party);
+
+  res.status(200).json({ partyID: party.party_id });
+}
+
+/**
+ * Controller for turning on push notifications for a party.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Verifies that the request is coming from a verified party via a cookie session check,
+ * then saves the browser's push subscription so that the push worker can notify the party
+ * when they can check in (even if their status page is in the background).
+ *
+ * Sends a 204 success code and empty request body on success.
+ */
+async function savePushSubscription(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { partyID } = req.session ?? {};
+  if (!partyID) {
+    clearPartySession(req);
+    res.status(401).json({ message: ERROR_UNAUTHORIZED });
+    return;
+  }
+
+  // the party may have left the waitlist since their status page was loaded
+  const [partyError] = await parties.getPartyByID(partyID);
+  if (partyError) {
+    clearPartySession(req);
+    res.status(404).json({ message: getClientErrorMessage(partyError) });
+    return;
+  }
+
+  const { endpoint, keys } = matchedData(req);
+  const [error] = await pushSubscriptions.savePushSubscription(partyID, {
+    endpoint,
+    keys,
+  });
+  if (error) {
+    res.status(400).json({ message: getClientErrorMessage(error) });
+    return;
+  }
 
   res.status(204).json({});
 }
 
 export default {
   createParty,
+  updateParty,
   streamPartyEvents,
   checkInParty,
   deleteParty,
+  snoozeParty,
+  recoverParty,
+  savePushSubscription,
 };
@@ -2,16 +2,67 @@
  * @file Defines controllers for rendering pages responsible for creating and monitoring the status of waitlist parties.
  */
 
+import path from "path";
 import parties from "../../models/parties.js";
+import locations from "../../models/locations.js";
+import operatingHoursService from "../../services/operating-hours-service.js";
+import queueCapsService from "../../services/queue-caps-service.js";
 import { STATUS_SEATED } from "../../constants/party-statuses.js";
-import { getClientErrorMessage } from "../../constants/errors.js";
+import { validationResult } from "express-validator";
+import { matchedData } from "express-validator";
+import {
+  ERROR_INVALID_REQUEST,
+  ERROR_UNAUTHORIZED,
+  FALLBACK_ERROR_MESSAGE,
+  getClientErrorMessage,
+  PARTY_RECOVERY_LINK_INVALID,
+} from "../../constants/errors.js";
 import clearPartySession from "../../utils/clear-party-session.js";
-import { MAX_PARY_NAME_LENGTH, MAX_SEATS } from "../../config/waitlist.js";
+import restorePartySession from "../../utils/restore-party-session.js";
+import {
+  getRecoveryURL,
+  verifyRecoveryToken,
+} from "../../utils/recovery-tokens.js";
+import { renderQRCode } from "../../utils/qr-codes.js";
+import logger from "../../utils/logger.js";
+import { getLocationMaxSeats } from "../../utils/location-seats.js";
+import { formatOpening } from "../../utils/operating-hours.js";
+import { getMaxSeats } from "../../utils/waitlist-settings.js";
+import { MAX_PARY_NAME_LENGTH, MAX_SNOOZES } from "../../config/waitlist.js";
+import { VAPID_PUBLIC_KEY } from "../../config/push.js";
+import { RECOVERY_LINK_TTL_SECONDS } from "../../config/recovery.js";
+import { KIOSK_RESET_SECONDS } from "../../config/kiosk.js";
 
 /**
  * @import { ExpressRequest, ExpressResponse } from '../../typedefs.js';
  */
 
+/**
+ * Sends a QR code image of a URL.
+ *
+ * @param {ExpressResponse} res
+ * @param {string} url - the URL to encode
+ * @param {string} format - the image format, one of `QR_FORMATS`
+ * @param {string} cacheControl - the response's cache-control header
+ * @returns {Promise<void>}
+ * @private
+ */
+async function sendQRCode(res, url, format, cacheControl) {
+  let qrCode;
+  try {
+    qrCode = await renderQRCode(url, format);
+  } catch (error) {
+    logger.error(`[QR codes]: could not render QR code - ${error.message}`);
+    res.status(500).json({ message: FALLBACK_ERROR_MESSAGE });
+    return;
+  }
+
+  res
+    .set("content-type", qrCode.contentType)
+    .set("cache-control", cacheControl)
+    .send(qrCode.body);
+}
+
 /**
  * Controller for joining a waitlist.
  *
@@ -21,14 +72,24 @@ import { MAX_PARY_NAME_LENGTH, MAX_SEATS } from "../../config/waitlist.js";
  * Checks to see if the client is already in an existing party and redirects them
  * to the status page if so, or deletes their session if it is stale.
  *
- * If the client is not in a party, renders the page for creating a new party.
+ * If the client is not in a party, renders the page for joining the location's waitlist.
+ * When the waitlist is closed (outside its opening hours, or paused by staff), a closed page is rendered instead,
+ * showing when the waitlist next opens (if known).
+ * The closed page is also rendered when the queue has reached one of its caps (see `isWaitlistFull`).
+ *
+ * Kiosks (see `startKioskMode`) are never in a party, so they always render the page, which resets itself
+ * after each party joins.
  */
 async function renderNewPartyPage(req, res) {
   // check for if the user already has a party ID set in their cookie
-  const { partyID } = req.session ?? {};
+  const { partyID, kiosk } = req.session ?? {};
 
+  if (kiosk) {
+    // changing the session re-sends the cookie, so kiosk mode does not expire while the kiosk is in use
+    req.session.kioskSeenAt = Math.floor(Date.now() / (60 * 1000));
+  }
   // if set, check if it's stale by checking the database for the user
-  if (partyID) {
+  else if (partyID) {
     const [partyError, party] = await parties.getPartyByID(partyID);
 
     // clear the cookie if the party no longer exists in the database
@@ -42,13 +103,53 @@ async function renderNewPartyPage(req, res) {
     }
   }
 
+  const [intakeError, intake] = await operatingHoursService.getIntakeStatus(
+    req.location,
+  );
+  // the join request checks the hours again, so the form is still shown if they cannot be checked here
+  if (intakeError) {
+    logger.error(
+      `[Join page]: could not check the opening hours - ${intakeError}`,
+    );
+  } else if (!intake.isOpen) {
+    res.render("party/waitlist-closed", {
+      title: "Waitlist Closed",
+      styles: ["/dist/css/party/new-party.css"],
+      scripts: ["/dist/js/party/waitlist-closed.js"],
+      serverBaseURL: req.locationBaseURL,
+      isPaused: intake.isPaused,
+      nextOpening: intake.nextOpening ? formatOpening(intake.nextOpening) : "",
+    });
+    return;
+  }
+
+  const [fullError, isFull] = await queueCapsService.isWaitlistFull(
+    req.location,
+  );
+  // as with the hours, the join request checks the queue caps again
+  if (fullError) {
+    logger.error(`[Join page]: could not check the queue caps - ${fullError}`);
+  } else if (isFull) {
+    res.render("party/waitlist-closed", {
+      title: "Waitlist Full",
+      styles: ["/dist/css/party/new-party.css"],
+      scripts: ["/dist/js/party/waitlist-closed.js"],
+      serverBaseURL: req.locationBaseURL,
+      isFull,
+    });
+    return;
+  }
+
   res.render("party/new-party", {
     title: "Check In",
     styles: ["/dist/css/party/new-party.css"],
     scripts: ["/dist/js/party/new-party.js"],
-    serverBaseURL: req.baseURL,
-    maxSeatCount: MAX_SEATS,
+    serverBaseURL: req.locationBaseURL,
+    maxSeatCount: getLocationMaxSeats(req.location),
     maxPartyNameLength: MAX_PARY_NAME_LENGTH,
+    isKiosk: Boolean(kiosk),
+    // the join page only resets itself on kiosks
+    kioskResetSeconds: kiosk ? KIOSK_RESET_SECONDS : "",
   });
 }
 
@@ -70,7 +171,7 @@ async function renderPartyStatusPage(req, res) {
 
   // if the partyID wasn't set, the user should be redirected to the join waitlist page
   if (!partyID) {
-    res.redirect("/party/new");
+    res.redirect(`${req.locationPath}/party/new`);
     return;
   }
 
@@ -82,11 +183,18 @@ async function renderPartyStatusPage(req, res) {
   }
   if (!party) {
     clearPartySession(req);
-    res.redirect("/party/new");
+    res.redirect(`${req.locationPath}/party/new`);
     return;
   }
 
-  const isSeated = status && status === STATUS_SEATED;
+  // the size limit is the party's location's (falling back to the largest size any location allows)
+  const [_locationError, location] = await locations.getLocationByID(
+    party.location_id,
+  );
+
+  // the party may also have been seated by a host, which is not reflected in the session
+  const isSeated =
+    (status && status === STATUS_SEATED) || party.status === STATUS_SEATED;
 
   res.render("party/party-status", {
     title: "Waitlist Status",
@@ -95,14 +203,160 @@ async function renderPartyStatusPage(req, res) {
     serverBaseURL: req.baseURL,
     partyID,
     initialQueuePosition,
+    // queued parties can change their name and size from the status page
+    partyName: party.name,
+    partySize: party.size,
+    maxPartyNameLength: MAX_PARY_NAME_LENGTH,
+    maxSeatCount: location ? getLocationMaxSeats(location) : getMaxSeats(),
     // if status is set, the user is seated
     isSeated,
     isQueued: !isSeated,
+    // the party is offered to move back in the queue (instead of checking in) until they run out of snoozes
+    canSnooze: (party.snooze_count ?? 0) < MAX_SNOOZES,
     lookupError,
+    // push notifications are only offered once the server has VAPID keys set up
+    pushPublicKey: VAPID_PUBLIC_KEY,
+    // opening this link restores the party's session (ex: on another device)
+    recoveryURL: getRecoveryURL(req.locationBaseURL, partyID),
+    recoveryLinkHours: Math.floor(RECOVERY_LINK_TTL_SECONDS / (60 * 60)),
   });
 }
 
+/**
+ * Controller for recovering a party's session (ex: after switching devices or clearing cookies).
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * If the request has a recovery link's token, the token is verified and the party's session is restored,
+ * redirecting them to the status page.
+ *
+ * Otherwise (or if the token has expired, is invalid, or is for a party that no longer exists),
+ * renders the page for recovering a party by their ID and name instead.
+ * Kiosks are sent back to the join page.
+ */
+async function renderRecoverPartyPage(req, res) {
+  const { token } = req.query;
+
+  // a kiosk is shared by every party, so it cannot take over a party's session
+  if (req.session?.kiosk) {
+    res.redirect(`${req.locationPath}/party/new`);
+    return;
+  }
+
+  let recoveryError;
+  if (token) {
+    const partyID = verifyRecoveryToken(token);
+    const [error, party] = partyID
+      ? await parties.getPartyByID(partyID)
+      : [PARTY_RECOVERY_LINK_INVALID, null];
+
+    if (!error && party) {
+      restorePartySession(req, party);
+      res.redirect(`${req.locationPath}/party`);
+      return;
+    }
+
+    // a link for a party that has left is treated as expired
+    recoveryError = getClientErrorMessage(PARTY_RECOVERY_LINK_INVALID);
+    res.status(400);
+  }
+
+  res.render("party/recover-party", {
+    title: "Find Your Party",
+    styles: ["/dist/css/party/recover-party.css"],
+    scripts: ["/dist/js/party/recover-party.js"],
+    serverBaseURL: req.baseURL,
+    recoveryError,
+  });
+}
+
+/**
+ * Controller for sending a QR code of the location's join page (ex: for printing at the venue's door).
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Sends the QR code as an SVG or PNG image, depending on the requested format.
+ */
+async function sendJoinQRCode(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { format } = matchedData(req);
+  await sendQRCode(
+    res,
+    `${req.locationBaseURL}/party/new`,
+    format,
+    "public, max-age=86400",
+  );
+}
+
+/**
+ * Controller for sending a QR code of the party's recovery link (ex: for scanning with another device).
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Checks that the client is in a party that still exists, then sends the QR code as an SVG or PNG image,
+ * depending on the requested format.
+ * The QR code is not cached, as the link it encodes restores the party's session.
+ */
+async function sendRecoveryQRCode(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { partyID } = req.session ?? {};
+  if (!partyID) {
+    res.status(401).json({ message: ERROR_UNAUTHORIZED });
+    return;
+  }
+
+  const [error, party] = await parties.getPartyByID(partyID);
+  if (error || !party) {
+    clearPartySession(req);
+    res.status(404).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  const { format } = matchedData(req);
+  await sendQRCode(
+    res,
+    getRecoveryURL(req.locationBaseURL, partyID),
+    format,
+    "no-store",
+  );
+}
+
+/**
+ * Controller for sending the service worker that shows the party's push notifications.
+ *
+ * @param {ExpressRequest} _req
+ * @param {ExpressResponse} res
+ * @description
+ * The service worker is bundled with the other scripts, but is sent from under `/party`
+ * so that it can be registered for the party pages (a service worker can only control
+ * the pages under the path it is served from).
+ */
+function sendPushServiceWorker(_req, res) {
+  res
+    .set("cache-control", "no-cache")
+    .sendFile(
+      path.join(process.cwd(), "public/dist/js/party/push-service-worker.js"),
+    );
+}
+
 export default {
   renderNewPartyPage,
   renderPartyStatusPage,
+  renderRecoverPartyPage,
+  sendJoinQRCode,
+  sendRecoveryQRCode,
+  sendPushServiceWorker,
 };
@@ -0,0 +1,90 @@
+/**
+ * @file Defines controllers for endpoints used by managers to report on the waitlist's performance.
+ */
+
+import { pipeline } from "stream/promises";
+import { matchedData, validationResult } from "express-validator";
+import reportService from "../../services/report-service.js";
+import exportService from "../../services/export-service.js";
+import { EXPORT_FORMAT_NDJSON } from "../../constants/export-formats.js";
+import {
+  ERROR_INVALID_REQUEST,
+  getClientErrorMessage,
+} from "../../constants/errors.js";
+
+/**
+ * @import { ExpressRequest, ExpressResponse } from '../../typedefs.js';
+ */
+
+/**
+ * Controller for getting the waitlist's performance metrics.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Reports on the parties who joined the location's queue between the optional `from` and `to` query
+ * parameters (defaulting to the last week).
+ *
+ * Sends a 200 response with the report on success.
+ */
+async function getReport(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { from, to } = matchedData(req);
+  const [error, report] = await reportService.getWaitlistReport(
+    req.location,
+    from,
+    to,
+  );
+  if (error) {
+    res.status(500).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  res.status(200).json(report);
+}
+
+/**
+ * Controller for exporting the location's party history.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Exports a record of each party who joined the location's queue between the `from` and `to` query
+ * parameters, as a CSV (the default) or NDJSON file depending on the `format` query parameter.
+ *
+ * Sends a 200 response with the records streamed as an attachment on success.
+ * As the response has already started while the records are streamed, an error part way
+ * through ends the response early rather than sending an error status.
+ */
+async function exportPartyRecords(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { from, to, format } = matchedData(req);
+  const contentType =
+    format === EXPORT_FORMAT_NDJSON ? "application/x-ndjson" : "text/csv";
+  const fileName = `party-history-${from.toISOString().slice(0, 10)}-to-${to.toISOString().slice(0, 10)}.${format}`;
+
+  res.status(200).attachment(fileName).type(contentType);
+  try {
+    await pipeline(
+      exportService.createPartyExportStream(format, req.location.id, from, to),
+      res,
+    );
+  } catch {
+    // the error has been logged by the export service, and the response has been destroyed
+  }
+}
+
+export default {
+  getReport,
+  exportPartyRecords,
+};
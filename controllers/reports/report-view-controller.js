@@ -0,0 +1,155 @@
+/**
+ * @file Defines controllers for rendering the pages used by managers to review the waitlist's performance.
+ */
+
+import { matchedData, validationResult } from "express-validator";
+import reportService from "../../services/report-service.js";
+import { REPORTS_TIME_ZONE } from "../../config/waitlist.js";
+import { getClientErrorMessage } from "../../constants/errors.js";
+
+/**
+ * @import { ExpressRequest, ExpressResponse } from '../../typedefs.js';
+ * @import { VisitSummary, WaitlistReport } from '../../services/report-service.js';
+ */
+
+// shown in place of a metric that has no data (ex: a no-show rate when no parties were called)
+const NO_DATA_PLACEHOLDER = "—";
+
+const hourFormatter = new Intl.DateTimeFormat("en-CA", {
+  timeZone: REPORTS_TIME_ZONE,
+  dateStyle: "short",
+  timeStyle: "short",
+  hourCycle: "h23",
+});
+
+/**
+ * Formats a fraction as a percentage.
+ *
+ * @param {number|null} rate - the fraction to format
+ * @returns {string} the percentage (ex: "12.5%"), or a placeholder if there is no rate
+ * @private
+ */
+function formatRate(rate) {
+  if (rate === null) return NO_DATA_PLACEHOLDER;
+  return `${(rate * 100).toFixed(1)}%`;
+}
+
+/**
+ * Formats a wait time in minutes.
+ *
+ * @param {number|null} seconds - the wait time in seconds
+ * @returns {string} the wait time (ex: "4.5 min"), or a placeholder if there is no wait time
+ * @private
+ */
+function formatWait(seconds) {
+  if (seconds === null) return NO_DATA_PLACEHOLDER;
+  return `${(seconds / 60).toFixed(1)} min`;
+}
+
+/**
+ * Formats an hour of the day.
+ *
+ * @param {number} hour - the hour of the day (0-23)
+ * @returns {string} the hour (ex: "09:00")
+ * @private
+ */
+function formatHour(hour) {
+  return `${hour.toString().padStart(2, "0")}:00`;
+}
+
+/**
+ * Formats a visit summary for rendering.
+ *
+ * @param {VisitSummary} summary - the visit summary
+ * @returns {object} the summary, with its wait time and rates formatted
+ * @private
+ */
+function formatSummary(summary) {
+  return {
+    ...summary,
+    averageWait: formatWait(summary.averageWaitSeconds),
+    noShowRate: formatRate(summary.noShowRate),
+    walkAwayRate: formatRate(summary.walkAwayRate),
+  };
+}
+
+/**
+ * Formats a report for rendering in the reports page.
+ *
+ * @param {WaitlistReport} report - the report
+ * @returns {object} the report, with its metrics formatted for display
+ * @private
+ */
+function formatReport(report) {
+  return {
+    // the date inputs only accept the date portion
+    fromDate: report.from.slice(0, 10),
+    toDate: report.to.slice(0, 10),
+    timeZone: report.timeZone,
+    summary: formatSummary(report.summary),
+    byPartySize: report.byPartySize.map(formatSummary),
+    seatCapacity: report.seatCapacity,
+    peakHours:
+      report.peakHours.map(formatHour).join(", ") || NO_DATA_PLACEHOLDER,
+    arrivalsByHour: report.arrivalsByHour.map(({ hour, arrivals }) => ({
+      hour: formatHour(hour),
+      arrivals,
+    })),
+    seatUtilization: report.seatUtilization.map((row) => ({
+      hour: hourFormatter.format(new Date(row.hourStart)),
+      averageSeatsOccupied: row.averageSeatsOccupied.toFixed(1),
+      utilization: formatRate(row.utilization),
+    })),
+  };
+}
+
+/**
+ * Controller for rendering the reports page.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Renders the location's waitlist performance metrics between the optional `from` and `to`
+ * query parameters (defaulting to the last week), with a form to change the date range.
+ *
+ * If the date range is invalid, the page is rendered with the validation errors instead.
+ */
+async function renderReportsPage(req, res) {
+  const pageOptions = {
+    title: "Waitlist Reports",
+    styles: ["/dist/css/reports/reports.css"],
+    serverBaseURL: req.locationBaseURL,
+  };
+
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).render("reports/reports", {
+      ...pageOptions,
+      validationErrors: validation.array().map(({ msg }) => msg),
+    });
+    return;
+  }
+
+  const { from, to } = matchedData(req);
+  const [error, report] = await reportService.getWaitlistReport(
+    req.location,
+    from,
+    to,
+  );
+  if (error) {
+    res.status(500).render("reports/reports", {
+      ...pageOptions,
+      lookupError: getClientErrorMessage(error),
+    });
+    return;
+  }
+
+  res.render("reports/reports", {
+    ...pageOptions,
+    report: formatReport(report),
+  });
+}
+
+export default {
+  renderReportsPage,
+};
@@ -0,0 +1,130 @@
+/**
+ * @file Defines controllers for endpoints used by hosts to take reservations and check them in.
+ */
+
+import { matchedData, validationResult } from "express-validator";
+import reservations from "../../models/reservations.js";
+import reservationService from "../../services/reservation-service.js";
+import {
+  ERROR_INVALID_REQUEST,
+  getClientErrorMessage,
+  RESERVATION_NOT_FOUND,
+} from "../../constants/errors.js";
+
+/**
+ * @import { ExpressRequest, ExpressResponse } from '../../typedefs.js';
+ */
+
+/**
+ * Controller for listing the location's upcoming reservations.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Sends a 200 response with the reservations that have not arrived yet, in time order.
+ */
+async function getReservations(req, res) {
+  const [error, upcomingReservations] =
+    await reservations.getUpcomingReservations(req.location.id);
+  if (error) {
+    res.status(500).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  res.status(200).json({ reservations: upcomingReservations });
+}
+
+/**
+ * Controller for a host taking a reservation.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Sends a 201 response with the created reservation on success.
+ */
+async function createReservation(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { name, size, time, phone, email } = matchedData(req);
+  const [error, reservation] = await reservationService.createReservation(
+    req.location.id,
+    { name, size: parseInt(size), time, phone, email },
+  );
+  if (error) {
+    res.status(400).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  res.status(201).json(reservation);
+}
+
+/**
+ * Controller for a host cancelling a reservation.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Sends a 204 response on success, or a 404 response if the reservation does not exist
+ * (or has already been checked in).
+ */
+async function cancelReservation(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { reservationID } = matchedData(req);
+  const [error, _result] = await reservationService.cancelReservation(
+    req.location.id,
+    reservationID,
+  );
+  if (error) {
+    const status = error === RESERVATION_NOT_FOUND ? 404 : 400;
+    res.status(status).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  res.status(204).end();
+}
+
+/**
+ * Controller for a host checking in a reservation that has arrived.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Sends a 200 response with the ID of the reservation's party and when their seat expires on success,
+ * or a 404 response if the reservation does not exist (or has already been checked in).
+ */
+async function checkInReservation(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { reservationID } = matchedData(req);
+  const [error, seating] = await reservationService.checkInReservation(
+    req.location.id,
+    reservationID,
+  );
+  if (error) {
+    const status = error === RESERVATION_NOT_FOUND ? 404 : 400;
+    res.status(status).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  res.status(200).json(seating);
+}
+
+export default {
+  getReservations,
+  createReservation,
+  cancelReservation,
+  checkInReservation,
+};
@@ -0,0 +1,59 @@
+/**
+ * @file Defines controllers for endpoints used by managers to change the waitlist settings
+ * while the waitlist is running.
+ */
+
+import { matchedData, validationResult } from "express-validator";
+import settingsService from "../../services/settings-service.js";
+import { getWaitlistSettings } from "../../utils/waitlist-settings.js";
+import {
+  ERROR_INVALID_REQUEST,
+  getClientErrorMessage,
+} from "../../constants/errors.js";
+
+/**
+ * @import { ExpressRequest, ExpressResponse } from '../../typedefs.js';
+ */
+
+/**
+ * Controller for getting the waitlist settings in use.
+ *
+ * @param {ExpressRequest} _req
+ * @param {ExpressResponse} res
+ * @description
+ * Sends a 200 response with the settings (including any that still fall back to their environmental variable).
+ */
+function getSettings(_req, res) {
+  res.status(200).json(getWaitlistSettings());
+}
+
+/**
+ * Controller for a manager changing one or more waitlist settings.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Stores the new values, which the web app and the workers start using without being restarted.
+ * Sends a 200 response with the settings now in use, or a 400 response if no valid settings were given.
+ */
+async function updateSettings(req, res) {
+  const validation = validationResult(req);
+  const values = matchedData(req);
+  if (!validation.isEmpty() || Object.keys(values).length < 1) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const [error, updatedSettings] = await settingsService.updateSettings(values);
+  if (error) {
+    res.status(500).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  res.status(200).json(updatedSettings);
+}
+
+export default {
+  getSettings,
+  updateSettings,
+};
@@ -0,0 +1,146 @@
+/**
+ * @file Defines controllers for endpoints used to authenticate and manage staff accounts.
+ */
+
+import { matchedData, validationResult } from "express-validator";
+import staff from "../../models/staff.js";
+import locations from "../../models/locations.js";
+import {
+  ERROR_INVALID_REQUEST,
+  getClientErrorMessage,
+  STAFF_INVALID_CREDENTIALS,
+  STAFF_USERNAME_TAKEN,
+} from "../../constants/errors.js";
+import clearStaffSession from "../../utils/clear-staff-session.js";
+import { DEFAULT_LOCATION_SLUG } from "../../constants/locations.js";
+
+/**
+ * @import { ExpressRequest, ExpressResponse } from '../../typedefs.js';
+ */
+
+/**
+ * Controller for signing in as a staff member.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Verifies the submitted username and password and, if they match a staff account,
+ * saves the staff member's ID, role, and location to the session.
+ * Staff who work at a single location are sent to that location's host dashboard, rather than the
+ * default location's.
+ * Sends a 200 response with the staff member's username, role, and dashboard path on success,
+ * or a 401 response if the credentials are incorrect.
+ */
+async function login(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { username, password } = matchedData(req);
+  const [error, account] = await staff.verifyStaffCredentials(
+    username,
+    password,
+  );
+
+  if (error) {
+    const status = error === STAFF_INVALID_CREDENTIALS ? 401 : 400;
+    res.status(status).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  let dashboardPath = "/host";
+  if (account.location_id) {
+    const [locationError, location] = await locations.getLocationByID(
+      account.location_id,
+    );
+    if (locationError) {
+      res.status(400).json({ message: getClientErrorMessage(locationError) });
+      return;
+    }
+    if (location.slug !== DEFAULT_LOCATION_SLUG) {
+      dashboardPath = `/l/${location.slug}/host`;
+    }
+  }
+
+  req.session.staffID = account.id;
+  req.session.staffRole = account.role;
+  req.session.staffUsername = account.username;
+  req.session.staffLocationID = account.location_id;
+  req.session.staffDashboardPath = dashboardPath;
+
+  res.status(200).json({
+    username: account.username,
+    role: account.role,
+    dashboardPath,
+  });
+}
+
+/**
+ * Controller for signing out as a staff member.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Removes the staff-related variables from the session, leaving any party-related
+ * session data intact.
+ * Sends a 204 response.
+ */
+async function logout(req, res) {
+  clearStaffSession(req);
+  res.status(204).end();
+}
+
+/**
+ * Controller for a manager creating a staff account.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Creates a staff account with the given username, password, and role.
+ * The account can optionally be given the slug of the location the staff member works at,
+ * otherwise they can work at every location (see `requireRole`).
+ * Sends a 201 response with the created account on success, a 400 response if the location
+ * does not exist, or a 409 response if the username is already in use.
+ */
+async function createStaff(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { username, password, role, location: locationSlug } = matchedData(req);
+  let locationID = null;
+  if (locationSlug) {
+    const [locationError, location] =
+      await locations.getLocationBySlug(locationSlug);
+    if (locationError) {
+      res.status(400).json({ message: getClientErrorMessage(locationError) });
+      return;
+    }
+    locationID = location.id;
+  }
+
+  const [error, account] = await staff.createStaff(
+    username,
+    password,
+    role,
+    locationID,
+  );
+
+  if (error) {
+    const status = error === STAFF_USERNAME_TAKEN ? 409 : 400;
+    res.status(status).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  res.status(201).json(account);
+}
+
+export default {
+  login,
+  logout,
+  createStaff,
+};
@@ -0,0 +1,35 @@
+/**
+ * @file Defines controllers for rendering the pages used by staff to sign in.
+ */
+
+/**
+ * @import { ExpressRequest, ExpressResponse } from '../../typedefs.js';
+ */
+
+/**
+ * Controller for rendering the staff sign in page.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Redirects the client to their host dashboard (see `login`) if they are already signed in,
+ * otherwise renders the sign in page.
+ */
+async function renderLoginPage(req, res) {
+  if (req.session?.staffID) {
+    // sessions from before staff had locations are for staff who work at every location
+    res.redirect(req.session.staffDashboardPath ?? "/host");
+    return;
+  }
+
+  res.render("staff/login", {
+    title: "Staff Sign In",
+    styles: ["/dist/css/staff/login.css"],
+    scripts: ["/dist/js/staff/login.js"],
+    serverBaseURL: req.baseURL,
+  });
+}
+
+export default {
+  renderLoginPage,
+};
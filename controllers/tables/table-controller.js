@@ -0,0 +1,113 @@
+/**
+ * @file Defines controllers for endpoints used by managers to set up each location's tables.
+ */
+
+import { matchedData, validationResult } from "express-validator";
+import tables from "../../models/tables.js";
+import redis from "../../utils/redis.js";
+import { DEQUEUE_QUEUE } from "../../constants/message-queues.js";
+import {
+  ERROR_INVALID_REQUEST,
+  getClientErrorMessage,
+  TABLE_NAME_TAKEN,
+  TABLE_NOT_FOUND,
+  TABLE_OCCUPIED,
+} from "../../constants/errors.js";
+
+/**
+ * @import { ExpressRequest, ExpressResponse } from '../../typedefs.js';
+ */
+
+/**
+ * Controller for listing the location's tables.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Sends a 200 response with every table, including the ID of the party occupying it (if any).
+ */
+async function getTables(req, res) {
+  const [error, venueTables] = await tables.getTables(req.location.id);
+  if (error) {
+    res.status(500).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  res.status(200).json({ tables: venueTables });
+}
+
+/**
+ * Controller for a manager adding a table.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Creates the table, then schedules a dequeue so that a queued party can be
+ * dequeued to the new table straight away.
+ * Sends a 201 response with the created table on success, or a 409 response if the
+ * table's name is already in use at the location.
+ */
+async function createTable(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { name, capacity, minPartySize, section, combinable } =
+    matchedData(req);
+  const locationID = req.location.id;
+  const [error, table] = await tables.createTable(locationID, {
+    name,
+    capacity,
+    minPartySize,
+    section,
+    combinable,
+  });
+
+  if (error) {
+    const status = error === TABLE_NAME_TAKEN ? 409 : 400;
+    res.status(status).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  const queue = redis.createQueue(DEQUEUE_QUEUE);
+  await queue.add("dequeue", { locationID });
+
+  res.status(201).json(table);
+}
+
+/**
+ * Controller for a manager removing a table.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Sends a 204 response on success, a 404 response if the table does not exist,
+ * or a 409 response if a party is occupying the table.
+ */
+async function deleteTable(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { tableID } = matchedData(req);
+  const [error, _result] = await tables.deleteTable(req.location.id, tableID);
+  if (error) {
+    const statuses = { [TABLE_NOT_FOUND]: 404, [TABLE_OCCUPIED]: 409 };
+    res
+      .status(statuses[error] ?? 400)
+      .json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  res.status(204).end();
+}
+
+export default {
+  getTables,
+  createTable,
+  deleteTable,
+};
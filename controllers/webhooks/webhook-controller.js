@@ -0,0 +1,136 @@
+/**
+ * @file Defines controllers for endpoints used by managers to subscribe other systems
+ * (such as a POS or pager system) to party lifecycle events.
+ */
+
+import { randomBytes } from "crypto";
+import { matchedData, validationResult } from "express-validator";
+import webhooks from "../../models/webhooks.js";
+import {
+  ERROR_INVALID_REQUEST,
+  getClientErrorMessage,
+  WEBHOOK_NOT_FOUND,
+} from "../../constants/errors.js";
+
+/**
+ * @import { ExpressRequest, ExpressResponse } from '../../typedefs.js';
+ */
+
+// how many bytes of randomness are in a generated secret
+const SECRET_BYTES = 32;
+// how many of a webhook's most recent deliveries are listed
+const DELIVERY_LOG_LIMIT = 100;
+
+/**
+ * Controller for listing the webhook subscriptions.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Sends a 200 response with every subscription. Secrets are not included.
+ */
+async function getWebhooks(req, res) {
+  const [error, subscriptions] = await webhooks.getSubscriptions();
+  if (error) {
+    res.status(500).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  res.status(200).json({ webhooks: subscriptions });
+}
+
+/**
+ * Controller for a manager subscribing a URL to party lifecycle events.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * When no secret is given, a random one is generated.
+ * Sends a 201 response with the created subscription on success. This is the only
+ * response that includes the secret, which the subscriber uses to verify deliveries.
+ */
+async function createWebhook(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { url, eventTypes, secret } = matchedData(req);
+  const [error, subscription] = await webhooks.createSubscription({
+    url,
+    // the same event type listed twice would still only be sent once
+    eventTypes: [...new Set(eventTypes)],
+    secret: secret ?? randomBytes(SECRET_BYTES).toString("hex"),
+  });
+  if (error) {
+    res.status(400).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  res.status(201).json(subscription);
+}
+
+/**
+ * Controller for a manager removing a webhook subscription.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Sends a 204 response on success, or a 404 response if the subscription does not exist.
+ */
+async function deleteWebhook(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { webhookID } = matchedData(req);
+  const [error, _result] = await webhooks.deleteSubscription(webhookID);
+  if (error) {
+    const status = error === WEBHOOK_NOT_FOUND ? 404 : 400;
+    res.status(status).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  res.status(204).end();
+}
+
+/**
+ * Controller for viewing a webhook subscription's delivery log.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @description
+ * Sends a 200 response with the subscription's most recent deliveries (most recent first),
+ * including their status, attempts, and the outcome of their latest attempt.
+ * Sends a 404 response if the subscription does not exist.
+ */
+async function getWebhookDeliveries(req, res) {
+  const validation = validationResult(req);
+  if (!validation.isEmpty()) {
+    res.status(400).json({ message: ERROR_INVALID_REQUEST });
+    return;
+  }
+
+  const { webhookID } = matchedData(req);
+  const [error, deliveries] = await webhooks.getDeliveries(
+    webhookID,
+    DELIVERY_LOG_LIMIT,
+  );
+  if (error) {
+    const status = error === WEBHOOK_NOT_FOUND ? 404 : 500;
+    res.status(status).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  res.status(200).json({ deliveries });
+}
+
+export default {
+  getWebhooks,
+  createWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+};
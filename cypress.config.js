@@ -24,7 +24,7 @@ export default defineConfig({
       // implement node event listeners here
       on("task", {
         resetDB: async () => {
-          return await db("parties").truncate();
+          return await db("parties").del();
         },
 
         destroyDB: async () => {
@@ -0,0 +1,66 @@
+import {
+  ERROR_TOO_MANY_REQUESTS,
+  FALLBACK_ERROR_MESSAGE,
+} from "../constants/errors.js";
+import logger from "../utils/logger.js";
+import redis from "../utils/redis.js";
+
+/**
+ * @import { ExpressRequest, ExpressResponse, ExpressNext } from '../typedefs.js';
+ */
+
+/**
+ * Creates a middleware that limits how many requests a client can make to a route within a window of time.
+ *
+ * @param {string} name - the name of the limit (requests to routes sharing a name are counted together)
+ * @param {number} limit - how many requests a client can make within the window
+ * @param {number} windowSeconds - how long (in seconds) requests are counted for before the count resets
+ * @returns {(req: ExpressRequest, res: ExpressResponse, next: ExpressNext) => Promise<void>} the middleware
+ * @description
+ * Requests are counted per client IP address in redis, so the limit is shared by every server.
+ * The count expires at the end of the window, after which the client can make requests again.
+ * Once the client has made more than `limit` requests, a 429 response is sent, with how many seconds
+ * are left in the window as its `retry-after` header.
+ *
+ * The count is created with its expiry in the same transaction as it is incremented, so that a count
+ * can never be left without one (which would refuse the client's requests for good).
+ * Behind a proxy, the app's `trust proxy` setting (see `TRUST_PROXY`) must be set for `req.ip`
+ * to be the client's address, or every client is counted together.
+ *
+ * As the limit protects against brute-forcing, requests are refused if they cannot be counted.
+ */
+export default function rateLimit(name, limit, windowSeconds) {
+  let redisClient;
+
+  return async (req, res, next) => {
+    redisClient ??= redis.createRedisClient();
+    const key = `rate-limit:${name}:${req.ip}`;
+
+    let requestCount;
+    let secondsLeft;
+    try {
+      // the window starts at the client's first request
+      const results = await redisClient
+        .multi()
+        .set(key, 0, "EX", windowSeconds, "NX")
+        .incr(key)
+        .ttl(key)
+        .exec();
+      const failed = results.find(([error]) => error);
+      if (failed) throw failed[0];
+      [, [, requestCount], [, secondsLeft]] = results;
+    } catch (error) {
+      logger.error(`[Rate limit]: could not count request - ${error.message}`);
+      res.status(500).json({ message: FALLBACK_ERROR_MESSAGE });
+      return;
+    }
+
+    if (requestCount > limit) {
+      res.set("retry-after", String(secondsLeft));
+      res.status(429).json({ message: ERROR_TOO_MANY_REQUESTS });
+      return;
+    }
+
+    next();
+  };
+}
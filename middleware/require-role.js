@@ -0,0 +1,50 @@
+import { ERROR_FORBIDDEN, ERROR_UNAUTHORIZED } from "../constants/errors.js";
+
+/**
+ * @import { ExpressRequest, ExpressResponse, ExpressNext } from '../typedefs.js';
+ */
+
+/**
+ * Creates a middleware that restricts a route to signed in staff with one of the given roles.
+ *
+ * @param {...string} roles - the roles allowed to access the route (see constants/staff-roles.js)
+ * @returns {(req: ExpressRequest, res: ExpressResponse, next: ExpressNext) => void} the middleware
+ * @description
+ * The returned middleware checks the session for the staff ID and role set when signing in.
+ * If the client is not signed in, page requests are redirected to the staff sign in page,
+ * while API and event stream requests receive a 401 response.
+ * If the client is signed in without one of the given roles, a 403 response is sent.
+ *
+ * Staff who were given a location can only access the routes of that location (see `resolveLocation`),
+ * so they are also sent a 403 response at any other location. Routes that are not under a location
+ * (ex: the settings, which are shared by every location) are left to staff who work at every location.
+ *
+ * As with parties, the role and location are read from the session to save a database lookup per request.
+ */
+export default function requireRole(...roles) {
+  return (req, res, next) => {
+    const { staffID, staffRole, staffLocationID } = req.session ?? {};
+
+    if (!staffID) {
+      if (req.accepts(["json", "html"]) === "html") {
+        res.redirect("/staff/login");
+        return;
+      }
+
+      res.status(401).json({ message: ERROR_UNAUTHORIZED });
+      return;
+    }
+
+    if (!roles.includes(staffRole)) {
+      res.status(403).json({ message: ERROR_FORBIDDEN });
+      return;
+    }
+
+    if (staffLocationID && staffLocationID !== req.location?.id) {
+      res.status(403).json({ message: ERROR_FORBIDDEN });
+      return;
+    }
+
+    next();
+  };
+}
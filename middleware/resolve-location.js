@@ -0,0 +1,38 @@
+import { DEFAULT_LOCATION_SLUG } from "../constants/locations.js";
+import { getClientErrorMessage } from "../constants/errors.js";
+import locations from "../models/locations.js";
+
+/**
+ * @import { ExpressRequest, ExpressResponse, ExpressNext } from '../typedefs.js';
+ */
+
+/**
+ * Looks up the location that a request's waitlist pages and endpoints belong to.
+ *
+ * @param {ExpressRequest} req
+ * @param {ExpressResponse} res
+ * @param {ExpressNext} next
+ * @description
+ * Requests under `/l/<slug>` are for the location with that slug, while requests without the prefix
+ * are for the default location (so that links from before locations were added keep working).
+ *
+ * Sets `req.location` to the location, `req.locationPath` to the URL prefix for its pages
+ * (an empty string for the default location), and `req.locationBaseURL` to the base URL that its
+ * pages send requests to. A 404 response is sent if there is no location with the slug.
+ */
+export default async function resolveLocation(req, res, next) {
+  const { locationSlug } = req.params ?? {};
+
+  const [error, location] = await locations.getLocationBySlug(
+    locationSlug ?? DEFAULT_LOCATION_SLUG,
+  );
+  if (error) {
+    res.status(404).json({ message: getClientErrorMessage(error) });
+    return;
+  }
+
+  req.location = location;
+  req.locationPath = locationSlug ? `/l/${location.slug}` : "";
+  req.locationBaseURL = req.baseURL + req.locationPath;
+  next();
+}
@@ -0,0 +1,27 @@
+const MAX_USERNAME_LENGTH = 50;
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function up(knex) {
+  return knex.schema.createTable("staff", function (table) {
+    table.uuid("id", { primaryKey: true }).defaultTo(knex.fn.uuid());
+    table.string("username", MAX_USERNAME_LENGTH).unique().notNullable();
+    // the salt and parameters are stored alongside the hash (see utils/passwords.js)
+    table.string("password_hash").notNullable();
+    table.enu("role", ["host", "manager"]).notNullable().defaultTo("host");
+    table
+      .timestamp("created_at", { useTz: true })
+      .notNullable()
+      .defaultTo(knex.fn.now());
+  });
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function down(knex) {
+  return knex.schema.dropTable("staff");
+}
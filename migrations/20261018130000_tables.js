@@ -0,0 +1,50 @@
+const MAX_TABLE_NAME_LENGTH = 20;
+const MAX_SECTION_LENGTH = 50;
+const PARTY_ID_LENGTH = 10;
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function up(knex) {
+  return knex.schema
+    .createTable("tables", function (table) {
+      table.uuid("id", { primaryKey: true }).defaultTo(knex.fn.uuid());
+      table.string("name", MAX_TABLE_NAME_LENGTH).unique().notNullable();
+      table.integer("capacity").notNullable();
+      table.integer("min_party_size").notNullable().defaultTo(1);
+      table.string("section", MAX_SECTION_LENGTH).nullable();
+      // whether the table can be pushed together with other combinable tables in the same section
+      table.boolean("combinable").notNullable().defaultTo(false);
+      table
+        .timestamp("created_at", { useTz: true })
+        .notNullable()
+        .defaultTo(knex.fn.now());
+    })
+    .createTable("table_assignments", function (table) {
+      // a table can only be occupied by one party at a time, while a party can occupy
+      // several tables when they are combined
+      table
+        .uuid("table_id")
+        .primary()
+        .references("id")
+        .inTable("tables")
+        .onDelete("RESTRICT");
+      // deleting a party (ex: when their seat expires) frees up their tables
+      table
+        .string("party_id", PARTY_ID_LENGTH)
+        .notNullable()
+        .references("party_id")
+        .inTable("parties")
+        .onDelete("CASCADE");
+      table.index("party_id");
+    });
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function down(knex) {
+  return knex.schema.dropTable("table_assignments").dropTable("tables");
+}
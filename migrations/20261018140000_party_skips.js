@@ -0,0 +1,23 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function up(knex) {
+  return knex.schema.alterTable("parties", function (table) {
+    // tracks how often (and since when) a party has had smaller parties dequeued ahead of them,
+    // so that dequeue strategies can cap how long a party is skipped over
+    table.integer("skip_count").notNullable().defaultTo(0);
+    table.timestamp("first_skipped_at", { useTz: true }).nullable();
+  });
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function down(knex) {
+  return knex.schema.alterTable("parties", function (table) {
+    table.dropColumn("skip_count");
+    table.dropColumn("first_skipped_at");
+  });
+}
@@ -0,0 +1,34 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function up(knex) {
+  return knex.schema
+    .alterTable("parties", function (table) {
+      // when the party was dequeued (set to checking-in), used to measure how long they take to check in
+      table.timestamp("dequeued_at", { useTz: true }).nullable();
+    })
+    .createTable("checkin_latencies", function (table) {
+      // parties are deleted once their seat expires, so how long each party took to check in
+      // is kept separately, allowing wait estimates to be based on historical check-in times
+      table.increments("id");
+      table.float("latency_seconds").notNullable();
+      table
+        .timestamp("recorded_at", { useTz: true })
+        .notNullable()
+        .defaultTo(knex.fn.now());
+      table.index("recorded_at");
+    });
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function down(knex) {
+  return knex.schema
+    .dropTable("checkin_latencies")
+    .alterTable("parties", function (table) {
+      table.dropColumn("dequeued_at");
+    });
+}
@@ -0,0 +1,41 @@
+const PARTY_ID_LENGTH = 10;
+const PARTY_STATUSES = [
+  "queued",
+  "checking-in",
+  "seated",
+  "checkin-expired",
+  "left",
+  "removed",
+  "completed",
+];
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function up(knex) {
+  return knex.schema.createTable("party_events", function (table) {
+    // parties are deleted once they leave the waitlist, so each status transition is recorded here
+    // (without a foreign key) along with the party's details at the time, keeping a permanent history
+    table.increments("id");
+    table.string("party_id", PARTY_ID_LENGTH).notNullable().index();
+    table.string("name", 30).notNullable();
+    table.integer("size").notNullable();
+    // null when the party was first queued
+    table.enu("previous_status", PARTY_STATUSES).nullable();
+    table.enu("status", PARTY_STATUSES).notNullable();
+    table
+      .timestamp("occurred_at", { useTz: true })
+      .notNullable()
+      .defaultTo(knex.fn.now())
+      .index();
+  });
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function down(knex) {
+  return knex.schema.dropTable("party_events");
+}
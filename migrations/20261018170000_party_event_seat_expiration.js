@@ -0,0 +1,21 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function up(knex) {
+  return knex.schema.alterTable("party_events", function (table) {
+    // the party's seat expiration at the time of the event, so the history keeps when
+    // each party's seat was due to expire (including any extensions) after they are deleted
+    table.timestamp("seat_expiration", { useTz: true }).nullable();
+  });
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function down(knex) {
+  return knex.schema.alterTable("party_events", function (table) {
+    table.dropColumn("seat_expiration");
+  });
+}
@@ -0,0 +1,23 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function up(knex) {
+  return knex.schema.alterTable("parties", function (table) {
+    // optional contact details for notifying the party when they are dequeued
+    // (these are not copied into the party history, so they are deleted along with the party)
+    table.string("contact_phone", 20).nullable();
+    table.string("contact_email", 254).nullable();
+  });
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function down(knex) {
+  return knex.schema.alterTable("parties", function (table) {
+    table.dropColumn("contact_phone");
+    table.dropColumn("contact_email");
+  });
+}
@@ -0,0 +1,70 @@
+const MAX_URL_LENGTH = 2048;
+const MAX_SECRET_LENGTH = 128;
+const DELIVERY_STATUSES = ["pending", "delivered", "dead"];
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export async function up(knex) {
+  await knex.schema.createTable("webhook_subscriptions", function (table) {
+    table.uuid("id", { primaryKey: true }).defaultTo(knex.fn.uuid());
+    table.string("url", MAX_URL_LENGTH).notNullable();
+    // used to sign each delivery, so the subscriber can verify it came from the waitlist
+    table.string("secret", MAX_SECRET_LENGTH).notNullable();
+    table.specificType("event_types", "text[]").notNullable();
+    table
+      .timestamp("created_at", { useTz: true })
+      .notNullable()
+      .defaultTo(knex.fn.now());
+  });
+
+  await knex.schema.createTable("webhook_deliveries", function (table) {
+    table.increments("id");
+    table
+      .uuid("subscription_id")
+      .notNullable()
+      .references("id")
+      .inTable("webhook_subscriptions")
+      .onDelete("CASCADE");
+    // the party history event that the delivery is for (without a foreign key, like the history itself)
+    table.integer("party_event_id").notNullable();
+    table.string("event_type", 30).notNullable();
+    table.jsonb("payload").notNullable();
+    table.enu("status", DELIVERY_STATUSES).notNullable().defaultTo("pending");
+    table.integer("attempts").notNullable().defaultTo(0);
+    // the outcome of the most recent attempt
+    table.integer("response_status").nullable();
+    table.text("last_error").nullable();
+    table
+      .timestamp("created_at", { useTz: true })
+      .notNullable()
+      .defaultTo(knex.fn.now());
+    table.timestamp("updated_at", { useTz: true }).nullable();
+    table.unique(["subscription_id", "party_event_id"]);
+    table.index("status");
+  });
+
+  // party events act as an outbox: each one is turned into deliveries once, then marked as dispatched
+  await knex.schema.alterTable("party_events", function (table) {
+    table.timestamp("webhooks_dispatched_at", { useTz: true }).nullable();
+    table.index(["id"], "party_events_undispatched_index", {
+      predicate: knex.whereNull("webhooks_dispatched_at"),
+    });
+  });
+  // the existing history predates any subscriptions, so it is never dispatched
+  await knex("party_events").update({ webhooks_dispatched_at: knex.fn.now() });
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export async function down(knex) {
+  await knex.schema.alterTable("party_events", function (table) {
+    table.dropIndex(["id"], "party_events_undispatched_index");
+    table.dropColumn("webhooks_dispatched_at");
+  });
+  await knex.schema.dropTable("webhook_deliveries");
+  await knex.schema.dropTable("webhook_subscriptions");
+}
@@ -0,0 +1,34 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function up(knex) {
+  return knex.schema.createTable("push_subscriptions", function (table) {
+    table.increments("id");
+    // the subscriptions are deleted along with the party, as they are only used while waiting
+    table
+      .string("party_id", 10)
+      .notNullable()
+      .references("party_id")
+      .inTable("parties")
+      .onDelete("CASCADE");
+    // the push service URL (unique per browser), and the keys used to encrypt pushes to it
+    table.text("endpoint").notNullable().unique();
+    table.string("p256dh", 128).notNullable();
+    table.string("auth", 64).notNullable();
+    table
+      .timestamp("created_at", { useTz: true })
+      .notNullable()
+      .defaultTo(knex.fn.now());
+
+    table.index("party_id");
+  });
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function down(knex) {
+  return knex.schema.dropTable("push_subscriptions");
+}
@@ -0,0 +1,21 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function up(knex) {
+  return knex.schema.alterTable("parties", function (table) {
+    // tracks how often a party has pushed themselves back into the queue instead of checking in,
+    // so that a party can only snooze a limited number of times
+    table.integer("snooze_count").notNullable().defaultTo(0);
+  });
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function down(knex) {
+  return knex.schema.alterTable("parties", function (table) {
+    table.dropColumn("snooze_count");
+  });
+}
@@ -0,0 +1,76 @@
+const MAX_SLUG_LENGTH = 50;
+const MAX_LOCATION_NAME_LENGTH = 100;
+// the location that every existing party, table, and check-in is moved to
+const DEFAULT_LOCATION = { slug: "default", name: "Default" };
+// the tables that are split up by location
+const LOCATION_SCOPED_TABLES = [
+  "parties",
+  "tables",
+  "checkin_latencies",
+  "party_events",
+];
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export async function up(knex) {
+  await knex.schema.createTable("locations", function (table) {
+    table.uuid("id", { primaryKey: true }).defaultTo(knex.fn.uuid());
+    // the location's guest pages are under /l/<slug>
+    table.string("slug", MAX_SLUG_LENGTH).unique().notNullable();
+    table.string("name", MAX_LOCATION_NAME_LENGTH).notNullable();
+    // the seats available when the location has no tables (falls back to MAX_SEATS when null)
+    table.integer("max_seats").nullable();
+    table
+      .timestamp("created_at", { useTz: true })
+      .notNullable()
+      .defaultTo(knex.fn.now());
+  });
+
+  const [{ id: defaultLocationID }] = await knex("locations")
+    .insert(DEFAULT_LOCATION)
+    .returning("id");
+
+  for (const tableName of LOCATION_SCOPED_TABLES) {
+    await knex.schema.alterTable(tableName, function (table) {
+      table.uuid("location_id").nullable();
+    });
+    await knex(tableName).update({ location_id: defaultLocationID });
+    await knex.schema.alterTable(tableName, function (table) {
+      table.uuid("location_id").notNullable().alter();
+      // the party history outlives the location's parties, so locations with history cannot be deleted
+      table
+        .foreign("location_id")
+        .references("id")
+        .inTable("locations")
+        .onDelete("RESTRICT");
+      table.index("location_id");
+    });
+  }
+
+  // each location names its own tables, so two locations can both have a "T1"
+  await knex.schema.alterTable("tables", function (table) {
+    table.dropUnique(["name"]);
+    table.unique(["location_id", "name"]);
+  });
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export async function down(knex) {
+  await knex.schema.alterTable("tables", function (table) {
+    table.dropUnique(["location_id", "name"]);
+    table.unique(["name"]);
+  });
+
+  for (const tableName of LOCATION_SCOPED_TABLES) {
+    await knex.schema.alterTable(tableName, function (table) {
+      table.dropColumn("location_id");
+    });
+  }
+
+  await knex.schema.dropTable("locations");
+}
@@ -0,0 +1,25 @@
+const MAX_SETTING_KEY_LENGTH = 50;
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export async function up(knex) {
+  // settings without a row fall back to their environmental variable
+  await knex.schema.createTable("settings", function (table) {
+    table.string("key", MAX_SETTING_KEY_LENGTH).primary();
+    table.integer("value").notNullable();
+    table
+      .timestamp("updated_at", { useTz: true })
+      .notNullable()
+      .defaultTo(knex.fn.now());
+  });
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export async function down(knex) {
+  await knex.schema.dropTable("settings");
+}
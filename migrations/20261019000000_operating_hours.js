@@ -0,0 +1,57 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export async function up(knex) {
+  // staff can stop new parties joining, or stop parties being called, without changing the hours
+  await knex.schema.alterTable("locations", function (table) {
+    table.boolean("intake_paused").notNullable().defaultTo(false);
+    table.boolean("dequeue_paused").notNullable().defaultTo(false);
+  });
+
+  // the weekly hours when parties can join each location's waitlist (it is always open when a location has none)
+  await knex.schema.createTable("operating_hours", function (table) {
+    table.uuid("id", { primaryKey: true }).defaultTo(knex.fn.uuid());
+    table
+      .uuid("location_id")
+      .notNullable()
+      .references("id")
+      .inTable("locations")
+      .onDelete("CASCADE");
+    // 0 is Sunday, through to 6 for Saturday
+    table.smallint("weekday").notNullable();
+    // a period that closes at or before it opens runs past midnight
+    table.time("opens_at").notNullable();
+    table.time("closes_at").notNullable();
+    table.unique(["location_id", "weekday", "opens_at"]);
+  });
+
+  // the hours used instead of the weekly hours on a date (ex: holidays)
+  await knex.schema.createTable("operating_hours_overrides", function (table) {
+    table.uuid("id", { primaryKey: true }).defaultTo(knex.fn.uuid());
+    table
+      .uuid("location_id")
+      .notNullable()
+      .references("id")
+      .inTable("locations")
+      .onDelete("CASCADE");
+    table.date("date").notNullable();
+    // the location is closed for the whole date when these are null
+    table.time("opens_at").nullable();
+    table.time("closes_at").nullable();
+    table.unique(["location_id", "date"]);
+  });
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export async function down(knex) {
+  await knex.schema.dropTable("operating_hours_overrides");
+  await knex.schema.dropTable("operating_hours");
+  await knex.schema.alterTable("locations", function (table) {
+    table.dropColumn("intake_paused");
+    table.dropColumn("dequeue_paused");
+  });
+}
@@ -0,0 +1,45 @@
+const MAX_NAME_LENGTH = 30;
+const PARTY_ID_LENGTH = 10;
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function up(knex) {
+  return knex.schema.createTable("reservations", function (table) {
+    table.uuid("id", { primaryKey: true }).defaultTo(knex.fn.uuid());
+    table
+      .uuid("location_id")
+      .notNullable()
+      .references("id")
+      .inTable("locations")
+      .onDelete("CASCADE");
+    table.string("name", MAX_NAME_LENGTH).notNullable();
+    table.integer("size").notNullable();
+    table.timestamp("reservation_time", { useTz: true }).notNullable();
+    table.string("contact_phone", 20).nullable();
+    table.string("contact_email", 254).nullable();
+    // set when a host checks the reservation in, which adds them to the waitlist as a party
+    table.timestamp("checked_in_at", { useTz: true }).nullable();
+    // the party is deleted once their seat expires, but the reservation stays checked in
+    table
+      .string("party_id", PARTY_ID_LENGTH)
+      .nullable()
+      .references("party_id")
+      .inTable("parties")
+      .onDelete("SET NULL");
+    table
+      .timestamp("created_at", { useTz: true })
+      .notNullable()
+      .defaultTo(knex.fn.now());
+    table.index(["location_id", "reservation_time"]);
+  });
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function down(knex) {
+  return knex.schema.dropTable("reservations");
+}
@@ -0,0 +1,25 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function up(knex) {
+  return knex.schema.alterTable("staff", function (table) {
+    // the location the staff member works at (staff without a location can work at every location)
+    table
+      .uuid("location_id")
+      .nullable()
+      .references("id")
+      .inTable("locations")
+      .onDelete("CASCADE");
+  });
+}
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export function down(knex) {
+  return knex.schema.alterTable("staff", function (table) {
+    table.dropColumn("location_id");
+  });
+}
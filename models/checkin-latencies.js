@@ -0,0 +1,65 @@
+import { COULD_NOT_GET_CHECKIN_LATENCIES } from "../constants/errors.js";
+import dbUtils from "./db-utils.js";
+import db from "./db.js";
+
+const TABLE_NAME = "checkin_latencies";
+
+/**
+ * Gets the range of how long parties have recently taken to check in.
+ *
+ * @param {string} locationID - the ID of the location whose check-ins to consider
+ * @param {number} sampleSize - how many of the most recent check-ins to consider
+ * @param {number} lowerPercentile - the percentile (between 0 and 1) to use as the low end of the range
+ * @param {number} upperPercentile - the percentile (between 0 and 1) to use as the high end of the range
+ * @returns {Promise<[string|null, {min: number, max: number}|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the low and high end of the range in seconds,
+ *    or `null` if no parties have checked in yet (or an error occurred)
+ * @description
+ * Percentiles are used rather than the minimum and maximum so that a single party who checked
+ * in unusually quickly or slowly does not skew the range.
+ */
+async function getLatencyRange(
+  locationID,
+  sampleSize,
+  lowerPercentile,
+  upperPercentile,
+) {
+  const latencyRangeQuery = db
+    .with("recent_latencies", (queryBuilder) => {
+      queryBuilder
+        .select("latency_seconds")
+        .from(TABLE_NAME)
+        .where({ location_id: locationID })
+        .orderBy("recorded_at", "desc")
+        .limit(sampleSize);
+    })
+    .select(
+      db.raw("COUNT(*)::integer as count"),
+      db.raw(
+        "percentile_cont(?) WITHIN GROUP (ORDER BY latency_seconds) as min",
+        [lowerPercentile],
+      ),
+      db.raw(
+        "percentile_cont(?) WITHIN GROUP (ORDER BY latency_seconds) as max",
+        [upperPercentile],
+      ),
+    )
+    .from("recent_latencies");
+
+  const [latencyRangeError, latencyRange] = await dbUtils.safeQuery(
+    latencyRangeQuery,
+    "Get check-in latency range",
+  );
+  if (latencyRangeError) return [COULD_NOT_GET_CHECKIN_LATENCIES, null];
+
+  const [{ count, min, max }] = latencyRange;
+  if (count < 1) return [null, null];
+
+  return [null, { min, max }];
+}
+
+export default {
+  getLatencyRange,
+};
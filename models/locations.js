@@ -0,0 +1,160 @@
+import {
+  COULD_NOT_GET_LOCATIONS,
+  LOCATION_COULD_NOT_BE_CREATED,
+  LOCATION_NOT_FOUND,
+  LOCATION_SLUG_TAKEN,
+  WAITLIST_COULD_NOT_BE_UPDATED,
+} from "../constants/errors.js";
+import dbUtils from "./db-utils.js";
+import db from "./db.js";
+
+/**
+ * @import { Location } from '../typedefs.js';
+ */
+
+const TABLE_NAME = "locations";
+
+/**
+ * Gets every location, in the order they were added.
+ *
+ * @returns {Promise<[string|null, Location[]|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is a list of locations, or `null` if an error occurred
+ */
+async function getLocations() {
+  const locationsQuery = db(TABLE_NAME)
+    .select("*")
+    .orderBy([
+      { column: "created_at", order: "asc" },
+      { column: "slug", order: "asc" },
+    ]);
+
+  const [locationsError, locations] = await dbUtils.safeQuery(
+    locationsQuery,
+    "Get locations",
+  );
+  if (locationsError) return [COULD_NOT_GET_LOCATIONS, null];
+
+  return [null, locations];
+}
+
+/**
+ * Gets the location with a matching slug.
+ *
+ * @param {string} slug - the slug in the location's URLs (ex: "downtown" for /l/downtown/party/new)
+ * @returns {Promise<[string|null, Location|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the location, or `null` if it could not be found
+ */
+async function getLocationBySlug(slug) {
+  const locationQuery = db(TABLE_NAME).select("*").where({ slug }).first();
+
+  const [error, location] = await dbUtils.safeQuery(
+    locationQuery,
+    "Select location by slug",
+  );
+  if (error || !location) return [LOCATION_NOT_FOUND, null];
+
+  return [null, location];
+}
+
+/**
+ * Gets the location with a matching ID.
+ *
+ * @param {string} locationID - the location's primary key
+ * @returns {Promise<[string|null, Location|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the location, or `null` if it could not be found
+ */
+async function getLocationByID(locationID) {
+  const locationQuery = db(TABLE_NAME)
+    .select("*")
+    .where({ id: locationID })
+    .first();
+
+  const [error, location] = await dbUtils.safeQuery(
+    locationQuery,
+    "Select location by ID",
+  );
+  if (error || !location) return [LOCATION_NOT_FOUND, null];
+
+  return [null, location];
+}
+
+/**
+ * Adds a location, which has its own waitlist.
+ *
+ * @param {object} location - the location to add
+ * @param {string} location.slug - the slug in the location's URLs
+ * @param {string} location.name - the name guests know the location by
+ * @param {number|null} [location.maxSeats=null] - the seats available when the location has no tables
+ * (the max seats setting is used when this is `null`)
+ * @returns {Promise<[string|null, Location|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the created location, or `null` if an error occurred
+ * @description
+ * This function checks that the slug is not already in use, then inserts the location into the 'locations' table.
+ */
+async function createLocation({ slug, name, maxSeats = null }) {
+  const existingQuery = db(TABLE_NAME).select("id").where({ slug }).first();
+  const [existingError, existing] = await dbUtils.safeQuery(
+    existingQuery,
+    "Select location by slug",
+  );
+  if (existingError) return [LOCATION_COULD_NOT_BE_CREATED, null];
+  if (existing) return [LOCATION_SLUG_TAKEN, null];
+
+  const insertQuery = db(TABLE_NAME)
+    .insert({ slug, name, max_seats: maxSeats })
+    .returning("*");
+
+  const [insertError, inserted] = await dbUtils.safeQuery(
+    insertQuery,
+    "Create location",
+  );
+  if (insertError) return [LOCATION_COULD_NOT_BE_CREATED, null];
+
+  return [null, inserted[0]];
+}
+
+/**
+ * Pauses or resumes parts of a location's waitlist.
+ *
+ * @param {string} locationID - the location's primary key
+ * @param {object} paused - which parts of the waitlist to pause (`true`) or resume (`false`)
+ * @param {boolean} [paused.intakePaused] - whether new parties are stopped from joining
+ * @param {boolean} [paused.dequeuePaused] - whether queued parties are stopped from being called to check in
+ * @returns {Promise<[string|null, Location|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the updated location, or `null` if an error occurred
+ * @description
+ * Any part of the waitlist that is not given is left as it is.
+ */
+async function setWaitlistPaused(locationID, { intakePaused, dequeuePaused }) {
+  const updateQuery = db(TABLE_NAME)
+    .update({ intake_paused: intakePaused, dequeue_paused: dequeuePaused })
+    .where({ id: locationID })
+    .returning("*");
+
+  const [updateError, updated] = await dbUtils.safeQuery(
+    updateQuery,
+    "Set waitlist paused",
+  );
+  if (updateError) return [WAITLIST_COULD_NOT_BE_UPDATED, null];
+  if (updated.length < 1) return [LOCATION_NOT_FOUND, null];
+
+  return [null, updated[0]];
+}
+
+export default {
+  getLocations,
+  getLocationBySlug,
+  getLocationByID,
+  createLocation,
+  setWaitlistPaused,
+};
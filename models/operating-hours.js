@@ -0,0 +1,191 @@
+import {
+  COULD_NOT_GET_OPERATING_HOURS,
+  HOURS_COULD_NOT_BE_UPDATED,
+  HOURS_OVERRIDE_NOT_FOUND,
+} from "../constants/errors.js";
+import dbUtils from "./db-utils.js";
+import db from "./db.js";
+
+/**
+ * @import { OperatingHours, OperatingHoursOverride } from '../typedefs.js';
+ */
+
+const TABLE_NAME = "operating_hours";
+const OVERRIDES_TABLE_NAME = "operating_hours_overrides";
+
+// times and dates are formatted by the database, so they are compared as strings (ex: "09:30" < "17:00")
+const OPENS_AT_COLUMN = db.raw("to_char(opens_at, 'HH24:MI') as opens_at");
+const CLOSES_AT_COLUMN = db.raw("to_char(closes_at, 'HH24:MI') as closes_at");
+const DATE_COLUMN = db.raw("to_char(date, 'YYYY-MM-DD') as date");
+
+/**
+ * Gets a location's weekly opening hours.
+ *
+ * @param {string} locationID - the ID of the location
+ * @returns {Promise<[string|null, OperatingHours[]|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the location's opening periods in weekday and opening order,
+ *    or `null` if an error occurred
+ */
+async function getWeeklyHours(locationID) {
+  const hoursQuery = db(TABLE_NAME)
+    .select("weekday", OPENS_AT_COLUMN, CLOSES_AT_COLUMN)
+    .where({ location_id: locationID })
+    .orderBy([
+      { column: "weekday", order: "asc" },
+      { column: "opens_at", order: "asc" },
+    ]);
+
+  const [hoursError, hours] = await dbUtils.safeQuery(
+    hoursQuery,
+    "Get weekly hours",
+  );
+  if (hoursError) return [COULD_NOT_GET_OPERATING_HOURS, null];
+
+  return [null, hours];
+}
+
+/**
+ * Replaces a location's weekly opening hours.
+ *
+ * @param {string} locationID - the ID of the location
+ * @param {{ weekday: number, opensAt: string, closesAt: string }[]} periods - the new opening periods
+ * (an empty list removes the hours, so the location's waitlist is always open)
+ * @returns {Promise<[string|null, OperatingHours[]|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the location's new opening periods, or `null` if an error occurred
+ * @description
+ * The old periods are deleted and the new periods are inserted in the same transaction,
+ * so the waitlist is never briefly left without hours.
+ */
+async function replaceWeeklyHours(locationID, periods) {
+  const replaceQuery = db.transaction(async (trx) => {
+    await trx(TABLE_NAME).where({ location_id: locationID }).del();
+    if (periods.length < 1) return;
+
+    await trx(TABLE_NAME).insert(
+      periods.map(({ weekday, opensAt, closesAt }) => ({
+        location_id: locationID,
+        weekday,
+        opens_at: opensAt,
+        closes_at: closesAt,
+      })),
+    );
+  });
+
+  const [replaceError] = await dbUtils.safeQuery(
+    replaceQuery,
+    "Replace weekly hours",
+  );
+  if (replaceError) return [HOURS_COULD_NOT_BE_UPDATED, null];
+
+  const [hoursError, hours] = await getWeeklyHours(locationID);
+  if (hoursError) return [HOURS_COULD_NOT_BE_UPDATED, null];
+
+  return [null, hours];
+}
+
+/**
+ * Gets a location's special hours from a date onwards.
+ *
+ * @param {string} locationID - the ID of the location
+ * @param {string} fromDate - the first date to get the special hours of (ex: "2026-12-24")
+ * @returns {Promise<[string|null, OperatingHoursOverride[]|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the location's special hours in date order, or `null` if an error occurred
+ */
+async function getHoursOverrides(locationID, fromDate) {
+  const overridesQuery = db(OVERRIDES_TABLE_NAME)
+    .select(DATE_COLUMN, OPENS_AT_COLUMN, CLOSES_AT_COLUMN)
+    .where({ location_id: locationID })
+    .andWhere("date", ">=", fromDate)
+    .orderBy("date", "asc");
+
+  const [overridesError, overrides] = await dbUtils.safeQuery(
+    overridesQuery,
+    "Get hours overrides",
+  );
+  if (overridesError) return [COULD_NOT_GET_OPERATING_HOURS, null];
+
+  return [null, overrides];
+}
+
+/**
+ * Sets a location's special hours for a date, which are used instead of its weekly hours.
+ *
+ * @param {string} locationID - the ID of the location
+ * @param {string} date - the date (ex: "2026-12-25")
+ * @param {string|null} opensAt - when the location opens on the date, or `null` if it is closed all day
+ * @param {string|null} closesAt - when the location closes on the date, or `null` if it is closed all day
+ * @returns {Promise<[string|null, OperatingHoursOverride|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the date's special hours, or `null` if an error occurred
+ * @description
+ * Any special hours already set for the date are replaced.
+ */
+async function setHoursOverride(locationID, date, opensAt, closesAt) {
+  const upsertQuery = db(OVERRIDES_TABLE_NAME)
+    .insert({
+      location_id: locationID,
+      date,
+      opens_at: opensAt,
+      closes_at: closesAt,
+    })
+    .onConflict(["location_id", "date"])
+    .merge();
+
+  const [upsertError] = await dbUtils.safeQuery(
+    upsertQuery,
+    "Set hours override",
+  );
+  if (upsertError) return [HOURS_COULD_NOT_BE_UPDATED, null];
+
+  const overrideQuery = db(OVERRIDES_TABLE_NAME)
+    .select(DATE_COLUMN, OPENS_AT_COLUMN, CLOSES_AT_COLUMN)
+    .where({ location_id: locationID, date })
+    .first();
+  const [overrideError, override] = await dbUtils.safeQuery(
+    overrideQuery,
+    "Get hours override",
+  );
+  if (overrideError) return [HOURS_COULD_NOT_BE_UPDATED, null];
+
+  return [null, override];
+}
+
+/**
+ * Removes a location's special hours for a date, so its weekly hours are used again.
+ *
+ * @param {string} locationID - the ID of the location
+ * @param {string} date - the date (ex: "2026-12-25")
+ * @returns {Promise<[string|null, number|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the number of deleted rows, or `null` if an error occurred
+ */
+async function deleteHoursOverride(locationID, date) {
+  const deleteQuery = db(OVERRIDES_TABLE_NAME)
+    .where({ location_id: locationID, date })
+    .del();
+
+  const [deleteError, deletedCount] = await dbUtils.safeQuery(
+    deleteQuery,
+    "Delete hours override",
+  );
+  if (deleteError) return [HOURS_COULD_NOT_BE_UPDATED, null];
+  if (deletedCount < 1) return [HOURS_OVERRIDE_NOT_FOUND, null];
+
+  return [null, deletedCount];
+}
+
+export default {
+  getWeeklyHours,
+  replaceWeeklyHours,
+  getHoursOverrides,
+  setHoursOverride,
+  deleteHoursOverride,
+};
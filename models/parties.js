@@ -1,34 +1,111 @@
 import {
+  STATUS_CHECKIN_EXPIRED,
   STATUS_CHECKING_IN,
+  STATUS_COMPLETED,
   STATUS_QUEUED,
   STATUS_SEATED,
 } from "../constants/party-statuses.js";
 import {
   COULD_NOT_CALCULATE_PARTY_QUEUE_POSITIONS,
   COULD_NOT_DELETE_CHECKIN_EXPIRED_PARTIES,
+  COULD_NOT_GET_CHECKING_IN_PARTIES,
   COULD_NOT_GET_MAX_AVAILABLE_SEATS,
-  COULD_NOT_GET_PARTIES_TO_DEQUEUE,
+  COULD_NOT_GET_OCCUPYING_PARTIES,
+  COULD_NOT_GET_PARTY_CONTACT,
+  COULD_NOT_GET_QUEUED_PARTIES,
+  COULD_NOT_GET_WAITLIST_PARTIES,
+  COULD_NOT_RECORD_SKIPPED_PARTIES,
   COULD_NOT_REMOVE_EXPIRED_SEATS,
   PARTY_COULD_NOT_BE_CREATED,
   PARTY_COULD_NOT_BE_DELETED,
+  PARTY_COULD_NOT_BE_UPDATED,
   PARTY_COULD_NOT_CHECK_IN,
+  PARTY_COULD_NOT_EXTEND_CHECKIN,
+  PARTY_COULD_NOT_EXTEND_SEAT,
   PARTY_COULD_NOT_SET_SEATED,
+  PARTY_COULD_NOT_SNOOZE,
+  PARTY_NO_TABLE_AVAILABLE,
   PARTY_NOT_FOUND,
+  PARTY_SNOOZE_LIMIT_REACHED,
+  RESERVATION_COULD_NOT_CHECK_IN,
+  RESERVATION_NOT_FOUND,
+  WAITLIST_FULL,
 } from "../constants/errors.js";
 import dbUtils from "./db-utils.js";
 import db from "./db.js";
 import { nanoid } from "nanoid";
 import {
-  CHECKIN_EXPIRY_SECONDS,
-  MAX_SEATS,
-  SERVICE_TIME_SECONDS,
+  MAX_SNOOZES,
+  RESERVATION_GRACE_MINUTES,
+  RESERVATION_HOLD_MINUTES,
+  SNOOZE_POSITIONS,
 } from "../config/waitlist.js";
+import {
+  getCheckinExpirySeconds,
+  getServiceTimeSeconds,
+} from "../utils/waitlist-settings.js";
+import { isOverQueueCaps } from "../utils/queue-caps.js";
 
 /**
- * @import { Party } from '../typedefs.js';
+ * @import { Party, TableAssignment } from '../typedefs.js';
+ * @import { QueuedParty } from '../services/dequeue-strategies.js';
+ * @import { OccupyingParty } from '../utils/wait-estimator.js';
+ * @import { QueueTotals } from '../utils/queue-caps.js';
+ * @import { QueueCaps } from '../utils/waitlist-settings.js';
  */
 
 const TABLE_NAME = "parties";
+const LOCATIONS_TABLE_NAME = "locations";
+const RESERVATIONS_TABLE_NAME = "reservations";
+const TABLES_TABLE_NAME = "tables";
+const ASSIGNMENTS_TABLE_NAME = "table_assignments";
+const LATENCIES_TABLE_NAME = "checkin_latencies";
+const EVENTS_TABLE_NAME = "party_events";
+// the party details saved with each event, so the history outlives the party
+const EVENT_PARTY_COLUMNS = [
+  "party_id",
+  "location_id",
+  "name",
+  "size",
+  "seat_expiration",
+];
+
+/**
+ * Records parties' status transitions in the party history.
+ *
+ * @param {import("knex").Knex.Transaction} trx - the transaction the parties are being updated in
+ * @param {{party_id: string, location_id: string, name: string, size: number, seat_expiration?: Date|null}[]} transitionedParties
+ * the parties whose status changed
+ * @param {string|null} previousStatus - the status the parties had before (`null` if they were just created)
+ * @param {string} status - the status the parties now have (or the terminal status, if they were deleted)
+ * @returns {Promise<void>}
+ * @private
+ * @description
+ * The events are saved in the same transaction as the status change, so the history
+ * never records a transition that was rolled back (or misses one that was not).
+ */
+async function insertPartyEvents(
+  trx,
+  transitionedParties,
+  previousStatus,
+  status,
+) {
+  if (transitionedParties.length < 1) return;
+
+  await trx(EVENTS_TABLE_NAME).insert(
+    transitionedParties.map(
+      ({ party_id, location_id, name, size, seat_expiration }) => ({
+        party_id,
+        location_id,
+        name,
+        size,
+        seat_expiration: seat_expiration ?? null,
+        previous_status: previousStatus,
+        status,
+      }),
+    ),
+  );
+}
 
 /**
  * Gets a party from the database who has a matching party ID
@@ -60,11 +137,56 @@ async function getPartyByID(id) {
   return [null, result];
 }
 
+/**
+ * Counts the parties queued at a location, and the people in them.
+ *
+ * @param {import("knex").Knex} connection - the database (or a transaction) to count with
+ * @param {string} locationID - the ID of the location
+ * @returns {Promise<QueueTotals>}
+ * @private
+ */
+async function countQueue(connection, locationID) {
+  const totals = await connection(TABLE_NAME)
+    .count("* as queued_parties")
+    .sum("size as queued_covers")
+    .where({ status: STATUS_QUEUED, location_id: locationID })
+    .first();
+
+  return {
+    queuedParties: parseInt(totals.queued_parties),
+    // the sum is null when no parties are queued
+    queuedCovers: parseInt(totals.queued_covers ?? 0),
+  };
+}
+
+/**
+ * Gets how many parties are queued at a location, and how many people they add up to.
+ *
+ * @param {string} locationID - the ID of the location
+ * @returns {Promise<[string|null, QueueTotals|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the queue's totals, or `null` if an error occurred
+ */
+async function getQueueTotals(locationID) {
+  const [error, totals] = await dbUtils.safeQuery(
+    countQueue(db, locationID),
+    "Get queue totals",
+  );
+  if (error) return [COULD_NOT_GET_QUEUED_PARTIES, null];
+
+  return [null, totals];
+}
+
 /**
  * Creates a party in the database.
  *
+ * @param {string} locationID - the ID of the location whose waitlist the party is joining
  * @param {string} name - the name of the party
  * @param {number} size - the size of the party
+ * @param {{phone?: string|null, email?: string|null}} [contact] - how to notify the party when they are dequeued (optional)
+ * @param {{caps: QueueCaps, estimatedWaitMinutes: number|null}|null} [queueLimits] - the caps on the location's queue,
+ * and how long the party is expected to wait (optional, the queue is not capped without them)
  * @returns {Promise<[string|null, { partyID: string, positionInQueue: number }]>}
  * a tuple where
  *  - the first value is an error message code (if any), or `null` if successful
@@ -73,22 +195,62 @@ async function getPartyByID(id) {
  * This function creates a new party in the database with the given name and size.
  * It generates a unique party ID using `nanoid` and inserts the party into the 'parties'
  * table. The function also calculates the position of the party in the queue based on
- * the order they were queued. It uses a transaction to ensure that the party is inserted
- * and the position is calculated atomically.
+ * the order they were queued (among the parties queued at the same location).
+ * It uses a transaction to ensure that the party is inserted
+ * (and their queued event recorded) and the position is calculated atomically.
+ *
+ * When the queue is capped, the party is only inserted if they would not take the queue past any of its caps
+ * (see `isOverQueueCaps`), otherwise a `WAITLIST_FULL` error is returned.
+ * The location is locked while the queue is counted, so parties joining at the same time
+ * cannot both take the last place in the queue.
  */
-async function createParty(name, size) {
+async function createParty(
+  locationID,
+  name,
+  size,
+  contact = {},
+  queueLimits = null,
+) {
   const partyID = nanoid(10);
 
   // here, we insert the party into the database and then get their position in the queue
   // we do this as a transaction so that we can report back an accurate queue position
   const transaction = db.transaction(async (trx) => {
+    if (queueLimits) {
+      // joins at the same location wait here for each other, so each one counts the queue the last one left
+      await trx(LOCATIONS_TABLE_NAME)
+        .select("id")
+        .where({ id: locationID })
+        .forUpdate();
+      const queue = await countQueue(trx, locationID);
+      if (
+        isOverQueueCaps(
+          queue,
+          parseInt(size),
+          queueLimits.estimatedWaitMinutes,
+          queueLimits.caps,
+        )
+      ) {
+        return null;
+      }
+    }
+
     await trx(TABLE_NAME).insert({
       name,
       size,
+      contact_phone: contact.phone ?? null,
+      contact_email: contact.email ?? null,
       party_id: partyID,
+      location_id: locationID,
       // this is the default, but is included here for clarity
       status: STATUS_QUEUED,
     });
+    await insertPartyEvents(
+      trx,
+      [{ party_id: partyID, location_id: locationID, name, size }],
+      null,
+      STATUS_QUEUED,
+    );
 
     // get the position into the queue that the party is inserted
     const [{ position }] = await trx
@@ -101,7 +263,7 @@ async function createParty(name, size) {
             "ROW_NUMBER() OVER (ORDER BY queued_at ASC, party_id) as row_num",
           ),
         )
-          .where({ status: STATUS_QUEUED })
+          .where({ status: STATUS_QUEUED, location_id: locationID })
           .from(TABLE_NAME)
           .as("ByQueuedAt");
       })
@@ -115,6 +277,7 @@ async function createParty(name, size) {
     "Create new party",
   );
   if (error) return [PARTY_COULD_NOT_BE_CREATED, null];
+  if (!result) return [WAITLIST_FULL, null];
 
   return [
     null,
@@ -122,27 +285,213 @@ async function createParty(name, size) {
   ];
 }
 
+/**
+ * Updates the name and size of a queued party.
+ *
+ * @param {string} locationID - the ID of the party's location
+ * @param {string} partyID - the ID of the queued party
+ * @param {{name: string, size: number}} details - the party's new name and size
+ * @param {{caps: QueueCaps, estimatedWaitMinutes: number|null}|null} [queueLimits] - the caps on the location's queue,
+ * and how long the party would be expected to wait at their new size (or `null` if the queue is not capped)
+ * @returns {Promise<[string|null, {name: string, size: number}|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the party's updated name and size, or `null` if unsuccessful
+ * @description
+ * Only parties who are still queued are updated, since parties who are checking in
+ * (or seated) are already holding seats for their size.
+ *
+ * The party keeps their place in the queue, even if they grow past the seats (or tables) available
+ * to them. They are dequeued in the same way as any other party of their new size would be
+ * (see the dequeue strategies).
+ *
+ * A party who grows is held to the same caps as a party joining the queue (see `createParty`), with
+ * their old size taken out of the queue's covers, and a `WAITLIST_FULL` error is returned if they
+ * would take the queue past a cap. Parties who keep their size (or shrink) are not checked,
+ * so they can still change their name if the caps are lowered.
+ */
+async function updateQueuedParty(
+  locationID,
+  partyID,
+  { name, size },
+  queueLimits = null,
+) {
+  const updatePartyQuery = db.transaction(async (trx) => {
+    if (queueLimits) {
+      // the same lock as `createParty`, so that parties joining and growing are counted one after the other
+      await trx(LOCATIONS_TABLE_NAME)
+        .select("id")
+        .where({ id: locationID })
+        .forUpdate();
+      const party = await trx(TABLE_NAME)
+        .select("size")
+        .where({
+          party_id: partyID,
+          location_id: locationID,
+          status: STATUS_QUEUED,
+        })
+        .first();
+
+      const newSize = parseInt(size);
+      if (party && newSize > party.size) {
+        const queue = await countQueue(trx, locationID);
+        // the party is already counted in the queue, so they are counted again at their new size
+        const queueWithoutParty = {
+          queuedParties: queue.queuedParties - 1,
+          queuedCovers: queue.queuedCovers - party.size,
+        };
+        if (
+          isOverQueueCaps(
+            queueWithoutParty,
+            newSize,
+            queueLimits.estimatedWaitMinutes,
+            queueLimits.caps,
+          )
+        ) {
+          return null;
+        }
+      }
+    }
+
+    return await trx(TABLE_NAME)
+      .update({ name, size })
+      .where({
+        party_id: partyID,
+        location_id: locationID,
+        status: STATUS_QUEUED,
+      })
+      .returning(["name", "size"]);
+  });
+
+  const [updatePartyError, updatePartyResult] = await dbUtils.safeQuery(
+    updatePartyQuery,
+    "Update queued party",
+  );
+
+  if (updatePartyError) return [PARTY_COULD_NOT_BE_UPDATED, null];
+  if (!updatePartyResult) return [WAITLIST_FULL, null];
+  if (updatePartyResult.length < 1) return [PARTY_NOT_FOUND, null];
+
+  return [null, updatePartyResult[0]];
+}
+
+/**
+ * Gets the contact details of a party who is checking in.
+ *
+ * @param {string} partyID - the ID of the party
+ * @returns {Promise<[string|null, {party_id: string, contact_phone: string|null, contact_email: string|null, checkin_expiration: Date, location_slug: string}|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the party's contact details and check-in expiration, or `null` if an error occurred
+ * @description
+ * Only parties who are still checking in are returned, so that parties who have since
+ * checked in (or whose check-in expired) are not told that their table is ready.
+ * If there is no such party, a `PARTY_NOT_FOUND` error is returned.
+ *
+ * The slug of the party's location is included, so that they can be linked to their location's pages.
+ */
+async function getCheckingInPartyContact(partyID) {
+  const contactQuery = db(TABLE_NAME)
+    .join(
+      LOCATIONS_TABLE_NAME,
+      `${TABLE_NAME}.location_id`,
+      `${LOCATIONS_TABLE_NAME}.id`,
+    )
+    .select(
+      `${TABLE_NAME}.party_id`,
+      `${TABLE_NAME}.contact_phone`,
+      `${TABLE_NAME}.contact_email`,
+      `${TABLE_NAME}.checkin_expiration`,
+      `${LOCATIONS_TABLE_NAME}.slug as location_slug`,
+    )
+    .where({
+      [`${TABLE_NAME}.party_id`]: partyID,
+      [`${TABLE_NAME}.status`]: STATUS_CHECKING_IN,
+    })
+    .first();
+
+  const [error, contact] = await dbUtils.safeQuery(
+    contactQuery,
+    "Get checking-in party contact",
+  );
+  if (error) return [COULD_NOT_GET_PARTY_CONTACT, null];
+  if (!contact) return [PARTY_NOT_FOUND, null];
+
+  return [null, contact];
+}
+
+/**
+ * Gets which of the given parties are still checking in, with the given check-in expiration.
+ *
+ * @param {string} locationID - the ID of the parties' location
+ * @param {string[]} partyIDs - the IDs of the parties
+ * @param {string} checkingInExpiration - the check-in expiration the parties were given
+ * @returns {Promise<[string|null, string[]|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the IDs of the parties who are still checking in, or `null` if an error occurred
+ * @description
+ * Parties who have since checked in, left, or been given a different check-in window are left out,
+ * so that they are not reminded about a check-in window that no longer applies to them.
+ */
+async function getCheckingInPartyIDs(
+  locationID,
+  partyIDs,
+  checkingInExpiration,
+) {
+  const partiesQuery = db(TABLE_NAME)
+    .select("party_id")
+    .whereIn("party_id", partyIDs)
+    .where({
+      location_id: locationID,
+      status: STATUS_CHECKING_IN,
+      checkin_expiration: new Date(checkingInExpiration),
+    });
+
+  const [error, checkingInParties] = await dbUtils.safeQuery(
+    partiesQuery,
+    "Get checking-in party IDs",
+  );
+  if (error) return [COULD_NOT_GET_CHECKING_IN_PARTIES, null];
+
+  return [null, checkingInParties.map(({ party_id }) => party_id)];
+}
+
 /**
  * Deletes a party that has the matching ID.
  *
+ * @param {string} locationID - the ID of the party's location
  * @param {string} partyID - the party ID for the given party
+ * @param {string} terminalStatus - the status to record in the party history (ex: 'left' or 'removed')
  * @returns {Promise<[string|null, null]>}
  * a tuple where
  *  - the first value is an error message code (if any), or `null` if successful
  *  - the second value is null
  * @description
  * This function deletes a party from the database based on its ID.
- * It uses a DELETE query to remove the party from the 'parties' table.
+ * It uses a DELETE query to remove the party from the 'parties' table,
+ * recording why they were removed in the party history in the same transaction.
  */
-async function deletePartyByID(partyID) {
-  const deleteQuery = db(TABLE_NAME).where({ party_id: partyID }).del();
+async function deletePartyByID(locationID, partyID, terminalStatus) {
+  const deleteQuery = db.transaction(async (trx) => {
+    const deletedParties = await trx(TABLE_NAME)
+      .where({ party_id: partyID, location_id: locationID })
+      .del()
+      .returning([...EVENT_PARTY_COLUMNS, "status"]);
+
+    for (const party of deletedParties) {
+      await insertPartyEvents(trx, [party], party.status, terminalStatus);
+    }
+
+    return deletedParties;
+  });
   const [error, result] = await dbUtils.safeQuery(
     deleteQuery,
     "Delete party by ID",
   );
 
   if (error) return [PARTY_COULD_NOT_BE_DELETED, null];
-  if (!result) return [PARTY_NOT_FOUND, null];
+  if (result.length < 1) return [PARTY_NOT_FOUND, null];
   return [null, null];
 }
 
@@ -150,32 +499,42 @@ async function deletePartyByID(partyID) {
  * Gets the available seat count.
  *
  * Counts users who are seated (with unexpired seats) and users who
- * are currently checking in, subtracting their combined seat count
- * from the total available seats.
+ * are currently checking in, along with the reservations whose seats are being held,
+ * subtracting their combined seat count from the total available seats.
  *
+ * @param {string} locationID - the ID of the location
+ * @param {number} maxSeats - the location's total seats (see `getLocationMaxSeats`)
  * @returns {Promise<[string|null, number|null]>}
  * a tuple where
  *  - the first value is an error message code (if any), or `null` if successful
  *  - the second value is the number of available seats or `null` if an error occurred
  * @description
  * This function calculates the number of available seats by summing the sizes of parties
- * that are currently seated and those that are checking in. It subtracts this sum from the
- * maximum number of seats to determine how many seats are still available.
+ * that are currently seated and those that are checking in at the location. It subtracts this sum from the
+ * location's maximum number of seats to determine how many seats are still available.
+ *
+ * Reservations hold their seats back from walk-ins from `RESERVATION_HOLD_MINUTES` before their time
+ * until they are checked in (when their party takes the seats instead), or until `RESERVATION_GRACE_MINUTES`
+ * after their time (when they are treated as a no-show).
  *
  * The returned value is the number of available seats, which can be used to determine
  * whether more parties can be seated or if the queue needs to be managed.
  */
-async function getAvailableSeatCount() {
+async function getAvailableSeatCount(locationID, maxSeats) {
   // take the SUM of the seated parties whose seats are not expired or who are being seated
   // subtract the max seat size by that sum to figure out how many seats are available
   const seatedQuery = db(TABLE_NAME)
     .sum("size")
-    .where((queryBuilder) => {
-      queryBuilder
-        .where("seat_expiration", ">", db.fn.now())
-        .andWhere({ status: STATUS_SEATED });
-    })
-    .orWhere({ status: STATUS_CHECKING_IN });
+    .where({ location_id: locationID })
+    .andWhere((occupyingBuilder) => {
+      occupyingBuilder
+        .where((queryBuilder) => {
+          queryBuilder
+            .where("seat_expiration", ">", db.fn.now())
+            .andWhere({ status: STATUS_SEATED });
+        })
+        .orWhere({ status: STATUS_CHECKING_IN });
+    });
 
   const [seatCountError, [{ sum }]] = await dbUtils.safeQuery(
     seatedQuery,
@@ -185,7 +544,23 @@ async function getAvailableSeatCount() {
   if (seatCountError) return [COULD_NOT_GET_MAX_AVAILABLE_SEATS, null];
   // in  the case of there being no one seated, sum would be null, so we fallback to 0.
   const seatedCount = sum || 0;
-  const availableSeats = MAX_SEATS - seatedCount;
+
+  const heldQuery = db(RESERVATIONS_TABLE_NAME)
+    .sum("size")
+    .where({ location_id: locationID })
+    .whereNull("checked_in_at")
+    .andWhereRaw(
+      "NOW() BETWEEN reservation_time - make_interval(mins => ?) AND reservation_time + make_interval(mins => ?)",
+      [RESERVATION_HOLD_MINUTES, RESERVATION_GRACE_MINUTES],
+    );
+  const [heldCountError, heldResult] = await dbUtils.safeQuery(
+    heldQuery,
+    "Get held reservation seat count",
+  );
+  if (heldCountError) return [COULD_NOT_GET_MAX_AVAILABLE_SEATS, null];
+  const heldCount = heldResult[0].sum || 0;
+
+  const availableSeats = maxSeats - seatedCount - heldCount;
 
   return [null, availableSeats];
 }
@@ -193,6 +568,7 @@ async function getAvailableSeatCount() {
 /**
  * Gets the party IDs and position in the queue.
  *
+ * @param {string} locationID - the ID of the location whose queue to get
  * @returns {Promise<[string|null, {partyID: string, row: number}[]|null]>}
  * a tuple where
  *  - the first value is an error message code (if any), or `null` if successful
@@ -205,13 +581,13 @@ async function getAvailableSeatCount() {
  * This function is typically used to display the current queue status to users, allowing them
  * to see their position in the queue and the order of other parties.
  */
-async function getCurrentQueuePositions() {
+async function getCurrentQueuePositions(locationID) {
   const queuePositionsQuery = db(TABLE_NAME)
     .select(
       "party_id as partyID",
       db.raw("ROW_NUMBER() OVER (ORDER BY queued_at ASC, party_id) as row"),
     )
-    .where({ status: STATUS_QUEUED })
+    .where({ status: STATUS_QUEUED, location_id: locationID })
     .orderBy("queued_at", "asc");
 
   const [queuePositionsError, queuePositions] = await dbUtils.safeQuery(
@@ -225,57 +601,99 @@ async function getCurrentQueuePositions() {
 }
 
 /**
- * Gets the party IDs of parties who can be dequeued, based on party size versus available seat count.
+ * Saves the tables assigned to parties.
  *
- * @param {number} availableSeats - the unoccupied seat count
- * @returns {Promise<[string|null, string[]|null]>}
+ * @param {import("knex").Knex.Transaction} trx - the transaction the parties are being updated in
+ * @param {TableAssignment[]} tableAssignments - the tables to assign to each party
+ * @returns {Promise<void>}
+ * @private
+ * @description
+ * As a table can only be assigned to one party at a time, this throws (rolling back the transaction)
+ * if any of the tables have been assigned to another party in the meantime.
+ */
+async function insertTableAssignments(trx, tableAssignments) {
+  const assignmentRows = tableAssignments.flatMap(({ partyID, tableIDs }) =>
+    tableIDs.map((tableID) => ({ party_id: partyID, table_id: tableID })),
+  );
+  if (assignmentRows.length < 1) return;
+
+  await trx(ASSIGNMENTS_TABLE_NAME).insert(assignmentRows);
+}
+
+/**
+ * Gets the queued parties, in the order they were queued.
+ *
+ * @param {string} locationID - the ID of the location whose queue to get
+ * @returns {Promise<[string|null, QueuedParty[]|null]>}
  * a tuple where
  *  - the first value is an error message code (if any), or `null` if successful
- *  - the second value is a list of party whose IDs can be dequeued, or `null` if an error occurred
+ *  - the second value is a list of the queued parties, or `null` if an error occurred
  * @description
- * This function retrieves the IDs of parties that can be dequeued based on the available seat count.
- * It uses a window function to calculate the cumulative size of parties in the queue and filters
- * those whose cumulative size is less than or equal to the available seats.
+ * This function is used by the dequeue strategies to choose which parties to dequeue,
+ * so it includes how often each party has been skipped over.
  */
-async function getPartiesToDequeue(availableSeats) {
-  const queuedUsersQuery = db
-    .with("queued_parties", function (queryBuilder) {
-      // this window function will get a cumulative party size, which can then be used
-      // in the where clause to get only the queued parties who are less than or equal
-      // to that size
-      queryBuilder
-        .select(
-          "party_id",
-          "size",
-          // Note: for the edge case where the `queued_at` is the same, a second ordering is added
-          // otherwise, you get two parties with the same `running_total`
-          db.raw(
-            "SUM(size) OVER (ORDER BY queued_at ASC, party_id) as running_total",
-          ),
-        )
-        .from(TABLE_NAME)
-        .where("status", STATUS_QUEUED);
-    })
-    .select("party_id")
-    .from("queued_parties")
-    .where("running_total", "<=", availableSeats);
+async function getQueuedParties(locationID) {
+  const queuedPartiesQuery = db(TABLE_NAME)
+    .select("party_id", "size", "skip_count", "first_skipped_at")
+    .where({ status: STATUS_QUEUED, location_id: locationID })
+    .orderBy([
+      { column: "queued_at", order: "asc" },
+      { column: "party_id", order: "asc" },
+    ]);
 
-  const [queuedUsersError, queuedUsers] = await dbUtils.safeQuery(
-    queuedUsersQuery,
-    "Get queued users",
+  const [queuedPartiesError, queuedParties] = await dbUtils.safeQuery(
+    queuedPartiesQuery,
+    "Get queued parties",
   );
+  if (queuedPartiesError) return [COULD_NOT_GET_QUEUED_PARTIES, null];
 
-  if (queuedUsersError) return [COULD_NOT_GET_PARTIES_TO_DEQUEUE, null];
-  const flattenedIDs = queuedUsers.map(({ party_id }) => party_id);
+  return [null, queuedParties];
+}
 
-  return [null, flattenedIDs];
+/**
+ * Gets the parties that are occupying seats (those checking in, and those seated).
+ *
+ * @param {string} locationID - the ID of the location
+ * @returns {Promise<[string|null, OccupyingParty[]|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is a list of the occupying parties, or `null` if an error occurred
+ * @description
+ * This function is used to estimate when seats will free up for the queued parties,
+ * so it includes when each party was dequeued and when their seat expires.
+ *
+ * Seated parties whose seats have already expired (but have not been removed yet) are not included.
+ */
+async function getOccupyingParties(locationID) {
+  const occupyingPartiesQuery = db(TABLE_NAME)
+    .select("party_id", "size", "status", "dequeued_at", "seat_expiration")
+    .where({ location_id: locationID })
+    .andWhere((occupyingBuilder) => {
+      occupyingBuilder
+        .where({ status: STATUS_CHECKING_IN })
+        .orWhere((queryBuilder) => {
+          queryBuilder
+            .where({ status: STATUS_SEATED })
+            .andWhere("seat_expiration", ">", db.fn.now());
+        });
+    });
+
+  const [occupyingPartiesError, occupyingParties] = await dbUtils.safeQuery(
+    occupyingPartiesQuery,
+    "Get occupying parties",
+  );
+  if (occupyingPartiesError) return [COULD_NOT_GET_OCCUPYING_PARTIES, null];
+
+  return [null, occupyingParties];
 }
 
 /**
  * Sets parties' status to 'checking-in' and sets their expiration date to
  * a predetermined point in the future.
  *
+ * @param {string} locationID - the ID of the parties' location
  * @param {string[]} partyIDs - a list of party IDs to set to checking in
+ * @param {TableAssignment[]} [tableAssignments=[]] - the tables to assign to the parties (when the venue has tables)
  * @returns {Promise<[string|null, string|null]>}
  * a tuple where
  *  - the first value is an error message code (if any), or `null` if successful
@@ -284,23 +702,54 @@ async function getPartiesToDequeue(availableSeats) {
  * This function updates the status of parties to 'checking-in' and sets their check-in expiration time.
  * It takes an array of party IDs and updates their status in the database.
  *
- * The check-in expiration time is calculated based on the `CHECKIN_EXPIRY_SECONDS`
- * environment variable, which determines how long the parties have to check in.
+ * The check-in expiration time is calculated based on the check-in expiry setting
+ * (see utils/waitlist-settings.js), which determines how long the parties have to check in.
  *
  * This function is typically used to initiate the check-in process for parties that are ready
  * to be seated, allowing them to confirm their presence within a specified time frame.
+ *
+ * Only parties that are still queued are updated, so a party that has already been dequeued
+ * (or seated) by a host will not have their status moved back to checking-in.
+ *
+ * Any table assignments for the updated parties are saved in the same transaction,
+ * so that the tables are held for the parties while they check in.
+ * The status change is recorded in the party history in the same transaction.
  */
-async function setCheckingInStatus(partyIDs) {
-  const expiryTimeStr = `NOW() + INTERVAL '${CHECKIN_EXPIRY_SECONDS} SECOND'`;
-  const updateStatusQuery = db(TABLE_NAME)
-    .update({
-      status: STATUS_CHECKING_IN,
-      checkin_expiration: db.raw(expiryTimeStr),
-    })
-    .whereIn("party_id", partyIDs)
-    // we use this checkin expiration time to schedule our job for cleaning up
-    // users who do not checkin by this time
-    .returning("checkin_expiration");
+async function setCheckingInStatus(
+  locationID,
+  partyIDs,
+  tableAssignments = [],
+) {
+  const expiryTimeStr = `NOW() + INTERVAL '${getCheckinExpirySeconds()} SECOND'`;
+  const updateStatusQuery = db.transaction(async (trx) => {
+    const updatedParties = await trx(TABLE_NAME)
+      .update({
+        status: STATUS_CHECKING_IN,
+        checkin_expiration: db.raw(expiryTimeStr),
+        dequeued_at: db.fn.now(),
+      })
+      .whereIn("party_id", partyIDs)
+      .andWhere({ status: STATUS_QUEUED, location_id: locationID })
+      // we use this checkin expiration time to schedule our job for cleaning up
+      // users who do not checkin by this time
+      .returning([...EVENT_PARTY_COLUMNS, "checkin_expiration"]);
+
+    await insertPartyEvents(
+      trx,
+      updatedParties,
+      STATUS_QUEUED,
+      STATUS_CHECKING_IN,
+    );
+    const updatedPartyIDs = updatedParties.map(({ party_id }) => party_id);
+    await insertTableAssignments(
+      trx,
+      tableAssignments.filter(({ partyID }) =>
+        updatedPartyIDs.includes(partyID),
+      ),
+    );
+
+    return updatedParties;
+  });
 
   const [updateStatusError, checkinExpirations] = await dbUtils.safeQuery(
     updateStatusQuery,
@@ -313,26 +762,70 @@ async function setCheckingInStatus(partyIDs) {
   return [null, checkinExpiration];
 }
 
+/**
+ * Records that parties were skipped over by a dequeue.
+ *
+ * @param {string} locationID - the ID of the parties' location
+ * @param {string[]} partyIDs - the IDs of the parties that were skipped over
+ * @returns {Promise<[string|null, null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is null
+ * @description
+ * This function increments each party's skip count, and sets when they were first skipped
+ * (if they had not been skipped before). These are used by the fairness-capped dequeue strategy
+ * to limit how long a party can be skipped over.
+ */
+async function recordSkippedParties(locationID, partyIDs) {
+  const recordSkipsQuery = db(TABLE_NAME)
+    .update({
+      skip_count: db.raw("skip_count + 1"),
+      first_skipped_at: db.raw("COALESCE(first_skipped_at, NOW())"),
+    })
+    .whereIn("party_id", partyIDs)
+    .andWhere({ status: STATUS_QUEUED, location_id: locationID });
+
+  const [recordSkipsError, _result] = await dbUtils.safeQuery(
+    recordSkipsQuery,
+    "Record skipped parties",
+  );
+  if (recordSkipsError) return [COULD_NOT_RECORD_SKIPPED_PARTIES, null];
+
+  return [null, null];
+}
+
 /**
  * Deletes users who did not checkin within the expiration time.
  *
+ * @param {string} locationID - the ID of the location whose parties to expire
  * @returns {Promise<[string|null, string[]|null]>}
  * a tuple where
  *  - the first value is an error message code (if any), or `null` if successful
  *  - the second value is a list of party IDs whose statuses were updated or `null` if an error occurred
  * @description
  * This function deletes parties that are currently in the checking-in status
- * and whose check-in expiration time has passed.
+ * and whose check-in expiration time has passed, recording that their check-in
+ * expired in the party history.
  *
  * This function is usually scheduled by other workers at the time of dequeue so that
  * checking-in parties are cleaned up in a timely manner.
  */
-async function deleteCheckingInExpiredParties() {
-  const checkingInExpiredQuery = db(TABLE_NAME)
-    .where({ status: STATUS_CHECKING_IN })
-    .andWhere("checkin_expiration", "<", db.fn.now())
-    .del()
-    .returning("party_id");
+async function deleteCheckingInExpiredParties(locationID) {
+  const checkingInExpiredQuery = db.transaction(async (trx) => {
+    const expiredParties = await trx(TABLE_NAME)
+      .where({ status: STATUS_CHECKING_IN, location_id: locationID })
+      .andWhere("checkin_expiration", "<", db.fn.now())
+      .del()
+      .returning(EVENT_PARTY_COLUMNS);
+
+    await insertPartyEvents(
+      trx,
+      expiredParties,
+      STATUS_CHECKING_IN,
+      STATUS_CHECKIN_EXPIRED,
+    );
+    return expiredParties;
+  });
   const [checkingInUpdateErrors, checkingInExpiredPartyIDs] =
     await dbUtils.safeQuery(
       checkingInExpiredQuery,
@@ -349,6 +842,7 @@ async function deleteCheckingInExpiredParties() {
 /**
  * Updates a given party's status to seated.
  *
+ * @param {string} locationID - the ID of the party's location
  * @param {string} partyID - the ID of the party to update the seated status for
  * @param {number} partySize - the size of the party (used to multiply the service time)
  * @returns {Promise<[string|null, string|null]>}
@@ -360,20 +854,51 @@ async function deleteCheckingInExpiredParties() {
  * to a predetermined time in the future. It only updates parties that are currently
  * in the 'checking-in' status.
  *
- * The seat expiration time is calculated based on the `SERVICE_TIME_SECONDS` environment variable,
- * multiplied by the party size.
+ * The seat expiration time is calculated based on the service time setting
+ * (see utils/waitlist-settings.js), multiplied by the party size.
  *
  * This function is typically used to mark a party as seated after they have successfully checked in,
  * allowing them to occupy a table for a specified period of time.
  */
-async function updateSeatedStatus(partyID, partySize) {
-  const expiryTimeStr = `NOW() + INTERVAL '${SERVICE_TIME_SECONDS * partySize} SECOND'`;
-  const setSeatedQuery = db(TABLE_NAME)
-    .update({ status: STATUS_SEATED, seat_expiration: db.raw(expiryTimeStr) })
-    // we add the status of checking in as an extra measure against someone
-    // calling the endpoint prior to or after the time they're eligible to checkin
-    .where({ party_id: partyID, status: STATUS_CHECKING_IN })
-    .returning("seat_expiration");
+async function updateSeatedStatus(locationID, partyID, partySize) {
+  const expiryTimeStr = `NOW() + INTERVAL '${getServiceTimeSeconds() * partySize} SECOND'`;
+  const setSeatedQuery = db.transaction(async (trx) => {
+    const seatedParties = await trx(TABLE_NAME)
+      .update({ status: STATUS_SEATED, seat_expiration: db.raw(expiryTimeStr) })
+      // we add the status of checking in as an extra measure against someone
+      // calling the endpoint prior to or after the time they're eligible to checkin
+      .where({
+        party_id: partyID,
+        location_id: locationID,
+        status: STATUS_CHECKING_IN,
+      })
+      .returning([
+        ...EVENT_PARTY_COLUMNS,
+        db.raw(
+          "EXTRACT(EPOCH FROM NOW() - dequeued_at)::float as latency_seconds",
+        ),
+      ]);
+
+    await insertPartyEvents(
+      trx,
+      seatedParties,
+      STATUS_CHECKING_IN,
+      STATUS_SEATED,
+    );
+
+    // record how long the party took to check in, for estimating the wait of queued parties
+    const latencies = seatedParties
+      .filter(({ latency_seconds }) => latency_seconds !== null)
+      .map(({ location_id, latency_seconds }) => ({
+        location_id,
+        latency_seconds,
+      }));
+    if (latencies.length > 0) {
+      await trx(LATENCIES_TABLE_NAME).insert(latencies);
+    }
+
+    return seatedParties;
+  });
 
   const [setSeatedErrors, setSeatedResult] = await dbUtils.safeQuery(
     setSeatedQuery,
@@ -389,6 +914,7 @@ async function updateSeatedStatus(partyID, partySize) {
 /**
  * Removes expired seats from the database.
  *
+ * @param {string} locationID - the ID of the location whose seats to expire
  * @returns {Promise<[string|null, string[]|null]>}
  * a tuple where
  *  - the first value is an error message code (if any), or `null` if successful
@@ -397,15 +923,27 @@ async function updateSeatedStatus(partyID, partySize) {
  * This function removes parties that are currently seated and whose seat expiration time has passed.
  * It deletes these parties from the database and returns their IDs.
  *
- * This is typically used to clean up parties that have exceeded their allotted seating time.
+ * This is typically used to clean up parties that have exceeded their allotted seating time,
+ * so their visit is recorded as completed in the party history.
+ * Deleting a party also deletes their table assignments, freeing up the tables they occupied.
  */
-async function removeExpiredSeats() {
-  const expiredSeatsQuery = db(TABLE_NAME)
-    // select parties that are seated and whose seat expiration time has passed
-    .where({ status: STATUS_SEATED })
-    .andWhere("seat_expiration", "<", db.fn.now())
-    .del()
-    .returning("party_id");
+async function removeExpiredSeats(locationID) {
+  const expiredSeatsQuery = db.transaction(async (trx) => {
+    const expiredParties = await trx(TABLE_NAME)
+      // select parties that are seated and whose seat expiration time has passed
+      .where({ status: STATUS_SEATED, location_id: locationID })
+      .andWhere("seat_expiration", "<", db.fn.now())
+      .del()
+      .returning(EVENT_PARTY_COLUMNS);
+
+    await insertPartyEvents(
+      trx,
+      expiredParties,
+      STATUS_SEATED,
+      STATUS_COMPLETED,
+    );
+    return expiredParties;
+  });
   const [expiredSeatsError, expiredSeats] = await dbUtils.safeQuery(
     expiredSeatsQuery,
     "Remove expired seats",
@@ -415,15 +953,413 @@ async function removeExpiredSeats() {
   return [null, expiredSeats.map(({ party_id }) => party_id)];
 }
 
+/**
+ * Gets every party currently on the waitlist (queued, checking in, or seated).
+ *
+ * @param {string} locationID - the ID of the location whose waitlist to get
+ * @returns {Promise<[string|null, Party[]|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is a list of parties, or `null` if an error occurred
+ * @description
+ * This function retrieves the parties shown on the host dashboard, ordered by
+ * when they were queued. Seated parties whose seats have expired (but have not yet
+ * been cleaned up by the seat-expired worker) are excluded.
+ *
+ * Each party includes the names of the tables they are assigned to (`table_names`),
+ * which is `null` for queued parties or when the venue has no tables.
+ */
+async function getWaitlistParties(locationID) {
+  const waitlistQuery = db(TABLE_NAME)
+    .select(
+      "party_id",
+      "name",
+      "size",
+      "status",
+      "queued_at",
+      "checkin_expiration",
+      "seat_expiration",
+      // the names of the tables the party is assigned to, if any (ex: "T1, T2")
+      db
+        .select(db.raw("string_agg(tables.name, ', ' ORDER BY tables.name)"))
+        .from(ASSIGNMENTS_TABLE_NAME)
+        .join("tables", "tables.id", `${ASSIGNMENTS_TABLE_NAME}.table_id`)
+        .whereRaw(`${ASSIGNMENTS_TABLE_NAME}.party_id = ${TABLE_NAME}.party_id`)
+        .as("table_names"),
+    )
+    .where({ location_id: locationID })
+    .andWhere((waitlistBuilder) => {
+      waitlistBuilder
+        .whereIn("status", [STATUS_QUEUED, STATUS_CHECKING_IN])
+        .orWhere((queryBuilder) => {
+          queryBuilder
+            .where({ status: STATUS_SEATED })
+            .andWhere("seat_expiration", ">", db.fn.now());
+        });
+    })
+    .orderBy([
+      { column: "queued_at", order: "asc" },
+      { column: "party_id", order: "asc" },
+    ]);
+
+  const [waitlistError, waitlist] = await dbUtils.safeQuery(
+    waitlistQuery,
+    "Get waitlist parties",
+  );
+  if (waitlistError) return [COULD_NOT_GET_WAITLIST_PARTIES, null];
+
+  return [null, waitlist];
+}
+
+/**
+ * Seats a party on behalf of a host, whether they are queued or checking in.
+ *
+ * @param {string} locationID - the ID of the party's location
+ * @param {string} partyID - the ID of the party to seat
+ * @param {string[]} [tableIDs=[]] - the tables to assign to the party (when the venue has tables)
+ * @returns {Promise<[string|null, string|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the seat's expiration time or `null` if unsuccessful
+ * @description
+ * This function updates the status of a queued or checking-in party to 'seated' and
+ * sets the seat expiration time the same way as `updateSeatedStatus` (the party's size
+ * multiplied by the service time setting).
+ *
+ * Unlike `updateSeatedStatus`, the party does not need to have been dequeued first,
+ * allowing a host to seat a party that is standing at the host stand.
+ * A queued party will not have been assigned tables yet, so any given tables are assigned
+ * in the same transaction (along with recording the status change in the party history).
+ */
+async function forceSeatParty(locationID, partyID, tableIDs = []) {
+  const expiryTimeStr = `NOW() + size * INTERVAL '${getServiceTimeSeconds()} SECOND'`;
+  const setSeatedQuery = db.transaction(async (trx) => {
+    // the party may be queued or checking in, so their current status is locked in
+    // and read first for the party history
+    const party = await trx(TABLE_NAME)
+      .select("status")
+      .where({ party_id: partyID, location_id: locationID })
+      .whereIn("status", [STATUS_QUEUED, STATUS_CHECKING_IN])
+      .forUpdate()
+      .first();
+    if (!party) return [];
+
+    const seatedParties = await trx(TABLE_NAME)
+      .update({
+        status: STATUS_SEATED,
+        seat_expiration: db.raw(expiryTimeStr),
+      })
+      .where({ party_id: partyID })
+      .returning(EVENT_PARTY_COLUMNS);
+
+    await insertPartyEvents(trx, seatedParties, party.status, STATUS_SEATED);
+    await insertTableAssignments(trx, [{ partyID, tableIDs }]);
+
+    return seatedParties;
+  });
+
+  const [setSeatedErrors, setSeatedResult] = await dbUtils.safeQuery(
+    setSeatedQuery,
+    "Force party to seated status",
+  );
+
+  if (setSeatedErrors) return [PARTY_COULD_NOT_SET_SEATED, null];
+  if (setSeatedResult.length < 1) return [PARTY_NOT_FOUND, null];
+
+  return [null, setSeatedResult[0].seat_expiration];
+}
+
+/**
+ * Adds a reservation that has arrived to the waitlist, as a party checking in.
+ *
+ * @param {string} locationID - the ID of the reservation's location
+ * @param {string} reservationID - the ID of the reservation
+ * @param {string[]} [tableIDs=[]] - the tables to assign to the party (when the venue has tables)
+ * @returns {Promise<[string|null, {partyID: string, size: number, checkingInExpiration: Date}|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the new party's ID, size, and check-in expiration, or `null` if unsuccessful
+ * @description
+ * The party skips the queue, as their seats have been held for them (see `getAvailableSeatCount`).
+ * They are created checking in (with the reservation's name, size, and contact details), so that
+ * they can then be seated with `updateSeatedStatus` in the same way as a party that was dequeued.
+ * Until then, their check-in window expires in the same way as a dequeued party's.
+ *
+ * The reservation is marked as checked in (so it stops holding seats) in the same transaction
+ * as the party is created, their tables are assigned, and their status is recorded in the party history.
+ * A reservation can only be checked in once.
+ *
+ * The tables are chosen before the transaction, so they are locked and checked again inside it:
+ * a dequeue assigning the same tables waits for the check-in (or the check-in waits for the dequeue
+ * and then sees the tables as taken), and `PARTY_NO_TABLE_AVAILABLE` is returned without checking in.
+ */
+async function checkInReservation(locationID, reservationID, tableIDs = []) {
+  const partyID = nanoid(10);
+  const expiryTimeStr = `NOW() + INTERVAL '${getCheckinExpirySeconds()} SECOND'`;
+  const checkInQuery = db.transaction(async (trx) => {
+    const reservation = await trx(RESERVATIONS_TABLE_NAME)
+      .select("name", "size", "contact_phone", "contact_email")
+      .where({ id: reservationID, location_id: locationID })
+      .whereNull("checked_in_at")
+      .forUpdate()
+      .first();
+    if (!reservation) return { reservation, party: null };
+
+    if (tableIDs.length > 0) {
+      // assigning a table takes a key share lock on it, so this waits for (and blocks) any other assignment
+      await trx(TABLES_TABLE_NAME)
+        .select("id")
+        .whereIn("id", tableIDs)
+        .forUpdate();
+      const takenTables = await trx(ASSIGNMENTS_TABLE_NAME)
+        .select("table_id")
+        .whereIn("table_id", tableIDs);
+      if (takenTables.length > 0) return { reservation, party: null };
+    }
+
+    const checkingInParties = await trx(TABLE_NAME)
+      .insert({
+        ...reservation,
+        party_id: partyID,
+        location_id: locationID,
+        status: STATUS_CHECKING_IN,
+        checkin_expiration: db.raw(expiryTimeStr),
+      })
+      .returning([...EVENT_PARTY_COLUMNS, "checkin_expiration"]);
+    await insertPartyEvents(trx, checkingInParties, null, STATUS_CHECKING_IN);
+    await insertTableAssignments(trx, [{ partyID, tableIDs }]);
+
+    await trx(RESERVATIONS_TABLE_NAME)
+      .update({ checked_in_at: trx.fn.now(), party_id: partyID })
+      .where({ id: reservationID });
+
+    const party = {
+      partyID,
+      size: reservation.size,
+      checkingInExpiration: checkingInParties[0].checkin_expiration,
+    };
+    return { reservation, party };
+  });
+
+  const [checkInError, checkInResult] = await dbUtils.safeQuery(
+    checkInQuery,
+    "Check in reservation",
+  );
+  if (checkInError) return [RESERVATION_COULD_NOT_CHECK_IN, null];
+  if (!checkInResult.reservation) return [RESERVATION_NOT_FOUND, null];
+  if (!checkInResult.party) return [PARTY_NO_TABLE_AVAILABLE, null];
+
+  return [null, checkInResult.party];
+}
+
+/**
+ * Pushes a seated party's seat expiration further into the future.
+ *
+ * @param {string} locationID - the ID of the party's location
+ * @param {string} partyID - the ID of the seated party
+ * @param {number} seconds - how many seconds to extend the seat by
+ * @returns {Promise<[string|null, string|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the seat's new expiration time or `null` if unsuccessful
+ * @description
+ * This function adds the given number of seconds to the seat expiration of a party
+ * that is currently seated. Parties that are not seated are not updated.
+ */
+async function extendSeatExpiration(locationID, partyID, seconds) {
+  const extendedTimeStr = `seat_expiration + INTERVAL '${seconds} SECOND'`;
+  const extendSeatQuery = db(TABLE_NAME)
+    .update({ seat_expiration: db.raw(extendedTimeStr) })
+    .where({
+      party_id: partyID,
+      location_id: locationID,
+      status: STATUS_SEATED,
+    })
+    .returning("seat_expiration");
+
+  const [extendSeatError, extendSeatResult] = await dbUtils.safeQuery(
+    extendSeatQuery,
+    "Extend party seat expiration",
+  );
+
+  if (extendSeatError) return [PARTY_COULD_NOT_EXTEND_SEAT, null];
+  if (extendSeatResult.length < 1) return [PARTY_NOT_FOUND, null];
+
+  return [null, extendSeatResult[0].seat_expiration];
+}
+
+/**
+ * Pushes a checking-in party's check-in expiration further into the future.
+ *
+ * @param {string} locationID - the ID of the party's location
+ * @param {string} partyID - the ID of the checking-in party
+ * @param {number} seconds - how many seconds to extend the check-in window by
+ * @returns {Promise<[string|null, string|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the party's new check-in expiration time or `null` if unsuccessful
+ * @description
+ * This function adds the given number of seconds to the check-in expiration of a party
+ * that is currently checking in. Parties that are not checking in are not updated.
+ */
+async function extendCheckinExpiration(locationID, partyID, seconds) {
+  const extendedTimeStr = `checkin_expiration + INTERVAL '${seconds} SECOND'`;
+  const extendCheckinQuery = db(TABLE_NAME)
+    .update({ checkin_expiration: db.raw(extendedTimeStr) })
+    .where({
+      party_id: partyID,
+      location_id: locationID,
+      status: STATUS_CHECKING_IN,
+    })
+    .returning("checkin_expiration");
+
+  const [extendCheckinError, extendCheckinResult] = await dbUtils.safeQuery(
+    extendCheckinQuery,
+    "Extend party check-in expiration",
+  );
+
+  if (extendCheckinError) return [PARTY_COULD_NOT_EXTEND_CHECKIN, null];
+  if (extendCheckinResult.length < 1) return [PARTY_NOT_FOUND, null];
+
+  return [null, extendCheckinResult[0].checkin_expiration];
+}
+
+/**
+ * Returns a checking-in party to the queue, a number of places behind the front of the queue.
+ *
+ * @param {string} locationID - the ID of the party's location
+ * @param {string} partyID - the ID of the checking-in party
+ * @returns {Promise<[string|null, { positionInQueue: number, snoozesLeft: number }|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is an object containing the party's new position in queue and how many more times they can snooze,
+ *    or `null` if unsuccessful
+ * @description
+ * This function lets a party who is not ready to check in yet give up their check-in, and wait a little longer instead.
+ *
+ * The party is placed behind the next `SNOOZE_POSITIONS` queued parties (or at the end of the queue, if there are
+ * not that many parties queued, or `SNOOZE_POSITIONS` is 0) by moving their `queued_at` to just after the
+ * `queued_at` of the party they are placed behind.
+ * Their check-in expiration, table assignments, and skip count are cleared, as they are waiting to be dequeued again.
+ *
+ * Only parties who are checking in, and who have snoozed fewer than `MAX_SNOOZES` times, are updated.
+ * The status change is recorded in the party history in the same transaction.
+ */
+async function snoozeParty(locationID, partyID) {
+  const snoozeQuery = db.transaction(async (trx) => {
+    const checkingInParty = await trx(TABLE_NAME)
+      .select("snooze_count")
+      .where({
+        party_id: partyID,
+        location_id: locationID,
+        status: STATUS_CHECKING_IN,
+      })
+      .forUpdate()
+      .first();
+    if (!checkingInParty || checkingInParty.snooze_count >= MAX_SNOOZES) {
+      return { checkingInParty, snoozedParties: [] };
+    }
+
+    // the party that the snoozed party is placed behind
+    const placedBehindQueuedAt = trx(TABLE_NAME)
+      .select("queued_at")
+      .where({ status: STATUS_QUEUED, location_id: locationID })
+      .orderBy([
+        { column: "queued_at", order: "asc" },
+        { column: "party_id", order: "asc" },
+      ])
+      .offset(Math.max(SNOOZE_POSITIONS - 1, 0))
+      .limit(1);
+    const queuedAt =
+      SNOOZE_POSITIONS > 0
+        ? trx.raw("COALESCE((?) + INTERVAL '1 microsecond', NOW())", [
+            placedBehindQueuedAt,
+          ])
+        : trx.fn.now();
+
+    const snoozedParties = await trx(TABLE_NAME)
+      .update({
+        status: STATUS_QUEUED,
+        queued_at: queuedAt,
+        checkin_expiration: null,
+        dequeued_at: null,
+        skip_count: 0,
+        first_skipped_at: null,
+        snooze_count: trx.raw("snooze_count + 1"),
+      })
+      .where({ party_id: partyID })
+      .returning([...EVENT_PARTY_COLUMNS, "snooze_count"]);
+
+    await insertPartyEvents(
+      trx,
+      snoozedParties,
+      STATUS_CHECKING_IN,
+      STATUS_QUEUED,
+    );
+    // free up the tables that were held for the party while they checked in
+    await trx(ASSIGNMENTS_TABLE_NAME).where({ party_id: partyID }).del();
+
+    // get the party's new position in the queue
+    const [{ position }] = await trx
+      .select("ByQueuedAt.row_num as position")
+      .from(function () {
+        this.select(
+          "party_id",
+          trx.raw(
+            "ROW_NUMBER() OVER (ORDER BY queued_at ASC, party_id) as row_num",
+          ),
+        )
+          .where({ status: STATUS_QUEUED, location_id: locationID })
+          .from(TABLE_NAME)
+          .as("ByQueuedAt");
+      })
+      .where({ party_id: partyID });
+
+    return { checkingInParty, snoozedParties, position };
+  });
+
+  const [snoozeError, snoozeResult] = await dbUtils.safeQuery(
+    snoozeQuery,
+    "Snooze checking-in party",
+  );
+
+  if (snoozeError) return [PARTY_COULD_NOT_SNOOZE, null];
+  if (!snoozeResult.checkingInParty) return [PARTY_NOT_FOUND, null];
+  if (snoozeResult.snoozedParties.length < 1) {
+    return [PARTY_SNOOZE_LIMIT_REACHED, null];
+  }
+
+  const [{ snooze_count: snoozeCount }] = snoozeResult.snoozedParties;
+  return [
+    null,
+    {
+      positionInQueue: parseInt(snoozeResult.position),
+      snoozesLeft: Math.max(MAX_SNOOZES - snoozeCount, 0),
+    },
+  ];
+}
+
 export default {
   getPartyByID,
+  getCheckingInPartyContact,
+  getCheckingInPartyIDs,
   createParty,
+  updateQueuedParty,
   getAvailableSeatCount,
-  getPartiesToDequeue,
+  getQueuedParties,
+  getQueueTotals,
+  getOccupyingParties,
   setCheckingInStatus,
+  recordSkippedParties,
   deleteCheckingInExpiredParties,
   updateSeatedStatus,
   deletePartyByID,
   getCurrentQueuePositions,
   removeExpiredSeats,
+  getWaitlistParties,
+  forceSeatParty,
+  checkInReservation,
+  extendSeatExpiration,
+  extendCheckinExpiration,
+  snoozeParty,
 };
@@ -0,0 +1,105 @@
+import {
+  COULD_NOT_DELETE_PUSH_SUBSCRIPTION,
+  COULD_NOT_GET_PUSH_SUBSCRIPTIONS,
+  PUSH_SUBSCRIPTION_COULD_NOT_BE_SAVED,
+} from "../constants/errors.js";
+import dbUtils from "./db-utils.js";
+import db from "./db.js";
+
+const TABLE_NAME = "push_subscriptions";
+
+/**
+ * A browser's subscription to push notifications for a party.
+ * @typedef {object} PushSubscription
+ * @property {number} id - the subscription's primary key
+ * @property {string} party_id - the party the subscription is for
+ * @property {string} endpoint - the push service URL that pushes are sent to
+ * @property {string} p256dh - the browser's public key, used to encrypt pushes
+ * @property {string} auth - the browser's authentication secret, used to encrypt pushes
+ * @property {Date} created_at - when the subscription was saved
+ */
+
+/**
+ * Saves a browser's push subscription for a party.
+ *
+ * @param {string} partyID - the party's ID
+ * @param {object} subscription - the subscription from the browser's `PushManager`
+ * @param {string} subscription.endpoint - the push service URL
+ * @param {{p256dh: string, auth: string}} subscription.keys - the keys used to encrypt pushes
+ * @returns {Promise<[string|null, null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is null
+ * @description
+ * Each endpoint belongs to a single browser, so saving an endpoint that already exists
+ * (ex: the browser re-subscribed, or joined the waitlist again) moves it to the given party.
+ */
+async function savePushSubscription(partyID, { endpoint, keys }) {
+  const upsertQuery = db(TABLE_NAME)
+    .insert({
+      party_id: partyID,
+      endpoint,
+      p256dh: keys.p256dh,
+      auth: keys.auth,
+    })
+    .onConflict("endpoint")
+    .merge(["party_id", "p256dh", "auth"]);
+
+  const [error] = await dbUtils.safeQuery(
+    upsertQuery,
+    "Save push subscription",
+  );
+  if (error) return [PUSH_SUBSCRIPTION_COULD_NOT_BE_SAVED, null];
+
+  return [null, null];
+}
+
+/**
+ * Gets a party's push subscriptions.
+ *
+ * @param {string} partyID - the party's ID
+ * @returns {Promise<[string|null, PushSubscription[]|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is a list of subscriptions, or `null` if an error occurred
+ */
+async function getPushSubscriptions(partyID) {
+  const subscriptionsQuery = db(TABLE_NAME)
+    .select("*")
+    .where({ party_id: partyID })
+    .orderBy("id");
+
+  const [error, subscriptions] = await dbUtils.safeQuery(
+    subscriptionsQuery,
+    "Get push subscriptions",
+  );
+  if (error) return [COULD_NOT_GET_PUSH_SUBSCRIPTIONS, null];
+
+  return [null, subscriptions];
+}
+
+/**
+ * Deletes a push subscription that the push service no longer accepts.
+ *
+ * @param {string} endpoint - the subscription's push service URL
+ * @returns {Promise<[string|null, null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is null
+ */
+async function deletePushSubscription(endpoint) {
+  const deleteQuery = db(TABLE_NAME).where({ endpoint }).del();
+  const [error] = await dbUtils.safeQuery(
+    deleteQuery,
+    "Delete push subscription",
+  );
+  if (error) return [COULD_NOT_DELETE_PUSH_SUBSCRIPTION, null];
+
+  return [null, null];
+}
+
+export default {
+  savePushSubscription,
+  getPushSubscriptions,
+  deletePushSubscription,
+};
@@ -0,0 +1,328 @@
+/**
+ * @file Defines the queries used to report on the waitlist's performance.
+ *
+ * Parties are deleted once they leave the waitlist, so every report is built from the
+ * party history (`party_events`). A party's visit is included in a report if they
+ * joined the queue within the report's date range.
+ */
+import {
+  COULD_NOT_GET_ARRIVALS_BY_HOUR,
+  COULD_NOT_GET_SEAT_UTILIZATION,
+  COULD_NOT_GET_VISIT_METRICS,
+} from "../constants/errors.js";
+import {
+  STATUS_CHECKIN_EXPIRED,
+  STATUS_CHECKING_IN,
+  STATUS_LEFT,
+  STATUS_QUEUED,
+  STATUS_SEATED,
+} from "../constants/party-statuses.js";
+import { PARTY_SIZE_BUCKETS } from "../constants/party-size-buckets.js";
+import dbUtils from "./db-utils.js";
+import db from "./db.js";
+
+const EVENTS_TABLE_NAME = "party_events";
+
+/**
+ * The aggregated visits for a party size bucket.
+ * @typedef {object} VisitMetrics
+ * @property {string|null} size_bucket - the party size bucket's label (`null` for the totals across every bucket)
+ * @property {number} parties - how many parties joined the queue
+ * @property {number|null} average_wait_seconds - the average time from joining the queue to being called
+ * (or seated by a host), or `null` if no parties were called
+ * @property {number} called - how many parties were called to check in
+ * @property {number} no_shows - how many called parties did not check in before their check-in window expired
+ * @property {number} walk_aways - how many parties left the waitlist themselves
+ */
+
+/**
+ * Builds the SQL expression that labels a party size with its bucket.
+ *
+ * @param {string} sizeExpression - the SQL expression for the party size
+ * @returns {import("knex").Knex.Raw} the bucket label expression (aliased as `size_bucket`)
+ * @private
+ */
+function sizeBucketExpression(sizeExpression) {
+  const boundedBuckets = PARTY_SIZE_BUCKETS.filter(
+    ({ maxSize }) => maxSize !== null,
+  );
+  const lastBucket = PARTY_SIZE_BUCKETS.at(-1);
+
+  const whenClauses = boundedBuckets
+    .map(() => `WHEN ${sizeExpression} <= ? THEN ?`)
+    .join(" ");
+  const whenBindings = boundedBuckets.flatMap(({ label, maxSize }) => [
+    maxSize,
+    label,
+  ]);
+  return db.raw(`CASE ${whenClauses} ELSE ? END as size_bucket`, [
+    ...whenBindings,
+    lastBucket.label,
+  ]);
+}
+
+/**
+ * Builds a query for the IDs of the parties who joined a location's queue within a date range.
+ *
+ * @param {string} locationID - the ID of the location
+ * @param {Date} from - the start of the date range (inclusive)
+ * @param {Date} to - the end of the date range (exclusive)
+ * @returns {import("knex").Knex.QueryBuilder} the query
+ * @private
+ */
+function queuedWithinQuery(locationID, from, to) {
+  return db(EVENTS_TABLE_NAME)
+    .select("party_id")
+    .where({ location_id: locationID, status: STATUS_QUEUED })
+    .whereNull("previous_status")
+    .andWhere("occurred_at", ">=", from)
+    .andWhere("occurred_at", "<", to);
+}
+
+/**
+ * Gets the wait time, no-show, and walk-away metrics for the parties who joined a location's queue within a date range.
+ *
+ * @param {string} locationID - the ID of the location
+ * @param {Date} from - the start of the date range (inclusive)
+ * @param {Date} to - the end of the date range (exclusive)
+ * @returns {Promise<[string|null, VisitMetrics[]|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the metrics for each party size bucket with any parties,
+ *    followed by the totals across every bucket, or `null` if an error occurred
+ * @description
+ * Each party's events are first collapsed into a single visit (when they joined the queue, when
+ * they left it, and how their visit ended), then the visits are aggregated by party size bucket.
+ * The totals are calculated in the same query with `ROLLUP`, so averages are not skewed by
+ * combining buckets of different sizes.
+ */
+async function getVisitMetrics(locationID, from, to) {
+  const visitMetricsQuery = db
+    .with("visits", (queryBuilder) => {
+      queryBuilder
+        .select(
+          "party_id",
+          // the size the party joined the queue with
+          sizeBucketExpression("(array_agg(size ORDER BY id))[1]"),
+          db.raw("MIN(occurred_at) FILTER (WHERE status = ?) as queued_at", [
+            STATUS_QUEUED,
+          ]),
+          // the party left the queue by being called, or by a host seating them straight from the queue
+          db.raw(
+            "MIN(occurred_at) FILTER (WHERE previous_status = ? AND status IN (?, ?)) as called_at",
+            [STATUS_QUEUED, STATUS_CHECKING_IN, STATUS_SEATED],
+          ),
+          db.raw("bool_or(status = ?) as was_called", [STATUS_CHECKING_IN]),
+          db.raw("bool_or(status = ?) as no_show", [STATUS_CHECKIN_EXPIRED]),
+          db.raw("bool_or(status = ?) as walked_away", [STATUS_LEFT]),
+        )
+        .from(EVENTS_TABLE_NAME)
+        .whereIn("party_id", queuedWithinQuery(locationID, from, to))
+        .groupBy("party_id");
+    })
+    .select(
+      "size_bucket",
+      db.raw("COUNT(*)::integer as parties"),
+      db.raw(
+        "AVG(EXTRACT(EPOCH FROM called_at - queued_at))::float as average_wait_seconds",
+      ),
+      db.raw("COUNT(*) FILTER (WHERE was_called)::integer as called"),
+      db.raw("COUNT(*) FILTER (WHERE no_show)::integer as no_shows"),
+      db.raw("COUNT(*) FILTER (WHERE walked_away)::integer as walk_aways"),
+    )
+    .from("visits")
+    .groupByRaw("ROLLUP(size_bucket)");
+
+  const [visitMetricsError, visitMetrics] = await dbUtils.safeQuery(
+    visitMetricsQuery,
+    "Get visit metrics",
+  );
+  if (visitMetricsError) return [COULD_NOT_GET_VISIT_METRICS, null];
+
+  return [null, visitMetrics];
+}
+
+/**
+ * Gets how many parties joined a location's queue during each hour of the day, within a date range.
+ *
+ * @param {string} locationID - the ID of the location
+ * @param {Date} from - the start of the date range (inclusive)
+ * @param {Date} to - the end of the date range (exclusive)
+ * @param {string} timeZone - the time zone to use for the hours of the day (ex: 'America/Toronto')
+ * @returns {Promise<[string|null, {hour: number, arrivals: number}[]|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the number of arrivals for each hour of the day (0-23) that had any,
+ *    in order of the hour, or `null` if an error occurred
+ */
+async function getArrivalsByHour(locationID, from, to, timeZone) {
+  const arrivalsQuery = db(EVENTS_TABLE_NAME)
+    .select(
+      db.raw("EXTRACT(HOUR FROM occurred_at AT TIME ZONE ?)::integer as hour", [
+        timeZone,
+      ]),
+      db.raw("COUNT(*)::integer as arrivals"),
+    )
+    .where({ location_id: locationID, status: STATUS_QUEUED })
+    .whereNull("previous_status")
+    .andWhere("occurred_at", ">=", from)
+    .andWhere("occurred_at", "<", to)
+    .groupBy("hour")
+    .orderBy("hour");
+
+  const [arrivalsError, arrivals] = await dbUtils.safeQuery(
+    arrivalsQuery,
+    "Get arrivals by hour",
+  );
+  if (arrivalsError) return [COULD_NOT_GET_ARRIVALS_BY_HOUR, null];
+
+  return [null, arrivals];
+}
+
+/**
+ * Gets the average number of seats occupied by a location's seated parties during each hour of a date range.
+ *
+ * @param {string} locationID - the ID of the location
+ * @param {Date} from - the start of the date range (inclusive)
+ * @param {Date} to - the end of the date range (exclusive)
+ * @param {string} timeZone - the time zone to use for the start of each hour
+ * @returns {Promise<[string|null, {hour_start: Date, average_seats_occupied: number}[]|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the average seats occupied for every hour in the date range,
+ *    in order of the hour, or `null` if an error occurred
+ * @description
+ * A party occupies their seats from when they are seated until their next status transition
+ * (ex: when their seat expires, or a host removes them). Parties who are still seated are
+ * treated as occupying their seats until now.
+ *
+ * Each party's seat time is split across the hours it overlaps, weighted by the party's size,
+ * so a party of 4 seated for half of an hour adds 2 to that hour's average.
+ */
+async function getSeatUtilization(locationID, from, to, timeZone) {
+  const seatUtilizationQuery = db
+    .with("hours", (queryBuilder) => {
+      queryBuilder.select(
+        db.raw(
+          "generate_series(date_trunc('hour', ?::timestamptz, ?), ?::timestamptz - INTERVAL '1 microsecond', INTERVAL '1 hour') as hour_start",
+          [from, timeZone, to],
+        ),
+      );
+    })
+    .with("seatings", (queryBuilder) => {
+      queryBuilder
+        .select(
+          "seated.size",
+          "seated.occurred_at as seated_at",
+          db.raw("COALESCE(unseated.occurred_at, NOW()) as unseated_at"),
+        )
+        .from(`${EVENTS_TABLE_NAME} as seated`)
+        .joinRaw(
+          `LEFT JOIN LATERAL (
+            SELECT occurred_at FROM ${EVENTS_TABLE_NAME}
+            WHERE party_id = seated.party_id AND previous_status = ?
+            ORDER BY occurred_at LIMIT 1
+          ) as unseated ON true`,
+          [STATUS_SEATED],
+        )
+        .where("seated.location_id", locationID)
+        .andWhere("seated.status", STATUS_SEATED)
+        .andWhere("seated.occurred_at", "<", to)
+        .andWhereRaw("COALESCE(unseated.occurred_at, NOW()) > ?", [from]);
+    })
+    .select(
+      "hour_start",
+      db.raw(
+        `(COALESCE(SUM(
+          size * EXTRACT(EPOCH FROM
+            LEAST(unseated_at, hour_start + INTERVAL '1 hour') - GREATEST(seated_at, hour_start)
+          )
+        ), 0) / 3600)::float as average_seats_occupied`,
+      ),
+    )
+    .from("hours")
+    .leftJoin("seatings", function () {
+      this.on("seated_at", "<", db.raw("hour_start + INTERVAL '1 hour'")).andOn(
+        "unseated_at",
+        ">",
+        "hour_start",
+      );
+    })
+    .groupBy("hour_start")
+    .orderBy("hour_start");
+
+  const [seatUtilizationError, seatUtilization] = await dbUtils.safeQuery(
+    seatUtilizationQuery,
+    "Get seat utilization",
+  );
+  if (seatUtilizationError) return [COULD_NOT_GET_SEAT_UTILIZATION, null];
+
+  return [null, seatUtilization];
+}
+
+/**
+ * A party's visit, as exported from the party history.
+ * @typedef {object} PartyRecord
+ * @property {string} party_id - the party's ID
+ * @property {string} name - the party's name
+ * @property {number} size - the size of the party
+ * @property {Date} queued_at - when the party joined the queue
+ * @property {Date|null} dequeued_at - when the party was called to check in (if they were)
+ * @property {Date|null} checked_in_at - when the party was seated, either by checking in or by a host (if they were)
+ * @property {Date|null} seat_expiration - when the party's seat expired (or is due to expire)
+ * @property {string} outcome - the party's most recent status (their terminal status, once their visit is over)
+ */
+
+/**
+ * Streams the visits of the parties who joined a location's queue within a date range.
+ *
+ * @param {string} locationID - the ID of the location
+ * @param {Date} from - the start of the date range (inclusive)
+ * @param {Date} to - the end of the date range (exclusive)
+ * @returns {import("stream").Readable} a stream of `PartyRecord` objects, in the order the parties joined the queue
+ * @description
+ * Each party's events are collapsed into a single record. The records are read from the database
+ * in batches as the stream is consumed, so exporting a long date range does not load every record
+ * into memory at once.
+ *
+ * Unlike the other model functions, errors are not returned in a tuple, as they can occur at any
+ * point while the records are streamed. They are instead emitted as an 'error' event on the stream.
+ */
+function streamPartyRecords(locationID, from, to) {
+  return db(EVENTS_TABLE_NAME)
+    .select(
+      "party_id",
+      // the name and size the party joined the queue with
+      db.raw("(array_agg(name ORDER BY id))[1] as name"),
+      db.raw("(array_agg(size ORDER BY id))[1] as size"),
+      db.raw("MIN(occurred_at) FILTER (WHERE status = ?) as queued_at", [
+        STATUS_QUEUED,
+      ]),
+      db.raw(
+        "MIN(occurred_at) FILTER (WHERE previous_status = ? AND status = ?) as dequeued_at",
+        [STATUS_QUEUED, STATUS_CHECKING_IN],
+      ),
+      db.raw("MIN(occurred_at) FILTER (WHERE status = ?) as checked_in_at", [
+        STATUS_SEATED,
+      ]),
+      // the latest recorded seat expiration, which includes any extensions
+      db.raw(
+        "(array_agg(seat_expiration ORDER BY id DESC) FILTER (WHERE seat_expiration IS NOT NULL))[1] as seat_expiration",
+      ),
+      db.raw("(array_agg(status ORDER BY id DESC))[1] as outcome"),
+    )
+    .whereIn("party_id", queuedWithinQuery(locationID, from, to))
+    .groupBy("party_id")
+    .orderBy([
+      { column: "queued_at", order: "asc" },
+      { column: "party_id", order: "asc" },
+    ])
+    .stream();
+}
+
+export default {
+  getVisitMetrics,
+  getArrivalsByHour,
+  getSeatUtilization,
+  streamPartyRecords,
+};
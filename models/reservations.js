@@ -0,0 +1,161 @@
+import {
+  COULD_NOT_GET_RESERVATIONS,
+  RESERVATION_COULD_NOT_BE_CREATED,
+  RESERVATION_COULD_NOT_BE_DELETED,
+  RESERVATION_NOT_FOUND,
+} from "../constants/errors.js";
+import {
+  RESERVATION_GRACE_MINUTES,
+  RESERVATION_HOLD_MINUTES,
+} from "../config/waitlist.js";
+import dbUtils from "./db-utils.js";
+import db from "./db.js";
+
+/**
+ * @import { Reservation } from '../typedefs.js';
+ */
+
+const TABLE_NAME = "reservations";
+
+// whether a reservation's seats are held back from walk-ins right now (see `getHeldReservations`)
+const IS_HOLDING_SEATS = db.raw(
+  "NOW() >= reservation_time - make_interval(mins => ?) as is_holding_seats",
+  [RESERVATION_HOLD_MINUTES],
+);
+
+/**
+ * Creates a reservation.
+ *
+ * @param {string} locationID - the ID of the location the reservation is at
+ * @param {{name: string, size: number, time: Date, phone?: string|null, email?: string|null}} details
+ * - who the reservation is for, and when
+ * @returns {Promise<[string|null, Reservation|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the new reservation, or `null` if an error occurred
+ */
+async function createReservation(locationID, details) {
+  const insertQuery = db(TABLE_NAME)
+    .insert({
+      location_id: locationID,
+      name: details.name,
+      size: details.size,
+      reservation_time: details.time,
+      contact_phone: details.phone ?? null,
+      contact_email: details.email ?? null,
+    })
+    .returning("*");
+
+  const [insertError, inserted] = await dbUtils.safeQuery(
+    insertQuery,
+    "Create reservation",
+  );
+  if (insertError) return [RESERVATION_COULD_NOT_BE_CREATED, null];
+
+  return [null, inserted[0]];
+}
+
+/**
+ * Gets a location's reservations that have not arrived yet.
+ *
+ * @param {string} locationID - the ID of the location
+ * @returns {Promise<[string|null, (Reservation & { is_holding_seats: boolean })[]|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the reservations in time order (each with whether its seats are being held),
+ *    or `null` if an error occurred
+ * @description
+ * Reservations stay upcoming until they are checked in, or until `RESERVATION_GRACE_MINUTES`
+ * after their time (when they are treated as a no-show).
+ */
+async function getUpcomingReservations(locationID) {
+  const reservationsQuery = db(TABLE_NAME)
+    .select("*", IS_HOLDING_SEATS)
+    .where({ location_id: locationID })
+    .whereNull("checked_in_at")
+    .andWhereRaw("reservation_time + make_interval(mins => ?) >= NOW()", [
+      RESERVATION_GRACE_MINUTES,
+    ])
+    .orderBy([
+      { column: "reservation_time", order: "asc" },
+      { column: "created_at", order: "asc" },
+    ]);
+
+  const [reservationsError, reservations] = await dbUtils.safeQuery(
+    reservationsQuery,
+    "Get upcoming reservations",
+  );
+  if (reservationsError) return [COULD_NOT_GET_RESERVATIONS, null];
+
+  return [null, reservations];
+}
+
+/**
+ * Gets a location's reservations whose seats are currently held back from walk-ins.
+ *
+ * @param {string} locationID - the ID of the location
+ * @returns {Promise<[string|null, Reservation[]|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the reservations in time order, or `null` if an error occurred
+ * @description
+ * A reservation's seats are held from `RESERVATION_HOLD_MINUTES` before its time until it is checked in,
+ * or until `RESERVATION_GRACE_MINUTES` after its time (the same window `getAvailableSeatCount` uses).
+ */
+async function getHeldReservations(locationID) {
+  const reservationsQuery = db(TABLE_NAME)
+    .select("*")
+    .where({ location_id: locationID })
+    .whereNull("checked_in_at")
+    .andWhereRaw(
+      "NOW() BETWEEN reservation_time - make_interval(mins => ?) AND reservation_time + make_interval(mins => ?)",
+      [RESERVATION_HOLD_MINUTES, RESERVATION_GRACE_MINUTES],
+    )
+    .orderBy([
+      { column: "reservation_time", order: "asc" },
+      { column: "created_at", order: "asc" },
+    ]);
+
+  const [reservationsError, reservations] = await dbUtils.safeQuery(
+    reservationsQuery,
+    "Get held reservations",
+  );
+  if (reservationsError) return [COULD_NOT_GET_RESERVATIONS, null];
+
+  return [null, reservations];
+}
+
+/**
+ * Cancels a reservation that has not been checked in.
+ *
+ * @param {string} locationID - the ID of the reservation's location
+ * @param {string} reservationID - the ID of the reservation
+ * @returns {Promise<[string|null, number|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the number of deleted rows, or `null` if an error occurred
+ * @description
+ * Checked-in reservations are kept, as their party is already on the waitlist.
+ */
+async function deleteReservation(locationID, reservationID) {
+  const deleteQuery = db(TABLE_NAME)
+    .where({ id: reservationID, location_id: locationID })
+    .whereNull("checked_in_at")
+    .del();
+
+  const [deleteError, deletedCount] = await dbUtils.safeQuery(
+    deleteQuery,
+    "Delete reservation",
+  );
+  if (deleteError) return [RESERVATION_COULD_NOT_BE_DELETED, null];
+  if (deletedCount < 1) return [RESERVATION_NOT_FOUND, null];
+
+  return [null, deletedCount];
+}
+
+export default {
+  createReservation,
+  getUpcomingReservations,
+  getHeldReservations,
+  deleteReservation,
+};
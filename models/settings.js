@@ -0,0 +1,63 @@
+import {
+  COULD_NOT_GET_SETTINGS,
+  SETTINGS_COULD_NOT_BE_UPDATED,
+} from "../constants/errors.js";
+import dbUtils from "./db-utils.js";
+import db from "./db.js";
+
+const TABLE_NAME = "settings";
+
+/**
+ * Gets the settings that have been changed by a manager.
+ *
+ * @returns {Promise<[string|null, Record<string, number>|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is each stored setting's value, keyed by the setting (see constants/settings.js),
+ *    or `null` if an error occurred
+ */
+async function getSettings() {
+  const settingsQuery = db(TABLE_NAME).select("key", "value");
+
+  const [settingsError, rows] = await dbUtils.safeQuery(
+    settingsQuery,
+    "Get settings",
+  );
+  if (settingsError) return [COULD_NOT_GET_SETTINGS, null];
+
+  return [null, Object.fromEntries(rows.map(({ key, value }) => [key, value]))];
+}
+
+/**
+ * Changes the value of one or more settings.
+ *
+ * @param {Record<string, number>} values - the new value of each setting to change, keyed by the setting
+ * @returns {Promise<[string|null, Record<string, number>|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is every stored setting's value after the change, or `null` if an error occurred
+ * @description
+ * Settings that have not been stored before are inserted, while the rest are updated in place.
+ * Any settings that are not given are left unchanged.
+ */
+async function updateSettings(values) {
+  const rows = Object.entries(values).map(([key, value]) => ({
+    key,
+    value,
+    updated_at: db.fn.now(),
+  }));
+
+  const upsertQuery = db(TABLE_NAME).insert(rows).onConflict("key").merge();
+  const [upsertError] = await dbUtils.safeQuery(upsertQuery, "Update settings");
+  if (upsertError) return [SETTINGS_COULD_NOT_BE_UPDATED, null];
+
+  const [settingsError, settings] = await getSettings();
+  if (settingsError) return [SETTINGS_COULD_NOT_BE_UPDATED, null];
+
+  return [null, settings];
+}
+
+export default {
+  getSettings,
+  updateSettings,
+};
@@ -0,0 +1,108 @@
+import {
+  STAFF_COULD_NOT_BE_CREATED,
+  STAFF_INVALID_CREDENTIALS,
+  STAFF_USERNAME_TAKEN,
+} from "../constants/errors.js";
+import { randomBytes } from "crypto";
+import dbUtils from "./db-utils.js";
+import db from "./db.js";
+import { hashPassword, verifyPassword } from "../utils/passwords.js";
+
+/**
+ * @import { Staff } from '../typedefs.js';
+ */
+
+const TABLE_NAME = "staff";
+// the columns that are safe to return outside of this model (excluding the password hash)
+const PUBLIC_COLUMNS = ["id", "username", "role", "location_id", "created_at"];
+// a hash of a random password, checked when no account has the submitted username (see `verifyStaffCredentials`)
+let dummyPasswordHash;
+
+/**
+ * Creates a staff account.
+ *
+ * @param {string} username - the username the staff member signs in with
+ * @param {string} password - the plain-text password, which is hashed before being stored
+ * @param {string} role - the staff member's role (see constants/staff-roles.js)
+ * @param {string|null} [locationID=null] - the ID of the location the staff member works at,
+ * or null if they work at every location
+ * @returns {Promise<[string|null, Staff|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the created staff account, or `null` if an error occurred
+ * @description
+ * This function checks that the username is not already in use, hashes the password,
+ * and inserts the staff account into the 'staff' table.
+ */
+async function createStaff(username, password, role, locationID = null) {
+  const existingQuery = db(TABLE_NAME).select("id").where({ username }).first();
+  const [existingError, existing] = await dbUtils.safeQuery(
+    existingQuery,
+    "Select staff by username",
+  );
+  if (existingError) return [STAFF_COULD_NOT_BE_CREATED, null];
+  if (existing) return [STAFF_USERNAME_TAKEN, null];
+
+  const passwordHash = await hashPassword(password);
+  const insertQuery = db(TABLE_NAME)
+    .insert({
+      username,
+      password_hash: passwordHash,
+      role,
+      location_id: locationID,
+    })
+    .returning(PUBLIC_COLUMNS);
+
+  const [insertError, inserted] = await dbUtils.safeQuery(
+    insertQuery,
+    "Create staff",
+  );
+  if (insertError) return [STAFF_COULD_NOT_BE_CREATED, null];
+
+  return [null, inserted[0]];
+}
+
+/**
+ * Verifies a staff member's username and password.
+ *
+ * @param {string} username - the submitted username
+ * @param {string} password - the submitted plain-text password
+ * @returns {Promise<[string|null, Staff|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the staff account (without the password hash), or `null` if an error occurred
+ * @description
+ * This function looks up the staff account with the given username and compares the password
+ * against its stored hash.
+ * The same error code is returned whether the username or the password is incorrect, so that
+ * usernames cannot be discovered by signing in. For the same reason, the password is still checked
+ * (against a dummy hash) when no account has the username, so that signing in takes as long either way.
+ */
+async function verifyStaffCredentials(username, password) {
+  const staffQuery = db(TABLE_NAME)
+    .select([...PUBLIC_COLUMNS, "password_hash"])
+    .where({ username })
+    .first();
+
+  const [staffError, staff] = await dbUtils.safeQuery(
+    staffQuery,
+    "Select staff by username",
+  );
+  if (staffError) return [STAFF_INVALID_CREDENTIALS, null];
+  if (!staff) {
+    dummyPasswordHash ??= await hashPassword(randomBytes(16).toString("hex"));
+    await verifyPassword(password, dummyPasswordHash);
+    return [STAFF_INVALID_CREDENTIALS, null];
+  }
+
+  const { password_hash: passwordHash, ...publicStaff } = staff;
+  const isValidPassword = await verifyPassword(password, passwordHash);
+  if (!isValidPassword) return [STAFF_INVALID_CREDENTIALS, null];
+
+  return [null, publicStaff];
+}
+
+export default {
+  createStaff,
+  verifyStaffCredentials,
+};
@@ -0,0 +1,228 @@
+import {
+  COULD_NOT_GET_TABLES,
+  TABLE_COULD_NOT_BE_CREATED,
+  TABLE_COULD_NOT_BE_DELETED,
+  TABLE_NAME_TAKEN,
+  TABLE_NOT_FOUND,
+  TABLE_OCCUPIED,
+} from "../constants/errors.js";
+import dbUtils from "./db-utils.js";
+import db from "./db.js";
+
+/**
+ * @import { Table } from '../typedefs.js';
+ */
+
+const TABLE_NAME = "tables";
+const ASSIGNMENTS_TABLE_NAME = "table_assignments";
+
+/**
+ * Gets every table in the venue, along with the party occupying it.
+ *
+ * @param {string} locationID - the ID of the location whose tables to get
+ * @returns {Promise<[string|null, (Table & { party_id: string|null })[]|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is a list of tables, or `null` if an error occurred
+ * @description
+ * This function retrieves all tables ordered by section and name. Each table includes
+ * the ID of the party it is assigned to, or `null` if the table is free.
+ */
+async function getTables(locationID) {
+  const tablesQuery = db(TABLE_NAME)
+    .select(`${TABLE_NAME}.*`, `${ASSIGNMENTS_TABLE_NAME}.party_id`)
+    .leftJoin(
+      ASSIGNMENTS_TABLE_NAME,
+      `${ASSIGNMENTS_TABLE_NAME}.table_id`,
+      `${TABLE_NAME}.id`,
+    )
+    .where({ location_id: locationID })
+    .orderBy([
+      { column: "section", order: "asc", nulls: "last" },
+      { column: "name", order: "asc" },
+    ]);
+
+  const [tablesError, tables] = await dbUtils.safeQuery(
+    tablesQuery,
+    "Get tables",
+  );
+  if (tablesError) return [COULD_NOT_GET_TABLES, null];
+
+  return [null, tables];
+}
+
+/**
+ * Gets the number of tables in the venue.
+ *
+ * @param {string} locationID - the ID of the location whose tables to count
+ * @returns {Promise<[string|null, number|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the number of tables, or `null` if an error occurred
+ * @description
+ * When no tables have been added, the waitlist falls back to treating the venue as a single
+ * pool of seats (see `getLocationMaxSeats`), so this is used to determine how parties are dequeued.
+ */
+async function getTableCount(locationID) {
+  const countQuery = db(TABLE_NAME)
+    .count("id")
+    .where({ location_id: locationID });
+
+  const [countError, countResult] = await dbUtils.safeQuery(
+    countQuery,
+    "Get table count",
+  );
+  if (countError) return [COULD_NOT_GET_TABLES, null];
+
+  return [null, parseInt(countResult[0].count)];
+}
+
+/**
+ * Gets the tables that are not assigned to any party.
+ *
+ * @param {string} locationID - the ID of the location whose tables to get
+ * @returns {Promise<[string|null, Table[]|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is a list of free tables, or `null` if an error occurred
+ * @description
+ * A table is occupied from when a party is dequeued to it (so that it is held while they check in),
+ * until the party is removed from the waitlist (ex: when their seat expires).
+ */
+async function getFreeTables(locationID) {
+  const freeTablesQuery = db(TABLE_NAME)
+    .select("*")
+    .where({ location_id: locationID })
+    .whereNotExists(
+      db(ASSIGNMENTS_TABLE_NAME)
+        .select("table_id")
+        .whereRaw(`${ASSIGNMENTS_TABLE_NAME}.table_id = ${TABLE_NAME}.id`),
+    )
+    .orderBy("name", "asc");
+
+  const [freeTablesError, freeTables] = await dbUtils.safeQuery(
+    freeTablesQuery,
+    "Get free tables",
+  );
+  if (freeTablesError) return [COULD_NOT_GET_TABLES, null];
+
+  return [null, freeTables];
+}
+
+/**
+ * Gets the IDs of the tables a party is assigned to.
+ *
+ * @param {string} partyID - the ID of the party
+ * @returns {Promise<[string|null, string[]|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is a list of table IDs (empty if the party has no tables), or `null` if an error occurred
+ */
+async function getAssignedTableIDs(partyID) {
+  const assignedQuery = db(ASSIGNMENTS_TABLE_NAME)
+    .select("table_id")
+    .where({ party_id: partyID });
+
+  const [assignedError, assigned] = await dbUtils.safeQuery(
+    assignedQuery,
+    "Get party's assigned tables",
+  );
+  if (assignedError) return [COULD_NOT_GET_TABLES, null];
+
+  return [null, assigned.map(({ table_id }) => table_id)];
+}
+
+/**
+ * Adds a table to the venue.
+ *
+ * @param {string} locationID - the ID of the location to add the table to
+ * @param {object} table - the table to add
+ * @param {string} table.name - the name hosts know the table by
+ * @param {number} table.capacity - the most guests that can be seated at the table
+ * @param {number} [table.minPartySize=1] - the smallest party that should be seated at the table
+ * @param {string|null} [table.section=null] - the section of the venue the table is in
+ * @param {boolean} [table.combinable=false] - whether the table can be combined with others in its section
+ * @returns {Promise<[string|null, Table|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the created table, or `null` if an error occurred
+ * @description
+ * This function checks that the table's name is not already in use at the location,
+ * then inserts it into the 'tables' table.
+ */
+async function createTable(
+  locationID,
+  { name, capacity, minPartySize = 1, section = null, combinable = false },
+) {
+  const existingQuery = db(TABLE_NAME)
+    .select("id")
+    .where({ name, location_id: locationID })
+    .first();
+  const [existingError, existing] = await dbUtils.safeQuery(
+    existingQuery,
+    "Select table by name",
+  );
+  if (existingError) return [TABLE_COULD_NOT_BE_CREATED, null];
+  if (existing) return [TABLE_NAME_TAKEN, null];
+
+  const insertQuery = db(TABLE_NAME)
+    .insert({
+      location_id: locationID,
+      name,
+      capacity,
+      min_party_size: minPartySize,
+      section,
+      combinable,
+    })
+    .returning("*");
+
+  const [insertError, inserted] = await dbUtils.safeQuery(
+    insertQuery,
+    "Create table",
+  );
+  if (insertError) return [TABLE_COULD_NOT_BE_CREATED, null];
+
+  return [null, inserted[0]];
+}
+
+/**
+ * Removes a table from the venue.
+ *
+ * @param {string} locationID - the ID of the table's location
+ * @param {string} tableID - the ID of the table to remove
+ * @returns {Promise<[string|null, null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is null
+ * @description
+ * Tables that are occupied cannot be removed until the party occupying them leaves.
+ */
+async function deleteTable(locationID, tableID) {
+  const [assignmentError, assignment] = await dbUtils.safeQuery(
+    db(ASSIGNMENTS_TABLE_NAME).select("party_id").where({ table_id: tableID }),
+    "Get table assignment",
+  );
+  if (assignmentError) return [TABLE_COULD_NOT_BE_DELETED, null];
+  if (assignment.length > 0) return [TABLE_OCCUPIED, null];
+
+  const deleteQuery = db(TABLE_NAME)
+    .where({ id: tableID, location_id: locationID })
+    .del();
+  const [deleteError, deleted] = await dbUtils.safeQuery(
+    deleteQuery,
+    "Delete table",
+  );
+
+  if (deleteError) return [TABLE_COULD_NOT_BE_DELETED, null];
+  if (!deleted) return [TABLE_NOT_FOUND, null];
+  return [null, null];
+}
+
+export default {
+  getTables,
+  getTableCount,
+  getFreeTables,
+  getAssignedTableIDs,
+  createTable,
+  deleteTable,
+};
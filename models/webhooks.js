@@ -0,0 +1,359 @@
+import {
+  COULD_NOT_DISPATCH_WEBHOOKS,
+  COULD_NOT_GET_WEBHOOK_DELIVERIES,
+  COULD_NOT_GET_WEBHOOKS,
+  COULD_NOT_RECORD_WEBHOOK_DELIVERY,
+  WEBHOOK_COULD_NOT_BE_CREATED,
+  WEBHOOK_COULD_NOT_BE_DELETED,
+  WEBHOOK_NOT_FOUND,
+} from "../constants/errors.js";
+import {
+  DELIVERY_STATUS_DEAD,
+  DELIVERY_STATUS_PENDING,
+} from "../constants/webhook-events.js";
+import {
+  buildWebhookPayload,
+  getWebhookEventType,
+} from "../utils/webhook-payloads.js";
+import dbUtils from "./db-utils.js";
+import db from "./db.js";
+
+const TABLE_NAME = "webhook_subscriptions";
+const DELIVERIES_TABLE_NAME = "webhook_deliveries";
+const EVENTS_TABLE_NAME = "party_events";
+// the subscription details that are safe to send to managers (the secret is only sent on creation)
+const SUBSCRIPTION_COLUMNS = ["id", "url", "event_types", "created_at"];
+
+/**
+ * A webhook subscription, without its secret.
+ * @typedef {object} WebhookSubscription
+ * @property {string} id - the subscription's primary key
+ * @property {string} url - the URL that deliveries are POSTed to
+ * @property {string[]} event_types - the events the subscription receives (see constants/webhook-events.js)
+ * @property {Date} created_at - when the subscription was created
+ */
+
+/**
+ * An attempt (or series of attempts) to send a party event to a webhook subscription.
+ * @typedef {object} WebhookDelivery
+ * @property {number} id - the delivery's primary key
+ * @property {string} subscription_id - the subscription the delivery is sent to
+ * @property {number} party_event_id - the party history event the delivery is for
+ * @property {string} event_type - the webhook event type
+ * @property {object} payload - the JSON body of the delivery
+ * @property {"pending" | "delivered" | "dead"} status - the state of the delivery
+ * @property {number} attempts - how many times the delivery has been attempted
+ * @property {number|null} response_status - the HTTP status the subscriber responded with on the latest attempt
+ * @property {string|null} last_error - why the latest attempt failed (if it did)
+ * @property {Date} created_at - when the delivery was created
+ * @property {Date|null} updated_at - when the delivery was last attempted
+ */
+
+/**
+ * Gets every webhook subscription.
+ *
+ * @returns {Promise<[string|null, WebhookSubscription[]|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is a list of subscriptions, or `null` if an error occurred
+ */
+async function getSubscriptions() {
+  const subscriptionsQuery = db(TABLE_NAME)
+    .select(SUBSCRIPTION_COLUMNS)
+    .orderBy("created_at", "asc");
+
+  const [error, subscriptions] = await dbUtils.safeQuery(
+    subscriptionsQuery,
+    "Get webhook subscriptions",
+  );
+  if (error) return [COULD_NOT_GET_WEBHOOKS, null];
+
+  return [null, subscriptions];
+}
+
+/**
+ * Subscribes a URL to party lifecycle events.
+ *
+ * @param {object} subscription - the subscription to create
+ * @param {string} subscription.url - the URL to POST deliveries to
+ * @param {string} subscription.secret - the secret used to sign deliveries
+ * @param {string[]} subscription.eventTypes - the events to send (see constants/webhook-events.js)
+ * @returns {Promise<[string|null, (WebhookSubscription & { secret: string })|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the created subscription (including its secret), or `null` if an error occurred
+ * @description
+ * The subscription only receives events that occur after it is created.
+ */
+async function createSubscription({ url, secret, eventTypes }) {
+  const insertQuery = db(TABLE_NAME)
+    .insert({ url, secret, event_types: eventTypes })
+    .returning([...SUBSCRIPTION_COLUMNS, "secret"]);
+
+  const [error, inserted] = await dbUtils.safeQuery(
+    insertQuery,
+    "Create webhook subscription",
+  );
+  if (error) return [WEBHOOK_COULD_NOT_BE_CREATED, null];
+
+  return [null, inserted[0]];
+}
+
+/**
+ * Deletes a webhook subscription, along with its delivery log.
+ *
+ * @param {string} subscriptionID - the ID of the subscription
+ * @returns {Promise<[string|null, null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is null
+ * @description
+ * Any deliveries still being retried are skipped once the subscription is deleted.
+ */
+async function deleteSubscription(subscriptionID) {
+  const deleteQuery = db(TABLE_NAME).where({ id: subscriptionID }).del();
+  const [error, deleted] = await dbUtils.safeQuery(
+    deleteQuery,
+    "Delete webhook subscription",
+  );
+
+  if (error) return [WEBHOOK_COULD_NOT_BE_DELETED, null];
+  if (!deleted) return [WEBHOOK_NOT_FOUND, null];
+  return [null, null];
+}
+
+/**
+ * Gets the most recent deliveries to a webhook subscription.
+ *
+ * @param {string} subscriptionID - the ID of the subscription
+ * @param {number} limit - the most deliveries to get
+ * @returns {Promise<[string|null, WebhookDelivery[]|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is a list of deliveries (most recent first), or `null` if an error occurred
+ */
+async function getDeliveries(subscriptionID, limit) {
+  const [subscriptionError, subscription] = await dbUtils.safeQuery(
+    db(TABLE_NAME).select("id").where({ id: subscriptionID }).first(),
+    "Get webhook subscription",
+  );
+  if (subscriptionError) return [COULD_NOT_GET_WEBHOOK_DELIVERIES, null];
+  if (!subscription) return [WEBHOOK_NOT_FOUND, null];
+
+  const deliveriesQuery = db(DELIVERIES_TABLE_NAME)
+    .select("*")
+    .where({ subscription_id: subscriptionID })
+    .orderBy("id", "desc")
+    .limit(limit);
+
+  const [error, deliveries] = await dbUtils.safeQuery(
+    deliveriesQuery,
+    "Get webhook deliveries",
+  );
+  if (error) return [COULD_NOT_GET_WEBHOOK_DELIVERIES, null];
+
+  return [null, deliveries];
+}
+
+/**
+ * Turns the party events that have not yet been dispatched into webhook deliveries.
+ *
+ * @param {number} batchSize - the most party events to dispatch
+ * @returns {Promise<[string|null, number|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is how many party events were dispatched, or `null` if an error occurred
+ * @description
+ * The party history acts as an outbox: every status transition is recorded in the same
+ * transaction as the change, so reading the undispatched events here never misses
+ * (or sends) a transition that was rolled back.
+ *
+ * Each event creates a pending delivery for every subscription to its event type, and is then
+ * marked as dispatched. The events are locked (skipping any already locked) so that concurrent
+ * dispatches never create the same deliveries twice.
+ */
+async function dispatchPartyEvents(batchSize) {
+  const transaction = db.transaction(async (trx) => {
+    const partyEvents = await trx(EVENTS_TABLE_NAME)
+      .select("*")
+      .whereNull("webhooks_dispatched_at")
+      .orderBy("id")
+      .limit(batchSize)
+      .forUpdate()
+      .skipLocked();
+    if (partyEvents.length < 1) return 0;
+
+    const subscriptions = await trx(TABLE_NAME).select("id", "event_types");
+    const deliveries = partyEvents.flatMap((partyEvent) => {
+      const eventType = getWebhookEventType(
+        partyEvent.previous_status,
+        partyEvent.status,
+      );
+      if (!eventType) return [];
+
+      return subscriptions
+        .filter(({ event_types }) => event_types.includes(eventType))
+        .map((subscription) => ({
+          subscription_id: subscription.id,
+          party_event_id: partyEvent.id,
+          event_type: eventType,
+          payload: buildWebhookPayload(partyEvent, eventType),
+        }));
+    });
+
+    if (deliveries.length > 0) {
+      await trx(DELIVERIES_TABLE_NAME)
+        .insert(deliveries)
+        .onConflict(["subscription_id", "party_event_id"])
+        .ignore();
+    }
+    await trx(EVENTS_TABLE_NAME)
+      .update({ webhooks_dispatched_at: trx.fn.now() })
+      .whereIn(
+        "id",
+        partyEvents.map(({ id }) => id),
+      );
+
+    return partyEvents.length;
+  });
+
+  const [error, dispatchedCount] = await dbUtils.safeQuery(
+    transaction,
+    "Dispatch party events to webhooks",
+  );
+  if (error) return [COULD_NOT_DISPATCH_WEBHOOKS, null];
+
+  return [null, dispatchedCount];
+}
+
+/**
+ * Gets the IDs of the deliveries that have not yet been delivered (or given up on).
+ *
+ * @param {number} limit - the most delivery IDs to get
+ * @returns {Promise<[string|null, number[]|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is a list of delivery IDs (oldest first), or `null` if an error occurred
+ */
+async function getPendingDeliveryIDs(limit) {
+  const pendingQuery = db(DELIVERIES_TABLE_NAME)
+    .select("id")
+    .where({ status: DELIVERY_STATUS_PENDING })
+    .orderBy("id")
+    .limit(limit);
+
+  const [error, pending] = await dbUtils.safeQuery(
+    pendingQuery,
+    "Get pending webhook deliveries",
+  );
+  if (error) return [COULD_NOT_GET_WEBHOOK_DELIVERIES, null];
+
+  return [null, pending.map(({ id }) => id)];
+}
+
+/**
+ * Gets a delivery along with the subscription it is sent to.
+ *
+ * @param {number} deliveryID - the ID of the delivery
+ * @returns {Promise<[string|null, (WebhookDelivery & { url: string, secret: string })|null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is the delivery with its subscription's URL and secret, or `null` if an error occurred
+ * @description
+ * If there is no such delivery (ex: its subscription was deleted), a `WEBHOOK_NOT_FOUND` error is returned.
+ */
+async function getDeliveryWithSubscription(deliveryID) {
+  const deliveryQuery = db(DELIVERIES_TABLE_NAME)
+    .select(
+      `${DELIVERIES_TABLE_NAME}.*`,
+      `${TABLE_NAME}.url`,
+      `${TABLE_NAME}.secret`,
+    )
+    .join(
+      TABLE_NAME,
+      `${TABLE_NAME}.id`,
+      `${DELIVERIES_TABLE_NAME}.subscription_id`,
+    )
+    .where(`${DELIVERIES_TABLE_NAME}.id`, deliveryID)
+    .first();
+
+  const [error, delivery] = await dbUtils.safeQuery(
+    deliveryQuery,
+    "Get webhook delivery",
+  );
+  if (error) return [COULD_NOT_GET_WEBHOOK_DELIVERIES, null];
+  if (!delivery) return [WEBHOOK_NOT_FOUND, null];
+
+  return [null, delivery];
+}
+
+/**
+ * Records the outcome of an attempt to send a delivery.
+ *
+ * @param {number} deliveryID - the ID of the delivery
+ * @param {object} attempt - the outcome of the attempt
+ * @param {string} attempt.status - the delivery's status after the attempt (see constants/webhook-events.js)
+ * @param {number|null} attempt.responseStatus - the HTTP status the subscriber responded with (`null` if they did not respond)
+ * @param {string|null} attempt.error - why the attempt failed (`null` if it succeeded)
+ * @returns {Promise<[string|null, null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is null
+ */
+async function recordDeliveryAttempt(
+  deliveryID,
+  { status, responseStatus, error },
+) {
+  const updateQuery = db(DELIVERIES_TABLE_NAME)
+    .update({
+      status,
+      attempts: db.raw("attempts + 1"),
+      response_status: responseStatus,
+      last_error: error,
+      updated_at: db.fn.now(),
+    })
+    .where({ id: deliveryID });
+
+  const [updateError] = await dbUtils.safeQuery(
+    updateQuery,
+    "Record webhook delivery attempt",
+  );
+  if (updateError) return [COULD_NOT_RECORD_WEBHOOK_DELIVERY, null];
+
+  return [null, null];
+}
+
+/**
+ * Marks a delivery as dead, once it has failed on every attempt.
+ *
+ * @param {number} deliveryID - the ID of the delivery
+ * @returns {Promise<[string|null, null]>}
+ * a tuple where
+ *  - the first value is an error message code (if any), or `null` if successful
+ *  - the second value is null
+ */
+async function markDeliveryDead(deliveryID) {
+  const updateQuery = db(DELIVERIES_TABLE_NAME)
+    .update({ status: DELIVERY_STATUS_DEAD, updated_at: db.fn.now() })
+    .where({ id: deliveryID, status: DELIVERY_STATUS_PENDING });
+
+  const [updateError] = await dbUtils.safeQuery(
+    updateQuery,
+    "Mark webhook delivery dead",
+  );
+  if (updateError) return [COULD_NOT_RECORD_WEBHOOK_DELIVERY, null];
+
+  return [null, null];
+}
+
+export default {
+  getSubscriptions,
+  createSubscription,
+  deleteSubscription,
+  getDeliveries,
+  dispatchPartyEvents,
+  getPendingDeliveryIDs,
+  getDeliveryWithSubscription,
+  recordDeliveryAttempt,
+  markDeliveryDead,
+};
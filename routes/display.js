@@ -0,0 +1,10 @@
+import express from "express";
+import displayViewControllers from "../controllers/display/display-view-controller.js";
+import displayController from "../controllers/display/display-controller.js";
+
+const router = express.Router();
+
+router.get("/display", displayViewControllers.renderDisplayPage);
+router.get("/display/events", displayController.streamDisplayEvents);
+
+export default router;
@@ -0,0 +1,48 @@
+import express from "express";
+import hostValidators from "../validators/host.js";
+import hostViewControllers from "../controllers/host/host-view-controller.js";
+import hostController from "../controllers/host/host-controller.js";
+import requireRole from "../middleware/require-role.js";
+import { ROLE_HOST, ROLE_MANAGER } from "../constants/staff-roles.js";
+
+const router = express.Router();
+
+// managers can do everything a host can
+router.use("/host", requireRole(ROLE_HOST, ROLE_MANAGER));
+
+router.get("/host", hostViewControllers.renderDashboardPage);
+router.get("/host/events", hostController.streamWaitlistEvents);
+router.patch(
+  "/host/parties/:partyID/dequeue",
+  hostValidators.partyIDValidator,
+  hostController.dequeueParty,
+);
+router.patch(
+  "/host/parties/:partyID/seat",
+  hostValidators.partyIDValidator,
+  hostController.seatParty,
+);
+router.patch(
+  "/host/parties/:partyID/extend",
+  hostValidators.extendSeatValidator,
+  hostController.extendSeat,
+);
+router.patch(
+  "/host/parties/:partyID/extend-checkin",
+  hostValidators.extendCheckinValidator,
+  hostController.extendCheckin,
+);
+router.patch(
+  "/host/waitlist",
+  hostValidators.waitlistPausedValidator,
+  hostController.setWaitlistPaused,
+);
+router.post("/host/kiosk", hostController.startKioskMode);
+router.delete("/host/kiosk", hostController.stopKioskMode);
+router.delete(
+  "/host/parties/:partyID",
+  hostValidators.partyIDValidator,
+  hostController.removeParty,
+);
+
+export default router;
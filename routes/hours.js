@@ -0,0 +1,28 @@
+import express from "express";
+import hoursValidators from "../validators/hours.js";
+import hoursController from "../controllers/hours/hours-controller.js";
+import requireRole from "../middleware/require-role.js";
+import { ROLE_MANAGER } from "../constants/staff-roles.js";
+
+const router = express.Router();
+
+router.use("/hours", requireRole(ROLE_MANAGER));
+
+router.get("/hours", hoursController.getHours);
+router.put(
+  "/hours",
+  hoursValidators.weeklyHoursValidator,
+  hoursController.updateWeeklyHours,
+);
+router.put(
+  "/hours/overrides/:date",
+  hoursValidators.hoursOverrideValidator,
+  hoursController.setHoursOverride,
+);
+router.delete(
+  "/hours/overrides/:date",
+  hoursValidators.overrideDateValidator,
+  hoursController.deleteHoursOverride,
+);
+
+export default router;
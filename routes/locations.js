@@ -0,0 +1,18 @@
+import express from "express";
+import locationValidators from "../validators/locations.js";
+import locationController from "../controllers/locations/location-controller.js";
+import requireRole from "../middleware/require-role.js";
+import { ROLE_MANAGER } from "../constants/staff-roles.js";
+
+const router = express.Router();
+
+router.use("/locations", requireRole(ROLE_MANAGER));
+
+router.get("/locations", locationController.getLocations);
+router.post(
+  "/locations",
+  locationValidators.createLocationValidator,
+  locationController.createLocation,
+);
+
+export default router;
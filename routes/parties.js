@@ -2,22 +2,70 @@ import express from "express";
 import partyValidators from "../validators/parties.js";
 import partyViewControllers from "../controllers/parties/party-view-controller.js";
 import partyController from "../controllers/parties/party-controller.js";
+import rateLimit from "../middleware/rate-limit.js";
+import {
+  RECOVERY_RATE_LIMIT,
+  RECOVERY_RATE_LIMIT_WINDOW_SECONDS,
+} from "../config/recovery.js";
 
 const router = express.Router();
 
-router.get("/", (_req, res) => {
-  res.redirect("/party/new");
+// recovery attempts share a limit, so that party IDs (and recovery links) cannot be brute-forced
+const recoveryRateLimit = rateLimit(
+  "party-recovery",
+  RECOVERY_RATE_LIMIT,
+  RECOVERY_RATE_LIMIT_WINDOW_SECONDS,
+);
+
+router.get("/", (req, res) => {
+  res.redirect(`${req.locationPath}/party/new`);
 });
 
 router.get("/party/new", partyViewControllers.renderNewPartyPage);
+router.get(
+  "/party/new/qr.:format",
+  partyValidators.qrCodeValidator,
+  partyViewControllers.sendJoinQRCode,
+);
 router.get("/party", partyViewControllers.renderPartyStatusPage);
 router.post(
   "/party",
   partyValidators.createPartyValidator,
   partyController.createParty,
 );
+router.patch(
+  "/party",
+  partyValidators.updatePartyValidator,
+  partyController.updateParty,
+);
 router.patch("/party/check-in", partyController.checkInParty);
+router.patch("/party/snooze", partyController.snoozeParty);
 router.delete("/party", partyController.deleteParty);
+router.get(
+  "/party/recover",
+  recoveryRateLimit,
+  partyViewControllers.renderRecoverPartyPage,
+);
+router.post(
+  "/party/recover",
+  recoveryRateLimit,
+  partyValidators.recoverPartyValidator,
+  partyController.recoverParty,
+);
 router.get("/party/events", partyController.streamPartyEvents);
+router.get(
+  "/party/recover/qr.:format",
+  partyValidators.qrCodeValidator,
+  partyViewControllers.sendRecoveryQRCode,
+);
+router.get(
+  "/party/push-service-worker.js",
+  partyViewControllers.sendPushServiceWorker,
+);
+router.post(
+  "/party/push-subscription",
+  partyValidators.pushSubscriptionValidator,
+  partyController.savePushSubscription,
+);
 
 export default router;
@@ -0,0 +1,28 @@
+import express from "express";
+import reportValidators from "../validators/reports.js";
+import reportController from "../controllers/reports/report-controller.js";
+import reportViewControllers from "../controllers/reports/report-view-controller.js";
+import requireRole from "../middleware/require-role.js";
+import { ROLE_MANAGER } from "../constants/staff-roles.js";
+
+const router = express.Router();
+
+router.use("/reports", requireRole(ROLE_MANAGER));
+
+router.get(
+  "/reports",
+  reportValidators.reportRangeValidator,
+  reportViewControllers.renderReportsPage,
+);
+router.get(
+  "/reports/metrics",
+  reportValidators.reportRangeValidator,
+  reportController.getReport,
+);
+router.get(
+  "/reports/export",
+  reportValidators.exportValidator,
+  reportController.exportPartyRecords,
+);
+
+export default router;
@@ -0,0 +1,28 @@
+import express from "express";
+import reservationValidators from "../validators/reservations.js";
+import reservationController from "../controllers/reservations/reservation-controller.js";
+import requireRole from "../middleware/require-role.js";
+import { ROLE_HOST, ROLE_MANAGER } from "../constants/staff-roles.js";
+
+const router = express.Router();
+
+router.use("/reservations", requireRole(ROLE_HOST, ROLE_MANAGER));
+
+router.get("/reservations", reservationController.getReservations);
+router.post(
+  "/reservations",
+  reservationValidators.createReservationValidator,
+  reservationController.createReservation,
+);
+router.delete(
+  "/reservations/:reservationID",
+  reservationValidators.reservationIDValidator,
+  reservationController.cancelReservation,
+);
+router.post(
+  "/reservations/:reservationID/check-in",
+  reservationValidators.reservationIDValidator,
+  reservationController.checkInReservation,
+);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from "express";
+import settingsValidators from "../validators/settings.js";
+import settingsController from "../controllers/settings/settings-controller.js";
+import requireRole from "../middleware/require-role.js";
+import { ROLE_MANAGER } from "../constants/staff-roles.js";
+
+const router = express.Router();
+
+router.use("/settings", requireRole(ROLE_MANAGER));
+
+router.get("/settings", settingsController.getSettings);
+router.patch(
+  "/settings",
+  settingsValidators.updateSettingsValidator,
+  settingsController.updateSettings,
+);
+
+export default router;
@@ -0,0 +1,37 @@
+import express from "express";
+import staffValidators from "../validators/staff.js";
+import staffViewControllers from "../controllers/staff/staff-view-controller.js";
+import staffController from "../controllers/staff/staff-controller.js";
+import requireRole from "../middleware/require-role.js";
+import rateLimit from "../middleware/rate-limit.js";
+import { ROLE_MANAGER } from "../constants/staff-roles.js";
+import {
+  STAFF_LOGIN_RATE_LIMIT,
+  STAFF_LOGIN_RATE_LIMIT_WINDOW_SECONDS,
+} from "../config/staff.js";
+
+const router = express.Router();
+
+// sign in attempts are limited, so that staff passwords cannot be brute-forced
+const loginRateLimit = rateLimit(
+  "staff-login",
+  STAFF_LOGIN_RATE_LIMIT,
+  STAFF_LOGIN_RATE_LIMIT_WINDOW_SECONDS,
+);
+
+router.get("/staff/login", staffViewControllers.renderLoginPage);
+router.post(
+  "/staff/login",
+  loginRateLimit,
+  staffValidators.loginValidator,
+  staffController.login,
+);
+router.post("/staff/logout", staffController.logout);
+router.post(
+  "/staff",
+  requireRole(ROLE_MANAGER),
+  staffValidators.createStaffValidator,
+  staffController.createStaff,
+);
+
+export default router;
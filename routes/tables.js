@@ -0,0 +1,23 @@
+import express from "express";
+import tableValidators from "../validators/tables.js";
+import tableController from "../controllers/tables/table-controller.js";
+import requireRole from "../middleware/require-role.js";
+import { ROLE_MANAGER } from "../constants/staff-roles.js";
+
+const router = express.Router();
+
+router.use("/tables", requireRole(ROLE_MANAGER));
+
+router.get("/tables", tableController.getTables);
+router.post(
+  "/tables",
+  tableValidators.createTableValidator,
+  tableController.createTable,
+);
+router.delete(
+  "/tables/:tableID",
+  tableValidators.tableIDValidator,
+  tableController.deleteTable,
+);
+
+export default router;
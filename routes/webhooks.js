@@ -0,0 +1,28 @@
+import express from "express";
+import webhookValidators from "../validators/webhooks.js";
+import webhookController from "../controllers/webhooks/webhook-controller.js";
+import requireRole from "../middleware/require-role.js";
+import { ROLE_MANAGER } from "../constants/staff-roles.js";
+
+const router = express.Router();
+
+router.use("/webhooks", requireRole(ROLE_MANAGER));
+
+router.get("/webhooks", webhookController.getWebhooks);
+router.post(
+  "/webhooks",
+  webhookValidators.createWebhookValidator,
+  webhookController.createWebhook,
+);
+router.delete(
+  "/webhooks/:webhookID",
+  webhookValidators.webhookIDValidator,
+  webhookController.deleteWebhook,
+);
+router.get(
+  "/webhooks/:webhookID/deliveries",
+  webhookValidators.webhookIDValidator,
+  webhookController.getWebhookDeliveries,
+);
+
+export default router;
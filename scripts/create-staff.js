@@ -0,0 +1,113 @@
+/**
+ * @file This script creates a staff account from the command line, allowing the first
+ * manager account to be created before anyone is able to sign in.
+ *
+ * Usage:
+ *   npm run staff:create -- --username <username> [--role <host|manager>] [--location <slug>]
+ *
+ * Staff who are not given a location can work at every location.
+ *
+ * The password is read from the `STAFF_PASSWORD` environmental variable if set,
+ * otherwise it is prompted for.
+ */
+import "../config/load-config.js";
+import { parseArgs } from "util";
+import { createInterface } from "readline/promises";
+import { Writable } from "stream";
+import db from "../models/db.js";
+import staff from "../models/staff.js";
+import locations from "../models/locations.js";
+import { getClientErrorMessage } from "../constants/errors.js";
+import { ROLE_MANAGER, STAFF_ROLES } from "../constants/staff-roles.js";
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Prompts for the new account's password.
+ *
+ * @returns {Promise<string>} the entered password
+ * @description
+ * The password is not echoed as it is typed, so that it does not end up on screen or in the scrollback.
+ * A password can also be piped in on stdin (ex: from a password manager).
+ */
+async function promptForPassword() {
+  // readline echoes what is typed to its output, so it is given one that discards everything
+  const mutedOutput = new Writable({
+    write(_chunk, _encoding, callback) {
+      callback();
+    },
+  });
+  process.stdout.write("Password: ");
+  const readline = createInterface({
+    input: process.stdin,
+    output: mutedOutput,
+    terminal: Boolean(process.stdin.isTTY),
+  });
+  const password = await readline.question("");
+  readline.close();
+  process.stdout.write("\n");
+
+  return password;
+}
+
+/**
+ * Parses the command line arguments and creates the staff account.
+ *
+ * @returns {Promise<number>} the exit code for the process
+ */
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      username: { type: "string" },
+      role: { type: "string", default: ROLE_MANAGER },
+      location: { type: "string" },
+    },
+  });
+
+  if (!values.username) {
+    console.error("A username is required (--username <username>)");
+    return 1;
+  }
+  if (!STAFF_ROLES.includes(values.role)) {
+    console.error(`Role must be one of: ${STAFF_ROLES.join(", ")}`);
+    return 1;
+  }
+
+  let locationID = null;
+  if (values.location) {
+    const [locationError, location] = await locations.getLocationBySlug(
+      values.location,
+    );
+    if (locationError) {
+      console.error(getClientErrorMessage(locationError));
+      return 1;
+    }
+    locationID = location.id;
+  }
+
+  const password = process.env.STAFF_PASSWORD ?? (await promptForPassword());
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    console.error(
+      `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    );
+    return 1;
+  }
+
+  const [error, account] = await staff.createStaff(
+    values.username.trim(),
+    password,
+    values.role,
+    locationID,
+  );
+  if (error) {
+    console.error(getClientErrorMessage(error));
+    return 1;
+  }
+
+  console.log(`Created ${account.role} account: ${account.username}`);
+  return 0;
+}
+
+const exitCode = await main();
+await db.destroy();
+process.exit(exitCode);
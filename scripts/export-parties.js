@@ -0,0 +1,102 @@
+/**
+ * @file This script exports the party history from the command line, for reconciling
+ * or analyzing the waitlist outside of the app.
+ *
+ * Usage:
+ *   npm run parties:export -- --from <date> --to <date> [--location <slug>] [--format <csv|ndjson>] [--output <file>]
+ *
+ * The records are for the default location unless a location's slug is given.
+ * They are written to the output file if given, otherwise to stdout.
+ */
+import "../config/load-config.js";
+import { parseArgs } from "util";
+import { createWriteStream } from "fs";
+import { pipeline } from "stream/promises";
+import db from "../models/db.js";
+import locations from "../models/locations.js";
+import exportService from "../services/export-service.js";
+import {
+  EXPORT_FORMAT_CSV,
+  EXPORT_FORMATS,
+} from "../constants/export-formats.js";
+import { DEFAULT_LOCATION_SLUG } from "../constants/locations.js";
+
+/**
+ * Parses a date argument.
+ *
+ * @param {string|undefined} value - the argument's value
+ * @returns {Date|null} the date, or null if the value is not a valid date
+ */
+function parseDate(value) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parses the command line arguments and exports the party history.
+ *
+ * @returns {Promise<number>} the exit code for the process
+ */
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+      location: { type: "string", default: DEFAULT_LOCATION_SLUG },
+      format: { type: "string", default: EXPORT_FORMAT_CSV },
+      output: { type: "string" },
+    },
+  });
+
+  const from = parseDate(values.from);
+  const to = parseDate(values.to);
+  if (!from || !to) {
+    console.error("A date range is required (--from <date> --to <date>)");
+    return 1;
+  }
+  if (from >= to) {
+    console.error("From must be before to");
+    return 1;
+  }
+  if (!EXPORT_FORMATS.includes(values.format)) {
+    console.error(`Format must be one of: ${EXPORT_FORMATS.join(", ")}`);
+    return 1;
+  }
+
+  const [locationError, location] = await locations.getLocationBySlug(
+    values.location,
+  );
+  if (locationError) {
+    console.error(
+      `Could not find a location with the slug "${values.location}"`,
+    );
+    return 1;
+  }
+
+  const output = values.output
+    ? createWriteStream(values.output)
+    : process.stdout;
+  try {
+    await pipeline(
+      exportService.createPartyExportStream(
+        values.format,
+        location.id,
+        from,
+        to,
+      ),
+      output,
+    );
+  } catch (error) {
+    console.error(`Could not export the party history: ${error.message}`);
+    return 1;
+  }
+
+  if (values.output) console.log(`Exported party history to ${values.output}`);
+  return 0;
+}
+
+const exitCode = await main();
+await db.destroy();
+process.exit(exitCode);
@@ -1,7 +1,11 @@
 import app from "./app.js";
 import logger from "./utils/logger.js";
+import { watchWaitlistSettings } from "./utils/waitlist-settings.js";
 const port = process.env.PORT || 3000;
 
+// managers can change the waitlist settings while the app is running (see routes/settings.js)
+await watchWaitlistSettings();
+
 app.listen(port, () => {
   logger.info("Running application on port: ", port);
   logger.info(`http://localhost:${port}`);
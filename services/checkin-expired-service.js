@@ -2,32 +2,37 @@ import parties from "../models/parties.js";
 import { CHANNEL_CHECKING_IN_EXPIRED } from "../constants/pub-sub-channels.js";
 import { DEQUEUE_QUEUE } from "../constants/message-queues.js";
 import redis from "../utils/redis.js";
+import { getLocationKey } from "../utils/location-keys.js";
 
 /**
  * This service is responsible for removing users from the database who
  * are set to "checking_in", but have not checked in within the expiry period
  * (indicating that they do not intend to do so).
  *
+ * @param {string} locationID - the ID of the location whose parties to expire
  * @returns {Promise<void>}
  * @description
- * Deletes parties whose status are checking in and whose checkin expiry period are overdue.
+ * Deletes the location's parties whose status are checking in and whose checkin expiry period are overdue.
  * If any parties are deleted, broadcasts those parties' IDs,
- * then adds a dequeue job to the dequeue queue (as the queue can now shift forward).
+ * then adds a dequeue job for the location to the dequeue queue (as the queue can now shift forward).
  */
-async function expireCheckedinUsers() {
+async function expireCheckedinUsers(locationID) {
   // get all the party IDs of parties that were deleted
   const [expiredIDsErrors, expiredIDs] =
-    await parties.deleteCheckingInExpiredParties();
+    await parties.deleteCheckingInExpiredParties(locationID);
   if (expiredIDsErrors) return [expiredIDsErrors, expiredIDs];
 
   // broadcast the IDs of clients whose party IDs were expired
   const message = JSON.stringify({ partyIDs: expiredIDs });
   const redisClient = redis.createRedisClient();
-  await redisClient.publish(CHANNEL_CHECKING_IN_EXPIRED, message);
+  await redisClient.publish(
+    getLocationKey(CHANNEL_CHECKING_IN_EXPIRED, locationID),
+    message,
+  );
 
   // call the dequeue worker to shift the queue
   const queue = redis.createQueue(DEQUEUE_QUEUE);
-  await queue.add("dequeue");
+  await queue.add("dequeue", { locationID });
 }
 
 export default {
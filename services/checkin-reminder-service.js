@@ -0,0 +1,54 @@
+import parties from "../models/parties.js";
+import { CHANNEL_CHECKIN_WINDOW_CLOSING } from "../constants/pub-sub-channels.js";
+import redis from "../utils/redis.js";
+import { getLocationKey } from "../utils/location-keys.js";
+
+/**
+ * This service is responsible for reminding dequeued parties who have not checked in yet
+ * that their check-in window is closing.
+ *
+ * @param {string} locationID - the ID of the parties' location
+ * @param {string[]} partyIDs - the IDs of the parties that were dequeued together
+ * @param {string} checkingInExpiration - when the parties' checking-in status expires
+ * @param {string} remindAt - when the reminder was scheduled for
+ * @returns {Promise<[string|null, string|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is a string with a success message if no error occurred, and null otherwise
+ * @description
+ * Only the parties who are still checking in (with the same check-in expiration) are reminded.
+ * Their IDs are broadcast on the location's `CHANNEL_CHECKIN_WINDOW_CLOSING` channel, so that their status
+ * pages can warn them, and the notifications and push workers can notify them.
+ */
+async function remindCheckingInParties(
+  locationID,
+  partyIDs,
+  checkingInExpiration,
+  remindAt,
+) {
+  const [checkingInError, checkingInPartyIDs] =
+    await parties.getCheckingInPartyIDs(
+      locationID,
+      partyIDs,
+      checkingInExpiration,
+    );
+  if (checkingInError) return [checkingInError, null];
+  if (checkingInPartyIDs.length < 1) return [null, "No parties to remind"];
+
+  const message = JSON.stringify({
+    partyIDs: checkingInPartyIDs,
+    checkingInExpiration,
+    remindAt,
+  });
+  const redisClient = redis.createRedisClient();
+  await redisClient.publish(
+    getLocationKey(CHANNEL_CHECKIN_WINDOW_CLOSING, locationID),
+    message,
+  );
+
+  return [null, `Reminded ${checkingInPartyIDs.length} parties`];
+}
+
+export default {
+  remindCheckingInParties,
+};
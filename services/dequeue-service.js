@@ -1,119 +1,463 @@
 import parties from "../models/parties.js";
+import tables from "../models/tables.js";
+import locations from "../models/locations.js";
+import reservations from "../models/reservations.js";
+import tableService from "./table-service.js";
+import waitEstimateService from "./wait-estimate-service.js";
+import {
+  getDequeueStrategy,
+  getSkippedPartyIDs,
+} from "./dequeue-strategies.js";
+import {
+  createSeatPoolCapacity,
+  createTableCapacity,
+} from "../utils/seating-capacity.js";
+import {
+  CHECKIN_REMINDER_POINTS,
+  DEQUEUE_STRATEGY,
+} from "../config/waitlist.js";
+import { getCheckinExpirySeconds } from "../utils/waitlist-settings.js";
 import {
   CACHE_QUEUED_PARTY_POSITIONS,
+  CHANNEL_CHECKIN_EXTENDED,
   CHANNEL_DEQUEUE,
   CHANNEL_QUEUE_POSITIONS,
 } from "../constants/pub-sub-channels.js";
 import scheduleJobAt from "../utils/schedule-job.js";
-import { CHECKIN_EXPIRED_QUEUE } from "../constants/message-queues.js";
+import {
+  CHECKIN_EXPIRED_QUEUE,
+  CHECKIN_REMINDER_QUEUE,
+} from "../constants/message-queues.js";
 import redisHandler from "../utils/redis.js";
+import { getLocationKey } from "../utils/location-keys.js";
+import { getLocationMaxSeats } from "../utils/location-seats.js";
+import { PARTY_NOT_FOUND } from "../constants/errors.js";
 
 /**
  * @import Redis from 'ioredis';
+ * @import { Location } from '../typedefs.js';
+ * @import { SeatingCapacity } from '../utils/seating-capacity.js';
  */
 
+const dequeueStrategy = getDequeueStrategy(DEQUEUE_STRATEGY);
+
 /**
- * This function handles the dequeue updates for parties based on the available seats.
+ * This function schedules the reminders for dequeued parties who have not checked in yet.
  *
- * @param {number} availableSeats - the number of available seats to dequeue parties for
- * @param {Redis} redis - a redis instance
- * @returns {Promise<[string|null, string|null]>}
- * a tuple where
- * - the first element is an error message if there was an error, or null if there was no error
- * - the second element is a message indicating the result of the dequeue operation, or null if an error occurred
+ * @param {string} locationID - the ID of the parties' location
+ * @param {string[]} partyIDs - the IDs of the parties that were dequeued
+ * @param {string} checkingInExpiration - when the parties' checking-in status expires
+ * @returns {Promise<void>}
  * @private
  * @description
- * This function retrieves parties that can be dequeued based on the available seats.
- * It sets their checking-in status and schedules a job to handle check-in expiration.
- * It then publishes the dequeued parties to a Redis channel.
+ * A job is scheduled at each of the `CHECKIN_REMINDER_POINTS` (fractions of the check-in window).
+ * Each job carries the time it was scheduled for, which identifies the reminder so that its
+ * notifications are only sent once (even if the reminder is received by several workers).
  */
-async function handleDequeueUpdates(availableSeats, redis) {
-  const [toDequeuePartyIDsError, toDequeuePartyIDs] =
-    await parties.getPartiesToDequeue(availableSeats);
-  if (toDequeuePartyIDsError) return [toDequeuePartyIDsError, null];
-  if (toDequeuePartyIDs.length < 1) return [null, "No users in queue"];
+async function scheduleCheckinReminders(
+  locationID,
+  partyIDs,
+  checkingInExpiration,
+) {
+  const expirationMs = new Date(checkingInExpiration).getTime();
+  const checkinExpirySeconds = getCheckinExpirySeconds();
+  const queue = redisHandler.createQueue(CHECKIN_REMINDER_QUEUE);
 
-  // set those parties' checking-in status and get when that checkin-status will expire
-  const [checkingInExpirationError, checkingInExpiration] =
-    await parties.setCheckingInStatus(toDequeuePartyIDs);
-  if (checkingInExpirationError) return [checkingInExpirationError, null];
-  // in this case, there's not been any parties updated
-  if (!checkingInExpiration) return [null, "No parties updated"];
+  for (const point of CHECKIN_REMINDER_POINTS) {
+    const remindAt = new Date(
+      expirationMs - (1 - point) * checkinExpirySeconds * 1000,
+    );
+    await scheduleJobAt(
+      queue,
+      "remind-checking-in-users",
+      {
+        locationID,
+        partyIDs,
+        checkingInExpiration,
+        remindAt: remindAt.toISOString(),
+      },
+      remindAt,
+    );
+  }
+}
 
+/**
+ * This function schedules the jobs for the end of checking-in parties' check-in window.
+ *
+ * @param {string} locationID - the ID of the parties' location
+ * @param {string[]} partyIDs - the IDs of the checking-in parties
+ * @param {string} checkingInExpiration - when the parties' checking-in status expires
+ * @returns {Promise<void>}
+ * @private
+ * @description
+ * This function schedules a job to handle check-in expiration for the parties
+ * (and the jobs to remind them to check in before then).
+ */
+async function scheduleCheckinWindow(
+  locationID,
+  partyIDs,
+  checkingInExpiration,
+) {
   // schedule a worker to handle users who did not check-in by the expiration
   const checkinExpiredCleanupTime = new Date(checkingInExpiration);
   const queue = redisHandler.createQueue(CHECKIN_EXPIRED_QUEUE);
   await scheduleJobAt(
     queue,
     "expire-checking-in-users",
-    {},
+    { locationID },
     checkinExpiredCleanupTime,
   );
+  await scheduleCheckinReminders(locationID, partyIDs, checkingInExpiration);
+}
+
+/**
+ * This function notifies the dequeued parties that they can check in.
+ *
+ * @param {string} locationID - the ID of the parties' location
+ * @param {string[]} partyIDs - the IDs of the parties that were dequeued
+ * @param {string} checkingInExpiration - when the parties' checking-in status expires
+ * @param {Redis} redis - a redis instance
+ * @returns {Promise<void>}
+ * @private
+ * @description
+ * This function schedules the jobs for the end of the dequeued parties' check-in window,
+ * then publishes the dequeued parties to the location's Redis channel so their status pages update.
+ */
+async function notifyDequeuedParties(
+  locationID,
+  partyIDs,
+  checkingInExpiration,
+  redis,
+) {
+  await scheduleCheckinWindow(locationID, partyIDs, checkingInExpiration);
 
   // publish the dequeued parties to the redis channel
   const dequeuedPartiesMessage = JSON.stringify({
-    partyIDs: toDequeuePartyIDs,
+    partyIDs,
     checkingInExpiration,
   });
-  await redis.publish(CHANNEL_DEQUEUE, dequeuedPartiesMessage);
+  await redis.publish(
+    getLocationKey(CHANNEL_DEQUEUE, locationID),
+    dequeuedPartiesMessage,
+  );
+}
+
+/**
+ * This function handles the dequeue updates for parties based on the unoccupied seating.
+ *
+ * @param {string} locationID - the ID of the location whose queue to dequeue from
+ * @param {SeatingCapacity} capacity - the unoccupied seating to dequeue parties to
+ * @param {Redis} redis - a redis instance
+ * @returns {Promise<[string|null, string|null]>}
+ * a tuple where
+ * - the first element is an error message if there was an error, or null if there was no error
+ * - the second element is a message indicating the result of the dequeue operation, or null if an error occurred
+ * @private
+ * @description
+ * This function uses the configured dequeue strategy to choose which queued parties to dequeue
+ * to the unoccupied seating (and which tables they are assigned when the venue has tables).
+ * It sets their checking-in status and records which parties were skipped over,
+ * then schedules a job to handle check-in expiration and publishes the dequeued parties to a Redis channel.
+ */
+async function handleDequeueUpdates(locationID, capacity, redis) {
+  const [queuedPartiesError, queuedParties] =
+    await parties.getQueuedParties(locationID);
+  if (queuedPartiesError) return [queuedPartiesError, null];
+  if (queuedParties.length < 1) return [null, "No users in queue"];
+
+  const tableAssignments = dequeueStrategy(queuedParties, capacity);
+  if (tableAssignments.length < 1) return [null, "No parties fit"];
+
+  // set those parties' checking-in status and get when that checkin-status will expire
+  const toDequeuePartyIDs = tableAssignments.map(({ partyID }) => partyID);
+  const [checkingInExpirationError, checkingInExpiration] =
+    await parties.setCheckingInStatus(
+      locationID,
+      toDequeuePartyIDs,
+      tableAssignments,
+    );
+  if (checkingInExpirationError) return [checkingInExpirationError, null];
+  // in this case, there's not been any parties updated
+  if (!checkingInExpiration) return [null, "No parties updated"];
+
+  const skippedPartyIDs = getSkippedPartyIDs(queuedParties, tableAssignments);
+  if (skippedPartyIDs.length > 0) {
+    const [skippedError, _skippedResult] = await parties.recordSkippedParties(
+      locationID,
+      skippedPartyIDs,
+    );
+    if (skippedError) return [skippedError, null];
+  }
+
+  await notifyDequeuedParties(
+    locationID,
+    toDequeuePartyIDs,
+    checkingInExpiration,
+    redis,
+  );
 
   return [null, "Dequeued parties successfully"];
 }
 
 /**
- * This function dequeues users from the queue based on the available seats.
+ * This function gets the seating that queued parties can currently be dequeued to.
+ *
+ * @param {Location} location - the location whose seating to get
+ * @returns {Promise<[string|null, SeatingCapacity|null]>}
+ * a tuple where
+ * - the first element is an error message if there was an error, or null if there was no error
+ * - the second element is the unoccupied seating, or null if there is none (or an error occurred)
+ * @private
+ * @description
+ * When the venue has tables, the capacity is made up of the free tables.
+ * Otherwise, the venue is treated as a single pool of the location's seats (see `getLocationMaxSeats`).
+ *
+ * Either way, the seating held for upcoming reservations is left out (see `getAvailableSeatCount`).
+ * With tables, each held reservation takes the free tables that best fit it, in the order of their times,
+ * so a reservation whose tables are all occupied does not hold any back.
+ */
+async function getSeatingCapacity(location) {
+  const [tableCountError, tableCount] = await tables.getTableCount(location.id);
+  if (tableCountError) return [tableCountError, null];
+
+  if (tableCount > 0) {
+    const [freeTablesError, freeTables] = await tables.getFreeTables(
+      location.id,
+    );
+    if (freeTablesError) return [freeTablesError, null];
+    if (freeTables.length < 1) return [null, null];
+
+    const [heldError, heldReservations] =
+      await reservations.getHeldReservations(location.id);
+    if (heldError) return [heldError, null];
+
+    const capacity = createTableCapacity(freeTables);
+    for (const reservation of heldReservations) {
+      capacity.seat(reservation.size);
+    }
+    return [null, capacity];
+  }
+
+  const [availableSeatsError, availableSeats] =
+    await parties.getAvailableSeatCount(
+      location.id,
+      getLocationMaxSeats(location),
+    );
+  if (availableSeatsError) return [availableSeatsError, null];
+  if (availableSeats < 1) return [null, null];
+
+  return [null, createSeatPoolCapacity(availableSeats)];
+}
+
+/**
+ * This function broadcasts the current queue positions to clients.
  *
+ * @param {Location} location - the location whose queue positions to broadcast
+ * @param {Redis} redis - a redis instance
+ * @returns {Promise<[string|null, string|null]>}
+ * a tuple where
+ * - the first element is an error message if there was an error, or null if there was no error
+ * - the second element is a success message, or null if an error occurred
+ * @private
+ * @description
+ * This function retrieves the queued parties' positions along with their estimated wait,
+ * caches them for any clients not yet subscribed, then publishes them so that
+ * they can be relayed to subscribed clients (both under the location's own cache key and channel).
+ */
+async function broadcastQueuePositions(location, redis) {
+  const [queuedPartyPositionsError, queuedPartyPositions] =
+    await parties.getCurrentQueuePositions(location.id);
+  if (queuedPartyPositionsError) return [queuedPartyPositionsError, null];
+
+  const [waitEstimatesError, waitEstimates] =
+    await waitEstimateService.getQueueWaitEstimates(location);
+  if (waitEstimatesError) return [waitEstimatesError, null];
+
+  // add the queue positions to a set for any clients not yet subscribed
+  const queuedPositionsMessage = JSON.stringify({
+    queuedParties: queuedPartyPositions.map((position) => ({
+      ...position,
+      eta: waitEstimates.get(position.partyID) ?? null,
+    })),
+  });
+  await redis.set(
+    getLocationKey(CACHE_QUEUED_PARTY_POSITIONS, location.id),
+    queuedPositionsMessage,
+  );
+
+  // broadcast the new queued parties' positions so that these can be relayed to subscribed clients
+  await redis.publish(
+    getLocationKey(CHANNEL_QUEUE_POSITIONS, location.id),
+    queuedPositionsMessage,
+  );
+
+  return [null, "Queue positions broadcast"];
+}
+
+/**
+ * This function dequeues users from a location's queue based on the available seats.
+ *
+ * @param {string} locationID - the ID of the location whose queue to dequeue from
  * @returns {Promise<[string|null, string|null]>}
  * a tuple where
  * - the first value is a string error code if an error occurred, and null otherwise
  * - the second value is a string with a success message if no error occurred, and null otherwise
  * @description
- * This function first retrieves the number of available seats.
- * If there are available seats, it retrieves parties that can be dequeued,
- * sets their checking-in status, and schedules a job to handle check-in expiration.
+ * This function first retrieves the available seating (the free tables if the venue has tables,
+ * otherwise the number of available seats).
+ * If there is available seating, it uses the configured dequeue strategy to choose the parties
+ * to dequeue, sets their checking-in status (assigning them their tables),
+ * and schedules a job to handle check-in expiration.
  *
  * It then publishes the dequeued parties to a Redis channel.
  *
  * Finally, it retrieves the updated queue positions and broadcasts them to clients.
  * If any errors occur during these operations, they are returned.
+ *
+ * Only the location's own parties and seating are considered, so parties at one location
+ * never affect the queue at another.
+ *
+ * While staff have paused dequeuing at the location, no parties are dequeued (hosts can still call
+ * parties forward themselves), but the queue positions are still broadcast.
  */
-async function dequeueUsers() {
-  // first get the number of seats available
-  const [availableSeatsError, availableSeats] =
-    await parties.getAvailableSeatCount();
-  if (availableSeatsError) return [availableSeatsError, null];
+async function dequeueUsers(locationID) {
+  const [locationError, location] = await locations.getLocationByID(locationID);
+  if (locationError) return [locationError, null];
 
   const redisClient = redisHandler.createRedisClient();
 
-  if (availableSeats > 0) {
-    // this gets the parties whose sizes can cumulatively add up to the available seats,
+  if (location.dequeue_paused) {
+    const [broadcastError, _broadcastResult] = await broadcastQueuePositions(
+      location,
+      redisClient,
+    );
+    if (broadcastError) return [broadcastError, null];
+
+    return [null, "Dequeue is paused"];
+  }
+
+  // first get the seating available
+  const [capacityError, capacity] = await getSeatingCapacity(location);
+  if (capacityError) return [capacityError, null];
+
+  if (capacity) {
+    // this uses the dequeue strategy to get the parties who fit the available seating,
     // then sets their checking-in status and when that status will expire
     // broadcasts the dequeued parties to the CHANNEL_DEQUEUE channel
     // Note: there is likely some minor optimization around here, since we get the parties to dequeue only,
     const [dequeueUpdateError, _result] = await handleDequeueUpdates(
-      availableSeats,
+      location.id,
+      capacity,
       redisClient,
     );
     if (dequeueUpdateError) return [dequeueUpdateError, null];
   }
-  // get the updated queued positions
+  // get the updated queued positions and broadcast them
   // Note: positional optimization here (see above note)
-  const [queuedPartyPositionsError, queuedPartyPositions] =
-    await parties.getCurrentQueuePositions();
-  if (queuedPartyPositionsError) return [queuedPartyPositionsError, null];
+  const [broadcastError, _broadcastResult] = await broadcastQueuePositions(
+    location,
+    redisClient,
+  );
+  if (broadcastError) return [broadcastError, null];
 
-  // add the queue positions to a set for any clients not yet subscribed
-  const queuedPositionsMessage = JSON.stringify({
-    queuedParties: queuedPartyPositions,
-  });
-  await redisClient.set(CACHE_QUEUED_PARTY_POSITIONS, queuedPositionsMessage);
+  return [null, "Dequeue successfully complete"];
+}
 
-  // broadcast the new queued parties' positions so that these can be relayed to subscribed clients
-  await redisClient.publish(CHANNEL_QUEUE_POSITIONS, queuedPositionsMessage);
+/**
+ * This function dequeues a specific party on behalf of a host, regardless of their place in the queue.
+ *
+ * @param {string} locationID - the ID of the party's location
+ * @param {string} partyID - the ID of the queued party to dequeue
+ * @returns {Promise<[string|null, string|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is the party's checking-in expiration if no error occurred, and null otherwise
+ * @description
+ * This function lets hosts pull a party forward (ex: when a table that fits a smaller party opens up),
+ * so it does not check the number of available seats.
+ * When the venue has tables, the party is still assigned the free tables that fit them.
+ *
+ * The party's status is set to checking-in, and the party is notified in the same way as a
+ * regular dequeue, so their status page reacts exactly as it normally would.
+ *
+ * Since the party has left the queue, the updated queue positions are then broadcast to clients.
+ */
+async function dequeueParty(locationID, partyID) {
+  const [locationError, location] = await locations.getLocationByID(locationID);
+  if (locationError) return [locationError, null];
 
-  return [null, "Dequeue successfully complete"];
+  const [tablesError, tableIDs] = await tableService.getTablesToAssign(
+    locationID,
+    partyID,
+  );
+  if (tablesError) return [tablesError, null];
+
+  const [checkingInExpirationError, checkingInExpiration] =
+    await parties.setCheckingInStatus(
+      locationID,
+      [partyID],
+      [{ partyID, tableIDs }],
+    );
+  if (checkingInExpirationError) return [checkingInExpirationError, null];
+  // the party either does not exist or is no longer queued
+  if (!checkingInExpiration) return [PARTY_NOT_FOUND, null];
+
+  const redisClient = redisHandler.createRedisClient();
+  await notifyDequeuedParties(
+    locationID,
+    [partyID],
+    checkingInExpiration,
+    redisClient,
+  );
+
+  const [broadcastError, _broadcastResult] = await broadcastQueuePositions(
+    location,
+    redisClient,
+  );
+  if (broadcastError) return [broadcastError, null];
+
+  return [null, checkingInExpiration];
+}
+
+/**
+ * This function extends a checking-in party's check-in window on behalf of a host.
+ *
+ * @param {string} locationID - the ID of the party's location
+ * @param {string} partyID - the ID of the checking-in party
+ * @param {number} seconds - how many seconds to extend the check-in window by
+ * @returns {Promise<[string|null, string|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is the party's new checking-in expiration if no error occurred, and null otherwise
+ * @description
+ * This function lets hosts hold a party's spot for longer (ex: when a guest calls ahead to say they are parking).
+ *
+ * The checkin-expired worker and reminders are scheduled for the new expiration. The previously
+ * scheduled `expire-checking-in-users` job is not removed, as it is scheduled for the whole location
+ * (so it also expires any other party whose check-in window ends at the same time). It is harmless for
+ * the extended party, since the checkin-expired worker only removes parties whose `checkin_expiration`
+ * has passed when it runs. Likewise, the earlier reminders are only sent for the check-in window they
+ * were scheduled for.
+ * The new expiration is then broadcast, so that the party's status page restarts its countdown.
+ */
+async function extendCheckinWindow(locationID, partyID, seconds) {
+  const [extendError, checkingInExpiration] =
+    await parties.extendCheckinExpiration(locationID, partyID, seconds);
+  if (extendError) return [extendError, null];
+
+  await scheduleCheckinWindow(locationID, [partyID], checkingInExpiration);
+
+  const redisClient = redisHandler.createRedisClient();
+  await redisClient.publish(
+    getLocationKey(CHANNEL_CHECKIN_EXTENDED, locationID),
+    JSON.stringify({ partyIDs: [partyID], checkingInExpiration }),
+  );
+
+  return [null, checkingInExpiration];
 }
 
 export default {
   dequeueUsers,
+  dequeueParty,
+  extendCheckinWindow,
 };
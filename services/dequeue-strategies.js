@@ -0,0 +1,166 @@
+/**
+ * @file Defines the strategies used to choose which queued parties are dequeued.
+ *
+ * Each strategy is given the queued parties (in the order they were queued) and the
+ * unoccupied seating capacity, and returns the parties to dequeue along with the tables
+ * they are assigned. The active strategy is set with the `DEQUEUE_STRATEGY` environmental variable.
+ */
+import {
+  DEQUEUE_STRATEGY_BEST_FIT,
+  DEQUEUE_STRATEGY_FAIRNESS_CAPPED,
+  DEQUEUE_STRATEGY_STRICT_FIFO,
+} from "../constants/dequeue-strategies.js";
+import {
+  FAIRNESS_MAX_SKIP_MINUTES,
+  FAIRNESS_MAX_SKIPS,
+} from "../config/waitlist.js";
+
+/**
+ * @import { TableAssignment } from '../typedefs.js';
+ * @import { SeatingCapacity } from '../utils/seating-capacity.js';
+ */
+
+/**
+ * A queued party, as considered by the dequeue strategies.
+ * @typedef {object} QueuedParty
+ * @property {string} party_id - the party's ID
+ * @property {number} size - the size of the party
+ * @property {number} skip_count - how many times parties behind this party have been dequeued ahead of them
+ * @property {Date | null} first_skipped_at - when the party was first skipped over
+ */
+
+/**
+ * @callback DequeueStrategy
+ * @param {QueuedParty[]} queuedParties - the queued parties, in the order they were queued
+ * @param {SeatingCapacity} capacity - the unoccupied seating to dequeue parties to
+ * @returns {TableAssignment[]} the parties to dequeue, along with the tables they are assigned
+ */
+
+/**
+ * Dequeues parties strictly in the order they were queued.
+ *
+ * @type {DequeueStrategy}
+ * @description
+ * Once a party is reached that does not fit, no parties behind them are dequeued,
+ * so a large party at the front of the queue holds up everyone behind them.
+ */
+function strictFifo(queuedParties, capacity) {
+  const assignments = [];
+  for (const party of queuedParties) {
+    const tableIDs = capacity.seat(party.size);
+    if (!tableIDs) break;
+
+    assignments.push({ partyID: party.party_id, tableIDs });
+  }
+
+  return assignments;
+}
+
+/**
+ * Dequeues every party that fits, in the order they were queued.
+ *
+ * @type {DequeueStrategy}
+ * @description
+ * Parties that do not fit are skipped over, letting smaller parties behind them
+ * fill the gaps in the remaining seating.
+ * A large party can be skipped over indefinitely while smaller parties keep arriving.
+ */
+function bestFit(queuedParties, capacity) {
+  const assignments = [];
+  for (const party of queuedParties) {
+    const tableIDs = capacity.seat(party.size);
+    if (!tableIDs) continue;
+
+    assignments.push({ partyID: party.party_id, tableIDs });
+  }
+
+  return assignments;
+}
+
+/**
+ * Checks whether a party has been skipped over for as long as the fairness cap allows.
+ *
+ * @param {QueuedParty} party - the queued party
+ * @param {Date} now - the current time
+ * @returns {boolean} true if no more parties should be dequeued ahead of the party
+ * @private
+ */
+function hasReachedSkipCap(party, now) {
+  if (party.skip_count >= FAIRNESS_MAX_SKIPS) return true;
+  if (!party.first_skipped_at) return false;
+
+  const skippedForMs =
+    now.getTime() - new Date(party.first_skipped_at).getTime();
+  return skippedForMs >= FAIRNESS_MAX_SKIP_MINUTES * 60 * 1000;
+}
+
+/**
+ * Dequeues every party that fits, like `bestFit`, until a party that has been skipped too often is reached.
+ *
+ * @type {DequeueStrategy}
+ * @description
+ * A party can be skipped over at most `FAIRNESS_MAX_SKIPS` times, or for at most
+ * `FAIRNESS_MAX_SKIP_MINUTES` minutes after they were first skipped.
+ * Once a party that does not fit has reached either cap, no parties behind them are dequeued
+ * (as with `strictFifo`) until enough seating frees up for them.
+ */
+function fairnessCapped(queuedParties, capacity) {
+  const now = new Date();
+  const assignments = [];
+  for (const party of queuedParties) {
+    const tableIDs = capacity.seat(party.size);
+    if (tableIDs) {
+      assignments.push({ partyID: party.party_id, tableIDs });
+      continue;
+    }
+
+    if (hasReachedSkipCap(party, now)) break;
+  }
+
+  return assignments;
+}
+
+/**
+ * Gets the parties that were skipped over by a dequeue.
+ *
+ * @param {QueuedParty[]} queuedParties - the queued parties, in the order they were queued
+ * @param {TableAssignment[]} assignments - the parties that were dequeued
+ * @returns {string[]} the IDs of the parties that were not dequeued, but had a party behind them dequeued
+ */
+export function getSkippedPartyIDs(queuedParties, assignments) {
+  const dequeuedPartyIDs = assignments.map(({ partyID }) => partyID);
+  const lastDequeuedIndex = queuedParties.findLastIndex((party) =>
+    dequeuedPartyIDs.includes(party.party_id),
+  );
+
+  return queuedParties
+    .slice(0, Math.max(lastDequeuedIndex, 0))
+    .map(({ party_id }) => party_id)
+    .filter((partyID) => !dequeuedPartyIDs.includes(partyID));
+}
+
+const STRATEGIES = {
+  [DEQUEUE_STRATEGY_STRICT_FIFO]: strictFifo,
+  [DEQUEUE_STRATEGY_BEST_FIT]: bestFit,
+  [DEQUEUE_STRATEGY_FAIRNESS_CAPPED]: fairnessCapped,
+};
+
+/**
+ * Gets a dequeue strategy by its name.
+ *
+ * @param {string} name - the name of the strategy (see constants/dequeue-strategies.js)
+ * @returns {DequeueStrategy} the strategy
+ * @throws {Error} if there is no strategy with the given name, so that a misconfigured
+ * `DEQUEUE_STRATEGY` is caught on startup rather than when parties are dequeued
+ */
+export function getDequeueStrategy(name) {
+  const strategy = STRATEGIES[name];
+  if (!strategy) {
+    const strategyNames = Object.keys(STRATEGIES).join(", ");
+    throw new Error(
+      `Unknown dequeue strategy "${name}" (expected one of: ${strategyNames})`,
+    );
+  }
+
+  return strategy;
+}
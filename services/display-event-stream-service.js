@@ -0,0 +1,217 @@
+/**
+ * @file This file is responsible for streaming the live queue to the lobby display via server-sent events,
+ * refreshing it whenever a queue-related Redis message is received.
+ *
+ * The display's event stream is public, so it only sends each party's display label (see `DISPLAY_PRIVACY`)
+ * and never their party ID.
+ */
+import eventStatuses from "../shared-constants/event-statuses.js";
+import {
+  STATUS_CHECKING_IN,
+  STATUS_QUEUED,
+} from "../constants/party-statuses.js";
+import {
+  CHANNEL_CHECKIN_EXTENDED,
+  CHANNEL_CHECKING_IN_EXPIRED,
+  CHANNEL_DEQUEUE,
+  CHANNEL_PARTY_REMOVED,
+  CHANNEL_PARTY_SEATED,
+  CHANNEL_QUEUE_POSITIONS,
+} from "../constants/pub-sub-channels.js";
+import {
+  DISPLAY_MAX_QUEUED_PARTIES,
+  DISPLAY_PRIVACY,
+} from "../config/display.js";
+import formatEventStreamMessage from "../utils/format-event-stream-message.js";
+import getDisplayLabel from "../utils/display-labels.js";
+import {
+  getAllLocationsPattern,
+  getKeyLocationID,
+} from "../utils/location-keys.js";
+import logger from "../utils/logger.js";
+import parties from "../models/parties.js";
+import redis from "../utils/redis.js";
+
+/**
+ * @import { ExpressResponse } from '../typedefs.js';
+ * @import Redis from 'ioredis';
+ */
+
+/**
+ * The queue, as shown on the lobby display.
+ * @typedef {object} DisplaySnapshot
+ * @property {{ label: string }[]} calledParties - the parties that have been called to check in
+ * @property {{ label: string, position: number }[]} queuedParties - the first `DISPLAY_MAX_QUEUED_PARTIES` queued parties, in queue order
+ * @property {number} queuedCount - how many parties are queued in total
+ */
+
+// how often a comment is sent to idle streams, so that proxies do not close them
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+/**
+ * The lobby displays currently connected to this server, by the ID of the location they show.
+ * @type {Map<string, Set<ExpressResponse>>}
+ */
+const displayResponses = new Map();
+/**
+ * The subscriber shared by every connected display (so that each display does not need its own redis connection).
+ * @type {Redis|undefined}
+ */
+let redisSubscriber;
+/** @type {NodeJS.Timeout|undefined} */
+let heartbeatInterval;
+
+/**
+ * Gets the queue as shown on the lobby display.
+ *
+ * @param {string} locationID - the ID of the location whose queue to get
+ * @returns {Promise<[string|null, DisplaySnapshot|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is the display's snapshot if no error occurred, and null otherwise
+ * @private
+ */
+async function getDisplaySnapshot(locationID) {
+  const [waitlistError, waitlist] =
+    await parties.getWaitlistParties(locationID);
+  if (waitlistError) return [waitlistError, null];
+
+  // the waitlist is already in queue order
+  const queuedParties = waitlist.filter(
+    (party) => party.status === STATUS_QUEUED,
+  );
+  const calledParties = waitlist.filter(
+    (party) => party.status === STATUS_CHECKING_IN,
+  );
+
+  return [
+    null,
+    {
+      calledParties: calledParties.map((party) => ({
+        label: getDisplayLabel(party, DISPLAY_PRIVACY),
+      })),
+      queuedParties: queuedParties
+        .slice(0, DISPLAY_MAX_QUEUED_PARTIES)
+        .map((party, index) => ({
+          label: getDisplayLabel(party, DISPLAY_PRIVACY),
+          position: index + 1,
+        })),
+      queuedCount: queuedParties.length,
+    },
+  ];
+}
+
+/**
+ * Sends a location's current queue to lobby displays.
+ *
+ * @param {string} locationID - the ID of the location whose queue to send
+ * @param {Iterable<ExpressResponse>} responses - the responses of the displays to send the queue to
+ * @returns {Promise<void>}
+ * @private
+ * @description
+ * Since the channel messages only contain party IDs, a full snapshot is sent rather than
+ * attempting to patch the displays' views (and it is only queried once for every display).
+ */
+async function sendDisplaySnapshot(locationID, responses) {
+  const [snapshotError, snapshot] = await getDisplaySnapshot(locationID);
+  if (snapshotError) {
+    logger.error(`[Display stream]: could not get queue - ${snapshotError}`);
+    return;
+  }
+
+  const message = formatEventStreamMessage({
+    status: eventStatuses.DISPLAY_UPDATE,
+    ...snapshot,
+  });
+  for (const response of responses) {
+    response.write(message);
+  }
+}
+
+/**
+ * Starts listening for queue changes on behalf of every connected display.
+ *
+ * @returns {Promise<void>}
+ * @private
+ * @description
+ * The subscriber listens to every location's channels, and only refreshes the displays showing
+ * the location that the message was published for.
+ */
+async function startSubscriber() {
+  redisSubscriber = redis.createRedisClient();
+  redisSubscriber.on("pmessage", async (_pattern, channel) => {
+    const locationID = getKeyLocationID(channel);
+    const responses = displayResponses.get(locationID);
+    if (responses) await sendDisplaySnapshot(locationID, responses);
+  });
+
+  // comments are ignored by the display, but keep the connection active
+  heartbeatInterval = setInterval(() => {
+    for (const responses of displayResponses.values()) {
+      for (const response of responses) {
+        response.write(": heartbeat\n\n");
+      }
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeatInterval.unref();
+
+  await redisSubscriber.psubscribe(
+    ...[
+      CHANNEL_DEQUEUE,
+      CHANNEL_CHECKING_IN_EXPIRED,
+      CHANNEL_CHECKIN_EXTENDED,
+      CHANNEL_QUEUE_POSITIONS,
+      CHANNEL_PARTY_SEATED,
+      CHANNEL_PARTY_REMOVED,
+    ].map(getAllLocationsPattern),
+  );
+}
+
+/**
+ * Stops listening for queue changes once no displays are connected.
+ *
+ * @returns {void}
+ * @private
+ */
+function stopSubscriber() {
+  clearInterval(heartbeatInterval);
+  redisSubscriber.quit();
+  redisSubscriber = undefined;
+  heartbeatInterval = undefined;
+}
+
+/**
+ * Sets up a lobby display's event stream.
+ *
+ * @param {string} locationID - the ID of the location whose queue the display shows
+ * @param {ExpressResponse} response - the response for the request, allowing access to streaming events to the client
+ * @returns {Promise<void>}
+ * @description
+ * The first display to connect subscribes to the same redis channels as the host dashboard (for every location),
+ * and each connected display is sent a fresh snapshot of its location's queue whenever a message is received
+ * for that location.
+ * The display is also sent a snapshot as soon as it connects.
+ *
+ * The subscriber is closed when the last display disconnects.
+ */
+async function setupStream(locationID, response) {
+  if (!displayResponses.has(locationID)) {
+    displayResponses.set(locationID, new Set());
+  }
+  const locationResponses = displayResponses.get(locationID);
+  locationResponses.add(response);
+
+  response.on("close", () => {
+    locationResponses.delete(response);
+    if (locationResponses.size === 0) displayResponses.delete(locationID);
+    if (displayResponses.size === 0 && redisSubscriber) stopSubscriber();
+  });
+
+  if (!redisSubscriber) await startSubscriber();
+
+  await sendDisplaySnapshot(locationID, [response]);
+}
+
+export default {
+  setupStream,
+};
@@ -6,17 +6,23 @@ import eventStatuses from "../shared-constants/event-statuses.js";
 import { STATUS_CHECKING_IN } from "../constants/party-statuses.js";
 import {
   CACHE_QUEUED_PARTY_POSITIONS,
+  CHANNEL_CHECKIN_EXTENDED,
+  CHANNEL_CHECKIN_WINDOW_CLOSING,
   CHANNEL_CHECKING_IN_EXPIRED,
   CHANNEL_DEQUEUE,
+  CHANNEL_PARTY_REMOVED,
+  CHANNEL_PARTY_SEATED,
   CHANNEL_QUEUE_POSITIONS,
 } from "../constants/pub-sub-channels.js";
 import formatEventStreamMessage from "../utils/format-event-stream-message.js";
+import { getLocationKey } from "../utils/location-keys.js";
 import logger from "../utils/logger.js";
 import redis from "../utils/redis.js";
 
 /**
  * @import { ExpressResponse, Party } from '../typedefs.js';
  * @import Redis from 'ioredis';
+ * @import { QueueWaitEstimate } from './wait-estimate-service.js';
  */
 
 /**
@@ -43,17 +49,20 @@ const sendDequeueMessage = (response, checkingInExpiration) =>
  *
  * @param {ExpressResponse} response - the response for the request, allowing access to streaming events to the client
  * @param {Object} row - The row data containing the queue position.
+ * @param {QueueWaitEstimate|null} eta - the range of times the client is expected to be called to check in
+ * (or `null` if it could not be estimated)
  * @returns {void}
  * @private
  * @description
  * This function formats the event stream message with the queue position update
- * and writes it to the response stream.
+ * and estimated wait, and writes it to the response stream.
  */
-const sendQueuePositionMessage = (response, row) =>
+const sendQueuePositionMessage = (response, row, eta) =>
   response.write(
     formatEventStreamMessage({
       status: eventStatuses.QUEUE_POSITION_UPDATE,
       position: row,
+      eta,
     }),
   );
 
@@ -69,13 +78,16 @@ const sendQueuePositionMessage = (response, row) =>
  * @description
  * This function checks if the partyID is included in the message's partyIDs.
  * If it is, it sends a message to the client indicating that they can dequeue.
- * It then unsubscribes from the CHANNEL_DEQUEUE and CHANNEL_QUEUE_POSITIONS channels.
+ * It then unsubscribes from the party's location's CHANNEL_DEQUEUE and CHANNEL_QUEUE_POSITIONS channels.
  */
 async function dequeueChannelHandler(message, response, party, redis) {
   const { partyIDs, checkingInExpiration } = JSON.parse(message);
   if (partyIDs.includes(party.party_id)) {
     sendDequeueMessage(response, checkingInExpiration);
-    await redis.unsubscribe(CHANNEL_DEQUEUE, CHANNEL_QUEUE_POSITIONS);
+    await redis.unsubscribe(
+      getLocationKey(CHANNEL_DEQUEUE, party.location_id),
+      getLocationKey(CHANNEL_QUEUE_POSITIONS, party.location_id),
+    );
   }
 }
 
@@ -89,7 +101,7 @@ async function dequeueChannelHandler(message, response, party, redis) {
  * @private
  * @description
  * This function checks if the message contains queued parties and finds the client's party ID.
- * If found, it sends the client's updated queue position to the client.
+ * If found, it sends the client's updated queue position (and estimated wait) to the client.
  */
 async function queuePositionHandler(message, response, party) {
   const { queuedParties } = JSON.parse(message);
@@ -110,8 +122,8 @@ async function queuePositionHandler(message, response, party) {
     return;
   }
   // send the client's updated position
-  const { row } = clientRow;
-  sendQueuePositionMessage(response, row);
+  const { row, eta = null } = clientRow;
+  sendQueuePositionMessage(response, row, eta);
 }
 
 /**
@@ -126,7 +138,7 @@ async function queuePositionHandler(message, response, party) {
  * @description
  * This function checks if the partyID is included in the message's partyIDs.
  * If it is, it sends a message to the client indicating that the checkin window has expired.
- * It then unsubscribes from the CHANNEL_CHECKING_IN_EXPIRED and CHANNEL_QUEUE_POSITIONS channel.
+ * It then unsubscribes from the party's location's CHANNEL_CHECKING_IN_EXPIRED and CHANNEL_QUEUE_POSITIONS channel.
  */
 async function checkinExpiredChannelHandler(message, response, party, redis) {
   const { partyIDs } = JSON.parse(message);
@@ -136,28 +148,139 @@ async function checkinExpiredChannelHandler(message, response, party, redis) {
     response.write(formatEventStreamMessage(data));
 
     await redis.unsubscribe(
-      CHANNEL_CHECKING_IN_EXPIRED,
-      CHANNEL_QUEUE_POSITIONS,
+      getLocationKey(CHANNEL_CHECKING_IN_EXPIRED, party.location_id),
+      getLocationKey(CHANNEL_QUEUE_POSITIONS, party.location_id),
     );
     response.end(); // End the response stream after sending the message
   }
 }
 
+/**
+ * Handler for the check-in window closing channel that reminds the client to check in.
+ *
+ * @param {string} message - a message from the check-in window closing redis channel
+ * @param {ExpressResponse} response - the response for the request, allowing access to streaming events to the client
+ * @param {Party} party - the client's party
+ * @returns {void}
+ * @private
+ * @description
+ * This function checks if the partyID is included in the message's partyIDs.
+ * If it is, it sends a message to the client indicating that their check-in window is closing
+ * (with when it expires), so they can be warned before it does.
+ */
+function checkinWindowClosingChannelHandler(message, response, party) {
+  const { partyIDs, checkingInExpiration } = JSON.parse(message);
+
+  if (partyIDs.includes(party.party_id)) {
+    response.write(
+      formatEventStreamMessage({
+        status: eventStatuses.CHECKIN_WINDOW_CLOSING,
+        checkingInExpiration,
+      }),
+    );
+  }
+}
+
+/**
+ * Handler for the check-in extended channel that lets the client know their new check-in expiration.
+ *
+ * @param {string} message - a message from the check-in extended redis channel
+ * @param {ExpressResponse} response - the response for the request, allowing access to streaming events to the client
+ * @param {Party} party - the client's party
+ * @returns {void}
+ * @private
+ * @description
+ * This function checks if the partyID is included in the message's partyIDs (for example,
+ * when a host extends the party's check-in window from the host dashboard).
+ * If it is, it re-sends the dequeue message with the new check-in expiration, so the client
+ * restarts their countdown.
+ */
+function checkinExtendedChannelHandler(message, response, party) {
+  const { partyIDs, checkingInExpiration } = JSON.parse(message);
+
+  if (partyIDs.includes(party.party_id)) {
+    sendDequeueMessage(response, checkingInExpiration);
+  }
+}
+
+/**
+ * Handler for the party seated channel that lets the client know that they have been seated.
+ *
+ * @param {string} message - a message from the party seated redis channel
+ * @param {ExpressResponse} response - the response for the request, allowing access to streaming events to the client
+ * @param {Party} party - the client's party
+ * @param {Redis} redis - a redis instance
+ * @returns {Promise<void>}
+ * @private
+ * @description
+ * This function checks if the partyID is included in the message's partyIDs (for example,
+ * when a host seats the party from the host dashboard).
+ * If it is, it sends a message to the client indicating that they have been seated,
+ * unsubscribes from all channels, and ends the stream.
+ */
+async function partySeatedChannelHandler(message, response, party, redis) {
+  const { partyIDs } = JSON.parse(message);
+
+  if (partyIDs.includes(party.party_id)) {
+    response.write(
+      formatEventStreamMessage({ status: eventStatuses.PARTY_SEATED }),
+    );
+
+    await redis.unsubscribe();
+    response.end();
+  }
+}
+
+/**
+ * Handler for the party removed channel that lets the client know that they are no longer queued.
+ *
+ * @param {string} message - a message from the party removed redis channel
+ * @param {ExpressResponse} response - the response for the request, allowing access to streaming events to the client
+ * @param {Party} party - the client's party
+ * @param {Redis} redis - a redis instance
+ * @returns {Promise<void>}
+ * @private
+ * @description
+ * This function checks if the partyID is included in the message's partyIDs (for example,
+ * when a host removes the party from the host dashboard).
+ * If it is, it sends a message to the client indicating that they are no longer in the queue,
+ * unsubscribes from all channels, and ends the stream.
+ */
+async function partyRemovedChannelHandler(message, response, party, redis) {
+  const { partyIDs } = JSON.parse(message);
+
+  if (partyIDs.includes(party.party_id)) {
+    response.write(
+      formatEventStreamMessage({ status: eventStatuses.UNQUEUED_CLIENT }),
+    );
+
+    await redis.unsubscribe();
+    response.end();
+  }
+}
+
 /**
  * Subscribes to redis message channels.
  *
  * @param {Redis} redis
+ * @param {string} locationID - the ID of the client's party's location
  * @returns {Promise<void>}
  * @private
  * @description
- * This function subscribes to the redis channels that are used for event streaming.
+ * This function subscribes to the location's redis channels that are used for event streaming.
  * It also logs the success or failure of the subscription.
  */
-async function subscribeToChannels(redis) {
+async function subscribeToChannels(redis, locationID) {
   redis.subscribe(
-    CHANNEL_DEQUEUE,
-    CHANNEL_CHECKING_IN_EXPIRED,
-    CHANNEL_QUEUE_POSITIONS,
+    ...[
+      CHANNEL_DEQUEUE,
+      CHANNEL_CHECKING_IN_EXPIRED,
+      CHANNEL_CHECKIN_WINDOW_CLOSING,
+      CHANNEL_CHECKIN_EXTENDED,
+      CHANNEL_QUEUE_POSITIONS,
+      CHANNEL_PARTY_SEATED,
+      CHANNEL_PARTY_REMOVED,
+    ].map((channel) => getLocationKey(channel, locationID)),
     (subscribeError, count) => {
       if (subscribeError) {
         logger.error("Failed to subscribe:", subscribeError.message);
@@ -177,21 +300,36 @@ async function subscribeToChannels(redis) {
  * @returns {void}
  * @private
  * @description
- * This function listens for messages on the redis channels and calls the appropriate handler
+ * This function listens for messages on the party's location's redis channels and calls the appropriate handler
  * based on the channel the message came from. It handles messages for dequeuing parties,
- * checking in expired parties, and queue positions.
+ * checking in expired parties, check-in reminders and extensions, queue positions, and parties seated or removed by a host.
  */
 function setupMessageHandlers(redis, response, party) {
-  redis.on("message", (channel, message) => {
-    if (channel === CHANNEL_DEQUEUE) {
+  const isChannel = (channel, locationChannel) =>
+    locationChannel === getLocationKey(channel, party.location_id);
+
+  redis.on("message", (locationChannel, message) => {
+    if (isChannel(CHANNEL_DEQUEUE, locationChannel)) {
       dequeueChannelHandler(message, response, party, redis);
     }
-    if (channel === CHANNEL_CHECKING_IN_EXPIRED) {
+    if (isChannel(CHANNEL_CHECKING_IN_EXPIRED, locationChannel)) {
       checkinExpiredChannelHandler(message, response, party, redis);
     }
-    if (channel === CHANNEL_QUEUE_POSITIONS) {
+    if (isChannel(CHANNEL_CHECKIN_WINDOW_CLOSING, locationChannel)) {
+      checkinWindowClosingChannelHandler(message, response, party);
+    }
+    if (isChannel(CHANNEL_CHECKIN_EXTENDED, locationChannel)) {
+      checkinExtendedChannelHandler(message, response, party);
+    }
+    if (isChannel(CHANNEL_QUEUE_POSITIONS, locationChannel)) {
       queuePositionHandler(message, response, party);
     }
+    if (isChannel(CHANNEL_PARTY_SEATED, locationChannel)) {
+      partySeatedChannelHandler(message, response, party, redis);
+    }
+    if (isChannel(CHANNEL_PARTY_REMOVED, locationChannel)) {
+      partyRemovedChannelHandler(message, response, party, redis);
+    }
   });
 }
 
@@ -218,12 +356,15 @@ async function passInitialMessages(
   if (partyData.status === STATUS_CHECKING_IN && partyData.checkin_expiration) {
     // If the party is checking in, we can send the checkin expiration time
     sendDequeueMessage(response, partyData.checkin_expiration);
-    await redisSubscriber.unsubscribe(CHANNEL_DEQUEUE, CHANNEL_QUEUE_POSITIONS);
+    await redisSubscriber.unsubscribe(
+      getLocationKey(CHANNEL_DEQUEUE, partyData.location_id),
+      getLocationKey(CHANNEL_QUEUE_POSITIONS, partyData.location_id),
+    );
   }
 
-  // send the party's current position in queue
+  // send the party's current position in their location's queue
   const queuedPartyPositionsMessage = await redis.get(
-    CACHE_QUEUED_PARTY_POSITIONS,
+    getLocationKey(CACHE_QUEUED_PARTY_POSITIONS, partyData.location_id),
   );
   if (queuedPartyPositionsMessage) {
     queuePositionHandler(queuedPartyPositionsMessage, response, partyData);
@@ -248,7 +389,7 @@ async function setupStream(partyData, response) {
   // that might be executed while listening to channels.
   const redisClient = redis.createRedisClient(); // for commands
   const redisSubscriber = redis.createRedisClient(); // for pub/sub
-  await subscribeToChannels(redisSubscriber);
+  await subscribeToChannels(redisSubscriber, partyData.location_id);
   setupMessageHandlers(redisSubscriber, response, partyData);
   await passInitialMessages(partyData, response, redisClient, redisSubscriber);
 }
@@ -0,0 +1,125 @@
+/**
+ * @file This file provides functions for exporting the party history, so it can be
+ * reconciled or analyzed outside of the waitlist.
+ */
+import { Transform, pipeline } from "stream";
+import reports from "../models/reports.js";
+import logger from "../utils/logger.js";
+import {
+  EXPORT_FORMAT_CSV,
+  EXPORT_FORMAT_NDJSON,
+} from "../constants/export-formats.js";
+
+/**
+ * @import { Readable } from 'stream';
+ * @import { PartyRecord } from '../models/reports.js';
+ */
+
+// the columns of each exported record, in order
+const EXPORT_COLUMNS = [
+  "party_id",
+  "name",
+  "size",
+  "queued_at",
+  "dequeued_at",
+  "checked_in_at",
+  "seat_expiration",
+  "outcome",
+];
+// characters that spreadsheet applications treat as the start of a formula
+const FORMULA_PREFIXES = ["=", "+", "-", "@", "\t", "\r"];
+
+/**
+ * Converts a party record into the values that are exported.
+ *
+ * @param {PartyRecord} record - the party record
+ * @returns {Record<string, string|number|null>} the exported values, with dates as ISO strings
+ * @private
+ */
+function toExportValues(record) {
+  return Object.fromEntries(
+    EXPORT_COLUMNS.map((column) => {
+      const value = record[column];
+      return [column, value instanceof Date ? value.toISOString() : value];
+    }),
+  );
+}
+
+/**
+ * Formats a value as a CSV field.
+ *
+ * @param {string|number|null} value - the value to format
+ * @returns {string} the CSV field
+ * @private
+ * @description
+ * Party names are entered by guests, so values that a spreadsheet would treat as a formula
+ * are prefixed with a quote, and values containing separators or quotes are quoted.
+ */
+function formatCsvField(value) {
+  if (value === null || value === undefined) return "";
+
+  let field = String(value);
+  if (typeof value === "string" && FORMULA_PREFIXES.includes(field[0])) {
+    field = `'${field}`;
+  }
+  if (/[",\r\n]/.test(field)) {
+    field = `"${field.replaceAll('"', '""')}"`;
+  }
+
+  return field;
+}
+
+/**
+ * Formats a party record as a line of the export.
+ *
+ * @param {PartyRecord} record - the party record
+ * @param {string} format - the export format (see constants/export-formats.js)
+ * @returns {string} the line, including the line ending
+ * @private
+ */
+function formatRecord(record, format) {
+  const values = toExportValues(record);
+  if (format === EXPORT_FORMAT_NDJSON) return `${JSON.stringify(values)}\n`;
+
+  return `${EXPORT_COLUMNS.map((column) => formatCsvField(values[column])).join(",")}\r\n`;
+}
+
+/**
+ * Streams the records of the parties who joined a location's queue within a date range, in an export format.
+ *
+ * @param {string} format - the export format (see constants/export-formats.js)
+ * @param {string} locationID - the ID of the location
+ * @param {Date} from - the start of the date range (inclusive)
+ * @param {Date} to - the end of the date range (exclusive)
+ * @returns {Readable} a stream of the exported text
+ * @description
+ * CSV exports start with a header row of the column names, while NDJSON exports have
+ * one JSON object per line, keyed by the column names. Dates are ISO strings in both.
+ *
+ * Records are formatted as they are read from the database, so the export is never held
+ * in memory as a whole. If reading the records fails part way through, the error is logged
+ * and the returned stream is destroyed with it.
+ */
+function createPartyExportStream(format, locationID, from, to) {
+  const formatter = new Transform({
+    writableObjectMode: true,
+    transform(record, _encoding, callback) {
+      callback(null, formatRecord(record, format));
+    },
+  });
+  if (format === EXPORT_FORMAT_CSV) {
+    formatter.push(`${EXPORT_COLUMNS.join(",")}\r\n`);
+  }
+
+  return pipeline(
+    reports.streamPartyRecords(locationID, from, to),
+    formatter,
+    (error) => {
+      if (error) logger.error(`Could not export party records: ${error}`);
+    },
+  );
+}
+
+export default {
+  createPartyExportStream,
+};
@@ -0,0 +1,89 @@
+/**
+ * @file This file is responsible for streaming the live waitlist to the host dashboard
+ * via server-sent events, refreshing it whenever a waitlist-related Redis message is received.
+ */
+import eventStatuses from "../shared-constants/event-statuses.js";
+import {
+  CHANNEL_CHECKIN_EXTENDED,
+  CHANNEL_CHECKING_IN_EXPIRED,
+  CHANNEL_DEQUEUE,
+  CHANNEL_PARTY_REMOVED,
+  CHANNEL_PARTY_SEATED,
+  CHANNEL_QUEUE_POSITIONS,
+} from "../constants/pub-sub-channels.js";
+import formatEventStreamMessage from "../utils/format-event-stream-message.js";
+import { getLocationKey } from "../utils/location-keys.js";
+import logger from "../utils/logger.js";
+import parties from "../models/parties.js";
+import redis from "../utils/redis.js";
+
+/**
+ * @import { ExpressResponse } from '../typedefs.js';
+ */
+
+/**
+ * Sends the current state of the waitlist to the host.
+ *
+ * @param {string} locationID - the ID of the location whose waitlist to send
+ * @param {ExpressResponse} response - the response for the request, allowing access to streaming events to the client
+ * @returns {Promise<void>}
+ * @private
+ * @description
+ * This function queries the database for every queued, checking-in, and seated party,
+ * then writes them to the response stream as a waitlist update message.
+ * Since the channel messages only contain party IDs, a full snapshot is sent rather than
+ * attempting to patch the host's view.
+ */
+async function sendWaitlistSnapshot(locationID, response) {
+  const [waitlistError, waitlist] =
+    await parties.getWaitlistParties(locationID);
+  if (waitlistError) {
+    logger.error(`[Host stream]: could not get waitlist - ${waitlistError}`);
+    return;
+  }
+
+  response.write(
+    formatEventStreamMessage({
+      status: eventStatuses.WAITLIST_UPDATE,
+      parties: waitlist,
+    }),
+  );
+}
+
+/**
+ * Sets up the host's event stream.
+ *
+ * @param {string} locationID - the ID of the location whose waitlist the host is managing
+ * @param {ExpressResponse} response - the response for the request, allowing access to streaming events to the client
+ * @returns {Promise<void>}
+ * @description
+ * This function subscribes to the location's copy of the redis channels used for the guests' event streams
+ * (along with the seated and removed channels), and sends the host a fresh snapshot of the
+ * location's waitlist whenever a message is received on any of them.
+ *
+ * The subscriber is closed when the host disconnects.
+ */
+async function setupStream(locationID, response) {
+  const redisSubscriber = redis.createRedisClient();
+
+  await redisSubscriber.subscribe(
+    ...[
+      CHANNEL_DEQUEUE,
+      CHANNEL_CHECKING_IN_EXPIRED,
+      CHANNEL_CHECKIN_EXTENDED,
+      CHANNEL_QUEUE_POSITIONS,
+      CHANNEL_PARTY_SEATED,
+      CHANNEL_PARTY_REMOVED,
+    ].map((channel) => getLocationKey(channel, locationID)),
+  );
+  redisSubscriber.on("message", () =>
+    sendWaitlistSnapshot(locationID, response),
+  );
+  response.on("close", () => redisSubscriber.quit());
+
+  await sendWaitlistSnapshot(locationID, response);
+}
+
+export default {
+  setupStream,
+};
@@ -0,0 +1,279 @@
+import parties from "../models/parties.js";
+import redisHandler from "../utils/redis.js";
+import logger from "../utils/logger.js";
+import { getRecoveryURL } from "../utils/recovery-tokens.js";
+import { getNotificationTransports } from "./notification-transports.js";
+import {
+  NOTIFICATION_TRANSPORTS,
+  PUBLIC_URL,
+} from "../config/notifications.js";
+import { NOTIFICATIONS_QUEUE } from "../constants/message-queues.js";
+import {
+  COULD_NOT_SEND_NOTIFICATION,
+  PARTY_NOT_FOUND,
+} from "../constants/errors.js";
+
+/**
+ * @import { Notification } from './notification-transports.js';
+ */
+
+const transports = getNotificationTransports(NOTIFICATION_TRANSPORTS);
+
+// how many times sending a notification is attempted before giving up
+const NOTIFICATION_ATTEMPTS = 3;
+// how long (in ms) to wait before retrying a failed notification, doubling after each attempt
+const NOTIFICATION_RETRY_DELAY_MS = 5 * 1000;
+// how long (in seconds) finished notification jobs are kept, so that repeated dequeue messages are not re-sent
+const NOTIFICATION_JOB_RETENTION_SECONDS = 60 * 60;
+const NOTIFICATION_JOB_OPTIONS = {
+  attempts: NOTIFICATION_ATTEMPTS,
+  backoff: { type: "exponential", delay: NOTIFICATION_RETRY_DELAY_MS },
+  removeOnComplete: { age: NOTIFICATION_JOB_RETENTION_SECONDS },
+  removeOnFail: { age: NOTIFICATION_JOB_RETENTION_SECONDS },
+};
+
+/**
+ * This function describes how long a party has left to check in.
+ *
+ * @param {Date|string} checkinExpiration - when the party's check-in window expires
+ * @param {Date} now - the current time
+ * @returns {string} the time left (ex: "5 minutes")
+ * @private
+ */
+function formatMinutesLeft(checkinExpiration, now) {
+  const minutesLeft = Math.max(
+    1,
+    Math.ceil((new Date(checkinExpiration) - now) / (60 * 1000)),
+  );
+  return `${minutesLeft} minute${minutesLeft === 1 ? "" : "s"}`;
+}
+
+/**
+ * This function gets the link a notification sends the party to check in from.
+ *
+ * @param {{party_id: string, location_slug: string}} contact - the party's ID and location
+ * @returns {string} the text linking to the party's status page (or an empty string when there is no `PUBLIC_URL`)
+ * @private
+ * @description
+ * The guest may have closed their status page, or open the notification on another device, so the link is
+ * the party's recovery link (which restores their session) under their location's pages.
+ */
+function formatStatusLink(contact) {
+  if (!PUBLIC_URL) return "";
+
+  const locationURL = `${PUBLIC_URL}/l/${contact.location_slug}`;
+  return ` Check in at ${getRecoveryURL(locationURL, contact.party_id)}`;
+}
+
+/**
+ * This function builds the "your table is ready" notification for a party.
+ *
+ * @param {{party_id: string, contact_phone: string|null, contact_email: string|null, checkin_expiration: Date, location_slug: string}} contact
+ * the party's contact details, check-in expiration, and location
+ * @param {Date} now - the current time
+ * @returns {Notification} the notification
+ * @private
+ */
+function buildTableReadyNotification(contact, now) {
+  const statusLink = formatStatusLink(contact);
+
+  return {
+    to: { phone: contact.contact_phone, email: contact.contact_email },
+    subject: "Your table is ready",
+    text:
+      `Your table is ready! Please check in within ${formatMinutesLeft(contact.checkin_expiration, now)}, ` +
+      `or your spot will be given to the next party.${statusLink}`,
+  };
+}
+
+/**
+ * This function builds the "your check-in window is closing" notification for a party.
+ *
+ * @param {{party_id: string, contact_phone: string|null, contact_email: string|null, checkin_expiration: Date, location_slug: string}} contact
+ * the party's contact details, check-in expiration, and location
+ * @param {Date} now - the current time
+ * @returns {Notification} the notification
+ * @private
+ */
+function buildCheckinReminderNotification(contact, now) {
+  const statusLink = formatStatusLink(contact);
+
+  return {
+    to: { phone: contact.contact_phone, email: contact.contact_email },
+    subject: "Your check-in window is closing",
+    text:
+      `Reminder: your table is ready, but you have not checked in yet. Please check in within ` +
+      `${formatMinutesLeft(contact.checkin_expiration, now)}, or your spot will be given to the next party.${statusLink}`,
+  };
+}
+
+/**
+ * This function sends a notification to a checking-in party through each of the configured transports.
+ *
+ * @param {string} partyID - the ID of the party
+ * @param {(contact: object, now: Date) => Notification} buildNotification - builds the notification from the party's contact details
+ * @param {Date} now - the current time
+ * @param {string|null} [checkingInExpiration=null] - the check-in expiration the notification is for (if it only applies to that check-in window)
+ * @returns {Promise<[string|null, string|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is a message describing whether the party was notified if no error occurred, and null otherwise
+ * @private
+ */
+async function sendCheckingInNotification(
+  partyID,
+  buildNotification,
+  now,
+  checkingInExpiration = null,
+) {
+  const [contactError, contact] =
+    await parties.getCheckingInPartyContact(partyID);
+  if (contactError === PARTY_NOT_FOUND) {
+    return [null, "Party is no longer checking in"];
+  }
+  if (contactError) return [contactError, null];
+  if (!contact.contact_phone && !contact.contact_email) {
+    return [null, "Party has no contact details"];
+  }
+  if (
+    checkingInExpiration &&
+    new Date(contact.checkin_expiration).getTime() !==
+      new Date(checkingInExpiration).getTime()
+  ) {
+    return [null, "Party's check-in window has changed"];
+  }
+  if (new Date(contact.checkin_expiration) <= now) {
+    return [null, "Party's check-in has expired"];
+  }
+
+  const notification = buildNotification(contact, now);
+  try {
+    for (const transport of transports) {
+      await transport(notification);
+    }
+  } catch (error) {
+    logger.error(`Could not notify party ${partyID}: ${error.message}`);
+    return [COULD_NOT_SEND_NOTIFICATION, null];
+  }
+
+  return [null, "Party notified"];
+}
+
+/**
+ * This function queues a "your table is ready" notification for each dequeued party.
+ *
+ * @param {string[]} partyIDs - the IDs of the parties that were dequeued
+ * @param {string} checkingInExpiration - when the parties' checking-in status expires
+ * @returns {Promise<void>}
+ * @description
+ * Each notification is a job in the `NOTIFICATIONS_QUEUE`, identified by the party and
+ * their check-in expiration. This way, a dequeue that is received more than once (ex: by
+ * several notification workers) only notifies the party once, and failed notifications are
+ * retried without holding up the other parties' notifications.
+ */
+async function queueTableReadyNotifications(partyIDs, checkingInExpiration) {
+  const queue = redisHandler.createQueue(NOTIFICATIONS_QUEUE);
+  const expirationMs = new Date(checkingInExpiration).getTime();
+
+  await queue.addBulk(
+    partyIDs.map((partyID) => ({
+      name: "table-ready",
+      data: { partyID },
+      opts: {
+        jobId: `table-ready-${partyID}-${expirationMs}`,
+        ...NOTIFICATION_JOB_OPTIONS,
+      },
+    })),
+  );
+}
+
+/**
+ * This function notifies a dequeued party that their table is ready.
+ *
+ * @param {string} partyID - the ID of the dequeued party
+ * @param {Date} [now=new Date()] - the current time
+ * @returns {Promise<[string|null, string|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is a message describing whether the party was notified if no error occurred, and null otherwise
+ * @description
+ * The party is sent the notification through each of the configured transports, using the
+ * phone number and/or email they gave when joining the waitlist.
+ * Parties who did not give any contact details, or who are no longer checking in (ex: they
+ * checked in from their status page first), are not notified.
+ *
+ * If a transport fails, the error is returned so that the notification job is retried.
+ * A retry sends the notification through every transport again.
+ */
+async function sendTableReadyNotification(partyID, now = new Date()) {
+  return await sendCheckingInNotification(
+    partyID,
+    buildTableReadyNotification,
+    now,
+  );
+}
+
+/**
+ * This function queues a "your check-in window is closing" notification for each reminded party.
+ *
+ * @param {string[]} partyIDs - the IDs of the parties who have not checked in yet
+ * @param {string} checkingInExpiration - when the parties' checking-in status expires
+ * @param {string} remindAt - when the reminder was scheduled for
+ * @returns {Promise<void>}
+ * @description
+ * As with the "your table is ready" notifications, each job is identified by the party and the
+ * reminder, so that a reminder received more than once only notifies the party once.
+ */
+async function queueCheckinReminderNotifications(
+  partyIDs,
+  checkingInExpiration,
+  remindAt,
+) {
+  const queue = redisHandler.createQueue(NOTIFICATIONS_QUEUE);
+  const remindAtMs = new Date(remindAt).getTime();
+
+  await queue.addBulk(
+    partyIDs.map((partyID) => ({
+      name: "checkin-reminder",
+      data: { partyID, checkingInExpiration },
+      opts: {
+        jobId: `checkin-reminder-${partyID}-${remindAtMs}`,
+        ...NOTIFICATION_JOB_OPTIONS,
+      },
+    })),
+  );
+}
+
+/**
+ * This function reminds a party who has not checked in yet that their check-in window is closing.
+ *
+ * @param {string} partyID - the ID of the party
+ * @param {string} checkingInExpiration - the check-in expiration the reminder is for
+ * @param {Date} [now=new Date()] - the current time
+ * @returns {Promise<[string|null, string|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is a message describing whether the party was notified if no error occurred, and null otherwise
+ * @description
+ * The reminder is sent in the same way as the "your table is ready" notification, except that
+ * parties whose check-in window has changed since the reminder was scheduled are not reminded.
+ */
+async function sendCheckinReminderNotification(
+  partyID,
+  checkingInExpiration,
+  now = new Date(),
+) {
+  return await sendCheckingInNotification(
+    partyID,
+    buildCheckinReminderNotification,
+    now,
+    checkingInExpiration,
+  );
+}
+
+export default {
+  queueTableReadyNotifications,
+  sendTableReadyNotification,
+  queueCheckinReminderNotifications,
+  sendCheckinReminderNotification,
+};
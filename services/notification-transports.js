@@ -0,0 +1,157 @@
+/**
+ * @file Defines the transports used to send notifications to parties.
+ *
+ * Each transport is given a notification and delivers it to whichever of the party's
+ * contact details it supports, ignoring notifications without them. The active transports
+ * are set with the `NOTIFICATION_TRANSPORTS` environmental variable.
+ */
+import { appendFile, mkdir } from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+import {
+  NOTIFICATION_TRANSPORT_CONSOLE,
+  NOTIFICATION_TRANSPORT_FILE,
+  NOTIFICATION_TRANSPORT_SMS_HTTP,
+  NOTIFICATION_TRANSPORT_SMTP,
+} from "../constants/notification-transports.js";
+import {
+  NOTIFICATION_EMAIL_FROM,
+  NOTIFICATION_FILE_PATH,
+  SMS_FROM,
+  SMS_GATEWAY_TOKEN,
+  SMS_GATEWAY_URL,
+  SMTP_URL,
+} from "../config/notifications.js";
+import logger from "../utils/logger.js";
+
+/**
+ * A message to send to a party.
+ * @typedef {object} Notification
+ * @property {{phone: string|null, email: string|null}} to - the party's contact details
+ * @property {string} subject - the subject of the message (used by transports that support one, such as email)
+ * @property {string} text - the body of the message
+ */
+
+/**
+ * @callback NotificationTransport
+ * @param {Notification} notification - the notification to send
+ * @returns {Promise<void>}
+ * @throws {Error} if the notification could not be sent
+ */
+
+/**
+ * Logs notifications, for developing without sending real messages.
+ *
+ * @type {NotificationTransport}
+ */
+async function consoleTransport(notification) {
+  const recipients = [notification.to.phone, notification.to.email]
+    .filter(Boolean)
+    .join(", ");
+  logger.info(`[Notification to ${recipients}]: ${notification.text}`);
+}
+
+/**
+ * Appends notifications to `NOTIFICATION_FILE_PATH` as lines of JSON, for testing offline.
+ *
+ * @type {NotificationTransport}
+ */
+async function fileTransport(notification) {
+  await mkdir(path.dirname(NOTIFICATION_FILE_PATH), { recursive: true });
+  await appendFile(
+    NOTIFICATION_FILE_PATH,
+    `${JSON.stringify({ ...notification, sentAt: new Date().toISOString() })}\n`,
+  );
+}
+
+let smtpTransporter = null;
+
+/**
+ * Emails notifications through the SMTP server at `SMTP_URL`.
+ *
+ * @type {NotificationTransport}
+ */
+async function smtpTransport(notification) {
+  if (!notification.to.email) return;
+
+  // the connection pool is only created once it is needed
+  smtpTransporter ??= nodemailer.createTransport(SMTP_URL);
+  await smtpTransporter.sendMail({
+    from: NOTIFICATION_EMAIL_FROM,
+    to: notification.to.email,
+    subject: notification.subject,
+    text: notification.text,
+  });
+}
+
+/**
+ * Texts notifications through the SMS gateway at `SMS_GATEWAY_URL`.
+ *
+ * @type {NotificationTransport}
+ * @description
+ * The message is POSTed to the gateway as JSON (`{ to, from, body }`), authenticated
+ * with `SMS_GATEWAY_TOKEN` as a bearer token.
+ */
+async function smsHttpTransport(notification) {
+  if (!notification.to.phone) return;
+
+  const response = await fetch(SMS_GATEWAY_URL, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      authorization: `Bearer ${SMS_GATEWAY_TOKEN}`,
+    },
+    body: JSON.stringify({
+      to: notification.to.phone,
+      from: SMS_FROM,
+      body: notification.text,
+    }),
+  });
+  if (!response.ok) {
+    throw new Error(`SMS gateway responded with ${response.status}`);
+  }
+}
+
+const TRANSPORTS = {
+  [NOTIFICATION_TRANSPORT_CONSOLE]: consoleTransport,
+  [NOTIFICATION_TRANSPORT_FILE]: fileTransport,
+  [NOTIFICATION_TRANSPORT_SMTP]: smtpTransport,
+  [NOTIFICATION_TRANSPORT_SMS_HTTP]: smsHttpTransport,
+};
+
+// the settings each transport cannot send without
+const REQUIRED_SETTINGS = {
+  [NOTIFICATION_TRANSPORT_SMTP]: { SMTP_URL, NOTIFICATION_EMAIL_FROM },
+  [NOTIFICATION_TRANSPORT_SMS_HTTP]: { SMS_GATEWAY_URL, SMS_GATEWAY_TOKEN },
+};
+
+/**
+ * Gets notification transports by their names.
+ *
+ * @param {string[]} names - the names of the transports (see constants/notification-transports.js)
+ * @returns {NotificationTransport[]} the transports
+ * @throws {Error} if there is no transport with one of the given names, or it is missing its settings,
+ * so that misconfigured `NOTIFICATION_TRANSPORTS` are caught on startup rather than when parties are notified
+ */
+export function getNotificationTransports(names) {
+  return names.map((name) => {
+    const transport = TRANSPORTS[name];
+    if (!transport) {
+      const transportNames = Object.keys(TRANSPORTS).join(", ");
+      throw new Error(
+        `Unknown notification transport "${name}" (expected one of: ${transportNames})`,
+      );
+    }
+
+    const missingSettings = Object.entries(REQUIRED_SETTINGS[name] ?? {})
+      .filter(([_setting, value]) => !value)
+      .map(([setting]) => setting);
+    if (missingSettings.length > 0) {
+      throw new Error(
+        `The "${name}" notification transport requires: ${missingSettings.join(", ")}`,
+      );
+    }
+
+    return transport;
+  });
+}
@@ -0,0 +1,74 @@
+import operatingHours from "../models/operating-hours.js";
+import { OPERATING_HOURS_TIME_ZONE } from "../config/waitlist.js";
+import {
+  addDays,
+  getLocalDateTime,
+  getNextOpening,
+  isWithinOpeningHours,
+} from "../utils/operating-hours.js";
+
+/**
+ * @import { Location } from '../typedefs.js';
+ * @import { LocalDateTime } from '../utils/operating-hours.js';
+ */
+
+/**
+ * Whether a location's waitlist is taking new parties.
+ * @typedef {object} IntakeStatus
+ * @property {boolean} isOpen - whether new parties can join the waitlist
+ * @property {boolean} isPaused - whether staff have paused the waitlist (which closes it regardless of the hours)
+ * @property {LocalDateTime|null} nextOpening - when the waitlist next opens, in the opening hours' time zone
+ * (`null` when it is open, when it is paused, or when it has no upcoming hours)
+ */
+
+/**
+ * This function checks whether new parties can join a location's waitlist.
+ *
+ * @param {Location} location - the location whose waitlist to check
+ * @param {Date} [now=new Date()] - when to check the waitlist at
+ * @returns {Promise<[string|null, IntakeStatus|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is the waitlist's intake status if no error occurred, and null otherwise
+ * @description
+ * The waitlist is open during the location's opening hours (its weekly hours, or its special hours on dates that have them),
+ * unless staff have paused intake. A location without weekly hours is open all day.
+ *
+ * When the waitlist is closed by its hours, the next time it opens is included (so guests know when to come back).
+ * A paused waitlist stays closed until staff resume it, so it has no next opening.
+ */
+async function getIntakeStatus(location, now = new Date()) {
+  if (location.intake_paused) {
+    return [null, { isOpen: false, isPaused: true, nextOpening: null }];
+  }
+
+  const localNow = getLocalDateTime(now, OPERATING_HOURS_TIME_ZONE);
+
+  const [weeklyHoursError, weeklyHours] = await operatingHours.getWeeklyHours(
+    location.id,
+  );
+  if (weeklyHoursError) return [weeklyHoursError, null];
+
+  // periods from the day before can run past midnight into today
+  const [overridesError, overrides] = await operatingHours.getHoursOverrides(
+    location.id,
+    addDays(localNow.date, -1),
+  );
+  if (overridesError) return [overridesError, null];
+
+  const isOpen = isWithinOpeningHours(localNow, weeklyHours, overrides);
+  return [
+    null,
+    {
+      isOpen,
+      isPaused: false,
+      nextOpening: isOpen
+        ? null
+        : getNextOpening(localNow, weeklyHours, overrides),
+    },
+  ];
+}
+
+export default {
+  getIntakeStatus,
+};
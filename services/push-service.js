@@ -0,0 +1,223 @@
+import parties from "../models/parties.js";
+import pushSubscriptions from "../models/push-subscriptions.js";
+import redisHandler from "../utils/redis.js";
+import logger from "../utils/logger.js";
+import { getPushTransport } from "./push-transports.js";
+import { PUSH_TRANSPORT } from "../config/push.js";
+import { PUSH_NOTIFICATIONS_QUEUE } from "../constants/message-queues.js";
+import {
+  PUSH_CHECKIN_REMINDER,
+  PUSH_TABLE_READY,
+} from "../constants/push-notifications.js";
+import {
+  COULD_NOT_SEND_PUSH_NOTIFICATION,
+  PARTY_NOT_FOUND,
+} from "../constants/errors.js";
+
+/**
+ * @import { PushNotification } from './push-transports.js';
+ */
+
+const transport = getPushTransport(PUSH_TRANSPORT);
+
+// how many times sending a push notification is attempted before giving up
+const PUSH_ATTEMPTS = 3;
+// how long (in ms) to wait before retrying a failed push notification, doubling after each attempt
+const PUSH_RETRY_DELAY_MS = 2 * 1000;
+// how long (in seconds) finished push jobs are kept, so that repeated dequeue messages are not re-sent
+const PUSH_JOB_RETENTION_SECONDS = 60 * 60;
+// the status codes push services respond with once a subscription has expired or been unsubscribed
+const EXPIRED_SUBSCRIPTION_STATUSES = [404, 410];
+
+/**
+ * This function describes how long is left in a party's check-in window.
+ *
+ * @param {number} secondsLeft - the seconds left in the check-in window
+ * @returns {string} the time left (ex: "45 seconds" or "2 minutes")
+ * @private
+ */
+function formatTimeLeft(secondsLeft) {
+  if (secondsLeft < 60) {
+    return `${secondsLeft} second${secondsLeft === 1 ? "" : "s"}`;
+  }
+
+  const minutesLeft = Math.ceil(secondsLeft / 60);
+  return `${minutesLeft} minute${minutesLeft === 1 ? "" : "s"}`;
+}
+
+/**
+ * This function builds a push notification telling a party to check in.
+ *
+ * @param {string} kind - the kind of notification (`PUSH_TABLE_READY` or `PUSH_CHECKIN_REMINDER`)
+ * @param {number} secondsLeft - the seconds left in the party's check-in window
+ * @returns {PushNotification} the notification
+ * @private
+ * @description
+ * Both kinds of notification share a tag, so the reminder replaces the "table ready"
+ * notification (and a retried push does not show twice).
+ */
+function buildCheckinNotification(kind, secondsLeft) {
+  const timeLeft = formatTimeLeft(secondsLeft);
+  const notification =
+    kind === PUSH_CHECKIN_REMINDER
+      ? {
+          title: "Your check-in window is closing",
+          body: `Check in within ${timeLeft}, or your spot will be given to the next party.`,
+        }
+      : {
+          title: "Your table is ready!",
+          body: `Please check in within ${timeLeft}, or your spot will be given to the next party.`,
+        };
+
+  return {
+    ...notification,
+    tag: "check-in",
+    url: "/party",
+    // the notification is useless once the check-in window has expired
+    ttl: secondsLeft,
+  };
+}
+
+/**
+ * This function queues a kind of push notification for each party.
+ *
+ * @param {string} kind - the kind of notification (`PUSH_TABLE_READY` or `PUSH_CHECKIN_REMINDER`)
+ * @param {string[]} partyIDs - the IDs of the parties
+ * @param {string} checkingInExpiration - when the parties' checking-in status expires
+ * @param {string} key - identifies the notification for each party, along with its kind
+ * @returns {Promise<void>}
+ * @private
+ */
+async function queuePushes(kind, partyIDs, checkingInExpiration, key) {
+  const queue = redisHandler.createQueue(PUSH_NOTIFICATIONS_QUEUE);
+
+  await queue.addBulk(
+    partyIDs.map((partyID) => ({
+      name: kind,
+      data: { partyID, checkingInExpiration },
+      opts: {
+        jobId: `${kind}-${partyID}-${key}`,
+        attempts: PUSH_ATTEMPTS,
+        backoff: { type: "exponential", delay: PUSH_RETRY_DELAY_MS },
+        removeOnComplete: { age: PUSH_JOB_RETENTION_SECONDS },
+        removeOnFail: { age: PUSH_JOB_RETENTION_SECONDS },
+      },
+    })),
+  );
+}
+
+/**
+ * This function queues a "table ready" push notification for each dequeued party.
+ *
+ * @param {string[]} partyIDs - the IDs of the parties that were dequeued
+ * @param {string} checkingInExpiration - when the parties' checking-in status expires
+ * @returns {Promise<void>}
+ * @description
+ * The jobs are identified by the party and their check-in expiration, so a dequeue that is
+ * received more than once only queues them once.
+ */
+async function queueTableReadyPushes(partyIDs, checkingInExpiration) {
+  await queuePushes(
+    PUSH_TABLE_READY,
+    partyIDs,
+    checkingInExpiration,
+    new Date(checkingInExpiration).getTime(),
+  );
+}
+
+/**
+ * This function queues a "check-in window closing" push notification for each reminded party.
+ *
+ * @param {string[]} partyIDs - the IDs of the parties who have not checked in yet
+ * @param {string} checkingInExpiration - when the parties' checking-in status expires
+ * @param {string} remindAt - when the reminder was scheduled for
+ * @returns {Promise<void>}
+ * @description
+ * The jobs are identified by the party and the reminder, so a reminder that is received
+ * more than once only queues them once.
+ */
+async function queueCheckinReminderPushes(
+  partyIDs,
+  checkingInExpiration,
+  remindAt,
+) {
+  await queuePushes(
+    PUSH_CHECKIN_REMINDER,
+    partyIDs,
+    checkingInExpiration,
+    new Date(remindAt).getTime(),
+  );
+}
+
+/**
+ * This function sends a push notification to each of a checking-in party's browsers.
+ *
+ * @param {string} kind - the kind of notification (`PUSH_TABLE_READY` or `PUSH_CHECKIN_REMINDER`)
+ * @param {string} partyID - the ID of the party
+ * @param {string} checkingInExpiration - the check-in expiration the notification was queued for
+ * @param {Date} [now=new Date()] - the current time
+ * @returns {Promise<[string|null, string|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is a message describing whether the party was notified if no error occurred, and null otherwise
+ * @description
+ * Parties who are no longer checking in (ex: they checked in first), whose check-in window
+ * has changed or expired, or who have not turned on push notifications, are not notified.
+ *
+ * Subscriptions that the push service reports as expired are deleted. If sending fails for
+ * any other reason, the error is returned so that the job is retried.
+ */
+async function sendPushNotification(
+  kind,
+  partyID,
+  checkingInExpiration,
+  now = new Date(),
+) {
+  const [contactError, contact] =
+    await parties.getCheckingInPartyContact(partyID);
+  if (contactError === PARTY_NOT_FOUND) {
+    return [null, "Party is no longer checking in"];
+  }
+  if (contactError) return [contactError, null];
+
+  const expiration = new Date(contact.checkin_expiration);
+  if (expiration.getTime() !== new Date(checkingInExpiration).getTime()) {
+    return [null, "Party's check-in window has changed"];
+  }
+  const secondsLeft = Math.floor((expiration - now) / 1000);
+  if (secondsLeft <= 0) return [null, "Party's check-in has expired"];
+
+  const [subscriptionsError, subscriptions] =
+    await pushSubscriptions.getPushSubscriptions(partyID);
+  if (subscriptionsError) return [subscriptionsError, null];
+  if (subscriptions.length < 1) {
+    return [null, "Party has not turned on push notifications"];
+  }
+
+  const notification = buildCheckinNotification(kind, secondsLeft);
+  let sentCount = 0;
+  let failed = false;
+  for (const { endpoint, p256dh, auth } of subscriptions) {
+    try {
+      await transport({ endpoint, keys: { p256dh, auth } }, notification);
+      sentCount++;
+    } catch (error) {
+      if (EXPIRED_SUBSCRIPTION_STATUSES.includes(error.statusCode)) {
+        await pushSubscriptions.deletePushSubscription(endpoint);
+        continue;
+      }
+
+      logger.error(`Could not push to party ${partyID}: ${error.message}`);
+      failed = true;
+    }
+  }
+  if (failed) return [COULD_NOT_SEND_PUSH_NOTIFICATION, null];
+
+  return [null, `Pushed to ${sentCount} browsers`];
+}
+
+export default {
+  queueTableReadyPushes,
+  queueCheckinReminderPushes,
+  sendPushNotification,
+};
@@ -0,0 +1,125 @@
+/**
+ * @file Defines the transports used to send push notifications to parties' browsers.
+ *
+ * The active transport is set with the `PUSH_TRANSPORT` environmental variable.
+ */
+import webpush from "web-push";
+import {
+  PUSH_TRANSPORT_STUB,
+  PUSH_TRANSPORT_WEB_PUSH,
+} from "../constants/push-notifications.js";
+import {
+  VAPID_PRIVATE_KEY,
+  VAPID_PUBLIC_KEY,
+  VAPID_SUBJECT,
+} from "../config/push.js";
+
+/**
+ * A push notification to show on a party's browser.
+ * @typedef {object} PushNotification
+ * @property {string} title - the title of the notification
+ * @property {string} body - the body of the notification
+ * @property {string} tag - identifies the notification, so a newer one with the same tag replaces it
+ * @property {string} url - the page opened when the notification is clicked
+ * @property {number} ttl - how long (in seconds) the push service should hold on to the push
+ * while the browser is offline
+ */
+
+/**
+ * @callback PushTransport
+ * @param {{endpoint: string, keys: {p256dh: string, auth: string}}} subscription - the browser's push subscription
+ * @param {PushNotification} notification - the notification to send
+ * @returns {Promise<void>}
+ * @throws {Error} if the notification could not be sent, with a `statusCode` if the push service
+ * rejected it (a 404 or 410 meaning the subscription has expired)
+ */
+
+/**
+ * Sends push notifications through the browser's push service, signed with the VAPID keys.
+ *
+ * @type {PushTransport}
+ */
+async function webPushTransport(subscription, notification) {
+  const { ttl, ...payload } = notification;
+  await webpush.sendNotification(subscription, JSON.stringify(payload), {
+    vapidDetails: {
+      subject: VAPID_SUBJECT,
+      publicKey: VAPID_PUBLIC_KEY,
+      privateKey: VAPID_PRIVATE_KEY,
+    },
+    TTL: ttl,
+    urgency: "high",
+  });
+}
+
+const stubbedPushes = [];
+
+/**
+ * Records push notifications instead of sending them, for testing.
+ *
+ * @type {PushTransport}
+ */
+async function stubTransport(subscription, notification) {
+  stubbedPushes.push({ endpoint: subscription.endpoint, ...notification });
+}
+
+/**
+ * Gets the push notifications recorded by the stub transport.
+ *
+ * @returns {(PushNotification & { endpoint: string })[]} the recorded notifications, in the order they were sent
+ */
+export function getStubbedPushes() {
+  return [...stubbedPushes];
+}
+
+/**
+ * Clears the push notifications recorded by the stub transport.
+ *
+ * @returns {void}
+ */
+export function clearStubbedPushes() {
+  stubbedPushes.length = 0;
+}
+
+const TRANSPORTS = {
+  [PUSH_TRANSPORT_WEB_PUSH]: webPushTransport,
+  [PUSH_TRANSPORT_STUB]: stubTransport,
+};
+
+// the settings each transport cannot send without
+const REQUIRED_SETTINGS = {
+  [PUSH_TRANSPORT_WEB_PUSH]: {
+    VAPID_PUBLIC_KEY,
+    VAPID_PRIVATE_KEY,
+    VAPID_SUBJECT,
+  },
+};
+
+/**
+ * Gets a push transport by its name.
+ *
+ * @param {string} name - the name of the transport (see constants/push-notifications.js)
+ * @returns {PushTransport} the transport
+ * @throws {Error} if there is no transport with the given name, or it is missing its settings,
+ * so that a misconfigured `PUSH_TRANSPORT` is caught on startup rather than when parties are notified
+ */
+export function getPushTransport(name) {
+  const transport = TRANSPORTS[name];
+  if (!transport) {
+    const transportNames = Object.keys(TRANSPORTS).join(", ");
+    throw new Error(
+      `Unknown push transport "${name}" (expected one of: ${transportNames})`,
+    );
+  }
+
+  const missingSettings = Object.entries(REQUIRED_SETTINGS[name] ?? {})
+    .filter(([_setting, value]) => !value)
+    .map(([setting]) => setting);
+  if (missingSettings.length > 0) {
+    throw new Error(
+      `The "${name}" push transport requires: ${missingSettings.join(", ")}`,
+    );
+  }
+
+  return transport;
+}
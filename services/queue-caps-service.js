@@ -0,0 +1,78 @@
+import parties from "../models/parties.js";
+import waitEstimateService from "./wait-estimate-service.js";
+import { isOverQueueCaps } from "../utils/queue-caps.js";
+import { getQueueCaps } from "../utils/waitlist-settings.js";
+
+/**
+ * @import { Location } from '../typedefs.js';
+ * @import { QueueCaps } from '../utils/waitlist-settings.js';
+ */
+
+/**
+ * The caps on a location's queue, and how long a new party would be expected to wait in it.
+ * @typedef {object} QueueLimits
+ * @property {QueueCaps} caps - the caps on the queue
+ * @property {number|null} estimatedWaitMinutes - how long the new party would be expected to wait
+ * (`null` when there is no cap on the wait, or the party could never be seated)
+ */
+
+/**
+ * This function gets the limits a party joining a location's queue (or growing within it) is held to.
+ *
+ * @param {Location} location - the location whose queue the party is joining
+ * @param {number} size - the size of the party
+ * @param {string|null} [partyID=null] - the ID of the party, if they are already queued and changing their size
+ * @returns {Promise<[string|null, QueueLimits|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is the queue's limits if no error occurred, and null otherwise
+ *   (or if none of the caps are set, since the queue can grow without limit)
+ * @description
+ * The party's wait is only estimated when the wait is capped, since estimating it simulates the whole queue.
+ * A new party is estimated from the end of the queue, and a queued party from their place in it.
+ */
+async function getQueueLimits(location, size, partyID = null) {
+  const caps = getQueueCaps();
+  if (Object.values(caps).every((cap) => cap < 1)) return [null, null];
+  if (caps.maxWaitMinutes < 1) {
+    return [null, { caps, estimatedWaitMinutes: null }];
+  }
+
+  const [estimateError, estimatedWaitMinutes] = partyID
+    ? await waitEstimateService.estimateResizedWait(location, partyID, size)
+    : await waitEstimateService.estimateJoiningWait(location, size);
+  if (estimateError) return [estimateError, null];
+
+  return [null, { caps, estimatedWaitMinutes }];
+}
+
+/**
+ * This function checks whether a location's queue is too long for any more parties to join.
+ *
+ * @param {Location} location - the location whose queue to check
+ * @returns {Promise<[string|null, boolean|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is whether the waitlist is full if no error occurred, and null otherwise
+ * @description
+ * The waitlist is full when even a party of one would take the queue past one of its caps.
+ * Larger parties can still be turned away when they try to join a waitlist that is not full.
+ */
+async function isWaitlistFull(location) {
+  const [limitsError, limits] = await getQueueLimits(location, 1);
+  if (limitsError) return [limitsError, null];
+  if (!limits) return [null, false];
+
+  const [totalsError, totals] = await parties.getQueueTotals(location.id);
+  if (totalsError) return [totalsError, null];
+
+  return [
+    null,
+    isOverQueueCaps(totals, 1, limits.estimatedWaitMinutes, limits.caps),
+  ];
+}
+
+export default {
+  getQueueLimits,
+  isWaitlistFull,
+};
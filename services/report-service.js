@@ -0,0 +1,176 @@
+import reports from "../models/reports.js";
+import tables from "../models/tables.js";
+import { REPORTS_TIME_ZONE } from "../config/waitlist.js";
+import { getLocationMaxSeats } from "../utils/location-seats.js";
+import { PARTY_SIZE_BUCKETS } from "../constants/party-size-buckets.js";
+
+/**
+ * @import { VisitMetrics } from '../models/reports.js';
+ * @import { Location } from '../typedefs.js';
+ */
+
+// how many of the busiest hours of the day are reported as peak hours
+const PEAK_HOUR_COUNT = 3;
+// how many days are reported on when no start date is given
+const DEFAULT_REPORT_DAYS = 7;
+const HOURS_IN_DAY = 24;
+const DAY_MS = HOURS_IN_DAY * 60 * 60 * 1000;
+
+/**
+ * The wait time, no-show, and walk-away metrics for a group of parties.
+ * @typedef {object} VisitSummary
+ * @property {number} parties - how many parties joined the queue
+ * @property {number|null} averageWaitSeconds - the average time from joining the queue to being called (`null` if none were called)
+ * @property {number|null} noShowRate - the fraction of called parties whose check-in expired (`null` if none were called)
+ * @property {number|null} walkAwayRate - the fraction of parties who left the waitlist themselves (`null` if there were no parties)
+ */
+
+/**
+ * The waitlist's performance over a date range.
+ * @typedef {object} WaitlistReport
+ * @property {string} from - the start of the date range (inclusive, an ISO date string)
+ * @property {string} to - the end of the date range (exclusive, an ISO date string)
+ * @property {string} timeZone - the time zone the hours are reported in
+ * @property {VisitSummary} summary - the metrics across every party
+ * @property {(VisitSummary & {partySize: string})[]} byPartySize - the metrics for each party size bucket
+ * @property {number} seatCapacity - the number of seats used to calculate the seat utilization
+ * @property {{hourStart: string, averageSeatsOccupied: number, utilization: number}[]} seatUtilization
+ * the average seats occupied (and the fraction of the seat capacity) for each hour in the date range
+ * @property {{hour: number, arrivals: number}[]} arrivalsByHour - how many parties joined the queue during each hour of the day
+ * @property {number[]} peakHours - the hours of the day (0-23) that the most parties joined the queue, busiest first
+ */
+
+/**
+ * This function converts the aggregated visits into rates.
+ *
+ * @param {VisitMetrics | undefined} metrics - the aggregated visits (`undefined` if there were none)
+ * @returns {VisitSummary} the visit summary
+ * @private
+ */
+function summarizeVisits(metrics) {
+  if (!metrics || metrics.parties < 1) {
+    return {
+      parties: 0,
+      averageWaitSeconds: null,
+      noShowRate: null,
+      walkAwayRate: null,
+    };
+  }
+
+  return {
+    parties: metrics.parties,
+    averageWaitSeconds: metrics.average_wait_seconds,
+    noShowRate: metrics.called > 0 ? metrics.no_shows / metrics.called : null,
+    walkAwayRate: metrics.walk_aways / metrics.parties,
+  };
+}
+
+/**
+ * This function gets the number of seats at a location.
+ *
+ * @param {Location} location - the location
+ * @returns {Promise<[string|null, number|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is the number of seats if no error occurred, and null otherwise
+ * @private
+ * @description
+ * When the location has tables, this is the combined capacity of the tables.
+ * Otherwise, it is the location's seat limit (see `getLocationMaxSeats`).
+ *
+ * This is the venue's current capacity, so the seat utilization of earlier dates
+ * will be skewed if tables have since been added or removed.
+ */
+async function getSeatCapacity(location) {
+  const [tablesError, venueTables] = await tables.getTables(location.id);
+  if (tablesError) return [tablesError, null];
+  if (venueTables.length < 1) return [null, getLocationMaxSeats(location)];
+
+  const capacity = venueTables.reduce((sum, table) => sum + table.capacity, 0);
+  return [null, capacity];
+}
+
+/**
+ * This function reports on a location's waitlist performance over a date range.
+ *
+ * @param {Location} location - the location to report on
+ * @param {Date} [from] - the start of the date range (inclusive), defaulting to `DEFAULT_REPORT_DAYS` days before the end
+ * @param {Date} [to] - the end of the date range (exclusive), defaulting to now
+ * @returns {Promise<[string|null, WaitlistReport|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is the report if no error occurred, and null otherwise
+ * @description
+ * The wait time, no-show, and walk-away metrics include the parties who joined the queue
+ * within the date range, both overall and by party size bucket (see constants/party-size-buckets.js).
+ * The seat utilization includes every hour in the date range, while the arrivals (and peak hours)
+ * are grouped by the hour of the day in the `REPORTS_TIME_ZONE` time zone.
+ */
+async function getWaitlistReport(location, from, to = new Date()) {
+  from ??= new Date(to.getTime() - DEFAULT_REPORT_DAYS * DAY_MS);
+
+  const [visitMetricsError, visitMetrics] = await reports.getVisitMetrics(
+    location.id,
+    from,
+    to,
+  );
+  if (visitMetricsError) return [visitMetricsError, null];
+
+  const [arrivalsError, arrivals] = await reports.getArrivalsByHour(
+    location.id,
+    from,
+    to,
+    REPORTS_TIME_ZONE,
+  );
+  if (arrivalsError) return [arrivalsError, null];
+
+  const [seatCapacityError, seatCapacity] = await getSeatCapacity(location);
+  if (seatCapacityError) return [seatCapacityError, null];
+
+  const [seatUtilizationError, seatUtilization] =
+    await reports.getSeatUtilization(location.id, from, to, REPORTS_TIME_ZONE);
+  if (seatUtilizationError) return [seatUtilizationError, null];
+
+  // the rolled up totals are the row without a party size bucket
+  const totals = visitMetrics.find(({ size_bucket }) => size_bucket === null);
+  const byPartySize = PARTY_SIZE_BUCKETS.map(({ label }) => ({
+    partySize: label,
+    ...summarizeVisits(
+      visitMetrics.find(({ size_bucket }) => size_bucket === label),
+    ),
+  }));
+
+  // include every hour of the day, even those without arrivals
+  const arrivalsByHour = Array.from({ length: HOURS_IN_DAY }, (_, hour) => ({
+    hour,
+    arrivals: arrivals.find((row) => row.hour === hour)?.arrivals ?? 0,
+  }));
+  const peakHours = arrivalsByHour
+    .filter(({ arrivals }) => arrivals > 0)
+    .sort((a, b) => b.arrivals - a.arrivals || a.hour - b.hour)
+    .slice(0, PEAK_HOUR_COUNT)
+    .map(({ hour }) => hour);
+
+  return [
+    null,
+    {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      timeZone: REPORTS_TIME_ZONE,
+      summary: summarizeVisits(totals),
+      byPartySize,
+      seatCapacity,
+      seatUtilization: seatUtilization.map((row) => ({
+        hourStart: new Date(row.hour_start).toISOString(),
+        averageSeatsOccupied: row.average_seats_occupied,
+        utilization: row.average_seats_occupied / seatCapacity,
+      })),
+      arrivalsByHour,
+      peakHours,
+    },
+  ];
+}
+
+export default {
+  getWaitlistReport,
+};
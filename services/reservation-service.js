@@ -0,0 +1,156 @@
+import parties from "../models/parties.js";
+import reservations from "../models/reservations.js";
+import tableService from "./table-service.js";
+import {
+  CHECKIN_EXPIRED_QUEUE,
+  DEQUEUE_QUEUE,
+  SEAT_EXPIRED_QUEUE,
+} from "../constants/message-queues.js";
+import { CHANNEL_PARTY_SEATED } from "../constants/pub-sub-channels.js";
+import { RESERVATION_NOT_FOUND } from "../constants/errors.js";
+import { RESERVATION_GRACE_MINUTES } from "../config/waitlist.js";
+import redis from "../utils/redis.js";
+import scheduleJobAt from "../utils/schedule-job.js";
+import { getLocationKey } from "../utils/location-keys.js";
+
+/**
+ * @import { Reservation } from '../typedefs.js';
+ */
+
+/**
+ * This function makes a reservation at a location.
+ *
+ * @param {string} locationID - the ID of the location the reservation is at
+ * @param {{name: string, size: number, time: Date, phone?: string|null, email?: string|null}} details
+ * - who the reservation is for, and when
+ * @returns {Promise<[string|null, Reservation|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is the new reservation if no error occurred, and null otherwise
+ * @description
+ * A dequeue is scheduled for when the reservation stops holding seats if it has not been checked in
+ * (`RESERVATION_GRACE_MINUTES` after its time), so that walk-ins are given the seats of a no-show.
+ */
+async function createReservation(locationID, details) {
+  const [error, reservation] = await reservations.createReservation(
+    locationID,
+    details,
+  );
+  if (error) return [error, null];
+
+  const noShowAt = new Date(
+    new Date(reservation.reservation_time).getTime() +
+      RESERVATION_GRACE_MINUTES * 60 * 1000,
+  );
+  const queue = redis.createQueue(DEQUEUE_QUEUE);
+  await scheduleJobAt(queue, "dequeue", { locationID }, noShowAt);
+
+  return [null, reservation];
+}
+
+/**
+ * This function cancels a reservation that has not arrived yet.
+ *
+ * @param {string} locationID - the ID of the reservation's location
+ * @param {string} reservationID - the ID of the reservation
+ * @returns {Promise<[string|null, null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is null
+ * @description
+ * A dequeue is scheduled straight away, as the reservation may have been holding seats.
+ */
+async function cancelReservation(locationID, reservationID) {
+  const [error, _deletedCount] = await reservations.deleteReservation(
+    locationID,
+    reservationID,
+  );
+  if (error) return [error, null];
+
+  const queue = redis.createQueue(DEQUEUE_QUEUE);
+  await queue.add("dequeue", { locationID });
+
+  return [null, null];
+}
+
+/**
+ * This function checks in a reservation that has arrived, seating them straight away.
+ *
+ * @param {string} locationID - the ID of the reservation's location
+ * @param {string} reservationID - the ID of the reservation
+ * @returns {Promise<[string|null, {partyID: string, seatExpiration: string}|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is the ID of the reservation's party and when their seat expires if no error occurred,
+ *   and null otherwise
+ * @description
+ * The reservation joins the waitlist as a party checking in (assigned the free tables that best fit them,
+ * when the venue has tables), then is seated with `updateSeatedStatus`, the same as a party who checks in
+ * after being dequeued. The seat-expired worker is scheduled to clean up the party when their seat expires,
+ * and the seating is broadcast so that the host dashboard updates.
+ *
+ * The check-in cleanup is scheduled for the end of the party's check-in window before they are seated,
+ * so that if they cannot be seated once they have joined, they are left checking in for a host to seat
+ * from the dashboard until their check-in window expires, the same as a dequeued party.
+ */
+async function checkInReservation(locationID, reservationID) {
+  const [reservationsError, upcomingReservations] =
+    await reservations.getUpcomingReservations(locationID);
+  if (reservationsError) return [reservationsError, null];
+
+  const reservation = upcomingReservations.find(
+    ({ id }) => id === reservationID,
+  );
+  // a reservation that is not upcoming has already been checked in (or was a no-show), so it cannot be checked in
+  if (!reservation) return [RESERVATION_NOT_FOUND, null];
+
+  const [tablesError, tableIDs] = await tableService.getFreeTablesForSize(
+    locationID,
+    reservation.size,
+  );
+  if (tablesError) return [tablesError, null];
+
+  const [checkInError, party] = await parties.checkInReservation(
+    locationID,
+    reservationID,
+    tableIDs,
+  );
+  if (checkInError) return [checkInError, null];
+
+  const checkinExpiredQueue = redis.createQueue(CHECKIN_EXPIRED_QUEUE);
+  await scheduleJobAt(
+    checkinExpiredQueue,
+    "expire-checking-in-users",
+    { locationID },
+    new Date(party.checkingInExpiration),
+  );
+
+  const [seatError, seatExpiration] = await parties.updateSeatedStatus(
+    locationID,
+    party.partyID,
+    party.size,
+  );
+  if (seatError) return [seatError, null];
+
+  const seatExpiredQueue = redis.createQueue(SEAT_EXPIRED_QUEUE);
+  await scheduleJobAt(
+    seatExpiredQueue,
+    "seat-expired",
+    { locationID },
+    new Date(seatExpiration),
+  );
+
+  const redisClient = redis.createRedisClient();
+  await redisClient.publish(
+    getLocationKey(CHANNEL_PARTY_SEATED, locationID),
+    JSON.stringify({ partyIDs: [party.partyID], seatExpiration }),
+  );
+
+  return [null, { partyID: party.partyID, seatExpiration }];
+}
+
+export default {
+  createReservation,
+  cancelReservation,
+  checkInReservation,
+};
@@ -5,23 +5,25 @@ import { DEQUEUE_QUEUE } from "../constants/message-queues.js";
 /**
  * This function handles the removal of expired seats from the database.
  *
+ * @param {string} locationID - the ID of the location whose seats to expire
  * @returns {Promise<[string|null, string[]|null]>}
  * a tuple where
  * - the first value is a string with an error code if an error occurred or null otherwise
  * - the second value is a list of party IDs that were removed if successful or null otherwise
  * @description
- * This function checks for expired seats in the database and removes them.
- * If any seats are removed, adds a job to the dequeue channel so that the queue can
+ * This function checks for the location's expired seats in the database and removes them.
+ * If any seats are removed, adds a job for the location to the dequeue channel so that the queue can
  * shift forward.
  */
-async function expireSeats() {
-  const [removeSeatsError, removeSeats] = await parties.removeExpiredSeats();
+async function expireSeats(locationID) {
+  const [removeSeatsError, removeSeats] =
+    await parties.removeExpiredSeats(locationID);
   if (removeSeatsError) return [removeSeatsError, null];
 
   // If seats were removed, add a job to the dequeue queue to shift the queue
   if (removeSeats.length > 0) {
     const queue = redis.createQueue(DEQUEUE_QUEUE);
-    queue.add("dequeue-party");
+    queue.add("dequeue-party", { locationID });
   }
 
   return [null, removeSeats];
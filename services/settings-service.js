@@ -0,0 +1,79 @@
+import settings from "../models/settings.js";
+import { CHANNEL_SETTINGS_UPDATED } from "../constants/pub-sub-channels.js";
+import { DEQUEUE_QUEUE } from "../constants/message-queues.js";
+import {
+  SETTING_CHECKIN_EXPIRY_SECONDS,
+  SETTING_MAX_QUEUED_COVERS,
+  SETTING_MAX_QUEUED_PARTIES,
+  SETTING_MAX_SEATS,
+  SETTING_MAX_WAIT_MINUTES,
+  SETTING_SERVICE_TIME_SECONDS,
+} from "../constants/settings.js";
+import redis from "../utils/redis.js";
+import {
+  applyWaitlistSettings,
+  getWaitlistSettings,
+} from "../utils/waitlist-settings.js";
+
+/**
+ * @import { WaitlistSettings } from '../utils/waitlist-settings.js';
+ */
+
+/**
+ * The key in the 'settings' table of each waitlist setting.
+ * @type {Record<keyof WaitlistSettings, string>}
+ */
+const SETTING_KEYS = {
+  maxSeats: SETTING_MAX_SEATS,
+  serviceTimeSeconds: SETTING_SERVICE_TIME_SECONDS,
+  checkinExpirySeconds: SETTING_CHECKIN_EXPIRY_SECONDS,
+  maxQueuedParties: SETTING_MAX_QUEUED_PARTIES,
+  maxQueuedCovers: SETTING_MAX_QUEUED_COVERS,
+  maxWaitMinutes: SETTING_MAX_WAIT_MINUTES,
+};
+
+/**
+ * This service is responsible for changing the waitlist settings while the waitlist is running.
+ *
+ * @param {Partial<WaitlistSettings>} values - the new value of each setting to change
+ * @returns {Promise<[string|null, WaitlistSettings|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is the settings now in use if no error occurred, and null otherwise
+ * @description
+ * Stores the new values, then publishes every stored setting on the settings channel so that the
+ * web app and the workers start using them without being restarted.
+ *
+ * If the max seats have increased, a dequeue job is added for every location (as more parties may now fit).
+ */
+async function updateSettings(values) {
+  const previousSettings = getWaitlistSettings();
+
+  const storedValues = Object.fromEntries(
+    Object.entries(values).map(([setting, value]) => [
+      SETTING_KEYS[setting],
+      value,
+    ]),
+  );
+  const [error, storedSettings] = await settings.updateSettings(storedValues);
+  if (error) return [error, null];
+
+  const updatedSettings = applyWaitlistSettings(storedSettings);
+  const redisClient = redis.createRedisClient();
+  await redisClient.publish(
+    CHANNEL_SETTINGS_UPDATED,
+    JSON.stringify(storedSettings),
+  );
+
+  // the job has no location, so every location's queue is checked
+  if (updatedSettings.maxSeats > previousSettings.maxSeats) {
+    const queue = redis.createQueue(DEQUEUE_QUEUE);
+    await queue.add("dequeue");
+  }
+
+  return [null, updatedSettings];
+}
+
+export default {
+  updateSettings,
+};
@@ -0,0 +1,104 @@
+import parties from "../models/parties.js";
+import tables from "../models/tables.js";
+import {
+  PARTY_NO_TABLE_AVAILABLE,
+  PARTY_NOT_FOUND,
+} from "../constants/errors.js";
+import { getLocationMaxSeats } from "../utils/location-seats.js";
+import { findTablesForParty } from "../utils/table-assignment.js";
+
+/**
+ * @import { Location } from '../typedefs.js';
+ */
+
+/**
+ * This function finds the free tables to assign to a party that a host is moving out of the queue.
+ *
+ * @param {string} locationID - the ID of the party's location
+ * @param {string} partyID - the ID of the party
+ * @returns {Promise<[string|null, string[]|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is a list of table IDs to assign to the party if no error occurred, and null otherwise
+ * @description
+ * When the venue has no tables (so the waitlist uses a single pool of seats),
+ * or the party has already been assigned tables (ex: when they were dequeued), no tables are returned.
+ *
+ * Otherwise, the free tables that best fit the party are returned, or an error if no free tables fit them.
+ */
+async function getTablesToAssign(locationID, partyID) {
+  const [partyError, party] = await parties.getPartyByID(partyID);
+  if (partyError) return [partyError, null];
+  // the party is at another location, so none of this location's tables can be assigned to them
+  if (party.location_id !== locationID) return [PARTY_NOT_FOUND, null];
+
+  const [tableCountError, tableCount] = await tables.getTableCount(locationID);
+  if (tableCountError) return [tableCountError, null];
+  if (tableCount < 1) return [null, []];
+
+  const [assignedError, assignedTableIDs] =
+    await tables.getAssignedTableIDs(partyID);
+  if (assignedError) return [assignedError, null];
+  if (assignedTableIDs.length > 0) return [null, []];
+
+  return await getFreeTablesForSize(locationID, party.size);
+}
+
+/**
+ * This function finds the free tables that best fit a party of a given size.
+ *
+ * @param {string} locationID - the ID of the location whose tables to search
+ * @param {number} partySize - the size of the party
+ * @returns {Promise<[string|null, string[]|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is a list of table IDs if no error occurred, and null otherwise
+ * @description
+ * No tables are returned when the venue has no tables, and an error is returned if no free tables fit the party.
+ */
+async function getFreeTablesForSize(locationID, partySize) {
+  const [tableCountError, tableCount] = await tables.getTableCount(locationID);
+  if (tableCountError) return [tableCountError, null];
+  if (tableCount < 1) return [null, []];
+
+  const [freeTablesError, freeTables] = await tables.getFreeTables(locationID);
+  if (freeTablesError) return [freeTablesError, null];
+
+  const partyTables = findTablesForParty(partySize, freeTables);
+  if (!partyTables) return [PARTY_NO_TABLE_AVAILABLE, null];
+
+  return [null, partyTables.map((table) => table.id)];
+}
+
+/**
+ * This function checks whether a party of a given size could ever be seated at a location.
+ *
+ * @param {Location} location - the location the party is at
+ * @param {number} partySize - the size of the party
+ * @returns {Promise<[string|null, boolean|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is whether the party could be seated if no error occurred, and null otherwise
+ * @description
+ * When the venue has no tables, the party can be seated if they are no larger than the location's seats
+ * (see `getLocationMaxSeats`). Otherwise, they can be seated if the venue's tables would fit them with
+ * every table free (see `findTablesForParty`), whether at a single table or at combined tables.
+ *
+ * The dequeue strategies stop at a party that does not fit (or that has been skipped too many times),
+ * so a party that could never be seated would hold up everyone queued behind them.
+ */
+async function canSeatPartySize(location, partySize) {
+  const [tablesError, venueTables] = await tables.getTables(location.id);
+  if (tablesError) return [tablesError, null];
+  if (venueTables.length < 1) {
+    return [null, partySize <= getLocationMaxSeats(location)];
+  }
+
+  return [null, findTablesForParty(partySize, venueTables) !== null];
+}
+
+export default {
+  getTablesToAssign,
+  getFreeTablesForSize,
+  canSeatPartySize,
+};
@@ -0,0 +1,232 @@
+import parties from "../models/parties.js";
+import tables from "../models/tables.js";
+import checkinLatencies from "../models/checkin-latencies.js";
+import { estimateWaits } from "../utils/wait-estimator.js";
+import { getLocationMaxSeats } from "../utils/location-seats.js";
+import { DEQUEUE_STRATEGY } from "../config/waitlist.js";
+import {
+  getCheckinExpirySeconds,
+  getServiceTimeSeconds,
+} from "../utils/waitlist-settings.js";
+import { DEQUEUE_STRATEGY_STRICT_FIFO } from "../constants/dequeue-strategies.js";
+
+/**
+ * @import { Location } from '../typedefs.js';
+ */
+
+// how many of the most recent check-ins the check-in latency is based on
+const LATENCY_SAMPLE_SIZE = 100;
+// the percentiles of the recent check-in latencies used as the fastest and slowest check-in times
+const LATENCY_LOWER_PERCENTILE = 0.1;
+const LATENCY_UPPER_PERCENTILE = 0.9;
+// stands in for a party that has not joined yet (party IDs are 10 characters, so it cannot clash with one)
+const JOINING_PARTY_ID = "joining-party";
+
+/**
+ * @typedef {object} QueueWaitEstimate
+ * @property {string} min - the earliest the party is expected to be called to check in (an ISO date string)
+ * @property {string} max - the latest the party is expected to be called to check in (an ISO date string)
+ */
+
+/**
+ * This function gets the range of time parties are expected to take to check in.
+ *
+ * @param {string} locationID - the ID of the location
+ * @returns {Promise<[string|null, {min: number, max: number}|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is the range in seconds if no error occurred, and null otherwise
+ * @private
+ * @description
+ * Until any parties have checked in, parties are assumed to take anywhere from no time at all
+ * to the entire check-in window. Since a party who has not checked in by the end of the
+ * check-in window is removed, the range never goes beyond it.
+ */
+async function getCheckinLatencyRange(locationID) {
+  const [latencyRangeError, latencyRange] =
+    await checkinLatencies.getLatencyRange(
+      locationID,
+      LATENCY_SAMPLE_SIZE,
+      LATENCY_LOWER_PERCENTILE,
+      LATENCY_UPPER_PERCENTILE,
+    );
+  if (latencyRangeError) return [latencyRangeError, null];
+  const checkinExpirySeconds = getCheckinExpirySeconds();
+  if (!latencyRange) return [null, { min: 0, max: checkinExpirySeconds }];
+
+  const clamp = (seconds) =>
+    Math.min(Math.max(seconds, 0), checkinExpirySeconds);
+  return [null, { min: clamp(latencyRange.min), max: clamp(latencyRange.max) }];
+}
+
+/**
+ * This function gets the current state of a location's queue and seating, for simulating the queue.
+ *
+ * @param {Location} location - the location
+ * @returns {Promise<[string|null, {venue: object, latencyRange: {min: number, max: number}}|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is the venue (see `estimateWaits`) and the check-in latency range if no error occurred,
+ *   and null otherwise
+ * @private
+ */
+async function getVenueState(location) {
+  const [queuedPartiesError, queuedParties] = await parties.getQueuedParties(
+    location.id,
+  );
+  if (queuedPartiesError) return [queuedPartiesError, null];
+
+  const [occupyingPartiesError, occupyingParties] =
+    await parties.getOccupyingParties(location.id);
+  if (occupyingPartiesError) return [occupyingPartiesError, null];
+
+  const [tablesError, venueTables] = await tables.getTables(location.id);
+  if (tablesError) return [tablesError, null];
+
+  const [latencyRangeError, latencyRange] = await getCheckinLatencyRange(
+    location.id,
+  );
+  if (latencyRangeError) return [latencyRangeError, null];
+
+  return [
+    null,
+    {
+      venue: {
+        queuedParties,
+        occupyingParties,
+        tables: venueTables,
+        maxSeats: getLocationMaxSeats(location),
+        serviceTimeSeconds: getServiceTimeSeconds(),
+        isStrictOrder: DEQUEUE_STRATEGY === DEQUEUE_STRATEGY_STRICT_FIFO,
+      },
+      latencyRange,
+    },
+  ];
+}
+
+/**
+ * This function estimates when each queued party will be called to check in.
+ *
+ * @param {Location} location - the location whose queued parties to estimate
+ * @returns {Promise<[string|null, Map<string, QueueWaitEstimate|null>|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is the estimate for each queued party (by party ID) if no error occurred, and null otherwise.
+ *   A party's estimate is null if they can never be seated (ex: they are larger than every table).
+ * @description
+ * The estimate is based on when the seated parties' seats expire, how long each party is served for
+ * (the service time setting per member), and how long parties have recently taken to check in at the location
+ * (which is never longer than the check-in window).
+ *
+ * See utils/wait-estimator.js for how the queue is simulated.
+ */
+async function getQueueWaitEstimates(location) {
+  const [stateError, state] = await getVenueState(location);
+  if (stateError) return [stateError, null];
+
+  const estimates = estimateWaits(state.venue, state.latencyRange);
+
+  const queueWaitEstimates = new Map();
+  for (const [partyID, estimate] of estimates) {
+    queueWaitEstimates.set(
+      partyID,
+      estimate && {
+        min: estimate.min.toISOString(),
+        max: estimate.max.toISOString(),
+      },
+    );
+  }
+
+  return [null, queueWaitEstimates];
+}
+
+/**
+ * This function simulates a venue's queue, to get the longest a party in it is expected to wait.
+ *
+ * @param {object} venue - the venue to simulate (see `estimateWaits`)
+ * @param {{min: number, max: number}} latencyRange - the check-in latency range, in seconds
+ * @param {string} partyID - the ID of the party to estimate
+ * @param {Date} now - when the simulation starts
+ * @returns {number|null} the longest the party is expected to wait, in minutes
+ * (or null if they could never be seated)
+ * @private
+ */
+function estimateMaxWaitMinutes(venue, latencyRange, partyID, now) {
+  const estimate = estimateWaits(venue, latencyRange, now).get(partyID);
+  if (!estimate) return null;
+
+  return (estimate.max.getTime() - now.getTime()) / (60 * 1000);
+}
+
+/**
+ * This function estimates how long a new party would wait if they joined the end of the queue now.
+ *
+ * @param {Location} location - the location whose queue the party would join
+ * @param {number} size - the size of the party
+ * @param {Date} [now=new Date()] - when the party would join
+ * @returns {Promise<[string|null, number|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is the longest the party is expected to wait, in minutes, if no error occurred
+ *   (or null if they could never be seated, or an error occurred)
+ * @description
+ * The party is estimated in the same way as the queued parties (see `getQueueWaitEstimates`).
+ */
+async function estimateJoiningWait(location, size, now = new Date()) {
+  const [stateError, state] = await getVenueState(location);
+  if (stateError) return [stateError, null];
+
+  const venue = {
+    ...state.venue,
+    queuedParties: [
+      ...state.venue.queuedParties,
+      {
+        party_id: JOINING_PARTY_ID,
+        size,
+        skip_count: 0,
+        first_skipped_at: null,
+      },
+    ],
+  };
+  return [
+    null,
+    estimateMaxWaitMinutes(venue, state.latencyRange, JOINING_PARTY_ID, now),
+  ];
+}
+
+/**
+ * This function estimates how long a queued party would wait from now if they changed their size.
+ *
+ * @param {Location} location - the location whose queue the party is in
+ * @param {string} partyID - the ID of the queued party
+ * @param {number} size - the party's new size
+ * @param {Date} [now=new Date()] - when the party would change their size
+ * @returns {Promise<[string|null, number|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is the longest the party is expected to wait, in minutes, if no error occurred
+ *   (or null if they could never be seated, are no longer queued, or an error occurred)
+ * @description
+ * The party keeps their place in the queue, so they are estimated from there at their new size.
+ */
+async function estimateResizedWait(location, partyID, size, now = new Date()) {
+  const [stateError, state] = await getVenueState(location);
+  if (stateError) return [stateError, null];
+
+  const venue = {
+    ...state.venue,
+    queuedParties: state.venue.queuedParties.map((party) =>
+      party.party_id === partyID ? { ...party, size } : party,
+    ),
+  };
+  return [
+    null,
+    estimateMaxWaitMinutes(venue, state.latencyRange, partyID, now),
+  ];
+}
+
+export default {
+  getQueueWaitEstimates,
+  estimateJoiningWait,
+  estimateResizedWait,
+};
@@ -0,0 +1,213 @@
+import webhooks from "../models/webhooks.js";
+import redisHandler from "../utils/redis.js";
+import { signWebhookPayload } from "../utils/webhook-payloads.js";
+import {
+  WEBHOOK_DEAD_LETTER_QUEUE,
+  WEBHOOK_DELIVERY_QUEUE,
+} from "../constants/message-queues.js";
+import {
+  DELIVERY_STATUS_DELIVERED,
+  DELIVERY_STATUS_PENDING,
+} from "../constants/webhook-events.js";
+import {
+  WEBHOOK_DELIVERY_FAILED,
+  WEBHOOK_NOT_FOUND,
+} from "../constants/errors.js";
+import {
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_DELAY_MS,
+  WEBHOOK_TIMEOUT_MS,
+} from "../config/webhooks.js";
+
+// how many party events are turned into deliveries per transaction
+const DISPATCH_BATCH_SIZE = 100;
+// the most pending deliveries queued per dispatch
+const PENDING_DELIVERY_LIMIT = 500;
+// how long (in seconds) failed delivery jobs are kept, so that they are not queued again while being dead-lettered
+const FAILED_JOB_RETENTION_SECONDS = 24 * 60 * 60;
+
+/**
+ * This function gets the ID of the job that sends a delivery.
+ *
+ * @param {number} deliveryID - the ID of the delivery
+ * @returns {string} the job ID
+ * @private
+ */
+const getDeliveryJobID = (deliveryID) => `delivery-${deliveryID}`;
+
+/**
+ * This function queues a job to send each pending delivery.
+ *
+ * @returns {Promise<[string|null, number|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is the number of pending deliveries if no error occurred, and null otherwise
+ * @private
+ * @description
+ * Each job is identified by its delivery, so deliveries whose job is already queued
+ * (or waiting to be retried) are not queued twice. Queueing every pending delivery, rather
+ * than only the newly created ones, means that deliveries created just before a crash are
+ * still sent.
+ */
+async function queuePendingDeliveries() {
+  const [pendingError, pendingIDs] = await webhooks.getPendingDeliveryIDs(
+    PENDING_DELIVERY_LIMIT,
+  );
+  if (pendingError) return [pendingError, null];
+  if (pendingIDs.length < 1) return [null, 0];
+
+  const queue = redisHandler.createQueue(WEBHOOK_DELIVERY_QUEUE);
+  await queue.addBulk(
+    pendingIDs.map((deliveryID) => ({
+      name: "deliver",
+      data: { deliveryID },
+      opts: {
+        jobId: getDeliveryJobID(deliveryID),
+        attempts: WEBHOOK_MAX_ATTEMPTS,
+        backoff: { type: "exponential", delay: WEBHOOK_RETRY_DELAY_MS },
+        removeOnComplete: true,
+        removeOnFail: { age: FAILED_JOB_RETENTION_SECONDS },
+      },
+    })),
+  );
+
+  return [null, pendingIDs.length];
+}
+
+/**
+ * This function turns new party events into webhook deliveries, and queues them to be sent.
+ *
+ * @returns {Promise<[string|null, string|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is a string with a success message if no error occurred, and null otherwise
+ * @description
+ * The undispatched party events are dispatched in batches until none are left, creating a
+ * delivery for each subscription to each event's type. Every pending delivery is then queued
+ * on the `WEBHOOK_DELIVERY_QUEUE`, to be sent by the webhooks worker.
+ */
+async function dispatchWebhooks() {
+  let dispatchedTotal = 0;
+  let dispatchedCount;
+  do {
+    const [dispatchError, count] =
+      await webhooks.dispatchPartyEvents(DISPATCH_BATCH_SIZE);
+    if (dispatchError) return [dispatchError, null];
+
+    dispatchedCount = count;
+    dispatchedTotal += count;
+  } while (dispatchedCount === DISPATCH_BATCH_SIZE);
+
+  const [queueError, pendingCount] = await queuePendingDeliveries();
+  if (queueError) return [queueError, null];
+
+  return [
+    null,
+    `Dispatched ${dispatchedTotal} party events, ${pendingCount} deliveries pending`,
+  ];
+}
+
+/**
+ * This function sends a webhook delivery to its subscriber.
+ *
+ * @param {number} deliveryID - the ID of the delivery
+ * @returns {Promise<[string|null, string|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is a string with a success message if no error occurred, and null otherwise
+ * @description
+ * The delivery's payload is POSTed as JSON to the subscription's URL, with headers describing the
+ * event and delivery, and an `x-waitlist-signature` header of `sha256=<signature>` (see
+ * `signWebhookPayload`) so that the subscriber can verify it came from the waitlist.
+ *
+ * Any 2xx response marks the delivery as delivered. Otherwise, the attempt is recorded in the delivery
+ * log and a `WEBHOOK_DELIVERY_FAILED` error is returned, so that the delivery job is retried.
+ * Deliveries whose subscription has been deleted, or that are no longer pending, are skipped.
+ */
+async function deliverWebhook(deliveryID) {
+  const [deliveryError, delivery] =
+    await webhooks.getDeliveryWithSubscription(deliveryID);
+  if (deliveryError === WEBHOOK_NOT_FOUND) {
+    return [null, "Delivery's webhook no longer exists"];
+  }
+  if (deliveryError) return [deliveryError, null];
+  if (delivery.status !== DELIVERY_STATUS_PENDING) {
+    return [null, "Delivery is no longer pending"];
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = signWebhookPayload(delivery.secret, timestamp, body);
+
+  let responseStatus = null;
+  let attemptError = null;
+  try {
+    const response = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "user-agent": "waitlist-webhooks",
+        "x-waitlist-event": delivery.event_type,
+        "x-waitlist-delivery": String(delivery.id),
+        "x-waitlist-timestamp": String(timestamp),
+        "x-waitlist-signature": `sha256=${signature}`,
+      },
+      body,
+      // a redirect is treated as a failure, rather than re-sending the payload elsewhere
+      redirect: "manual",
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    // the response body is not needed, so it is discarded to free up the connection
+    await response.body?.cancel();
+
+    responseStatus = response.status;
+    if (!response.ok) {
+      attemptError = `Subscriber responded with ${response.status}`;
+    }
+  } catch (error) {
+    attemptError = error.message;
+  }
+
+  const [recordError] = await webhooks.recordDeliveryAttempt(deliveryID, {
+    status: attemptError ? DELIVERY_STATUS_PENDING : DELIVERY_STATUS_DELIVERED,
+    responseStatus,
+    error: attemptError,
+  });
+  if (recordError) return [recordError, null];
+  if (attemptError) return [WEBHOOK_DELIVERY_FAILED, null];
+
+  return [null, "Delivered"];
+}
+
+/**
+ * This function gives up on a delivery that has failed on every attempt.
+ *
+ * @param {number} deliveryID - the ID of the delivery
+ * @param {string} reason - why the final attempt failed
+ * @returns {Promise<[string|null, string|null]>}
+ * a tuple where
+ * - the first value is a string error code if an error occurred, and null otherwise
+ * - the second value is a string with a success message if no error occurred, and null otherwise
+ * @description
+ * The delivery is marked as dead in the delivery log, and added to the `WEBHOOK_DEAD_LETTER_QUEUE`
+ * (which has no worker) so that it can be inspected alongside the other queues.
+ */
+async function deadLetterDelivery(deliveryID, reason) {
+  const [markError] = await webhooks.markDeliveryDead(deliveryID);
+  if (markError) return [markError, null];
+
+  const queue = redisHandler.createQueue(WEBHOOK_DEAD_LETTER_QUEUE);
+  await queue.add(
+    "dead-letter",
+    { deliveryID, reason },
+    { jobId: getDeliveryJobID(deliveryID) },
+  );
+
+  return [null, "Delivery moved to the dead-letter queue"];
+}
+
+export default {
+  dispatchWebhooks,
+  deliverWebhook,
+  deadLetterDelivery,
+};
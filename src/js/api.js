@@ -18,6 +18,16 @@ class ResponseError extends Error {
   }
 }
 
+/**
+ * Gets the full URL of a path on the server (ex: for connecting to an event stream).
+ *
+ * @param {string} path - the URL path (starting with a "/")
+ * @returns {string} the URL, including the location's prefix for pages that belong to a location
+ */
+function getURL(path) {
+  return BASE_URL + path;
+}
+
 /**
  * Makes an API request, providing error wrapping and handling around the request.
  *
@@ -32,7 +42,7 @@ class ResponseError extends Error {
  */
 async function makeRequest(path, fetchConfig) {
   try {
-    const response = await fetch(BASE_URL + path, {
+    const response = await fetch(getURL(path), {
       headers,
       ...fetchConfig,
       credentials: "include",
@@ -69,5 +79,6 @@ async function makeRequest(path, fetchConfig) {
 }
 
 export default {
+  getURL,
   makeRequest,
 };
@@ -1,2 +1,13 @@
 export const ENDPOINT_PARTY_STATUS = "/party";
+export const ENDPOINT_NEW_PARTY = "/party/new";
 export const ENDPOINT_EVENT_STREAM = "/party/events";
+export const ENDPOINT_SNOOZE = "/party/snooze";
+export const ENDPOINT_RECOVER_PARTY = "/party/recover";
+export const ENDPOINT_HOST_KIOSK = "/host/kiosk";
+export const ENDPOINT_HOST_WAITLIST = "/host/waitlist";
+export const ENDPOINT_RESERVATIONS = "/reservations";
+export const ENDPOINT_STAFF_LOGIN = "/staff/login";
+export const ENDPOINT_HOST_EVENT_STREAM = "/host/events";
+export const ENDPOINT_PUSH_SUBSCRIPTION = "/party/push-subscription";
+export const ENDPOINT_DISPLAY_EVENT_STREAM = "/display/events";
+export const PUSH_SERVICE_WORKER_URL = "/party/push-service-worker.js";
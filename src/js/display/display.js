@@ -0,0 +1,169 @@
+/**
+ * @file The code handles rendering the live queue on the lobby display, which is left running unattended
+ * (so it reconnects to the server by itself whenever the connection is lost).
+ */
+import api from "../api.js";
+import eventStatuses from "../shared-constants/event-statuses.js";
+import { ENDPOINT_DISPLAY_EVENT_STREAM } from "../constants.js";
+
+// how long to wait before reconnecting after the server closes the stream, doubling on each failed attempt
+const INITIAL_RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30 * 1000;
+
+/** @type {EventSource | undefined} */
+let eventSource;
+let reconnectDelay = INITIAL_RECONNECT_DELAY_MS;
+
+/** @type {HTMLElement} */
+const connectionStatus = document.querySelector("#display-connection-status");
+/** @type {HTMLUListElement} */
+const calledList = document.querySelector("#called-parties");
+/** @type {HTMLElement} */
+const calledEmptyNotice = document.querySelector("#called-parties-empty");
+/** @type {HTMLOListElement} */
+const queuedList = document.querySelector("#queued-parties");
+/** @type {HTMLElement} */
+const queuedEmptyNotice = document.querySelector("#queued-parties-empty");
+/** @type {HTMLElement} */
+const queuedMoreNotice = document.querySelector("#queued-parties-more");
+
+/**
+ * Builds a list item for a party on the display.
+ *
+ * @param {string} label - the party's label (already masked by the server)
+ * @param {number} [position] - the party's position in queue, if queued
+ * @returns {HTMLLIElement} the list item
+ */
+function buildPartyItem(label, position) {
+  const item = document.createElement("li");
+  item.classList.add("display-board__item");
+
+  if (position) {
+    const positionText = document.createElement("span");
+    positionText.classList.add("display-board__position");
+    positionText.textContent = `${position}.`;
+    item.append(positionText);
+  }
+
+  const labelText = document.createElement("span");
+  labelText.textContent = label;
+  item.append(labelText);
+
+  return item;
+}
+
+/**
+ * Replaces the parties shown on the display.
+ *
+ * @param {object} snapshot - the queue sent from the display event stream
+ * @param {{ label: string }[]} snapshot.calledParties - the parties called to check in
+ * @param {{ label: string, position: number }[]} snapshot.queuedParties - the first queued parties, in queue order
+ * @param {number} snapshot.queuedCount - how many parties are queued in total
+ * @returns {void}
+ */
+function renderQueue({ calledParties, queuedParties, queuedCount }) {
+  calledList.replaceChildren(
+    ...calledParties.map(({ label }) => buildPartyItem(label)),
+  );
+  calledEmptyNotice.hidden = calledParties.length > 0;
+
+  queuedList.replaceChildren(
+    ...queuedParties.map(({ label, position }) =>
+      buildPartyItem(label, position),
+    ),
+  );
+  queuedEmptyNotice.hidden = queuedCount > 0;
+
+  const hiddenCount = queuedCount - queuedParties.length;
+  queuedMoreNotice.hidden = hiddenCount < 1;
+  queuedMoreNotice.textContent = `and ${hiddenCount} more ${hiddenCount === 1 ? "party" : "parties"}`;
+}
+
+/**
+ * Shows whether the display is connected (the status is hidden while connected).
+ *
+ * @param {boolean} isConnected - whether the display is receiving updates
+ * @returns {void}
+ */
+function renderConnectionStatus(isConnected) {
+  connectionStatus.setAttribute("data-connected", String(isConnected));
+  connectionStatus.textContent = isConnected ? "Connected" : "Reconnecting...";
+}
+
+/**
+ * Handles messages from the display event stream.
+ *
+ * @param {MessageEvent} event
+ * @returns {void}
+ */
+function onEventMessage(event) {
+  const data = JSON.parse(event.data);
+
+  if (data.status === eventStatuses.DISPLAY_UPDATE) {
+    renderQueue(data);
+  }
+}
+
+/**
+ * Connects to the display event stream, which sends the queue whenever it changes.
+ *
+ * @returns {void}
+ * @description
+ * The browser reconnects on its own if the connection drops, but gives up if the server closes the stream
+ * or responds with an error (ex: while it restarts). In that case, a new connection is made after a delay,
+ * which backs off until the server is reachable again.
+ */
+function connectToEvents() {
+  eventSource = new EventSource(api.getURL(ENDPOINT_DISPLAY_EVENT_STREAM));
+
+  eventSource.onmessage = onEventMessage;
+  eventSource.onopen = () => {
+    reconnectDelay = INITIAL_RECONNECT_DELAY_MS;
+    renderConnectionStatus(true);
+  };
+  eventSource.onerror = (event) => {
+    console.error("EventSource error: ", event);
+    renderConnectionStatus(false);
+
+    if (eventSource.readyState === EventSource.CLOSED) {
+      setTimeout(connectToEvents, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+    }
+  };
+}
+
+/**
+ * Keeps the screen from sleeping while the display is shown (where the browser supports it).
+ *
+ * @returns {Promise<void>}
+ * @description
+ * The browser releases the lock whenever the page is hidden, so it is requested again when the page is shown.
+ */
+async function keepScreenAwake() {
+  if (!("wakeLock" in navigator) || document.visibilityState !== "visible") {
+    return;
+  }
+
+  try {
+    await navigator.wakeLock.request("screen");
+  } catch (error) {
+    console.error("Could not keep the screen awake: ", error);
+  }
+}
+
+/**
+ * Shows the display full-screen (browsers only allow this after the page is clicked).
+ *
+ * @returns {void}
+ * @listens click
+ */
+function enterFullscreen() {
+  if (!document.fullscreenElement) {
+    document.documentElement.requestFullscreen?.();
+  }
+}
+
+document.addEventListener("visibilitychange", keepScreenAwake);
+document.addEventListener("click", enterFullscreen);
+keepScreenAwake();
+connectToEvents();
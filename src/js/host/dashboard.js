@@ -0,0 +1,381 @@
+/**
+ * @file The code handles rendering the live waitlist on the host dashboard, and the
+ * actions a host can take on each party (calling them forward, extending their check-in window, seating,
+ * extending a seat, or removing them), and on each reservation (checking it in, or cancelling it).
+ */
+import eventStatuses from "../shared-constants/event-statuses.js";
+import api from "../api.js";
+import {
+  buildErrorNotice,
+  removeOldErrorNotices,
+} from "../components/errors-notice.js";
+import {
+  ENDPOINT_HOST_EVENT_STREAM,
+  ENDPOINT_HOST_KIOSK,
+  ENDPOINT_HOST_WAITLIST,
+  ENDPOINT_NEW_PARTY,
+  ENDPOINT_RESERVATIONS,
+  ENDPOINT_STAFF_LOGIN,
+} from "../constants.js";
+import updateButtonStatus, {
+  BUTTON_STATUS_ACTIVE,
+  BUTTON_STATUS_PENDING,
+} from "../utils/update-button-status.js";
+
+// how long a seat is extended by when the host presses the extend button
+const SEAT_EXTENSION_MINUTES = 5;
+// how long a check-in window is extended by when the host presses the extend check-in button
+const CHECKIN_EXTENSION_MINUTES = 5;
+// shown in place of a table for parties that have not been assigned one
+const NO_TABLE_PLACEHOLDER = "—";
+
+/** @type {EventSource | undefined} */
+let eventSource;
+
+/** @type {HTMLTemplateElement} */
+const partyRowTemplate = document.querySelector("#party-row-template");
+/** @type {HTMLElement} */
+const heading = document.querySelector("h1");
+/** @type {HTMLElement} */
+const dashboard = document.querySelector("#host-dashboard-page");
+/** @type {HTMLButtonElement} */
+const logoutButton = document.querySelector("#host-logout-button");
+/** @type {HTMLButtonElement | null} */
+const startKioskButton = document.querySelector("#start-kiosk-button");
+/** @type {HTMLButtonElement | null} */
+const stopKioskButton = document.querySelector("#stop-kiosk-button");
+/** @type {HTMLElement} */
+const waitlistControls = document.querySelector(".waitlist-controls");
+/** @type {HTMLElement} */
+const reservationsSection = document.querySelector(".reservations");
+/** @type {HTMLFormElement} */
+const reservationForm = document.querySelector("#reservation-form");
+
+/**
+ * Formats the timestamps within an element to the host's local time.
+ *
+ * @param {HTMLElement} root - the element containing the time elements to format
+ * @returns {void}
+ */
+function formatTimes(root) {
+  for (const timeElement of root.querySelectorAll("time")) {
+    const datetime = timeElement.getAttribute("datetime");
+    timeElement.textContent = datetime
+      ? new Date(datetime).toLocaleTimeString()
+      : "—";
+  }
+}
+
+/**
+ * Builds a table row for a party from the row template.
+ *
+ * @param {object} party - a party sent from the host event stream
+ * @returns {DocumentFragment} the row to insert into the table
+ */
+function buildPartyRow(party) {
+  const rowContent = partyRowTemplate.content.cloneNode(true);
+  const row = rowContent.querySelector("tr");
+  row.setAttribute("data-party-id", party.party_id);
+  row.setAttribute("data-status", party.status);
+
+  for (const field of ["party_id", "name", "size"]) {
+    row.querySelector(`[data-field="${field}"]`).textContent = party[field];
+  }
+  row.querySelector('[data-field="table_names"]').textContent =
+    party.table_names ?? NO_TABLE_PLACEHOLDER;
+  for (const field of ["queued_at", "checkin_expiration", "seat_expiration"]) {
+    row
+      .querySelector(`[data-field="${field}"]`)
+      .setAttribute("datetime", party[field] ?? "");
+  }
+
+  formatTimes(row);
+  return rowContent;
+}
+
+/**
+ * Replaces the rows of each waitlist table with the parties of that status.
+ *
+ * @param {object[]} parties - every party currently on the waitlist
+ * @returns {void}
+ */
+function renderWaitlist(parties) {
+  for (const tableBody of document.querySelectorAll("[data-waitlist-status]")) {
+    const status = tableBody.getAttribute("data-waitlist-status");
+    const rows = parties
+      .filter((party) => party.status === status)
+      .map(buildPartyRow);
+    tableBody.replaceChildren(...rows);
+
+    const emptyNotice = document.querySelector(
+      `[data-waitlist-empty="${status}"]`,
+    );
+    emptyNotice.hidden = rows.length > 0;
+  }
+}
+
+/**
+ * Renders an error notice below the page heading.
+ *
+ * @param {string} error - the error message to display
+ * @returns {void}
+ */
+function renderError(error) {
+  removeOldErrorNotices();
+  heading.parentElement.after(buildErrorNotice(error));
+}
+
+/**
+ * Sends the request for the action a host has clicked on for a party.
+ *
+ * @param {MouseEvent} e
+ * @returns {Promise<void>}
+ * @listens click
+ * @description
+ * This function is delegated from the dashboard, so it ignores clicks that are not on action buttons.
+ * The table is not updated from the response, as the event stream sends an updated
+ * waitlist after any change.
+ */
+async function handleActionClick(e) {
+  /** @type {HTMLButtonElement | null} */
+  const button = e.target.closest("button[data-action]");
+  if (!button) return;
+
+  const partyID = button.closest("tr").getAttribute("data-party-id");
+  const action = button.getAttribute("data-action");
+  const requests = {
+    dequeue: [`/host/parties/${partyID}/dequeue`, { method: "PATCH" }],
+    "extend-checkin": [
+      `/host/parties/${partyID}/extend-checkin`,
+      {
+        method: "PATCH",
+        body: JSON.stringify({ minutes: CHECKIN_EXTENSION_MINUTES }),
+      },
+    ],
+    seat: [`/host/parties/${partyID}/seat`, { method: "PATCH" }],
+    extend: [
+      `/host/parties/${partyID}/extend`,
+      {
+        method: "PATCH",
+        body: JSON.stringify({ minutes: SEAT_EXTENSION_MINUTES }),
+      },
+    ],
+    remove: [`/host/parties/${partyID}`, { method: "DELETE" }],
+  };
+
+  updateButtonStatus(button, BUTTON_STATUS_PENDING);
+  const [error, _response] = await api.makeRequest(...requests[action]);
+  updateButtonStatus(button, BUTTON_STATUS_ACTIVE);
+
+  if (error) {
+    renderError(error);
+    return;
+  }
+
+  removeOldErrorNotices();
+}
+
+/**
+ * Signs the host out, then returns them to the sign in page.
+ *
+ * @returns {Promise<void>}
+ * @listens click
+ */
+async function handleLogout() {
+  const [error, _response] = await api.makeRequest("/staff/logout", {
+    method: "POST",
+  });
+  if (error) {
+    renderError(error);
+    return;
+  }
+
+  eventSource?.close();
+  window.location.replace(ENDPOINT_STAFF_LOGIN);
+}
+
+/**
+ * Turns this device into a kiosk for guests to join the waitlist from, after the host confirms.
+ *
+ * @returns {Promise<void>}
+ * @listens click
+ * @description
+ * The server signs the host out when kiosk mode starts, so the device is sent to the join page.
+ */
+async function handleStartKiosk() {
+  const confirmed = window.confirm(
+    "This will sign you out and turn this device into a kiosk for guests to join the waitlist from. Continue?",
+  );
+  if (!confirmed) return;
+
+  const [error, _response] = await api.makeRequest(ENDPOINT_HOST_KIOSK, {
+    method: "POST",
+  });
+  if (error) {
+    renderError(error);
+    return;
+  }
+
+  eventSource?.close();
+  window.location.replace(api.getURL(ENDPOINT_NEW_PARTY));
+}
+
+/**
+ * Turns kiosk mode off for this device, then reloads the dashboard.
+ *
+ * @returns {Promise<void>}
+ * @listens click
+ */
+async function handleStopKiosk() {
+  const [error, _response] = await api.makeRequest(ENDPOINT_HOST_KIOSK, {
+    method: "DELETE",
+  });
+  if (error) {
+    renderError(error);
+    return;
+  }
+
+  window.location.reload();
+}
+
+/**
+ * Pauses or resumes joining the waitlist, or calling parties from it, then reloads the dashboard.
+ *
+ * @param {MouseEvent} event - the click event within the waitlist controls
+ * @returns {Promise<void>}
+ * @listens click
+ * @description
+ * Each control button names the setting it changes (`data-waitlist-setting`), and whether it pauses
+ * or resumes it (`data-paused`).
+ */
+async function handleWaitlistControlClick(event) {
+  /** @type {HTMLButtonElement | null} */
+  const button = event.target.closest("button[data-waitlist-setting]");
+  if (!button) return;
+
+  const { waitlistSetting, paused } = button.dataset;
+  updateButtonStatus(button, BUTTON_STATUS_PENDING);
+  const [error, _response] = await api.makeRequest(ENDPOINT_HOST_WAITLIST, {
+    method: "PATCH",
+    body: JSON.stringify({ [waitlistSetting]: paused === "true" }),
+  });
+  if (error) {
+    updateButtonStatus(button, BUTTON_STATUS_ACTIVE);
+    renderError(error);
+    return;
+  }
+
+  window.location.reload();
+}
+
+/**
+ * Adds a reservation from the form, then reloads the dashboard to list it.
+ *
+ * @param {SubmitEvent} event
+ * @this {HTMLFormElement}
+ * @returns {Promise<void>}
+ * @listens submit
+ * @description
+ * The time is entered in the host's local time, so it is converted to an ISO string before it is sent.
+ */
+async function handleCreateReservation(event) {
+  event.preventDefault();
+
+  const { time, ...details } = Object.fromEntries(new FormData(this));
+  const button = this.querySelector('button[type="submit"]');
+  updateButtonStatus(button, BUTTON_STATUS_PENDING);
+  const [error, _response] = await api.makeRequest(ENDPOINT_RESERVATIONS, {
+    method: "POST",
+    body: JSON.stringify({ ...details, time: new Date(time).toISOString() }),
+  });
+  if (error) {
+    updateButtonStatus(button, BUTTON_STATUS_ACTIVE);
+    renderError(error);
+    return;
+  }
+
+  window.location.reload();
+}
+
+/**
+ * Checks in or cancels the reservation a host has clicked on, then reloads the dashboard.
+ *
+ * @param {MouseEvent} event - the click event within the reservations section
+ * @returns {Promise<void>}
+ * @listens click
+ * @description
+ * A checked-in reservation is seated straight away, so it then shows in the seated table.
+ */
+async function handleReservationActionClick(event) {
+  /** @type {HTMLButtonElement | null} */
+  const button = event.target.closest("button[data-reservation-action]");
+  if (!button) return;
+
+  const reservationID = button
+    .closest("tr")
+    .getAttribute("data-reservation-id");
+  const requests = {
+    "check-in": [
+      `${ENDPOINT_RESERVATIONS}/${reservationID}/check-in`,
+      { method: "POST" },
+    ],
+    cancel: [`${ENDPOINT_RESERVATIONS}/${reservationID}`, { method: "DELETE" }],
+  };
+
+  updateButtonStatus(button, BUTTON_STATUS_PENDING);
+  const [error, _response] = await api.makeRequest(
+    ...requests[button.dataset.reservationAction],
+  );
+  if (error) {
+    updateButtonStatus(button, BUTTON_STATUS_ACTIVE);
+    renderError(error);
+    return;
+  }
+
+  window.location.reload();
+}
+
+/**
+ * Parses and responds to an event message from the host event stream.
+ *
+ * @param {MessageEvent} event - an event stream message from the server
+ * @returns {void}
+ */
+function onEventMessage(event) {
+  const data = JSON.parse(event.data);
+
+  if (data.status === eventStatuses.WAITLIST_UPDATE) {
+    renderWaitlist(data.parties);
+  }
+}
+
+/**
+ * Connects to the host event stream, which sends the waitlist whenever it changes.
+ *
+ * @returns {void}
+ * @description
+ * The browser will attempt to reconnect on its own if the connection drops,
+ * so errors only render a notice to let the host know the waitlist may be stale.
+ */
+function connectToEvents() {
+  eventSource = new EventSource(api.getURL(ENDPOINT_HOST_EVENT_STREAM));
+
+  eventSource.onmessage = onEventMessage;
+  eventSource.onerror = (event) => {
+    console.error("EventSource error: ", event);
+    renderError("Lost connection to the waitlist, reconnecting...");
+  };
+  eventSource.onopen = () => {
+    removeOldErrorNotices();
+  };
+}
+
+formatTimes(dashboard);
+dashboard.addEventListener("click", handleActionClick);
+logoutButton.addEventListener("click", handleLogout);
+startKioskButton?.addEventListener("click", handleStartKiosk);
+stopKioskButton?.addEventListener("click", handleStopKiosk);
+waitlistControls.addEventListener("click", handleWaitlistControlClick);
+reservationsSection.addEventListener("click", handleReservationActionClick);
+reservationForm.addEventListener("submit", handleCreateReservation);
+connectToEvents();
@@ -14,6 +14,73 @@ const waitlistForm = document.querySelector("#waitlist-join-form");
 const submitButton = document.querySelector('button[type="submit"]');
 const redirect = () => window.location.replace(ENDPOINT_PARTY_STATUS);
 
+// kiosks (shared devices at the host stand) show a confirmation instead of redirecting,
+// then reset the form after this many seconds for the next party (this is empty for other devices)
+const kioskResetSeconds = document.querySelector("#waitlist-join-page").dataset
+  .kioskResetSeconds;
+/** @type {HTMLTemplateElement | null} */
+const kioskConfirmationTemplate = document.querySelector(
+  "#kiosk-confirmation-template",
+);
+/** @type {number | undefined} */
+let kioskResetInterval;
+
+/**
+ * Resets the kiosk for the next party, removing the last party's confirmation.
+ *
+ * @returns {void}
+ */
+function resetKiosk() {
+  clearInterval(kioskResetInterval);
+  document.querySelector("#kiosk-confirmation")?.remove();
+
+  waitlistForm.reset();
+  waitlistForm.hidden = false;
+  updateButtonStatus(submitButton, BUTTON_STATUS_ACTIVE);
+  waitlistForm.querySelector("#name").focus();
+}
+
+/**
+ * Shows the party that just joined from the kiosk their party ID and a QR code of their recovery link,
+ * counting down until the kiosk resets.
+ *
+ * @param {object} party - the party created by the server
+ * @param {string} party.partyID - the party's ID
+ * @param {number} party.positionInQueue - the party's position in queue
+ * @param {string|null} party.recoveryQRCode - a data URL of the QR code (`null` if it could not be rendered)
+ * @returns {void}
+ */
+function showKioskConfirmation({ partyID, positionInQueue, recoveryQRCode }) {
+  const confirmation = kioskConfirmationTemplate.content.cloneNode(true);
+  const field = (name) => confirmation.querySelector(`[data-field="${name}"]`);
+
+  field("partyID").textContent = partyID;
+  field("positionInQueue").textContent = positionInQueue;
+  if (recoveryQRCode) {
+    field("recoveryQRCode").src = recoveryQRCode;
+  } else {
+    field("recoveryQRCode").remove();
+    field("recoveryQRCodeText").remove();
+  }
+
+  let secondsLeft = parseInt(kioskResetSeconds);
+  const resetSecondsText = field("resetSeconds");
+  resetSecondsText.textContent = secondsLeft;
+  kioskResetInterval = setInterval(() => {
+    secondsLeft -= 1;
+    resetSecondsText.textContent = secondsLeft;
+    if (secondsLeft <= 0) resetKiosk();
+  }, 1000);
+
+  confirmation
+    .querySelector("#kiosk-done-button")
+    .addEventListener("click", resetKiosk);
+
+  waitlistForm.hidden = true;
+  waitlistForm.after(confirmation);
+  document.querySelector("#kiosk-done-button").focus();
+}
+
 /**
  * Handles the form submission for joining the waitlist.
  *
@@ -36,7 +103,7 @@ async function handleSubmit(e) {
   // format and submit the data
   const formData = new FormData(this);
   const jsonData = Object.fromEntries(formData);
-  const [error, _result] = await api.makeRequest("/party", {
+  const [error, result] = await api.makeRequest("/party", {
     method: "POST",
     body: JSON.stringify(jsonData),
   });
@@ -55,6 +122,12 @@ async function handleSubmit(e) {
     return;
   }
 
+  removeOldErrorNotices();
+  if (kioskResetSeconds) {
+    showKioskConfirmation(result);
+    return;
+  }
+
   // redirect the user to the status page
   redirect();
 }
@@ -8,8 +8,15 @@ import {
   buildErrorNotice,
   removeOldErrorNotices,
 } from "../components/errors-notice.js";
-import { ENDPOINT_EVENT_STREAM } from "../constants.js";
+import {
+  ENDPOINT_EVENT_STREAM,
+  ENDPOINT_PARTY_STATUS,
+  ENDPOINT_SNOOZE,
+  ENDPOINT_PUSH_SUBSCRIPTION,
+  PUSH_SERVICE_WORKER_URL,
+} from "../constants.js";
 import setTimeRemainingWatch from "../utils/time-remaining-watch.js";
+import formatWaitEstimate from "../utils/format-wait-estimate.js";
 import updateButtonStatus, {
   BUTTON_STATUS_ACTIVE,
   BUTTON_STATUS_PENDING,
@@ -17,21 +24,28 @@ import updateButtonStatus, {
 
 /** @type {EventSource | undefined} */
 let eventSource;
+/** @type {(() => void) | undefined} */
+let stopCheckinTimeRemainingWatch;
 
 /**
  * @typedef {object} EventMessage
- * @property {eventStatuses.EVENT_STATUS_DEQUEUED | eventStatuses.EVENT_STATUS_CHECKING_IN_EXPIRED | eventStatuses.EVENT_STATUS_QUEUE_POSITION_UPDATE } status - what type of message this is
+ * @property {eventStatuses.EVENT_STATUS_DEQUEUED | eventStatuses.EVENT_STATUS_CHECKING_IN_EXPIRED | eventStatuses.EVENT_STATUS_CHECKIN_WINDOW_CLOSING | eventStatuses.EVENT_STATUS_QUEUE_POSITION_UPDATE } status - what type of message this is
  * @property {number?} position - the position in queue, if a queue position update
- * @property {string?} checkingInExpiration - the expiration time for the checking-in status, if a dequeued message
+ * @property {{min: string, max: string}?} eta - the range of times the party is expected to be called
+ * to check in, if a queue position update (`null` if it could not be estimated)
+ * @property {string?} checkingInExpiration - the expiration time for the checking-in status, if a dequeued or check-in reminder message
  * @description
  * This is the message format that the server will send to the client via the event stream.
  * The client will listen for these messages and update the UI accordingly.
  * The `status` field indicates the type of message, and the other fields are optional depending
  * on the type of message.
  * - `can-dequeue`: indicates that the user can now check in, and includes the `checkingInExpiration` field
- * - `queue-position-update`: indicates the user's position in queue
+ * - `queue-position-update`: indicates the user's position in queue and estimated wait
+ * - `checkin-window-closing`: reminds the user that their check-in window is closing, and includes
+ *   the `checkingInExpiration` field
  * - `checkin-window-expired`: indicates that the user's check-in window has expired
  *   and they should return to the waitlist page
+ * - `party-seated`: indicates that a host has seated the user's party
  */
 
 /** @type {HTMLTemplateElement} */
@@ -78,12 +92,28 @@ const partyIDContainer = document.querySelector("#party-id-container");
 
 /** @type {HTMLElement} */
 const queuePositionTextElement = document.querySelector("#queue-position-text");
+/** @type {HTMLElement} */
+const queueWaitTextElement = document.querySelector("#queue-wait-text");
 /** @type {HTMLButtonElement} */
 const leaveQueueButton = document.querySelector("#leave-queue-button");
+/** @type {HTMLFormElement} */
+const editPartyForm = document.querySelector("#edit-party-form");
+/** @type {HTMLElement} */
+const editPartyStatus = document.querySelector("#edit-party-status");
+/** @type {HTMLButtonElement} */
+const pushNotificationsButton = document.querySelector(
+  "#push-notifications-button",
+);
+/** @type {HTMLElement} */
+const pushNotificationsStatus = document.querySelector(
+  "#push-notifications-status",
+);
 const selectorQueuePositionElement = "#queue-position";
 const selectorCheckin = "#check-in";
 const selectorCheckinButton = "#check-in-button";
+const selectorSnoozeButton = "#snooze-button";
 const selectorCheckinExpiration = "#check-in-expiration";
+const selectorCheckinClosing = "#check-in-closing";
 
 /**
  * Utility method for removing the other notices on the page.
@@ -151,6 +181,43 @@ async function sendLeaveQueueRequest(e) {
   addLeaveQueueSuccessNotice();
 }
 
+/**
+ * Sends the party's new name and size to the server.
+ *
+ * @param {SubmitEvent} e - the event that triggered this function
+ * @returns {Promise<void>}
+ * @listens submit
+ * @this {HTMLFormElement}
+ * @description
+ * The party keeps their place in the queue, so only a notice is shown on success
+ * (the event stream sends the party's updated estimated wait).
+ * If the request fails, an error notice is shown above the page.
+ */
+async function sendUpdatePartyRequest(e) {
+  e.preventDefault();
+
+  const submitButton = this.querySelector('button[type="submit"]');
+  updateButtonStatus(submitButton, BUTTON_STATUS_PENDING);
+  editPartyStatus.textContent = "";
+
+  const formData = new FormData(this);
+  const [error, _response] = await api.makeRequest(ENDPOINT_PARTY_STATUS, {
+    method: "PATCH",
+    body: JSON.stringify(Object.fromEntries(formData)),
+  });
+
+  updateButtonStatus(submitButton, BUTTON_STATUS_ACTIVE);
+  if (error) {
+    removeOldErrorNotices();
+    const errorNotice = buildErrorNotice(error);
+    heading.after(errorNotice);
+    return;
+  }
+
+  removeOldErrorNotices();
+  editPartyStatus.textContent = "Your party has been updated.";
+}
+
 /**
  * Sends a request to the server to check in the user for the given party ID.
  *
@@ -192,6 +259,41 @@ async function sendCheckinRequest(e) {
   addCheckinSuccessNotice();
 }
 
+/**
+ * Sends a request to the server to move the client's party back in the queue, instead of checking in.
+ *
+ * @param {Event} e - the event that triggered this function, typically a click event
+ * @returns {Promise<void>}
+ * @listens click
+ * @this {HTMLButtonElement}
+ * @description
+ * If the request is successful, the status page is reloaded so that it shows the party's
+ * new position in queue (and reconnects to the event stream as a queued party).
+ * If the request fails (ex: the party has already snoozed as often as they can), an error
+ * notice is shown and the party can still check in.
+ */
+async function sendSnoozeRequest(e) {
+  e.preventDefault();
+
+  updateButtonStatus(this, BUTTON_STATUS_PENDING);
+
+  const [error, _response] = await api.makeRequest(ENDPOINT_SNOOZE, {
+    method: "PATCH",
+    body: JSON.stringify({}),
+  });
+
+  if (error) {
+    updateButtonStatus(this, BUTTON_STATUS_ACTIVE);
+    removeOldErrorNotices();
+    const errorNotice = buildErrorNotice(error);
+    heading.after(errorNotice);
+    return;
+  }
+
+  eventSource?.close();
+  window.location.replace(ENDPOINT_PARTY_STATUS);
+}
+
 /**
  * Renders a button to show that the user may now checkin, as well
  * as a notice to indicate how long they have until that button expires
@@ -207,8 +309,14 @@ async function sendCheckinRequest(e) {
  * expires. The timer will be updated every second until it reaches 0, at which point
  * the button will be disabled and a notice will be shown to indicate that the checkin
  * has expired.
+ *
+ * If the form is already on the page (ex: a host extended the check-in window), it is replaced
+ * and the timer is restarted with the new expiration time.
  */
 function handleCheckedInReady(checkingInExpiration) {
+  stopCheckinTimeRemainingWatch?.();
+  // put the placeholder back in place of a form that is already on the page, so it can be replaced
+  document.querySelector(selectorCheckin)?.replaceWith(checkinFormPlaceholder);
   removeOtherNotices();
   const checkinFormContent = checkinFormTemplate.content.cloneNode(true);
   const checkinButton = checkinFormContent.querySelector(selectorCheckinButton);
@@ -224,8 +332,14 @@ function handleCheckedInReady(checkingInExpiration) {
   // Add an event listener to the button to enable it when clicked
   const submitHandler = sendCheckinRequest.bind(checkinButton);
   checkinButton.addEventListener("click", submitHandler);
+  // the snooze button is only rendered while the party has snoozes left
+  const snoozeButton = checkinFormContent.querySelector(selectorSnoozeButton);
+  snoozeButton?.addEventListener("click", sendSnoozeRequest);
   // Set an interval to update the button text with the remaining time
-  setTimeRemainingWatch(expirationTime, checkinExpirationElement);
+  stopCheckinTimeRemainingWatch = setTimeRemainingWatch(
+    expirationTime,
+    checkinExpirationElement,
+  );
 
   checkinFormPlaceholder.replaceWith(checkinFormContent);
 
@@ -234,17 +348,41 @@ function handleCheckedInReady(checkingInExpiration) {
 }
 
 /**
- * Updates the user's position in queue text, as well as the page's title.
+ * Warns the user that their check-in window is closing.
+ *
+ * @param {string} checkingInExpiration - the expiration time for the checking-in status (sent from an SSE)
+ * @returns {void}
+ * @description
+ * The check-in form is rendered first if it is not on the page yet (ex: the dequeue message
+ * was missed), then the closing notice in the form is shown and the page's title is updated,
+ * so the user notices the reminder from other tabs.
+ */
+function handleCheckinWindowClosing(checkingInExpiration) {
+  if (!document.querySelector(selectorCheckin)) {
+    handleCheckedInReady(checkingInExpiration);
+  }
+
+  const checkinClosingNotice = document.querySelector(selectorCheckinClosing);
+  if (checkinClosingNotice) checkinClosingNotice.hidden = false;
+
+  addTitlePrefix("[Checkin closing!]");
+}
+
+/**
+ * Updates the user's position in queue and estimated wait text, as well as the page's title.
  *
  * @param {number} position - the position in queue
+ * @param {{min: string, max: string} | null} eta - the range of times the party is expected to be called to check in
  * @returns {void}
  * @description
- * This function updates the queue position text with the current position of the party.
+ * This function updates the queue position text with the current position of the party,
+ * and the estimated wait text with how long until the party is expected to be called.
  * It also updates the title with that position so that the client can see their position
  * from other tabs.
  */
-function handleQueuePositionUpdate(position) {
+function handleQueuePositionUpdate(position, eta) {
   queuePositionTextElement.textContent = position;
+  queueWaitTextElement.textContent = formatWaitEstimate(eta);
   addTitlePrefix(`[Queue: ${position}]`);
 }
 
@@ -359,12 +497,22 @@ function onEventMessage(event) {
       return;
 
     case eventStatuses.QUEUE_POSITION_UPDATE:
-      handleQueuePositionUpdate(data.position);
+      handleQueuePositionUpdate(data.position, data.eta);
+      return;
+
+    case eventStatuses.CHECKIN_WINDOW_CLOSING:
+      handleCheckinWindowClosing(data.checkingInExpiration);
       return;
 
     case eventStatuses.CHECKIN_WINDOW_EXPIRED:
       handleCheckinExpired();
       return;
+
+    case eventStatuses.PARTY_SEATED:
+      // the party was seated by a host rather than by pressing the check-in button
+      eventSource?.close();
+      addCheckinSuccessNotice();
+      return;
   }
 }
 
@@ -425,8 +573,108 @@ function connectToEvents() {
   };
 }
 
+/**
+ * Converts a URL-safe base64 string (such as the server's VAPID public key) to bytes.
+ *
+ * @param {string} base64URL - the URL-safe base64 string
+ * @returns {Uint8Array} the decoded bytes
+ */
+function base64URLToBytes(base64URL) {
+  const base64 = base64URL.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64.padEnd(Math.ceil(base64.length / 4) * 4, "=");
+  return Uint8Array.from(atob(padded), (character) => character.charCodeAt(0));
+}
+
+/**
+ * Turns on push notifications, so the user is told when they can check in even if
+ * this page is in the background or their phone is locked.
+ *
+ * @param {Event} e - the event that triggered this function, typically a click event
+ * @returns {Promise<void>}
+ * @listens click
+ * @this {HTMLButtonElement}
+ * @description
+ * This function registers the push service worker, asks the user for permission to show
+ * notifications, then subscribes to the browser's push service with the server's VAPID
+ * public key and sends the subscription to the server.
+ * If any step fails (ex: the user denies permission), an error notice is displayed.
+ */
+async function enablePushNotifications(e) {
+  e.preventDefault();
+  updateButtonStatus(this, BUTTON_STATUS_PENDING);
+
+  let subscription;
+  try {
+    const registration = await navigator.serviceWorker.register(
+      PUSH_SERVICE_WORKER_URL,
+    );
+    const permission = await Notification.requestPermission();
+    if (permission !== "granted") {
+      throw new Error(`Notification permission was ${permission}`);
+    }
+
+    subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: base64URLToBytes(this.dataset.publicKey),
+    });
+  } catch (error) {
+    console.error(error);
+    updateButtonStatus(this, BUTTON_STATUS_ACTIVE);
+    removeOldErrorNotices();
+    heading.after(
+      buildErrorNotice(
+        "Could not turn on notifications. Please check your browser's notification settings.",
+      ),
+    );
+    return;
+  }
+
+  const [error, _response] = await api.makeRequest(ENDPOINT_PUSH_SUBSCRIPTION, {
+    method: "POST",
+    body: JSON.stringify(subscription.toJSON()),
+  });
+  if (error) {
+    updateButtonStatus(this, BUTTON_STATUS_ACTIVE);
+    removeOldErrorNotices();
+    heading.after(buildErrorNotice(error));
+    return;
+  }
+
+  this.remove();
+  pushNotificationsStatus.textContent =
+    "Notifications are on. We will let you know when your table is ready.";
+}
+
+/**
+ * Offers to turn on push notifications, if the server and browser support them.
+ *
+ * @returns {void}
+ * @description
+ * The button is rendered hidden (and only when the server has push notifications set up),
+ * so browsers without service workers or the Push API never see it. It also stays hidden
+ * if the user has already blocked notifications for this site.
+ */
+function setupPushNotifications() {
+  if (!pushNotificationsButton) return;
+
+  const isSupported =
+    "serviceWorker" in navigator &&
+    "PushManager" in window &&
+    "Notification" in window;
+  if (!isSupported || Notification.permission === "denied") return;
+
+  pushNotificationsButton.hidden = false;
+  pushNotificationsButton.addEventListener("click", enablePushNotifications);
+}
+
 if (leaveQueueButton) {
   leaveQueueButton.addEventListener("click", sendLeaveQueueRequest);
 }
 
+if (editPartyForm) {
+  editPartyForm.addEventListener("submit", sendUpdatePartyRequest);
+}
+
+setupPushNotifications();
+
 connectToEvents();
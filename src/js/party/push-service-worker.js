@@ -0,0 +1,67 @@
+/**
+ * @file The service worker for the party status page, which shows the push notifications
+ * sent by the push worker (ex: when the party can check in) and brings the status page
+ * back up when one is clicked.
+ */
+
+/**
+ * Shows a push notification sent by the server.
+ *
+ * @param {PushEvent} event - the push event
+ * @returns {void}
+ * @listens push
+ * @description
+ * The push's data is a JSON object with the notification's `title`, `body`, `tag`, and
+ * the `url` to open when it is clicked. The tag lets a newer notification (ex: a check-in
+ * reminder) replace an older one.
+ */
+function onPush(event) {
+  const { title, body, tag, url } = event.data?.json() ?? {};
+  if (!title) return;
+
+  event.waitUntil(
+    self.registration.showNotification(title, {
+      body,
+      tag,
+      renotify: true,
+      requireInteraction: true,
+      data: { url },
+    }),
+  );
+}
+
+/**
+ * Focuses the status page when a notification is clicked, opening it if it is not open.
+ *
+ * @param {NotificationEvent} event - the notification click event
+ * @returns {void}
+ * @listens notificationclick
+ */
+function onNotificationClick(event) {
+  event.notification.close();
+  const url = new URL(
+    event.notification.data?.url ?? "/party",
+    self.location.origin,
+  );
+
+  event.waitUntil(
+    (async () => {
+      const windowClients = await self.clients.matchAll({
+        type: "window",
+        includeUncontrolled: true,
+      });
+      const statusPage = windowClients.find(
+        (client) => new URL(client.url).pathname === url.pathname,
+      );
+      if (statusPage) {
+        await statusPage.focus();
+        return;
+      }
+
+      await self.clients.openWindow(url.href);
+    })(),
+  );
+}
+
+self.addEventListener("push", onPush);
+self.addEventListener("notificationclick", onNotificationClick);
@@ -0,0 +1,55 @@
+import api from "../api.js";
+import {
+  buildErrorNotice,
+  removeOldErrorNotices,
+} from "../components/errors-notice.js";
+import { ENDPOINT_PARTY_STATUS, ENDPOINT_RECOVER_PARTY } from "../constants.js";
+import updateButtonStatus, {
+  BUTTON_STATUS_ACTIVE,
+  BUTTON_STATUS_PENDING,
+} from "../utils/update-button-status.js";
+
+const errorNoticeID = "recover-party-error-notice";
+const recoverForm = document.querySelector("#recover-party-form");
+const submitButton = document.querySelector('button[type="submit"]');
+
+/**
+ * Handles the form submission for recovering a party by their ID and name.
+ *
+ * @param {SubmitEvent} e
+ * @returns {Promise<void>}
+ * @listens submit
+ * @this {HTMLFormElement}
+ * @description
+ * This function prevents the default form submission behavior, sends the party's details to the server,
+ * and redirects the party to their status page on success (as the server has restored their session).
+ * If there is an error, it builds an error notice and displays it above the form.
+ */
+async function handleSubmit(e) {
+  e.preventDefault();
+
+  updateButtonStatus(submitButton, BUTTON_STATUS_PENDING);
+
+  const formData = new FormData(this);
+  const jsonData = Object.fromEntries(formData);
+  const [error, _result] = await api.makeRequest(ENDPOINT_RECOVER_PARTY, {
+    method: "POST",
+    body: JSON.stringify(jsonData),
+  });
+
+  if (error) {
+    const errorNotice = buildErrorNotice(error);
+    errorNotice.id = errorNoticeID;
+
+    // this also removes the notice for an expired recovery link
+    removeOldErrorNotices();
+    recoverForm.before(errorNotice);
+    recoverForm.setAttribute("aria-describedby", errorNoticeID);
+    updateButtonStatus(submitButton, BUTTON_STATUS_ACTIVE);
+    return;
+  }
+
+  window.location.replace(ENDPOINT_PARTY_STATUS);
+}
+
+recoverForm.addEventListener("submit", handleSubmit);
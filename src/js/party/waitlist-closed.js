@@ -0,0 +1,11 @@
+/**
+ * @file This code refreshes the closed (or full) waitlist page, so that the join form is shown once the waitlist opens (or has room)
+ * (ex: on a kiosk that was left on the page overnight).
+ */
+
+// how often the page checks whether the waitlist has opened
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+setInterval(() => {
+  window.location.reload();
+}, REFRESH_INTERVAL_MS);
@@ -10,10 +10,18 @@ const CAN_DEQUEUE = "can-dequeue";
 const QUEUE_POSITION_UPDATE = "queue-position-update";
 const UNQUEUED_CLIENT = "unqueued-client";
 const CHECKIN_WINDOW_EXPIRED = "checkin-window-expired";
+const CHECKIN_WINDOW_CLOSING = "checkin-window-closing";
+const PARTY_SEATED = "party-seated";
+const WAITLIST_UPDATE = "waitlist-update";
+const DISPLAY_UPDATE = "display-update";
 
 export default {
   CAN_DEQUEUE,
   QUEUE_POSITION_UPDATE,
   UNQUEUED_CLIENT,
   CHECKIN_WINDOW_EXPIRED,
+  CHECKIN_WINDOW_CLOSING,
+  PARTY_SEATED,
+  WAITLIST_UPDATE,
+  DISPLAY_UPDATE,
 };
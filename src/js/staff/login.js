@@ -0,0 +1,53 @@
+import api from "../api.js";
+import {
+  buildErrorNotice,
+  removeOldErrorNotices,
+} from "../components/errors-notice.js";
+import updateButtonStatus, {
+  BUTTON_STATUS_ACTIVE,
+  BUTTON_STATUS_PENDING,
+} from "../utils/update-button-status.js";
+
+const errorNoticeID = "staff-login-error-notice";
+const loginForm = document.querySelector("#staff-login-form");
+const submitButton = document.querySelector('button[type="submit"]');
+
+/**
+ * Handles the form submission for signing in as a staff member.
+ *
+ * @param {SubmitEvent} e
+ * @returns {Promise<void>}
+ * @listens submit
+ * @this {HTMLFormElement}
+ * @description
+ * This function prevents the default form submission behavior, sends the credentials to the server,
+ * and redirects the staff member to their location's host dashboard on success.
+ * If there is an error, it builds an error notice and displays it above the form.
+ */
+async function handleSubmit(e) {
+  e.preventDefault();
+
+  updateButtonStatus(submitButton, BUTTON_STATUS_PENDING);
+
+  const formData = new FormData(this);
+  const jsonData = Object.fromEntries(formData);
+  const [error, result] = await api.makeRequest("/staff/login", {
+    method: "POST",
+    body: JSON.stringify(jsonData),
+  });
+
+  if (error) {
+    const errorNotice = buildErrorNotice(error);
+    errorNotice.id = errorNoticeID;
+
+    removeOldErrorNotices();
+    loginForm.before(errorNotice);
+    loginForm.setAttribute("aria-describedby", errorNoticeID);
+    updateButtonStatus(submitButton, BUTTON_STATUS_ACTIVE);
+    return;
+  }
+
+  window.location.replace(result.dashboardPath);
+}
+
+loginForm.addEventListener("submit", handleSubmit);
@@ -0,0 +1,35 @@
+/**
+ * Gets the number of whole minutes until a given time.
+ *
+ * @param {string} time - the time (an ISO date string)
+ * @returns {number} the minutes until the time, rounded up (or 0 if the time has passed)
+ * @private
+ */
+function getMinutesUntil(time) {
+  const msUntil = new Date(time).getTime() - Date.now();
+  return Math.max(Math.ceil(msUntil / 60000), 0);
+}
+
+/**
+ * Formats a party's estimated wait as text to display to the user.
+ *
+ * @param {{min: string, max: string} | null} eta - the range of times the party is expected
+ * to be called to check in (sent from an SSE), or `null` if it could not be estimated
+ * @returns {string} the estimated wait text
+ * @description
+ * The estimate is shown in minutes, as a range when the earliest and latest times differ
+ * (ex: "About 5–8 minutes"). Since the estimate is based on how quickly other parties
+ * check in, it is shown as a rough guide rather than an exact time.
+ */
+export default function formatWaitEstimate(eta) {
+  if (!eta) return "We can't estimate your wait right now.";
+
+  const minMinutes = getMinutesUntil(eta.min);
+  const maxMinutes = getMinutesUntil(eta.max);
+  if (maxMinutes < 1) return "Less than a minute";
+  if (minMinutes === maxMinutes) {
+    return `About ${maxMinutes} minute${maxMinutes === 1 ? "" : "s"}`;
+  }
+
+  return `About ${minMinutes}–${maxMinutes} minutes`;
+}
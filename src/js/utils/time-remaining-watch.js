@@ -25,11 +25,13 @@ function getTimeRemaining(expirationTime) {
  * @param {number} expirationTime - the expiration time in milliseconds
  * @param {HTMLElement} timeRemainingElement - the element to update with the remaining time
  * @param {HTMLButtonElement} timeRemainingButton - the button to disable when the time expires
- * @returns {void}
+ * @returns {() => void} a function that stops the watch
  * @description
  * This function sets an interval to update the text content of the element with the remaining time
  * until the expiration time is reached. It will update the text content every second, and when
  * the expiration time is reached, it will clear the interval and set the text content to '00'.
+ *
+ * The watch can be stopped early (ex: to restart the countdown when the expiration time changes).
  */
 export default function setTimeRemainingWatch(
   expirationTime,
@@ -63,4 +65,6 @@ export default function setTimeRemainingWatch(
     // Update the text content of the element with the initial seconds left
     timeRemainingElement.textContent = formatSecondsLeft(initialSecondsLeft);
   }
+
+  return () => clearInterval(interval);
 }
@@ -4,6 +4,8 @@ import { getPartiesByIDs, seedParties } from "../utils/party.js";
 import { STATUS_CHECKING_IN } from "../../constants/party-statuses.js";
 import { CHANNEL_CHECKING_IN_EXPIRED } from "../../constants/pub-sub-channels.js";
 import { DEQUEUE_QUEUE } from "../../constants/message-queues.js";
+import { getDefaultLocationID } from "../utils/locations.js";
+import { getLocationKey } from "../../utils/location-keys.js";
 
 const mockRedisSet = jest.fn();
 const mockRedisPublish = jest.fn();
@@ -22,6 +24,11 @@ const { default: checkinExpiredService } = await import(
   "../../services/checkin-expired-service.js"
 );
 
+let locationID;
+beforeAll(async () => {
+  locationID = await getDefaultLocationID();
+});
+
 beforeEach(async () => {
   jest.clearAllMocks();
   mockRedisSet.mockReset();
@@ -31,7 +38,7 @@ beforeEach(async () => {
     add: mockQueueAdd,
   }));
 
-  await db("parties").truncate();
+  await db("parties").del();
 });
 
 afterAll(async () => {
@@ -50,7 +57,7 @@ describe("checkin expired service", () => {
     const partyIDs = parties.map((party) => party.party_id);
 
     // act: call the checkin-expired service
-    await checkinExpiredService.expireCheckedinUsers();
+    await checkinExpiredService.expireCheckedinUsers(locationID);
 
     // assert: those parties no longer exists in the database
     const updatedParties = await getPartiesByIDs(partyIDs);
@@ -59,7 +66,9 @@ describe("checkin expired service", () => {
     const checkinExpiredCall = mockRedisPublish.mock.lastCall;
     const checkinExpiredMessage = JSON.parse(checkinExpiredCall[1]);
 
-    expect(checkinExpiredCall[0]).toBe(CHANNEL_CHECKING_IN_EXPIRED);
+    expect(checkinExpiredCall[0]).toBe(
+      getLocationKey(CHANNEL_CHECKING_IN_EXPIRED, locationID),
+    );
     expect(checkinExpiredMessage["partyIDs"]).toEqual(
       expect.arrayContaining(partyIDs),
     );
@@ -78,7 +87,7 @@ describe("checkin expired service", () => {
     const partyIDs = parties.map((party) => party.party_id);
 
     // act: call the checkin-expired service
-    await checkinExpiredService.expireCheckedinUsers();
+    await checkinExpiredService.expireCheckedinUsers(locationID);
 
     // assert: the checking-in parties are not removed from the database
     const updatedParties = await getPartiesByIDs(partyIDs);
@@ -0,0 +1,98 @@
+import { jest } from "@jest/globals";
+import db from "../../models/db.js";
+import { seedParties } from "../utils/party.js";
+import {
+  STATUS_CHECKING_IN,
+  STATUS_SEATED,
+} from "../../constants/party-statuses.js";
+import { CHANNEL_CHECKIN_WINDOW_CLOSING } from "../../constants/pub-sub-channels.js";
+import { getDefaultLocationID } from "../utils/locations.js";
+import { getLocationKey } from "../../utils/location-keys.js";
+
+const mockRedisPublish = jest.fn();
+jest.unstable_mockModule("../../utils/redis.js", () => ({
+  default: {
+    createRedisClient: () => ({
+      publish: mockRedisPublish,
+    }),
+  },
+}));
+const { default: checkinReminderService } = await import(
+  "../../services/checkin-reminder-service.js"
+);
+
+let locationID;
+beforeAll(async () => {
+  locationID = await getDefaultLocationID();
+});
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  mockRedisPublish.mockReset();
+
+  await db("parties").del();
+});
+
+afterAll(async () => {
+  await db.destroy();
+});
+
+describe("checkin reminder service", () => {
+  it("should remind only the parties who are still checking in within the same check-in window", async () => {
+    // arrange: parties dequeued together, some of whom have since checked in or been given a new check-in window
+    const checkingInExpiration = new Date(Date.now() + 60 * 1000).toISOString();
+    const checkingInParties = await seedParties(2, 2, {
+      status: STATUS_CHECKING_IN,
+      checkin_expiration: checkingInExpiration,
+    });
+    const [seatedParty] = await seedParties(1, 2, { status: STATUS_SEATED });
+    const [movedParty] = await seedParties(1, 2, {
+      status: STATUS_CHECKING_IN,
+      checkin_expiration: new Date(Date.now() + 120 * 1000).toISOString(),
+    });
+    const checkingInIDs = checkingInParties.map((party) => party.party_id);
+    const remindAt = new Date().toISOString();
+
+    // act: run the reminder
+    const [error, result] =
+      await checkinReminderService.remindCheckingInParties(
+        locationID,
+        [...checkingInIDs, seatedParty.party_id, movedParty.party_id],
+        checkingInExpiration,
+        remindAt,
+      );
+
+    // assert: only the parties still checking in are broadcast on the window closing channel
+    expect(error).toBeNull();
+    expect(result).toBe("Reminded 2 parties");
+    expect(mockRedisPublish).toHaveBeenCalledTimes(1);
+    const [channel, message] = mockRedisPublish.mock.calls[0];
+    expect(channel).toBe(
+      getLocationKey(CHANNEL_CHECKIN_WINDOW_CLOSING, locationID),
+    );
+    const messageJSON = JSON.parse(message);
+    expect(messageJSON.partyIDs).toEqual(expect.arrayContaining(checkingInIDs));
+    expect(messageJSON.partyIDs).toHaveLength(2);
+    expect(messageJSON.checkingInExpiration).toBe(checkingInExpiration);
+    expect(messageJSON.remindAt).toBe(remindAt);
+  });
+
+  it("should not broadcast anything if none of the parties are still checking in", async () => {
+    // arrange: a party who has already checked in
+    const [seatedParty] = await seedParties(1, 2, { status: STATUS_SEATED });
+
+    // act: run the reminder
+    const [error, result] =
+      await checkinReminderService.remindCheckingInParties(
+        locationID,
+        [seatedParty.party_id],
+        new Date().toISOString(),
+        new Date().toISOString(),
+      );
+
+    // assert: nothing is published
+    expect(error).toBeNull();
+    expect(result).toBe("No parties to remind");
+    expect(mockRedisPublish).not.toHaveBeenCalled();
+  });
+});
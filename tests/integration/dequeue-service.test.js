@@ -1,7 +1,11 @@
 import { jest } from "@jest/globals";
 import db from "../../models/db.js";
-import { getPartiesByIDs, seedParties } from "../utils/party.js";
-import { MAX_SEATS } from "../../config/waitlist.js";
+import { getPartiesByIDs, getPartyByID, seedParties } from "../utils/party.js";
+import {
+  CHECKIN_EXPIRY_SECONDS,
+  CHECKIN_REMINDER_POINTS,
+  MAX_SEATS,
+} from "../../config/waitlist.js";
 import {
   STATUS_CHECKING_IN,
   STATUS_QUEUED,
@@ -12,7 +16,19 @@ import {
   CHANNEL_DEQUEUE,
   CHANNEL_QUEUE_POSITIONS,
 } from "../../constants/pub-sub-channels.js";
-import { CHECKIN_EXPIRED_QUEUE } from "../../constants/message-queues.js";
+import {
+  CHECKIN_EXPIRED_QUEUE,
+  CHECKIN_REMINDER_QUEUE,
+} from "../../constants/message-queues.js";
+import { PARTY_NOT_FOUND } from "../../constants/errors.js";
+import {
+  assignTables,
+  deleteTables,
+  getAssignedTableIDs,
+  seedTables,
+} from "../utils/tables.js";
+import { getDefaultLocationID } from "../utils/locations.js";
+import { getLocationKey } from "../../utils/location-keys.js";
 
 const mockRedisSet = jest.fn();
 const mockRedisPublish = jest.fn();
@@ -36,6 +52,11 @@ const { default: dequeueService } = await import(
   "../../services/dequeue-service.js"
 );
 
+let locationID;
+beforeAll(async () => {
+  locationID = await getDefaultLocationID();
+});
+
 beforeEach(async () => {
   jest.clearAllMocks();
   mockRedisSet.mockReset();
@@ -43,7 +64,8 @@ beforeEach(async () => {
   mockCreateQueue.mockReset();
   mockScheduleJobAt.mockReset();
 
-  await db("parties").truncate();
+  await db("parties").del();
+  await deleteTables();
 });
 
 afterAll(async () => {
@@ -69,7 +91,7 @@ describe("dequeue users", () => {
     );
 
     // act: run the dequeue service
-    await dequeueService.dequeueUsers();
+    await dequeueService.dequeueUsers(locationID);
 
     // assert: make sure that only those parties who should have their statuses updated are updated to checking in
     const updatedParties = await getPartiesByIDs(partyIDs);
@@ -87,33 +109,67 @@ describe("dequeue users", () => {
     // publishes a message to dequeue parties
     const publishCalls = mockRedisPublish.mock.calls;
     const dequeueCall = publishCalls.find(
-      (call) => call[0] === CHANNEL_DEQUEUE,
+      (call) => call[0] === getLocationKey(CHANNEL_DEQUEUE, locationID),
     );
 
     // verify that the dequeued party ID is in the dequeue call
     // we won't verify an object match as that's too implementation-detail specific
     expect(dequeueCall).not.toBeUndefined();
     const dequeueCallJSON = JSON.parse(dequeueCall[1]);
-    const dequeuedIDs = dequeueCallJSON["partyIDs"].map(
-      (party) => party.party_id,
-    );
+    const dequeuedIDs = dequeueCallJSON["partyIDs"];
     expect(dequeuedIDs).toEqual(expect.arrayContaining(expectedDequeuedIDs));
 
     // caches queued positions
     const setCacheCall = mockRedisSet.mock.calls[0];
-    expect(setCacheCall[0]).toBe(CACHE_QUEUED_PARTY_POSITIONS);
+    expect(setCacheCall[0]).toBe(
+      getLocationKey(CACHE_QUEUED_PARTY_POSITIONS, locationID),
+    );
 
     // broadcasts queued positions
     const queueUpdateCall = publishCalls.find(
-      (call) => call[0] === CHANNEL_QUEUE_POSITIONS,
+      (call) => call[0] === getLocationKey(CHANNEL_QUEUE_POSITIONS, locationID),
     );
     expect(queueUpdateCall).not.toBeUndefined();
 
     const queueUpdateCallJSON = JSON.parse(queueUpdateCall[1]);
     const queuedIDs = queueUpdateCallJSON["queuedParties"].map(
-      (party) => party.party_id,
+      (party) => party.partyID,
     );
     expect(queuedIDs).toEqual(expect.arrayContaining(expectedQueuedIDs));
+    // each queued party's estimated wait is sent alongside their position
+    for (const queuedParty of queueUpdateCallJSON["queuedParties"]) {
+      expect(queuedParty.eta).toEqual({
+        min: expect.any(String),
+        max: expect.any(String),
+      });
+    }
+  });
+
+  it("should schedule a check-in reminder at each point of the dequeued parties' check-in window", async () => {
+    // arrange: create a queued party that fits in the available seats
+    const [party] = await seedParties(1, 1, { status: STATUS_QUEUED });
+
+    // act: run the dequeue service
+    await dequeueService.dequeueUsers(locationID);
+
+    // assert: a reminder is scheduled for each configured point of the window
+    expect(mockCreateQueue).toHaveBeenCalledWith(CHECKIN_REMINDER_QUEUE);
+    const reminderCalls = mockScheduleJobAt.mock.calls.filter(
+      (call) => call[1] === "remind-checking-in-users",
+    );
+    expect(reminderCalls).toHaveLength(CHECKIN_REMINDER_POINTS.length);
+
+    const { checkin_expiration } = await getPartyByID(party.party_id);
+    const expirationMs = new Date(checkin_expiration).getTime();
+    CHECKIN_REMINDER_POINTS.forEach((point, index) => {
+      const [, , data, remindAt] = reminderCalls[index];
+      const expectedRemindAt =
+        expirationMs - (1 - point) * CHECKIN_EXPIRY_SECONDS * 1000;
+      expect(remindAt.getTime()).toBe(expectedRemindAt);
+      expect(data.partyIDs).toEqual([party.party_id]);
+      expect(new Date(data.checkingInExpiration).getTime()).toBe(expirationMs);
+      expect(new Date(data.remindAt).getTime()).toBe(expectedRemindAt);
+    });
   });
 
   it("should not dequeue parties if seats are not available", async () => {
@@ -129,7 +185,7 @@ describe("dequeue users", () => {
     const queuedPartyIDs = queuedParties.map((party) => party.party_id);
 
     // act: run the dequeue service
-    await dequeueService.dequeueUsers();
+    await dequeueService.dequeueUsers(locationID);
 
     // assert: verify no queued party's status was changed
     const updatedQueuedParties = await getPartiesByIDs(queuedPartyIDs);
@@ -139,6 +195,178 @@ describe("dequeue users", () => {
 
     // the checkin expired and dequeue dequeue queues are not called
     expect(mockCreateQueue).not.toHaveBeenCalledWith(CHECKIN_EXPIRED_QUEUE);
-    expect(mockRedisPublish).not.toHaveBeenCalledWith(CHANNEL_DEQUEUE);
+    expect(mockRedisPublish).not.toHaveBeenCalledWith(
+      getLocationKey(CHANNEL_DEQUEUE, locationID),
+    );
+  });
+});
+
+describe("dequeue party", () => {
+  it("should dequeue a specific party even if seats are not available", async () => {
+    // arrange: fill the max seats with a seated party, then queue a few parties
+    await seedParties(1, MAX_SEATS, {
+      status: STATUS_SEATED,
+      seat_expiration: new Date(Date.now() + 1000 * 60 * 60 * 24).toISOString(),
+    });
+    const queuedParties = await seedParties(3, 2, { status: STATUS_QUEUED });
+    const [firstParty, calledParty, lastParty] = queuedParties;
+
+    // act: dequeue the party in the middle of the queue
+    const [error, checkingInExpiration] = await dequeueService.dequeueParty(
+      locationID,
+      calledParty.party_id,
+    );
+
+    // assert: only that party was set to checking in
+    expect(error).toBeNull();
+    expect(checkingInExpiration).not.toBeNull();
+    const updatedParties = await getPartiesByIDs(
+      queuedParties.map((party) => party.party_id),
+    );
+    for (const party of updatedParties) {
+      const expectedStatus =
+        party.party_id === calledParty.party_id
+          ? STATUS_CHECKING_IN
+          : STATUS_QUEUED;
+      expect(party.status).toBe(expectedStatus);
+    }
+
+    // schedules checkin-expired queue cleanup
+    expect(mockCreateQueue).toHaveBeenCalledWith(CHECKIN_EXPIRED_QUEUE);
+    expect(mockScheduleJobAt).toHaveBeenCalled();
+
+    // publishes the dequeued party
+    const dequeueCall = mockRedisPublish.mock.calls.find(
+      (call) => call[0] === getLocationKey(CHANNEL_DEQUEUE, locationID),
+    );
+    expect(JSON.parse(dequeueCall[1])["partyIDs"]).toEqual([
+      calledParty.party_id,
+    ]);
+
+    // broadcasts the remaining parties' positions
+    const queueUpdateCall = mockRedisPublish.mock.calls.find(
+      (call) => call[0] === getLocationKey(CHANNEL_QUEUE_POSITIONS, locationID),
+    );
+    const queuedIDs = JSON.parse(queueUpdateCall[1])["queuedParties"].map(
+      (party) => party.partyID,
+    );
+    expect(queuedIDs).toEqual([firstParty.party_id, lastParty.party_id]);
+  });
+
+  it("should not dequeue a party that is not queued", async () => {
+    // arrange: a party that is already checking in
+    const [party] = await seedParties(1, 2, { status: STATUS_CHECKING_IN });
+
+    // act: attempt to dequeue them
+    const [error, checkingInExpiration] = await dequeueService.dequeueParty(
+      locationID,
+      party.party_id,
+    );
+
+    // assert: an error is returned and no one is notified
+    expect(error).toBe(PARTY_NOT_FOUND);
+    expect(checkingInExpiration).toBeNull();
+    expect(mockCreateQueue).not.toHaveBeenCalled();
+    expect(mockRedisPublish).not.toHaveBeenCalled();
+  });
+});
+
+describe("dequeue users with tables", () => {
+  it("should dequeue parties to the smallest free tables that fit them", async () => {
+    // arrange: a 2-top, a 4-top, and a 6-top, with the 6-top occupied
+    const [twoTop, fourTop, sixTop] = await seedTables([
+      { capacity: 2 },
+      { capacity: 4 },
+      { capacity: 6 },
+    ]);
+    const [seatedParty] = await seedParties(1, 6, {
+      status: STATUS_SEATED,
+      seat_expiration: new Date(Date.now() + 1000 * 60 * 60).toISOString(),
+    });
+    await assignTables(seatedParty.party_id, [sixTop.id]);
+    // queue parties one at a time so that their queue order is known
+    const [firstParty] = await seedParties(1, 2, { status: STATUS_QUEUED });
+    const [secondParty] = await seedParties(1, 3, { status: STATUS_QUEUED });
+    const [thirdParty] = await seedParties(1, 2, { status: STATUS_QUEUED });
+
+    // act: run the dequeue service
+    const [error, _result] = await dequeueService.dequeueUsers(locationID);
+
+    // assert: the first two parties are checking in at the tables that fit them
+    expect(error).toBeNull();
+    const updatedFirst = await getPartyByID(firstParty.party_id);
+    const updatedSecond = await getPartyByID(secondParty.party_id);
+    const updatedThird = await getPartyByID(thirdParty.party_id);
+    expect(updatedFirst.status).toBe(STATUS_CHECKING_IN);
+    expect(updatedSecond.status).toBe(STATUS_CHECKING_IN);
+    expect(updatedThird.status).toBe(STATUS_QUEUED);
+    expect(await getAssignedTableIDs(firstParty.party_id)).toEqual([twoTop.id]);
+    expect(await getAssignedTableIDs(secondParty.party_id)).toEqual([
+      fourTop.id,
+    ]);
+    expect(await getAssignedTableIDs(thirdParty.party_id)).toEqual([]);
+
+    // the dequeued parties are notified
+    const dequeueCall = mockRedisPublish.mock.calls.find(
+      (call) => call[0] === getLocationKey(CHANNEL_DEQUEUE, locationID),
+    );
+    expect(JSON.parse(dequeueCall[1])["partyIDs"]).toEqual([
+      firstParty.party_id,
+      secondParty.party_id,
+    ]);
+  });
+
+  it("should not dequeue parties behind a party that no free table fits", async () => {
+    // arrange: a single 2-top, with a party of 4 at the front of the queue
+    await seedTables([{ capacity: 2 }]);
+    const [firstParty] = await seedParties(1, 4, { status: STATUS_QUEUED });
+    const [secondParty] = await seedParties(1, 2, { status: STATUS_QUEUED });
+
+    // act: run the dequeue service
+    await dequeueService.dequeueUsers(locationID);
+
+    // assert: neither party is dequeued
+    const updatedParties = await getPartiesByIDs([
+      firstParty.party_id,
+      secondParty.party_id,
+    ]);
+    for (const party of updatedParties) {
+      expect(party.status).toBe(STATUS_QUEUED);
+    }
+    expect(mockCreateQueue).not.toHaveBeenCalledWith(CHECKIN_EXPIRED_QUEUE);
+  });
+
+  it("should not seat a party smaller than a table's minimum party size", async () => {
+    // arrange: a 6-top for parties of at least 5
+    await seedTables([{ capacity: 6, min_party_size: 5 }]);
+    const [party] = await seedParties(1, 2, { status: STATUS_QUEUED });
+
+    // act: run the dequeue service
+    await dequeueService.dequeueUsers(locationID);
+
+    // assert: the party is still queued
+    const [updatedParty] = await getPartiesByIDs([party.party_id]);
+    expect(updatedParty.status).toBe(STATUS_QUEUED);
+  });
+
+  it("should combine combinable tables in the same section for larger parties", async () => {
+    // arrange: combinable 4-tops split across two sections, where only the patio has two free
+    const [patioA, patioB] = await seedTables([
+      { capacity: 4, section: "patio", combinable: true },
+      { capacity: 4, section: "patio", combinable: true },
+      { capacity: 4, section: "bar", combinable: true },
+    ]);
+    const [party] = await seedParties(1, 7, { status: STATUS_QUEUED });
+
+    // act: run the dequeue service
+    await dequeueService.dequeueUsers(locationID);
+
+    // assert: the party is assigned both patio tables
+    const [updatedParty] = await getPartiesByIDs([party.party_id]);
+    expect(updatedParty.status).toBe(STATUS_CHECKING_IN);
+    expect(await getAssignedTableIDs(party.party_id)).toEqual(
+      expect.arrayContaining([patioA.id, patioB.id]),
+    );
+    expect(await getAssignedTableIDs(party.party_id)).toHaveLength(2);
   });
 });
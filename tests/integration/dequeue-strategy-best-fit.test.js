@@ -0,0 +1,148 @@
+import { jest } from "@jest/globals";
+import db from "../../models/db.js";
+import {
+  getPartyByID,
+  getPartyStatuses,
+  seedParties,
+  seedQueue,
+} from "../utils/party.js";
+import {
+  deleteTables,
+  getAssignedTableIDs,
+  seedTables,
+} from "../utils/tables.js";
+import {
+  STATUS_CHECKING_IN,
+  STATUS_QUEUED,
+  STATUS_SEATED,
+} from "../../constants/party-statuses.js";
+import { DEQUEUE_STRATEGY_BEST_FIT } from "../../constants/dequeue-strategies.js";
+import { getDefaultLocationID } from "../utils/locations.js";
+
+// the strategy is read from the config when the dequeue service is imported
+process.env.DEQUEUE_STRATEGY = DEQUEUE_STRATEGY_BEST_FIT;
+
+const mockRedisSet = jest.fn();
+const mockRedisPublish = jest.fn();
+const mockCreateQueue = jest.fn();
+jest.unstable_mockModule("../../utils/redis.js", () => ({
+  default: {
+    createRedisClient: () => ({
+      set: mockRedisSet,
+      publish: mockRedisPublish,
+    }),
+    createQueue: mockCreateQueue,
+  },
+}));
+
+const mockScheduleJobAt = jest.fn();
+jest.unstable_mockModule("../../utils/schedule-job.js", () => ({
+  default: mockScheduleJobAt,
+}));
+
+const { default: dequeueService } = await import(
+  "../../services/dequeue-service.js"
+);
+const { MAX_SEATS } = await import("../../config/waitlist.js");
+
+let locationID;
+beforeAll(async () => {
+  locationID = await getDefaultLocationID();
+});
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  mockCreateQueue.mockReset();
+  mockScheduleJobAt.mockReset();
+
+  await db("parties").del();
+  await deleteTables();
+});
+
+afterAll(async () => {
+  await db.destroy();
+});
+
+describe("best-fit dequeue strategy", () => {
+  it("should let smaller parties skip ahead of a party that does not fit", async () => {
+    // arrange: leave 4 seats available, with a party of 6 at the front of the queue
+    await seedParties(1, MAX_SEATS - 4, {
+      status: STATUS_SEATED,
+      seat_expiration: new Date(Date.now() + 1000 * 60 * 60).toISOString(),
+    });
+    const queuedParties = await seedQueue([6, 2, 2, 2]);
+
+    // act: run the dequeue service
+    await dequeueService.dequeueUsers(locationID);
+
+    // assert: the parties of 2 fill the gap until the seats run out
+    expect(await getPartyStatuses(queuedParties)).toEqual([
+      STATUS_QUEUED,
+      STATUS_CHECKING_IN,
+      STATUS_CHECKING_IN,
+      STATUS_QUEUED,
+    ]);
+  });
+
+  it("should record that the skipped party was skipped over", async () => {
+    // arrange: leave 2 seats available, with a party of 4 at the front of the queue
+    await seedParties(1, MAX_SEATS - 2, {
+      status: STATUS_SEATED,
+      seat_expiration: new Date(Date.now() + 1000 * 60 * 60).toISOString(),
+    });
+    const [largeParty, smallParty] = await seedQueue([4, 2]);
+
+    // act: run the dequeue service
+    await dequeueService.dequeueUsers(locationID);
+
+    // assert: the large party's skip is recorded, while the dequeued party's is not
+    const updatedLargeParty = await getPartyByID(largeParty.party_id);
+    expect(updatedLargeParty.skip_count).toBe(1);
+    expect(updatedLargeParty.first_skipped_at).not.toBeNull();
+    const updatedSmallParty = await getPartyByID(smallParty.party_id);
+    expect(updatedSmallParty.skip_count).toBe(0);
+  });
+
+  it("should keep skipping a party no matter how often they have been skipped", async () => {
+    // arrange: a party of 6 that has been skipped many times, with a party of 2 behind them
+    await seedParties(1, MAX_SEATS - 4, {
+      status: STATUS_SEATED,
+      seat_expiration: new Date(Date.now() + 1000 * 60 * 60).toISOString(),
+    });
+    const [largeParty] = await seedQueue([6], {
+      skip_count: 100,
+      first_skipped_at: new Date(Date.now() - 1000 * 60 * 60).toISOString(),
+    });
+    const [smallParty] = await seedQueue([2]);
+
+    // act: run the dequeue service
+    await dequeueService.dequeueUsers(locationID);
+
+    // assert: the party of 2 still skips ahead
+    expect(await getPartyStatuses([largeParty, smallParty])).toEqual([
+      STATUS_QUEUED,
+      STATUS_CHECKING_IN,
+    ]);
+  });
+
+  it("should fill free tables with the parties behind a party that does not fit", async () => {
+    // arrange: a free 2-top and 4-top, with a party of 6 at the front of the queue
+    const [twoTop, fourTop] = await seedTables([
+      { capacity: 2 },
+      { capacity: 4 },
+    ]);
+    const [largeParty, mediumParty, smallParty] = await seedQueue([6, 4, 2]);
+
+    // act: run the dequeue service
+    await dequeueService.dequeueUsers(locationID);
+
+    // assert: the smaller parties are dequeued to the tables that fit them
+    expect(
+      await getPartyStatuses([largeParty, mediumParty, smallParty]),
+    ).toEqual([STATUS_QUEUED, STATUS_CHECKING_IN, STATUS_CHECKING_IN]);
+    expect(await getAssignedTableIDs(mediumParty.party_id)).toEqual([
+      fourTop.id,
+    ]);
+    expect(await getAssignedTableIDs(smallParty.party_id)).toEqual([twoTop.id]);
+  });
+});
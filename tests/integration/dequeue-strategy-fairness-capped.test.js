@@ -0,0 +1,157 @@
+import { jest } from "@jest/globals";
+import db from "../../models/db.js";
+import {
+  getPartyByID,
+  getPartyStatuses,
+  seedParties,
+  seedQueue,
+} from "../utils/party.js";
+import { deleteTables } from "../utils/tables.js";
+import {
+  STATUS_CHECKING_IN,
+  STATUS_QUEUED,
+  STATUS_SEATED,
+} from "../../constants/party-statuses.js";
+import { DEQUEUE_STRATEGY_FAIRNESS_CAPPED } from "../../constants/dequeue-strategies.js";
+import { getDefaultLocationID } from "../utils/locations.js";
+
+const MAX_SKIPS = 2;
+const MAX_SKIP_MINUTES = 10;
+
+// the strategy and its caps are read from the config when the dequeue service is imported
+process.env.DEQUEUE_STRATEGY = DEQUEUE_STRATEGY_FAIRNESS_CAPPED;
+process.env.FAIRNESS_MAX_SKIPS = `${MAX_SKIPS}`;
+process.env.FAIRNESS_MAX_SKIP_MINUTES = `${MAX_SKIP_MINUTES}`;
+
+const mockRedisSet = jest.fn();
+const mockRedisPublish = jest.fn();
+const mockCreateQueue = jest.fn();
+jest.unstable_mockModule("../../utils/redis.js", () => ({
+  default: {
+    createRedisClient: () => ({
+      set: mockRedisSet,
+      publish: mockRedisPublish,
+    }),
+    createQueue: mockCreateQueue,
+  },
+}));
+
+const mockScheduleJobAt = jest.fn();
+jest.unstable_mockModule("../../utils/schedule-job.js", () => ({
+  default: mockScheduleJobAt,
+}));
+
+const { default: dequeueService } = await import(
+  "../../services/dequeue-service.js"
+);
+const { MAX_SEATS } = await import("../../config/waitlist.js");
+
+let locationID;
+beforeAll(async () => {
+  locationID = await getDefaultLocationID();
+});
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  mockCreateQueue.mockReset();
+  mockScheduleJobAt.mockReset();
+
+  await db("parties").del();
+  await deleteTables();
+});
+
+afterAll(async () => {
+  await db.destroy();
+});
+
+/**
+ * Helper function to leave only 4 seats available, by seating a party in the rest.
+ *
+ * @returns {Promise<void>}
+ */
+async function leaveFourSeatsAvailable() {
+  await seedParties(1, MAX_SEATS - 4, {
+    status: STATUS_SEATED,
+    seat_expiration: new Date(Date.now() + 1000 * 60 * 60).toISOString(),
+  });
+}
+
+describe("fairness-capped dequeue strategy", () => {
+  it("should let smaller parties skip ahead of a party under the skip cap", async () => {
+    // arrange: a party of 6 who has been skipped once, with parties of 2 behind them
+    await leaveFourSeatsAvailable();
+    const [largeParty] = await seedQueue([6], {
+      skip_count: MAX_SKIPS - 1,
+      first_skipped_at: new Date().toISOString(),
+    });
+    const smallParties = await seedQueue([2, 2]);
+
+    // act: run the dequeue service
+    await dequeueService.dequeueUsers(locationID);
+
+    // assert: the parties of 2 are dequeued, and the large party's skip is recorded
+    expect(await getPartyStatuses([largeParty, ...smallParties])).toEqual([
+      STATUS_QUEUED,
+      STATUS_CHECKING_IN,
+      STATUS_CHECKING_IN,
+    ]);
+    const updatedLargeParty = await getPartyByID(largeParty.party_id);
+    expect(updatedLargeParty.skip_count).toBe(MAX_SKIPS);
+  });
+
+  it("should not let parties skip ahead of a party that has been skipped the maximum number of times", async () => {
+    // arrange: a party of 6 who has reached the skip cap, with a party of 2 behind them
+    await leaveFourSeatsAvailable();
+    const [largeParty] = await seedQueue([6], {
+      skip_count: MAX_SKIPS,
+      first_skipped_at: new Date().toISOString(),
+    });
+    const [smallParty] = await seedQueue([2]);
+
+    // act: run the dequeue service
+    await dequeueService.dequeueUsers(locationID);
+
+    // assert: no one is dequeued until there is room for the large party
+    expect(await getPartyStatuses([largeParty, smallParty])).toEqual([
+      STATUS_QUEUED,
+      STATUS_QUEUED,
+    ]);
+  });
+
+  it("should not let parties skip ahead of a party that has been skipped for the maximum time", async () => {
+    // arrange: a party of 6 who was first skipped longer ago than the cap, with a party of 2 behind them
+    await leaveFourSeatsAvailable();
+    const [largeParty] = await seedQueue([6], {
+      skip_count: 1,
+      first_skipped_at: new Date(
+        Date.now() - (MAX_SKIP_MINUTES + 1) * 60 * 1000,
+      ).toISOString(),
+    });
+    const [smallParty] = await seedQueue([2]);
+
+    // act: run the dequeue service
+    await dequeueService.dequeueUsers(locationID);
+
+    // assert: the party of 2 is not dequeued
+    expect(await getPartyStatuses([largeParty, smallParty])).toEqual([
+      STATUS_QUEUED,
+      STATUS_QUEUED,
+    ]);
+  });
+
+  it("should still dequeue parties ahead of a party at the skip cap", async () => {
+    // arrange: a party of 2, then a party of 6 at the skip cap, then another party of 2
+    await leaveFourSeatsAvailable();
+    const [firstParty] = await seedQueue([2]);
+    const [largeParty] = await seedQueue([6], { skip_count: MAX_SKIPS });
+    const [lastParty] = await seedQueue([2]);
+
+    // act: run the dequeue service
+    await dequeueService.dequeueUsers(locationID);
+
+    // assert: only the party ahead of the large party is dequeued
+    expect(await getPartyStatuses([firstParty, largeParty, lastParty])).toEqual(
+      [STATUS_CHECKING_IN, STATUS_QUEUED, STATUS_QUEUED],
+    );
+  });
+});
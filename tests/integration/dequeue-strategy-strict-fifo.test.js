@@ -0,0 +1,98 @@
+import { jest } from "@jest/globals";
+import db from "../../models/db.js";
+import {
+  getPartyByID,
+  getPartyStatuses,
+  seedParties,
+  seedQueue,
+} from "../utils/party.js";
+import { deleteTables, seedTables } from "../utils/tables.js";
+import {
+  STATUS_CHECKING_IN,
+  STATUS_QUEUED,
+  STATUS_SEATED,
+} from "../../constants/party-statuses.js";
+import { DEQUEUE_STRATEGY_STRICT_FIFO } from "../../constants/dequeue-strategies.js";
+import { getDefaultLocationID } from "../utils/locations.js";
+
+// the strategy is read from the config when the dequeue service is imported
+process.env.DEQUEUE_STRATEGY = DEQUEUE_STRATEGY_STRICT_FIFO;
+
+const mockRedisSet = jest.fn();
+const mockRedisPublish = jest.fn();
+const mockCreateQueue = jest.fn();
+jest.unstable_mockModule("../../utils/redis.js", () => ({
+  default: {
+    createRedisClient: () => ({
+      set: mockRedisSet,
+      publish: mockRedisPublish,
+    }),
+    createQueue: mockCreateQueue,
+  },
+}));
+
+const mockScheduleJobAt = jest.fn();
+jest.unstable_mockModule("../../utils/schedule-job.js", () => ({
+  default: mockScheduleJobAt,
+}));
+
+const { default: dequeueService } = await import(
+  "../../services/dequeue-service.js"
+);
+const { MAX_SEATS } = await import("../../config/waitlist.js");
+
+let locationID;
+beforeAll(async () => {
+  locationID = await getDefaultLocationID();
+});
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  mockCreateQueue.mockReset();
+  mockScheduleJobAt.mockReset();
+
+  await db("parties").del();
+  await deleteTables();
+});
+
+afterAll(async () => {
+  await db.destroy();
+});
+
+describe("strict FIFO dequeue strategy", () => {
+  it("should dequeue parties in order until one does not fit", async () => {
+    // arrange: leave 4 seats available, with a party of 6 behind two parties of 2
+    await seedParties(1, MAX_SEATS - 4, {
+      status: STATUS_SEATED,
+      seat_expiration: new Date(Date.now() + 1000 * 60 * 60).toISOString(),
+    });
+    const queuedParties = await seedQueue([2, 6, 2]);
+
+    // act: run the dequeue service
+    await dequeueService.dequeueUsers(locationID);
+
+    // assert: only the first party is dequeued, as the party of 6 blocks the party behind them
+    expect(await getPartyStatuses(queuedParties)).toEqual([
+      STATUS_CHECKING_IN,
+      STATUS_QUEUED,
+      STATUS_QUEUED,
+    ]);
+  });
+
+  it("should not dequeue anyone behind a large party at the front of the queue", async () => {
+    // arrange: a free 2-top, with a party of 4 at the front of the queue
+    await seedTables([{ capacity: 2 }]);
+    const queuedParties = await seedQueue([4, 2]);
+
+    // act: run the dequeue service
+    await dequeueService.dequeueUsers(locationID);
+
+    // assert: no one is dequeued or marked as skipped
+    expect(await getPartyStatuses(queuedParties)).toEqual([
+      STATUS_QUEUED,
+      STATUS_QUEUED,
+    ]);
+    const frontParty = await getPartyByID(queuedParties[0].party_id);
+    expect(frontParty.skip_count).toBe(0);
+  });
+});
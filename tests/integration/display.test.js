@@ -0,0 +1,240 @@
+import { jest } from "@jest/globals";
+import request from "supertest";
+import db from "../../models/db.js";
+
+const PAGE_DISPLAY = "/display";
+
+const mockCreateRedisClient = jest.fn();
+const mockRedisPsubscribe = jest.fn();
+const mockRedisOn = jest.fn();
+const mockRedisQuit = jest.fn();
+jest.unstable_mockModule("../../utils/redis.js", () => ({
+  default: {
+    createQueue: () => ({ add: jest.fn() }),
+    createRedisClient: mockCreateRedisClient,
+  },
+}));
+
+const { default: app } = await import("../../app.js");
+const { default: displayEventStreamService } = await import(
+  "../../services/display-event-stream-service.js"
+);
+
+import { seedParties, seedQueue } from "../utils/party.js";
+import getDisplayLabel from "../../utils/display-labels.js";
+import eventStatuses from "../../shared-constants/event-statuses.js";
+import { STATUS_CHECKING_IN } from "../../constants/party-statuses.js";
+import { CHANNEL_QUEUE_POSITIONS } from "../../constants/pub-sub-channels.js";
+import {
+  DISPLAY_PRIVACY_ID_SUFFIX,
+  DISPLAY_PRIVACY_INITIALS,
+  DISPLAY_PRIVACY_NAME,
+} from "../../constants/display-privacy.js";
+import {
+  deleteLocations,
+  getDefaultLocationID,
+  seedLocation,
+} from "../utils/locations.js";
+import {
+  getAllLocationsPattern,
+  getLocationKey,
+} from "../../utils/location-keys.js";
+
+/** @type {(() => void)[]} the close handlers of the displays connected in each test */
+let closeDisplays = [];
+
+/**
+ * Creates a stand-in for a display's event stream response.
+ *
+ * @returns {{ write: jest.Mock, on: jest.Mock }} the response
+ */
+function createDisplayResponse() {
+  const response = {
+    write: jest.fn(),
+    on: jest.fn((event, handler) => {
+      if (event === "close") closeDisplays.push(handler);
+    }),
+  };
+  return response;
+}
+
+/**
+ * Gets the messages written to a display's event stream.
+ *
+ * @param {{ write: jest.Mock }} response - the display's response
+ * @returns {object[]} the parsed messages
+ */
+function getDisplayMessages(response) {
+  return response.write.mock.calls.map(([message]) =>
+    JSON.parse(message.replace(/^data: /, "")),
+  );
+}
+
+let locationID;
+beforeAll(async () => {
+  locationID = await getDefaultLocationID();
+});
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  mockCreateRedisClient.mockImplementation(() => ({
+    psubscribe: mockRedisPsubscribe,
+    on: mockRedisOn,
+    quit: mockRedisQuit,
+  }));
+
+  await db("parties").del();
+});
+
+afterEach(() => {
+  // disconnect every display, so that the next test starts without a subscriber
+  for (const closeDisplay of closeDisplays) closeDisplay();
+  closeDisplays = [];
+});
+
+afterAll(async () => {
+  await deleteLocations();
+  await db.destroy();
+});
+
+describe("lobby display page", () => {
+  it("should render the display without signing in", async () => {
+    // act: visit the display
+    const response = await request(app).get(PAGE_DISPLAY);
+    // assert: the display is rendered
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('id="display-page"');
+  });
+});
+
+describe("lobby display event stream", () => {
+  it("should send the called and queued parties without their party IDs", async () => {
+    // arrange: queue two parties, and call a third to check in
+    const [firstParty] = await seedQueue([2], { name: "Jane Doe" });
+    const [secondParty] = await seedQueue([4], { name: "bob" });
+    const [calledParty] = await seedParties(1, 2, {
+      name: "Sam Lee",
+      status: STATUS_CHECKING_IN,
+    });
+    const response = createDisplayResponse();
+
+    // act: connect a display
+    await displayEventStreamService.setupStream(locationID, response);
+
+    // assert: the display is sent the queue, identifying parties by their initials
+    const [message] = getDisplayMessages(response);
+    expect(message).toEqual({
+      status: eventStatuses.DISPLAY_UPDATE,
+      calledParties: [{ label: "S. L." }],
+      queuedParties: [
+        { label: "J. D.", position: 1 },
+        { label: "B.", position: 2 },
+      ],
+      queuedCount: 2,
+    });
+    const rawMessage = response.write.mock.calls[0][0];
+    for (const party of [firstParty, secondParty, calledParty]) {
+      expect(rawMessage).not.toContain(party.party_id);
+    }
+  });
+
+  it("should share one subscriber between every display", async () => {
+    // arrange: connect two displays
+    const firstResponse = createDisplayResponse();
+    const secondResponse = createDisplayResponse();
+    await displayEventStreamService.setupStream(locationID, firstResponse);
+    await displayEventStreamService.setupStream(locationID, secondResponse);
+    await seedQueue([2], { name: "Jane Doe" });
+
+    // act: receive a queue positions message
+    const [, onMessage] = mockRedisOn.mock.calls.find(
+      ([event]) => event === "pmessage",
+    );
+    await onMessage(
+      getAllLocationsPattern(CHANNEL_QUEUE_POSITIONS),
+      getLocationKey(CHANNEL_QUEUE_POSITIONS, locationID),
+      "{}",
+    );
+
+    // assert: one subscriber was created, and both displays were sent the updated queue
+    expect(mockCreateRedisClient).toHaveBeenCalledTimes(1);
+    expect(mockRedisPsubscribe).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.any(String),
+      expect.any(String),
+      getAllLocationsPattern(CHANNEL_QUEUE_POSITIONS),
+      expect.any(String),
+      expect.any(String),
+    );
+    for (const response of [firstResponse, secondResponse]) {
+      const messages = getDisplayMessages(response);
+      expect(messages).toHaveLength(2);
+      expect(messages[1].queuedCount).toBe(1);
+    }
+  });
+
+  it("should only update the displays at the location whose queue changed", async () => {
+    // arrange: connect a display at the default location and at another location
+    const otherLocation = await seedLocation();
+    const response = createDisplayResponse();
+    const otherResponse = createDisplayResponse();
+    await displayEventStreamService.setupStream(locationID, response);
+    await displayEventStreamService.setupStream(
+      otherLocation.id,
+      otherResponse,
+    );
+
+    // act: receive a queue positions message for the other location
+    const [, onMessage] = mockRedisOn.mock.calls.find(
+      ([event]) => event === "pmessage",
+    );
+    await onMessage(
+      getAllLocationsPattern(CHANNEL_QUEUE_POSITIONS),
+      getLocationKey(CHANNEL_QUEUE_POSITIONS, otherLocation.id),
+      "{}",
+    );
+
+    // assert: only the other location's display was sent the updated queue
+    expect(getDisplayMessages(response)).toHaveLength(1);
+    expect(getDisplayMessages(otherResponse)).toHaveLength(2);
+  });
+
+  it("should close the subscriber once every display disconnects", async () => {
+    // arrange: connect two displays
+    await displayEventStreamService.setupStream(
+      locationID,
+      createDisplayResponse(),
+    );
+    await displayEventStreamService.setupStream(
+      locationID,
+      createDisplayResponse(),
+    );
+    const [closeFirstDisplay, closeSecondDisplay] = closeDisplays;
+
+    // act + assert: the subscriber is only closed after the last display disconnects
+    closeFirstDisplay();
+    expect(mockRedisQuit).not.toHaveBeenCalled();
+    closeSecondDisplay();
+    expect(mockRedisQuit).toHaveBeenCalledTimes(1);
+    closeDisplays = [];
+  });
+});
+
+describe("lobby display labels", () => {
+  const party = { party_id: "abcdefx7Kq", name: "Mary O&#x27;Brien" };
+
+  it("should show the party's name", () => {
+    // act + assert: the name is shown as the party entered it
+    expect(getDisplayLabel(party, DISPLAY_PRIVACY_NAME)).toBe("Mary O'Brien");
+  });
+
+  it("should show the party's initials", () => {
+    // act + assert: the first letter of each word is shown
+    expect(getDisplayLabel(party, DISPLAY_PRIVACY_INITIALS)).toBe("M. O.");
+  });
+
+  it("should only show the end of the party's ID", () => {
+    // act + assert: none of the party's name is shown
+    expect(getDisplayLabel(party, DISPLAY_PRIVACY_ID_SUFFIX)).toBe("#x7Kq");
+  });
+});
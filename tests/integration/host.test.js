@@ -0,0 +1,453 @@
+import { jest } from "@jest/globals";
+import request from "supertest";
+import {
+  CHECKIN_EXPIRED_QUEUE,
+  DEQUEUE_QUEUE,
+  SEAT_EXPIRED_QUEUE,
+} from "../../constants/message-queues.js";
+import {
+  CHANNEL_CHECKIN_EXTENDED,
+  CHANNEL_DEQUEUE,
+  CHANNEL_PARTY_REMOVED,
+  CHANNEL_PARTY_SEATED,
+  CHANNEL_QUEUE_POSITIONS,
+} from "../../constants/pub-sub-channels.js";
+import {
+  STATUS_CHECKING_IN,
+  STATUS_QUEUED,
+  STATUS_SEATED,
+} from "../../constants/party-statuses.js";
+import {
+  ERROR_UNAUTHORIZED,
+  getClientErrorMessage,
+  PARTY_NO_TABLE_AVAILABLE,
+  PARTY_NOT_FOUND,
+} from "../../constants/errors.js";
+import { ROLE_HOST } from "../../constants/staff-roles.js";
+import db from "../../models/db.js";
+import { getPartyByID, seedParties } from "../utils/party.js";
+import { mockRateLimitMulti } from "../utils/rate-limit.js";
+import { getSignedInAgent } from "../utils/staff.js";
+import {
+  assignTables,
+  deleteTables,
+  getAssignedTableIDs,
+  seedTables,
+} from "../utils/tables.js";
+import { getDefaultLocationID } from "../utils/locations.js";
+import { getLocationKey } from "../../utils/location-keys.js";
+
+const PAGE_HOST_DASHBOARD = "/host";
+const PAGE_STAFF_LOGIN = "/staff/login";
+const ENDPOINT_HOST_EVENTS = "/host/events";
+const endpointDequeueParty = (partyID) => `/host/parties/${partyID}/dequeue`;
+const endpointSeatParty = (partyID) => `/host/parties/${partyID}/seat`;
+const endpointExtendSeat = (partyID) => `/host/parties/${partyID}/extend`;
+const endpointExtendCheckin = (partyID) =>
+  `/host/parties/${partyID}/extend-checkin`;
+const endpointRemoveParty = (partyID) => `/host/parties/${partyID}`;
+
+const mockSetupStream = jest.fn();
+jest.unstable_mockModule("../../services/host-event-stream-service.js", () => ({
+  default: {
+    setupStream: mockSetupStream,
+  },
+}));
+
+const mockScheduleJobAt = jest.fn();
+jest.unstable_mockModule("../../utils/schedule-job.js", () => ({
+  default: mockScheduleJobAt,
+}));
+
+const mockCreateQueue = jest.fn();
+const mockRedisPublish = jest.fn();
+const mockRedisSet = jest.fn();
+jest.unstable_mockModule("../../utils/redis.js", () => ({
+  default: {
+    createQueue: mockCreateQueue,
+    createRedisClient: () => ({
+      multi: mockRateLimitMulti(),
+      publish: mockRedisPublish,
+      set: mockRedisSet,
+    }),
+  },
+}));
+
+const { default: app } = await import("../../app.js");
+const { default: checkinExpiredService } = await import(
+  "../../services/checkin-expired-service.js"
+);
+
+// the host pages without a location prefix are for the default location
+let locationID;
+beforeAll(async () => {
+  locationID = await getDefaultLocationID();
+});
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  mockCreateQueue.mockReset();
+  mockCreateQueue.mockImplementation(() => ({
+    add: jest.fn(),
+  }));
+  mockScheduleJobAt.mockReset();
+  mockSetupStream.mockReset();
+  mockRedisPublish.mockReset();
+
+  await db("parties").del();
+  await deleteTables();
+  await db("staff").truncate();
+});
+
+afterAll(async () => {
+  await db.destroy();
+});
+
+describe("host authentication", () => {
+  it("should redirect to the sign in page when visiting the dashboard signed out", async () => {
+    // act: visit the dashboard as a browser would
+    const response = await request(app)
+      .get(PAGE_HOST_DASHBOARD)
+      .set("Accept", "text/html");
+
+    // assert: we were redirected
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe(PAGE_STAFF_LOGIN);
+  });
+
+  it("should return 401 when calling a host endpoint signed out", async () => {
+    // arrange: a queued party
+    const [party] = await seedParties(1, 2);
+
+    // act: attempt to remove the party
+    const response = await request(app)
+      .delete(endpointRemoveParty(party.party_id))
+      .set("Accept", "application/json");
+
+    // assert: the request is rejected and the party is untouched
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({ message: ERROR_UNAUTHORIZED });
+    expect(await getPartyByID(party.party_id)).toBeDefined();
+  });
+});
+
+describe("host dashboard", () => {
+  it("should render queued, checking-in, and seated parties", async () => {
+    // arrange: a party in each status
+    const [queued] = await seedParties(1, 2, { status: STATUS_QUEUED });
+    const [checkingIn] = await seedParties(1, 3, {
+      status: STATUS_CHECKING_IN,
+      checkin_expiration: new Date(Date.now() + 1000 * 60).toISOString(),
+    });
+    const [seated] = await seedParties(1, 4, {
+      status: STATUS_SEATED,
+      seat_expiration: new Date(Date.now() + 1000 * 60).toISOString(),
+    });
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: visit the dashboard
+    const response = await agent.get(PAGE_HOST_DASHBOARD);
+
+    // assert: every party is rendered
+    expect(response.status).toBe(200);
+    expect(response.text).toMatch(/host dashboard/i);
+    for (const party of [queued, checkingIn, seated]) {
+      expect(response.text).toMatch(party.party_id);
+    }
+  });
+
+  it("should setup an event stream for signed in hosts", async () => {
+    // arrange: mock the event stream
+    mockSetupStream.mockImplementationOnce((_locationID, res) => {
+      res.end();
+    });
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: access the event stream
+    const response = await agent.get(ENDPOINT_HOST_EVENTS);
+
+    // assert: event stream is setup
+    expect(response.status).toBe(200);
+    expect(response.headers).toHaveProperty(
+      "content-type",
+      "text/event-stream",
+    );
+    expect(mockSetupStream).toHaveBeenCalledWith(locationID, expect.anything());
+  });
+});
+
+describe("host actions", () => {
+  it("should call a party forward from anywhere in the queue and notify listeners", async () => {
+    // arrange: a queue of parties, where the host calls the last party forward
+    const queuedParties = await seedParties(3, 2, { status: STATUS_QUEUED });
+    const party = queuedParties.at(-1);
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: call the party forward
+    const response = await agent.patch(endpointDequeueParty(party.party_id));
+
+    // assert: only that party is checking in
+    expect(response.status).toBe(200);
+    expect(response.body.checkingInExpiration).toBeDefined();
+    const updatedParty = await getPartyByID(party.party_id);
+    expect(updatedParty.status).toBe(STATUS_CHECKING_IN);
+    expect(updatedParty.checkin_expiration).not.toBeNull();
+    for (const otherParty of queuedParties.slice(0, -1)) {
+      expect((await getPartyByID(otherParty.party_id)).status).toBe(
+        STATUS_QUEUED,
+      );
+    }
+    // checkin cleanup is scheduled
+    expect(mockCreateQueue).toHaveBeenCalledWith(CHECKIN_EXPIRED_QUEUE);
+    expect(mockScheduleJobAt).toHaveBeenCalled();
+    // the guest is notified the same way as a regular dequeue
+    const dequeueCall = mockRedisPublish.mock.calls.find(
+      (call) => call[0] === getLocationKey(CHANNEL_DEQUEUE, locationID),
+    );
+    expect(JSON.parse(dequeueCall[1]).partyIDs).toEqual([party.party_id]);
+    // the remaining parties' positions are broadcast
+    const positionsCall = mockRedisPublish.mock.calls.find(
+      (call) => call[0] === getLocationKey(CHANNEL_QUEUE_POSITIONS, locationID),
+    );
+    expect(JSON.parse(positionsCall[1]).queuedParties).toHaveLength(2);
+  });
+
+  it("should return 400 when calling forward a party that is not queued", async () => {
+    // arrange: a party that is already checking in
+    const [party] = await seedParties(1, 2, { status: STATUS_CHECKING_IN });
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: attempt to call them forward
+    const response = await agent.patch(endpointDequeueParty(party.party_id));
+
+    // assert: an error is returned and no one is notified
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      message: getClientErrorMessage(PARTY_NOT_FOUND),
+    });
+    expect(mockRedisPublish).not.toHaveBeenCalled();
+  });
+
+  it("should seat a queued party, schedule seat cleanup, and notify listeners", async () => {
+    // arrange: a queued party
+    const [party] = await seedParties(1, 2, { status: STATUS_QUEUED });
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: seat the party
+    const response = await agent.patch(endpointSeatParty(party.party_id));
+
+    // assert: the party is seated with a seat expiration
+    expect(response.status).toBe(200);
+    const updatedParty = await getPartyByID(party.party_id);
+    expect(updatedParty.status).toBe(STATUS_SEATED);
+    expect(updatedParty.seat_expiration).not.toBeNull();
+    // seat cleanup and a dequeue are scheduled
+    expect(mockCreateQueue).toHaveBeenCalledWith(SEAT_EXPIRED_QUEUE);
+    expect(mockScheduleJobAt).toHaveBeenCalled();
+    expect(mockCreateQueue).toHaveBeenCalledWith(DEQUEUE_QUEUE);
+    // the guest is notified
+    const seatedCall = mockRedisPublish.mock.calls.find(
+      (call) => call[0] === getLocationKey(CHANNEL_PARTY_SEATED, locationID),
+    );
+    expect(JSON.parse(seatedCall[1]).partyIDs).toEqual([party.party_id]);
+  });
+
+  it("should assign a free table that fits when seating a queued party", async () => {
+    // arrange: an occupied 2-top, a free 2-top, and a free 4-top
+    const [occupiedTable, freeTable] = await seedTables([
+      { capacity: 2 },
+      { capacity: 2 },
+      { capacity: 4 },
+    ]);
+    const [seatedParty] = await seedParties(1, 2, {
+      status: STATUS_CHECKING_IN,
+    });
+    await assignTables(seatedParty.party_id, [occupiedTable.id]);
+    const [party] = await seedParties(1, 2, { status: STATUS_QUEUED });
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: seat the party
+    const response = await agent.patch(endpointSeatParty(party.party_id));
+
+    // assert: the party is seated at the free 2-top
+    expect(response.status).toBe(200);
+    expect(await getAssignedTableIDs(party.party_id)).toEqual([freeTable.id]);
+  });
+
+  it("should return 400 when seating a party that no free table fits", async () => {
+    // arrange: a venue with only a 2-top
+    await seedTables([{ capacity: 2 }]);
+    const [party] = await seedParties(1, 4, { status: STATUS_QUEUED });
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: attempt to seat the party
+    const response = await agent.patch(endpointSeatParty(party.party_id));
+
+    // assert: an error is returned and the party is still queued
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      message: getClientErrorMessage(PARTY_NO_TABLE_AVAILABLE),
+    });
+    expect((await getPartyByID(party.party_id)).status).toBe(STATUS_QUEUED);
+  });
+
+  it("should return 400 when seating a party that does not exist", async () => {
+    // arrange: sign in
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: seat a party that is not in the database
+    const response = await agent.patch(endpointSeatParty("missing-id"));
+
+    // assert: an error is returned
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      message: getClientErrorMessage(PARTY_NOT_FOUND),
+    });
+  });
+
+  it("should remove a party, notify listeners, and schedule a dequeue", async () => {
+    // arrange: a queued party
+    const [party] = await seedParties(1, 2, { status: STATUS_QUEUED });
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: remove the party
+    const response = await agent.delete(endpointRemoveParty(party.party_id));
+
+    // assert: the party is removed
+    expect(response.status).toBe(204);
+    expect(await getPartyByID(party.party_id)).toBeUndefined();
+    expect(mockCreateQueue).toHaveBeenCalledWith(DEQUEUE_QUEUE);
+    expect(mockRedisPublish).toHaveBeenCalledWith(
+      getLocationKey(CHANNEL_PARTY_REMOVED, locationID),
+      JSON.stringify({ partyIDs: [party.party_id] }),
+    );
+  });
+
+  it("should extend a seated party's seat and reschedule seat cleanup", async () => {
+    // arrange: a seated party
+    const seatExpiration = new Date(Date.now() + 1000 * 60);
+    const [party] = await seedParties(1, 2, {
+      status: STATUS_SEATED,
+      seat_expiration: seatExpiration.toISOString(),
+    });
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: extend the seat by 5 minutes
+    const response = await agent
+      .patch(endpointExtendSeat(party.party_id))
+      .send({ minutes: 5 });
+
+    // assert: the seat expiration was pushed back
+    expect(response.status).toBe(200);
+    const updatedParty = await getPartyByID(party.party_id);
+    expect(updatedParty.seat_expiration.getTime()).toBe(
+      seatExpiration.getTime() + 5 * 60 * 1000,
+    );
+    expect(mockCreateQueue).toHaveBeenCalledWith(SEAT_EXPIRED_QUEUE);
+    expect(mockScheduleJobAt).toHaveBeenCalled();
+  });
+
+  it("should return 400 when extending the seat of a party that is not seated", async () => {
+    // arrange: a queued party
+    const [party] = await seedParties(1, 2, { status: STATUS_QUEUED });
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: attempt to extend their seat
+    const response = await agent
+      .patch(endpointExtendSeat(party.party_id))
+      .send({ minutes: 5 });
+
+    // assert: an error is returned
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      message: getClientErrorMessage(PARTY_NOT_FOUND),
+    });
+  });
+
+  it("should extend a checking-in party's check-in window, reschedule check-in cleanup, and notify the party", async () => {
+    // arrange: a checking-in party
+    const checkinExpiration = new Date(Date.now() + 1000 * 30);
+    const [party] = await seedParties(1, 2, {
+      status: STATUS_CHECKING_IN,
+      checkin_expiration: checkinExpiration.toISOString(),
+    });
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: extend their check-in window by 5 minutes
+    const response = await agent
+      .patch(endpointExtendCheckin(party.party_id))
+      .send({ minutes: 5 });
+
+    // assert: the check-in expiration was pushed back
+    expect(response.status).toBe(200);
+    const extendedExpiration = checkinExpiration.getTime() + 5 * 60 * 1000;
+    const updatedParty = await getPartyByID(party.party_id);
+    expect(updatedParty.checkin_expiration.getTime()).toBe(extendedExpiration);
+    expect(new Date(response.body.checkingInExpiration).getTime()).toBe(
+      extendedExpiration,
+    );
+
+    // the checkin expiration worker is scheduled for the new expiration
+    expect(mockCreateQueue).toHaveBeenCalledWith(CHECKIN_EXPIRED_QUEUE);
+    const expireCall = mockScheduleJobAt.mock.calls.find(
+      (call) => call[1] === "expire-checking-in-users",
+    );
+    expect(expireCall[3].getTime()).toBe(extendedExpiration);
+
+    // the party's status page is sent the new expiration
+    const extendedCall = mockRedisPublish.mock.calls.find(
+      (call) =>
+        call[0] === getLocationKey(CHANNEL_CHECKIN_EXTENDED, locationID),
+    );
+    const extendedMessage = JSON.parse(extendedCall[1]);
+    expect(extendedMessage.partyIDs).toEqual([party.party_id]);
+    expect(new Date(extendedMessage.checkingInExpiration).getTime()).toBe(
+      extendedExpiration,
+    );
+  });
+
+  it("should keep an extended party when the check-in cleanup scheduled for their original window runs", async () => {
+    // arrange: a checking-in party whose original window has just ended, and is extended before it is cleaned up
+    const checkinExpiration = new Date(Date.now() - 1000);
+    const [party] = await seedParties(1, 2, {
+      status: STATUS_CHECKING_IN,
+      checkin_expiration: checkinExpiration.toISOString(),
+    });
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+    await agent
+      .patch(endpointExtendCheckin(party.party_id))
+      .send({ minutes: 5 });
+
+    // act: the cleanup job for the original window runs
+    await checkinExpiredService.expireCheckedinUsers(locationID);
+
+    // assert: the party is still checking in, with a cleanup job scheduled for their new window
+    const updatedParty = await getPartyByID(party.party_id);
+    expect(updatedParty.status).toBe(STATUS_CHECKING_IN);
+    const expireCalls = mockScheduleJobAt.mock.calls.filter(
+      (call) => call[1] === "expire-checking-in-users",
+    );
+    expect(expireCalls).toHaveLength(1);
+    expect(expireCalls[0][3].getTime()).toBe(
+      checkinExpiration.getTime() + 5 * 60 * 1000,
+    );
+  });
+
+  it("should return 400 when extending the check-in window of a party that is not checking in", async () => {
+    // arrange: a seated party
+    const [party] = await seedParties(1, 2, { status: STATUS_SEATED });
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: attempt to extend their check-in window
+    const response = await agent
+      .patch(endpointExtendCheckin(party.party_id))
+      .send({ minutes: 5 });
+
+    // assert: an error is returned and nothing is rescheduled
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      message: getClientErrorMessage(PARTY_NOT_FOUND),
+    });
+    expect(mockScheduleJobAt).not.toHaveBeenCalled();
+  });
+});
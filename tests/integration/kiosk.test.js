@@ -0,0 +1,161 @@
+import { jest } from "@jest/globals";
+import request from "supertest";
+import db from "../../models/db.js";
+import { mockRateLimitMulti } from "../utils/rate-limit.js";
+
+const PAGE_NEW_PARTY = "/party/new";
+const PAGE_VIEW_PARTY_STATUS = "/party";
+const PAGE_HOST_DASHBOARD = "/host";
+const PAGE_RECOVER_PARTY = "/party/recover";
+const ENDPOINT_STAFF_LOGIN = "/staff/login";
+const ENDPOINT_HOST_KIOSK = "/host/kiosk";
+const ENDPOINT_NEW_PARTY = "/party";
+const ENDPOINT_RECOVER_PARTY = "/party/recover";
+
+jest.unstable_mockModule("../../utils/redis.js", () => ({
+  default: {
+    createQueue: () => ({ add: jest.fn() }),
+    createRedisClient: () => ({
+      multi: mockRateLimitMulti(),
+      publish: jest.fn(),
+    }),
+  },
+}));
+
+const { default: app } = await import("../../app.js");
+
+import { seedParties } from "../utils/party.js";
+import { seedStaff, signInAgent } from "../utils/staff.js";
+import { createRecoveryToken } from "../../utils/recovery-tokens.js";
+import { ERROR_FORBIDDEN } from "../../constants/errors.js";
+import { ROLE_HOST } from "../../constants/staff-roles.js";
+
+/** @type {import('../../typedefs.js').Staff} the host signing in on the kiosk */
+let host;
+
+/**
+ * Gets a request agent for a device that a host has turned into a kiosk.
+ *
+ * @returns {Promise<import('supertest').Agent>} the kiosk's agent
+ */
+async function getKioskAgent() {
+  const agent = await signInAgent(request.agent(app), host);
+  const response = await agent.post(ENDPOINT_HOST_KIOSK);
+  expect(response.status).toBe(204);
+
+  return agent;
+}
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  await db("parties").del();
+  await db("staff").truncate();
+  host = await seedStaff(ROLE_HOST);
+});
+
+afterAll(async () => {
+  await db.destroy();
+});
+
+describe("starting kiosk mode", () => {
+  it("should sign the host out", async () => {
+    // arrange: turn a device into a kiosk
+    const kiosk = await getKioskAgent();
+    // act: visit the host dashboard from the kiosk
+    const response = await kiosk.get(PAGE_HOST_DASHBOARD).accept("html");
+    // assert: the kiosk is sent to the sign in page
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe(ENDPOINT_STAFF_LOGIN);
+  });
+
+  it("should not let guests start kiosk mode", async () => {
+    // act: try to start kiosk mode without signing in
+    const response = await request(app).post(ENDPOINT_HOST_KIOSK);
+    // assert: the request is rejected
+    expect(response.status).toBe(401);
+  });
+});
+
+describe("joining from a kiosk", () => {
+  it("should let each party join without binding the kiosk to them", async () => {
+    // arrange: turn a device into a kiosk
+    const kiosk = await getKioskAgent();
+
+    // act: two parties join one after the other
+    const firstResponse = await kiosk
+      .post(ENDPOINT_NEW_PARTY)
+      .send({ name: "first", size: 2 });
+    const joinPage = await kiosk.get(PAGE_NEW_PARTY);
+    const secondResponse = await kiosk
+      .post(ENDPOINT_NEW_PARTY)
+      .send({ name: "second", size: 3 });
+
+    // assert: both parties joined, and the kiosk stayed on the join page
+    expect(firstResponse.status).toBe(201);
+    expect(secondResponse.status).toBe(201);
+    expect(secondResponse.body.partyID).not.toBe(firstResponse.body.partyID);
+    expect(await db("parties").count("* as count")).toEqual([{ count: "2" }]);
+    expect(joinPage.status).toBe(200);
+    expect(joinPage.text).toContain('id="kiosk-confirmation-template"');
+    const statusPage = await kiosk.get(PAGE_VIEW_PARTY_STATUS);
+    expect(statusPage.headers.location).toBe(PAGE_NEW_PARTY);
+  });
+
+  it("should send the party their recovery link and its QR code", async () => {
+    // arrange: turn a device into a kiosk
+    const kiosk = await getKioskAgent();
+
+    // act: a party joins from the kiosk
+    const response = await kiosk
+      .post(ENDPOINT_NEW_PARTY)
+      .send({ name: "first", size: 2 });
+
+    // assert: the party can follow their place in queue from their own device with the link
+    const { recoveryURL, recoveryQRCode } = response.body;
+    expect(recoveryQRCode).toMatch(/^data:image\/svg\+xml;base64,/);
+    const { pathname, search } = new URL(recoveryURL);
+    const phone = request.agent(app);
+    const recoveryResponse = await phone.get(pathname + search);
+    expect(recoveryResponse.headers.location).toBe(PAGE_VIEW_PARTY_STATUS);
+    const statusPage = await phone.get(PAGE_VIEW_PARTY_STATUS);
+    expect(statusPage.text).toContain(response.body.partyID);
+  });
+
+  it("should not let the kiosk recover a party", async () => {
+    // arrange: create a party, and turn a device into a kiosk
+    const [party] = await seedParties(1, 2, { name: "Jane Doe" });
+    const kiosk = await getKioskAgent();
+
+    // act: try to recover the party from the kiosk, by link and by their details
+    const linkResponse = await kiosk.get(
+      `${PAGE_RECOVER_PARTY}?token=${createRecoveryToken(party.party_id)}`,
+    );
+    const formResponse = await kiosk
+      .post(ENDPOINT_RECOVER_PARTY)
+      .send({ partyID: party.party_id, name: "Jane Doe" });
+
+    // assert: the kiosk is not bound to the party
+    expect(linkResponse.headers.location).toBe(PAGE_NEW_PARTY);
+    expect(formResponse.status).toBe(403);
+    expect(formResponse.body.message).toBe(ERROR_FORBIDDEN);
+    const statusPage = await kiosk.get(PAGE_VIEW_PARTY_STATUS);
+    expect(statusPage.headers.location).toBe(PAGE_NEW_PARTY);
+  });
+});
+
+describe("stopping kiosk mode", () => {
+  it("should bind the device to the parties it creates again", async () => {
+    // arrange: turn a device into a kiosk, then have a host sign in on it and stop kiosk mode
+    const kiosk = await getKioskAgent();
+    await signInAgent(kiosk, host);
+    const stopResponse = await kiosk.delete(ENDPOINT_HOST_KIOSK);
+
+    // act: a party joins from the device
+    await kiosk.post(ENDPOINT_NEW_PARTY).send({ name: "first", size: 2 });
+
+    // assert: the device is sent to the party's status page
+    expect(stopResponse.status).toBe(204);
+    const joinPage = await kiosk.get(PAGE_NEW_PARTY);
+    expect(joinPage.headers.location).toBe(PAGE_VIEW_PARTY_STATUS);
+  });
+});
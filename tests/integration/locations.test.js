@@ -0,0 +1,353 @@
+import { jest } from "@jest/globals";
+import request from "supertest";
+import {
+  ERROR_FORBIDDEN,
+  ERROR_INVALID_REQUEST,
+  getClientErrorMessage,
+  LOCATION_NOT_FOUND,
+  LOCATION_SLUG_TAKEN,
+  PARTY_NOT_FOUND,
+} from "../../constants/errors.js";
+import { DEQUEUE_QUEUE } from "../../constants/message-queues.js";
+import {
+  STATUS_CHECKING_IN,
+  STATUS_QUEUED,
+} from "../../constants/party-statuses.js";
+import { CHANNEL_DEQUEUE } from "../../constants/pub-sub-channels.js";
+import { ROLE_HOST, ROLE_MANAGER } from "../../constants/staff-roles.js";
+import db from "../../models/db.js";
+import { getLocationKey } from "../../utils/location-keys.js";
+import { getMaxSeats } from "../../utils/waitlist-settings.js";
+import { deleteCheckinLatencies } from "../utils/checkin-latencies.js";
+import {
+  deleteLocations,
+  getDefaultLocationID,
+  seedLocation,
+} from "../utils/locations.js";
+import { deletePartyEvents } from "../utils/party-events.js";
+import { getPartyByID, getPartyStatuses, seedQueue } from "../utils/party.js";
+import { mockRateLimitMulti } from "../utils/rate-limit.js";
+import { getSignedInAgent } from "../utils/staff.js";
+import { deleteTables, seedTables } from "../utils/tables.js";
+
+const ENDPOINT_LOCATIONS = "/locations";
+const pageNewParty = (slug) => `/l/${slug}/party/new`;
+const endpointNewParty = (slug) => `/l/${slug}/party`;
+const endpointTables = (slug) => `/l/${slug}/tables`;
+const endpointRemoveParty = (slug, partyID) =>
+  `/l/${slug}/host/parties/${partyID}`;
+const pageHostDashboard = (slug) => `/l/${slug}/host`;
+
+const mockCreateQueue = jest.fn();
+const mockQueueAdd = jest.fn();
+const mockRedisPublish = jest.fn();
+jest.unstable_mockModule("../../utils/redis.js", () => ({
+  default: {
+    createQueue: mockCreateQueue,
+    createRedisClient: () => ({
+      multi: mockRateLimitMulti(),
+      publish: mockRedisPublish,
+      set: jest.fn(),
+    }),
+  },
+}));
+
+const mockScheduleJobAt = jest.fn();
+jest.unstable_mockModule("../../utils/schedule-job.js", () => ({
+  default: mockScheduleJobAt,
+}));
+
+const { default: app } = await import("../../app.js");
+const { default: dequeueService } = await import(
+  "../../services/dequeue-service.js"
+);
+
+/**
+ * Deletes everything at the locations added by the tests, then the locations themselves.
+ *
+ * @returns {Promise<void>}
+ */
+async function deleteLocationData() {
+  await db("parties").del();
+  await deletePartyEvents();
+  await deleteCheckinLatencies();
+  await deleteTables();
+  await deleteLocations();
+}
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  mockCreateQueue.mockReset();
+  mockCreateQueue.mockImplementation(() => ({
+    add: mockQueueAdd,
+  }));
+
+  await deleteLocationData();
+  await db("staff").truncate();
+});
+
+afterAll(async () => {
+  await deleteLocationData();
+  await db.destroy();
+});
+
+describe("location pages", () => {
+  it("should render a location's join page under its slug", async () => {
+    // arrange: a second location
+    const location = await seedLocation({ name: "Downtown" });
+
+    // act: visit the location's join page
+    const response = await request(app).get(pageNewParty(location.slug));
+
+    // assert: the page sends requests to the location's endpoints
+    expect(response.status).toBe(200);
+    expect(response.text).toContain(`/l/${location.slug}`);
+  });
+
+  it("should return 404 for a location that does not exist", async () => {
+    // act: visit the join page of a location that was never added
+    const response = await request(app).get(pageNewParty("nowhere"));
+
+    // assert: the location is not found
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({
+      message: getClientErrorMessage(LOCATION_NOT_FOUND),
+    });
+  });
+});
+
+describe("location waitlists", () => {
+  it("should give each location its own queue positions", async () => {
+    // arrange: a party is already queued at the default location
+    const location = await seedLocation();
+    await seedQueue([2]);
+
+    // act: join the other location
+    const response = await request(app)
+      .post(endpointNewParty(location.slug))
+      .send({ name: "party name", size: 2 });
+
+    // assert: the party is first in the other location's queue, and a dequeue is scheduled for it
+    expect(response.status).toBe(201);
+    expect(response.body.positionInQueue).toBe(1);
+    const party = await getPartyByID(response.body.partyID);
+    expect(party.location_id).toBe(location.id);
+    expect(mockCreateQueue).toHaveBeenCalledWith(DEQUEUE_QUEUE);
+    expect(mockQueueAdd).toHaveBeenCalledWith("dequeue", {
+      locationID: location.id,
+    });
+  });
+
+  it("should reject parties larger than the location's seats", async () => {
+    // arrange: a location with only 4 seats
+    const location = await seedLocation({ max_seats: 4 });
+
+    // act: join with a party of 5
+    const response = await request(app)
+      .post(endpointNewParty(location.slug))
+      .send({ name: "party name", size: 5 });
+
+    // assert: the party is rejected
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ message: ERROR_INVALID_REQUEST });
+  });
+
+  it("should accept parties up to the location's seats when it has more than the max seats setting", async () => {
+    // arrange: a location given more seats than the max seats setting (ex: before the setting was lowered)
+    const location = await seedLocation({ max_seats: getMaxSeats() + 2 });
+
+    // act: join with a party larger than the setting allows
+    const response = await request(app)
+      .post(endpointNewParty(location.slug))
+      .send({ name: "party name", size: getMaxSeats() + 1 });
+
+    // assert: the party is queued at the location
+    expect(response.status).toBe(201);
+    const party = await getPartyByID(response.body.partyID);
+    expect(party).toMatchObject({
+      location_id: location.id,
+      size: getMaxSeats() + 1,
+    });
+  });
+
+  it("should only dequeue parties at the location being dequeued", async () => {
+    // arrange: a queued party at two locations
+    const location = await seedLocation();
+    const defaultParties = await seedQueue([2]);
+    const locationParties = await seedQueue([2], {
+      location_id: location.id,
+    });
+
+    // act: dequeue the other location
+    const [error, _result] = await dequeueService.dequeueUsers(location.id);
+
+    // assert: only the other location's party is called, on the location's channel
+    expect(error).toBeNull();
+    expect(await getPartyStatuses(locationParties)).toEqual([
+      STATUS_CHECKING_IN,
+    ]);
+    expect(await getPartyStatuses(defaultParties)).toEqual([STATUS_QUEUED]);
+    const dequeueCall = mockRedisPublish.mock.calls.find(
+      (call) => call[0] === getLocationKey(CHANNEL_DEQUEUE, location.id),
+    );
+    expect(JSON.parse(dequeueCall[1]).partyIDs).toEqual([
+      locationParties[0].party_id,
+    ]);
+  });
+
+  it("should not let hosts at one location remove another location's parties", async () => {
+    // arrange: a party queued at the default location
+    const location = await seedLocation();
+    const [party] = await seedQueue([2]);
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: remove the party from the other location's dashboard
+    const response = await agent.delete(
+      endpointRemoveParty(location.slug, party.party_id),
+    );
+
+    // assert: the party is not found, and is left in the queue
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      message: getClientErrorMessage(PARTY_NOT_FOUND),
+    });
+    expect(await getPartyByID(party.party_id)).toBeDefined();
+  });
+
+  it("should let each location name its own tables", async () => {
+    // arrange: the default location already has a "T1"
+    const location = await seedLocation();
+    await seedTables([{ name: "T1", capacity: 4 }]);
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: add a "T1" at the other location
+    const response = await agent
+      .post(endpointTables(location.slug))
+      .send({ name: "T1", capacity: 2 });
+
+    // assert: the table is added to the other location
+    expect(response.status).toBe(201);
+    expect(response.body.location_id).toBe(location.id);
+  });
+});
+
+describe("managing locations", () => {
+  it("should allow managers to add and list locations", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: add a location, then list every location
+    const createResponse = await agent
+      .post(ENDPOINT_LOCATIONS)
+      .send({ slug: "Uptown", name: "Uptown Bistro", maxSeats: 6 });
+    const listResponse = await agent.get(ENDPOINT_LOCATIONS);
+
+    // assert: the location is added (with a lowercase slug) after the default location
+    expect(createResponse.status).toBe(201);
+    expect(createResponse.body).toMatchObject({
+      slug: "uptown",
+      name: "Uptown Bistro",
+      max_seats: 6,
+    });
+    expect(listResponse.status).toBe(200);
+    expect(listResponse.body.locations.map(({ id }) => id)).toEqual([
+      await getDefaultLocationID(),
+      createResponse.body.id,
+    ]);
+  });
+
+  it("should return 409 when the slug is already taken", async () => {
+    // arrange: a location with the slug
+    const location = await seedLocation();
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: add another location with the same slug
+    const response = await agent
+      .post(ENDPOINT_LOCATIONS)
+      .send({ slug: location.slug, name: "Another" });
+
+    // assert: the slug conflicts
+    expect(response.status).toBe(409);
+    expect(response.body).toEqual({
+      message: getClientErrorMessage(LOCATION_SLUG_TAKEN),
+    });
+  });
+
+  it("should return 400 when the slug cannot be used in a URL", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: add a location with spaces in its slug
+    const response = await agent
+      .post(ENDPOINT_LOCATIONS)
+      .send({ slug: "down town", name: "Downtown" });
+
+    // assert: the request is rejected
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ message: ERROR_INVALID_REQUEST });
+  });
+
+  it("should forbid hosts from adding locations", async () => {
+    // arrange: sign in as a host
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: attempt to add a location
+    const response = await agent
+      .post(ENDPOINT_LOCATIONS)
+      .send({ slug: "uptown", name: "Uptown" });
+
+    // assert: the host is forbidden
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual({ message: ERROR_FORBIDDEN });
+  });
+});
+
+describe("location staff", () => {
+  it("should only let staff who work at a location access its routes", async () => {
+    // arrange: a host who works at a location, with a party queued at the default location
+    const location = await seedLocation();
+    const [party] = await seedQueue([2]);
+    const agent = await getSignedInAgent(app, ROLE_HOST, location.id);
+
+    // act: visit their location's dashboard, then remove the default location's party
+    const ownResponse = await agent.get(pageHostDashboard(location.slug));
+    const otherResponse = await agent.delete(
+      endpointRemoveParty("default", party.party_id),
+    );
+
+    // assert: only their own location is accessible, and the party is left in the queue
+    expect(ownResponse.status).toBe(200);
+    expect(otherResponse.status).toBe(403);
+    expect(otherResponse.body).toEqual({ message: ERROR_FORBIDDEN });
+    expect(await getPartyByID(party.party_id)).toBeDefined();
+  });
+
+  it("should only link staff who work at a location to its own dashboard", async () => {
+    // arrange: a host who works at one of two locations
+    const location = await seedLocation();
+    const otherLocation = await seedLocation();
+    const agent = await getSignedInAgent(app, ROLE_HOST, location.id);
+
+    // act: visit their location's dashboard
+    const response = await agent.get(pageHostDashboard(location.slug));
+
+    // assert: there are no links to switch to the other locations
+    expect(response.status).toBe(200);
+    expect(response.text).not.toContain(pageHostDashboard(otherLocation.slug));
+  });
+
+  it("should forbid staff who work at a single location from the routes shared by every location", async () => {
+    // arrange: sign in as a manager who works at a location
+    const location = await seedLocation();
+    const agent = await getSignedInAgent(app, ROLE_MANAGER, location.id);
+
+    // act: attempt to add a location
+    const response = await agent
+      .post(ENDPOINT_LOCATIONS)
+      .send({ slug: "uptown", name: "Uptown" });
+
+    // assert: the manager is forbidden
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual({ message: ERROR_FORBIDDEN });
+  });
+});
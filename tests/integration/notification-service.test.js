@@ -0,0 +1,278 @@
+import { jest } from "@jest/globals";
+import { existsSync } from "fs";
+import { readFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import request from "supertest";
+import db from "../../models/db.js";
+import { deleteLocations, seedLocation } from "../utils/locations.js";
+import { seedParties } from "../utils/party.js";
+import { mockRateLimitMulti } from "../utils/rate-limit.js";
+import {
+  STATUS_CHECKING_IN,
+  STATUS_SEATED,
+} from "../../constants/party-statuses.js";
+import { NOTIFICATIONS_QUEUE } from "../../constants/message-queues.js";
+import { NOTIFICATION_TRANSPORT_FILE } from "../../constants/notification-transports.js";
+
+const NOTIFICATION_FILE_PATH = path.join(
+  tmpdir(),
+  `waitlist-notifications-${process.pid}.log`,
+);
+// notify parties through the file transport, so the sent notifications can be read back
+process.env.NOTIFICATION_TRANSPORTS = NOTIFICATION_TRANSPORT_FILE;
+process.env.NOTIFICATION_FILE_PATH = NOTIFICATION_FILE_PATH;
+// link parties back to the app from their notifications
+const PUBLIC_URL = "https://waitlist.example.com";
+process.env.PUBLIC_URL = PUBLIC_URL;
+
+const mockCreateQueue = jest.fn();
+const mockQueueAddBulk = jest.fn();
+jest.unstable_mockModule("../../utils/redis.js", () => ({
+  default: {
+    createQueue: mockCreateQueue,
+    createRedisClient: () => ({ multi: mockRateLimitMulti() }),
+  },
+}));
+const { default: app } = await import("../../app.js");
+const { default: notificationService } = await import(
+  "../../services/notification-service.js"
+);
+
+/**
+ * Reads the notifications sent through the file transport.
+ *
+ * @returns {Promise<object[]>} the sent notifications, in the order they were sent
+ */
+async function getSentNotifications() {
+  if (!existsSync(NOTIFICATION_FILE_PATH)) return [];
+
+  const contents = await readFile(NOTIFICATION_FILE_PATH, "utf8");
+  return contents
+    .trimEnd()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * Gets a check-in expiration a number of minutes from now.
+ *
+ * @param {number} minutes - the minutes from now
+ * @returns {string} the expiration (an ISO date string)
+ */
+const minutesFromNow = (minutes) =>
+  new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  mockCreateQueue.mockImplementation(() => ({
+    addBulk: mockQueueAddBulk,
+  }));
+
+  await rm(NOTIFICATION_FILE_PATH, { force: true });
+  await db("parties").del();
+});
+
+afterAll(async () => {
+  await rm(NOTIFICATION_FILE_PATH, { force: true });
+  await db("parties").del();
+  await deleteLocations();
+  await db.destroy();
+});
+
+describe("notification service", () => {
+  it("should queue a notification for each dequeued party, identified by their check-in expiration", async () => {
+    // arrange: the dequeued parties and their check-in expiration
+    const partyIDs = ["party-1", "party-2"];
+    const checkingInExpiration = "2026-01-01T12:00:00.000Z";
+
+    // act: queue the notifications twice (as if the dequeue was received twice)
+    await notificationService.queueTableReadyNotifications(
+      partyIDs,
+      checkingInExpiration,
+    );
+    await notificationService.queueTableReadyNotifications(
+      partyIDs,
+      checkingInExpiration,
+    );
+
+    // assert: a job is added for each party, with the same IDs both times so they are only sent once
+    expect(mockCreateQueue).toHaveBeenCalledWith(NOTIFICATIONS_QUEUE);
+    const [firstJobs] = mockQueueAddBulk.mock.calls[0];
+    const [secondJobs] = mockQueueAddBulk.mock.calls[1];
+    expect(firstJobs.map(({ data }) => data)).toEqual([
+      { partyID: "party-1" },
+      { partyID: "party-2" },
+    ]);
+    const firstJobIDs = firstJobs.map(({ opts }) => opts.jobId);
+    expect(new Set(firstJobIDs).size).toBe(2);
+    expect(secondJobs.map(({ opts }) => opts.jobId)).toEqual(firstJobIDs);
+  });
+
+  it("should notify a checking-in party at their contact details", async () => {
+    // arrange: a checking-in party with a phone number and email
+    const [party] = await seedParties(1, 2, {
+      status: STATUS_CHECKING_IN,
+      checkin_expiration: minutesFromNow(5),
+      contact_phone: "+15555550123",
+      contact_email: "guest@example.com",
+    });
+
+    // act: notify the party
+    const [error, result] =
+      await notificationService.sendTableReadyNotification(party.party_id);
+
+    // assert: the party is told their table is ready, and how long they have to check in
+    expect(error).toBeNull();
+    expect(result).toBe("Party notified");
+    const notifications = await getSentNotifications();
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0].to).toEqual({
+      phone: "+15555550123",
+      email: "guest@example.com",
+    });
+    expect(notifications[0].text).toMatch(/table is ready/i);
+    expect(notifications[0].text).toContain("within 5 minutes");
+  });
+
+  it("should link the party to their location's status page with a link that restores their session", async () => {
+    // arrange: a checking-in party at another location
+    const location = await seedLocation();
+    const [party] = await seedParties(1, 2, {
+      location_id: location.id,
+      status: STATUS_CHECKING_IN,
+      checkin_expiration: minutesFromNow(5),
+      contact_phone: "+15555550123",
+    });
+
+    // act: notify the party, then open the link on a device without their session
+    await notificationService.sendTableReadyNotification(party.party_id);
+    const [notification] = await getSentNotifications();
+    const link = new URL(notification.text.match(/Check in at (\S+)$/)[1]);
+    const agent = request.agent(app);
+    const recoverResponse = await agent.get(link.pathname + link.search);
+    const statusResponse = await agent.get(recoverResponse.headers.location);
+
+    // assert: the link restores the party's session and sends them to their location's status page
+    expect(`${link.origin}${link.pathname}`).toBe(
+      `${PUBLIC_URL}/l/${location.slug}/party/recover`,
+    );
+    expect(recoverResponse.status).toBe(302);
+    expect(recoverResponse.headers.location).toBe(`/l/${location.slug}/party`);
+    expect(statusResponse.status).toBe(200);
+    expect(statusResponse.text).toContain(party.party_id);
+  });
+
+  it("should not notify a party without contact details", async () => {
+    // arrange: a checking-in party who did not give any contact details
+    const [party] = await seedParties(1, 2, {
+      status: STATUS_CHECKING_IN,
+      checkin_expiration: minutesFromNow(5),
+    });
+
+    // act: notify the party
+    const [error, result] =
+      await notificationService.sendTableReadyNotification(party.party_id);
+
+    // assert: nothing is sent
+    expect(error).toBeNull();
+    expect(result).toBe("Party has no contact details");
+    expect(await getSentNotifications()).toHaveLength(0);
+  });
+
+  it("should not notify a party who is no longer checking in", async () => {
+    // arrange: a party who checked in before their notification was sent, and a party who has since left
+    const [seatedParty] = await seedParties(1, 2, {
+      status: STATUS_SEATED,
+      contact_phone: "+15555550123",
+    });
+
+    // act: notify both parties
+    const [seatedError, seatedResult] =
+      await notificationService.sendTableReadyNotification(
+        seatedParty.party_id,
+      );
+    const [deletedError, deletedResult] =
+      await notificationService.sendTableReadyNotification("deleted");
+
+    // assert: nothing is sent
+    expect(seatedError).toBeNull();
+    expect(seatedResult).toBe("Party is no longer checking in");
+    expect(deletedError).toBeNull();
+    expect(deletedResult).toBe("Party is no longer checking in");
+    expect(await getSentNotifications()).toHaveLength(0);
+  });
+
+  it("should queue a notification for each reminder, identified by when the reminder was scheduled", async () => {
+    // arrange: the reminded party and their check-in expiration
+    const checkingInExpiration = "2026-01-01T12:00:00.000Z";
+
+    // act: queue the notifications for two reminders
+    await notificationService.queueCheckinReminderNotifications(
+      ["party-1"],
+      checkingInExpiration,
+      "2026-01-01T11:59:00.000Z",
+    );
+    await notificationService.queueCheckinReminderNotifications(
+      ["party-1"],
+      checkingInExpiration,
+      "2026-01-01T11:59:36.000Z",
+    );
+
+    // assert: each reminder is its own job, carrying the check-in expiration it is for
+    const [firstJobs] = mockQueueAddBulk.mock.calls[0];
+    const [secondJobs] = mockQueueAddBulk.mock.calls[1];
+    expect(firstJobs[0].name).toBe("checkin-reminder");
+    expect(firstJobs[0].data).toEqual({
+      partyID: "party-1",
+      checkingInExpiration,
+    });
+    expect(secondJobs[0].opts.jobId).not.toBe(firstJobs[0].opts.jobId);
+  });
+
+  it("should remind a checking-in party that their check-in window is closing", async () => {
+    // arrange: a checking-in party with a phone number
+    const checkingInExpiration = minutesFromNow(2);
+    const [party] = await seedParties(1, 2, {
+      status: STATUS_CHECKING_IN,
+      checkin_expiration: checkingInExpiration,
+      contact_phone: "+15555550123",
+    });
+
+    // act: remind the party
+    const [error, result] =
+      await notificationService.sendCheckinReminderNotification(
+        party.party_id,
+        checkingInExpiration,
+      );
+
+    // assert: the party is reminded how long they have left to check in
+    expect(error).toBeNull();
+    expect(result).toBe("Party notified");
+    const notifications = await getSentNotifications();
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0].subject).toBe("Your check-in window is closing");
+    expect(notifications[0].text).toContain("within 2 minutes");
+  });
+
+  it("should not remind a party whose check-in window has changed", async () => {
+    // arrange: a checking-in party whose check-in window is not the one the reminder is for
+    const [party] = await seedParties(1, 2, {
+      status: STATUS_CHECKING_IN,
+      checkin_expiration: minutesFromNow(5),
+      contact_phone: "+15555550123",
+    });
+
+    // act: remind the party
+    const [error, result] =
+      await notificationService.sendCheckinReminderNotification(
+        party.party_id,
+        minutesFromNow(2),
+      );
+
+    // assert: nothing is sent
+    expect(error).toBeNull();
+    expect(result).toBe("Party's check-in window has changed");
+    expect(await getSentNotifications()).toHaveLength(0);
+  });
+});
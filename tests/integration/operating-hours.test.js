@@ -0,0 +1,408 @@
+import { jest } from "@jest/globals";
+import request from "supertest";
+import {
+  ERROR_FORBIDDEN,
+  ERROR_INVALID_REQUEST,
+  getClientErrorMessage,
+  HOURS_OVERRIDE_NOT_FOUND,
+  WAITLIST_CLOSED,
+} from "../../constants/errors.js";
+import { DEQUEUE_QUEUE } from "../../constants/message-queues.js";
+import {
+  STATUS_CHECKING_IN,
+  STATUS_QUEUED,
+} from "../../constants/party-statuses.js";
+import { ROLE_HOST, ROLE_MANAGER } from "../../constants/staff-roles.js";
+import { OPERATING_HOURS_TIME_ZONE } from "../../config/waitlist.js";
+import db from "../../models/db.js";
+import { getLocalDateTime } from "../../utils/operating-hours.js";
+import { getDefaultLocation } from "../utils/locations.js";
+import {
+  pauseWaitlist,
+  resetOperatingHours,
+  seedHoursOverride,
+  seedWeeklyHours,
+} from "../utils/operating-hours.js";
+import { getPartyStatuses, seedQueue } from "../utils/party.js";
+import { mockRateLimitMulti } from "../utils/rate-limit.js";
+import { getSignedInAgent } from "../utils/staff.js";
+
+const ENDPOINT_NEW_PARTY = "/party";
+const PAGE_NEW_PARTY = "/party/new";
+const ENDPOINT_HOURS = "/hours";
+const ENDPOINT_HOST_WAITLIST = "/host/waitlist";
+const endpointHoursOverride = (date) => `/hours/overrides/${date}`;
+
+// a Monday afternoon, between the lunch and dinner periods below
+const MONDAY_AFTERNOON = new Date("2026-10-19T15:00:00Z");
+const LUNCH_AND_DINNER = [
+  { weekday: 1, opens_at: "11:00", closes_at: "14:00" },
+  { weekday: 1, opens_at: "17:00", closes_at: "22:00" },
+];
+
+const mockCreateQueue = jest.fn();
+const mockQueueAdd = jest.fn();
+jest.unstable_mockModule("../../utils/redis.js", () => ({
+  default: {
+    createQueue: mockCreateQueue,
+    createRedisClient: () => ({
+      multi: mockRateLimitMulti(),
+      publish: jest.fn(),
+      set: jest.fn(),
+    }),
+  },
+}));
+
+const mockScheduleJobAt = jest.fn();
+jest.unstable_mockModule("../../utils/schedule-job.js", () => ({
+  default: mockScheduleJobAt,
+}));
+
+const { default: app } = await import("../../app.js");
+const { default: operatingHoursService } = await import(
+  "../../services/operating-hours-service.js"
+);
+const { default: dequeueService } = await import(
+  "../../services/dequeue-service.js"
+);
+
+/**
+ * Gets today's date in the opening hours' time zone.
+ *
+ * @returns {string} the date (ex: "2026-10-19")
+ */
+function getToday() {
+  return getLocalDateTime(new Date(), OPERATING_HOURS_TIME_ZONE).date;
+}
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  mockCreateQueue.mockReset();
+  mockCreateQueue.mockImplementation(() => ({
+    add: mockQueueAdd,
+  }));
+
+  await db("parties").del();
+  await db("staff").truncate();
+  await resetOperatingHours();
+});
+
+afterAll(async () => {
+  await db("parties").del();
+  await resetOperatingHours();
+  await db.destroy();
+});
+
+describe("opening hours", () => {
+  it("should be open all day when the location has no hours", async () => {
+    // arrange: the default location, which has no hours
+    const location = await getDefaultLocation();
+
+    // act: check the waitlist
+    const [error, intake] = await operatingHoursService.getIntakeStatus(
+      location,
+      MONDAY_AFTERNOON,
+    );
+
+    // assert: the waitlist is open
+    expect(error).toBeNull();
+    expect(intake).toEqual({
+      isOpen: true,
+      isPaused: false,
+      nextOpening: null,
+    });
+  });
+
+  it("should be closed between periods, and give the next opening", async () => {
+    // arrange: a lunch and dinner period on Mondays
+    await seedWeeklyHours(LUNCH_AND_DINNER);
+    const location = await getDefaultLocation();
+
+    // act: check the waitlist between the periods
+    const [error, intake] = await operatingHoursService.getIntakeStatus(
+      location,
+      MONDAY_AFTERNOON,
+    );
+
+    // assert: the waitlist is closed until dinner
+    expect(error).toBeNull();
+    expect(intake).toEqual({
+      isOpen: false,
+      isPaused: false,
+      nextOpening: { date: "2026-10-19", weekday: 1, time: "17:00" },
+    });
+  });
+
+  it("should stay open past midnight for periods that close the next day", async () => {
+    // arrange: a Friday period that closes at 2am
+    await seedWeeklyHours([
+      { weekday: 5, opens_at: "18:00", closes_at: "02:00" },
+    ]);
+    const location = await getDefaultLocation();
+
+    // act: check the waitlist at 1am on Saturday
+    const [error, intake] = await operatingHoursService.getIntakeStatus(
+      location,
+      new Date("2026-10-24T01:00:00Z"),
+    );
+
+    // assert: the waitlist is still open
+    expect(error).toBeNull();
+    expect(intake.isOpen).toBe(true);
+  });
+
+  it("should use a date's special hours instead of its weekly hours", async () => {
+    // arrange: the lunch and dinner periods, but closed on this Monday for a holiday
+    await seedWeeklyHours([
+      ...LUNCH_AND_DINNER,
+      { weekday: 2, opens_at: "11:00", closes_at: "22:00" },
+    ]);
+    await seedHoursOverride({ date: "2026-10-19" });
+    const location = await getDefaultLocation();
+
+    // act: check the waitlist during lunch on the holiday
+    const [error, intake] = await operatingHoursService.getIntakeStatus(
+      location,
+      new Date("2026-10-19T12:00:00Z"),
+    );
+
+    // assert: the waitlist is closed until Tuesday
+    expect(error).toBeNull();
+    expect(intake).toEqual({
+      isOpen: false,
+      isPaused: false,
+      nextOpening: { date: "2026-10-20", weekday: 2, time: "11:00" },
+    });
+  });
+});
+
+describe("joining a closed waitlist", () => {
+  it("should reject parties when the waitlist is closed", async () => {
+    // arrange: the location is closed today
+    await seedHoursOverride({ date: getToday() });
+
+    // act: attempt to join
+    const response = await request(app)
+      .post(ENDPOINT_NEW_PARTY)
+      .send({ name: "party name", size: 2 });
+
+    // assert: the party is rejected with the closed error, and no dequeue is scheduled
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual({
+      message: getClientErrorMessage(WAITLIST_CLOSED),
+    });
+    expect(mockQueueAdd).not.toHaveBeenCalled();
+  });
+
+  it("should render the closed page with the next opening", async () => {
+    // arrange: the location is closed today, and has hours every day
+    await seedHoursOverride({ date: getToday() });
+    await seedWeeklyHours(
+      [0, 1, 2, 3, 4, 5, 6].map((weekday) => ({
+        weekday,
+        opens_at: "11:00",
+        closes_at: "22:00",
+      })),
+    );
+
+    // act: visit the join page
+    const response = await request(app).get(PAGE_NEW_PARTY);
+
+    // assert: the closed page is shown, with tomorrow's opening
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('data-testid="waitlist-next-opening"');
+    expect(response.text).toContain("11:00 AM");
+    expect(response.text).not.toContain('id="waitlist-join-form"');
+  });
+
+  it("should reject parties while intake is paused, even during opening hours", async () => {
+    // arrange: intake is paused at a location without hours
+    await pauseWaitlist({ intake_paused: true });
+
+    // act: attempt to join, and visit the join page
+    const joinResponse = await request(app)
+      .post(ENDPOINT_NEW_PARTY)
+      .send({ name: "party name", size: 2 });
+    const pageResponse = await request(app).get(PAGE_NEW_PARTY);
+
+    // assert: the party is rejected, and the page shows that the waitlist is paused
+    expect(joinResponse.status).toBe(403);
+    expect(pageResponse.text).toContain('data-testid="waitlist-paused"');
+  });
+});
+
+describe("pausing the waitlist", () => {
+  it("should let hosts pause and resume intake", async () => {
+    // arrange: sign in as a host
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: pause intake, join, then resume intake and join again
+    const pauseResponse = await agent
+      .patch(ENDPOINT_HOST_WAITLIST)
+      .send({ intakePaused: true });
+    const pausedJoinResponse = await request(app)
+      .post(ENDPOINT_NEW_PARTY)
+      .send({ name: "party name", size: 2 });
+    await agent.patch(ENDPOINT_HOST_WAITLIST).send({ intakePaused: false });
+    const resumedJoinResponse = await request(app)
+      .post(ENDPOINT_NEW_PARTY)
+      .send({ name: "party name", size: 2 });
+
+    // assert: the party can only join once intake is resumed
+    expect(pauseResponse.status).toBe(200);
+    expect(pauseResponse.body).toEqual({
+      intakePaused: true,
+      dequeuePaused: false,
+    });
+    expect(pausedJoinResponse.status).toBe(403);
+    expect(resumedJoinResponse.status).toBe(201);
+  });
+
+  it("should hold the queue while dequeuing is paused", async () => {
+    // arrange: a queued party, with dequeuing paused
+    const queuedParties = await seedQueue([2]);
+    await pauseWaitlist({ dequeue_paused: true });
+    const location = await getDefaultLocation();
+
+    // act: run a dequeue
+    const [error, _result] = await dequeueService.dequeueUsers(location.id);
+
+    // assert: the party is left in the queue
+    expect(error).toBeNull();
+    expect(await getPartyStatuses(queuedParties)).toEqual([STATUS_QUEUED]);
+  });
+
+  it("should schedule a dequeue when dequeuing is resumed", async () => {
+    // arrange: a queued party, with dequeuing paused
+    const queuedParties = await seedQueue([2]);
+    await pauseWaitlist({ dequeue_paused: true });
+    const location = await getDefaultLocation();
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: resume dequeuing, then run the scheduled dequeue
+    const response = await agent
+      .patch(ENDPOINT_HOST_WAITLIST)
+      .send({ dequeuePaused: false });
+    await dequeueService.dequeueUsers(location.id);
+
+    // assert: a dequeue is scheduled, which calls the party
+    expect(response.status).toBe(200);
+    expect(mockCreateQueue).toHaveBeenCalledWith(DEQUEUE_QUEUE);
+    expect(mockQueueAdd).toHaveBeenCalledWith("dequeue", {
+      locationID: location.id,
+    });
+    expect(await getPartyStatuses(queuedParties)).toEqual([STATUS_CHECKING_IN]);
+  });
+
+  it("should return 400 when nothing is paused or resumed", async () => {
+    // arrange: sign in as a host
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: send an empty change
+    const response = await agent.patch(ENDPOINT_HOST_WAITLIST).send({});
+
+    // assert: the request is rejected
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ message: ERROR_INVALID_REQUEST });
+  });
+});
+
+describe("managing opening hours", () => {
+  it("should allow managers to replace and get the weekly hours", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: set the hours, then get them
+    const updateResponse = await agent.put(ENDPOINT_HOURS).send({
+      weeklyHours: [
+        { weekday: 2, opensAt: "17:00", closesAt: "22:00" },
+        { weekday: 2, opensAt: "11:00", closesAt: "14:00" },
+      ],
+    });
+    const getResponse = await agent.get(ENDPOINT_HOURS);
+
+    // assert: the hours are saved in opening order
+    const expectedHours = [
+      { weekday: 2, opens_at: "11:00", closes_at: "14:00" },
+      { weekday: 2, opens_at: "17:00", closes_at: "22:00" },
+    ];
+    expect(updateResponse.status).toBe(200);
+    expect(updateResponse.body).toEqual({ weeklyHours: expectedHours });
+    expect(getResponse.status).toBe(200);
+    expect(getResponse.body).toMatchObject({
+      timeZone: OPERATING_HOURS_TIME_ZONE,
+      weeklyHours: expectedHours,
+      overrides: [],
+      dequeuePaused: false,
+    });
+  });
+
+  it("should return 400 when a time is not a 24-hour time", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: set an opening time with AM/PM
+    const response = await agent.put(ENDPOINT_HOURS).send({
+      weeklyHours: [{ weekday: 1, opensAt: "11am", closesAt: "22:00" }],
+    });
+
+    // assert: the request is rejected
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ message: ERROR_INVALID_REQUEST });
+  });
+
+  it("should allow managers to set and remove special hours", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: close for a holiday, remove it, then remove it again
+    const setResponse = await agent
+      .put(endpointHoursOverride("2099-12-25"))
+      .send({});
+    const deleteResponse = await agent.delete(
+      endpointHoursOverride("2099-12-25"),
+    );
+    const missingResponse = await agent.delete(
+      endpointHoursOverride("2099-12-25"),
+    );
+
+    // assert: the holiday is closed all day, then removed
+    expect(setResponse.status).toBe(200);
+    expect(setResponse.body).toEqual({
+      date: "2099-12-25",
+      opens_at: null,
+      closes_at: null,
+    });
+    expect(deleteResponse.status).toBe(204);
+    expect(missingResponse.status).toBe(404);
+    expect(missingResponse.body).toEqual({
+      message: getClientErrorMessage(HOURS_OVERRIDE_NOT_FOUND),
+    });
+  });
+
+  it("should return 400 when special hours only have an opening time", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: set special hours without a closing time
+    const response = await agent
+      .put(endpointHoursOverride("2099-12-24"))
+      .send({ opensAt: "11:00" });
+
+    // assert: the request is rejected
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ message: ERROR_INVALID_REQUEST });
+  });
+
+  it("should forbid hosts from changing the hours", async () => {
+    // arrange: sign in as a host
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: attempt to remove the hours
+    const response = await agent.put(ENDPOINT_HOURS).send({ weeklyHours: [] });
+
+    // assert: the host is forbidden
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual({ message: ERROR_FORBIDDEN });
+  });
+});
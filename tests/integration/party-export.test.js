@@ -0,0 +1,346 @@
+import { jest } from "@jest/globals";
+import { execFile } from "child_process";
+import path from "path";
+import { promisify } from "util";
+import {
+  ERROR_FORBIDDEN,
+  ERROR_INVALID_REQUEST,
+} from "../../constants/errors.js";
+import {
+  STATUS_CHECKING_IN,
+  STATUS_COMPLETED,
+  STATUS_LEFT,
+  STATUS_QUEUED,
+  STATUS_SEATED,
+} from "../../constants/party-statuses.js";
+import { ROLE_HOST, ROLE_MANAGER } from "../../constants/staff-roles.js";
+import db from "../../models/db.js";
+import { deleteLocations, seedLocation } from "../utils/locations.js";
+import { deletePartyEvents, seedPartyEvents } from "../utils/party-events.js";
+import { mockRateLimitMulti } from "../utils/rate-limit.js";
+import { getSignedInAgent } from "../utils/staff.js";
+
+const ENDPOINT_EXPORT = "/reports/export";
+const EXPORT_SCRIPT_PATH = path.resolve("scripts/export-parties.js");
+
+const EXPORT_FROM = "2026-01-01T00:00:00.000Z";
+const EXPORT_TO = "2026-01-02T00:00:00.000Z";
+const CSV_HEADER =
+  "party_id,name,size,queued_at,dequeued_at,checked_in_at,seat_expiration,outcome";
+
+jest.unstable_mockModule("../../utils/redis.js", () => ({
+  default: {
+    createQueue: jest.fn(),
+    createRedisClient: () => ({ multi: mockRateLimitMulti() }),
+  },
+}));
+
+const { default: app } = await import("../../app.js");
+
+/**
+ * Helper function to run the export script, as it would be run from the command line.
+ *
+ * @param {string[]} args - the script's arguments
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} the script's exit code and output
+ */
+async function runExportScript(args) {
+  // the script runs in its own process, outside of jest's module loader
+  const { NODE_OPTIONS: _nodeOptions, ...env } = process.env;
+  try {
+    const { stdout, stderr } = await promisify(execFile)(
+      process.execPath,
+      [EXPORT_SCRIPT_PATH, ...args],
+      { env: { ...env, NODE_ENV: "test" } },
+    );
+    return { code: 0, stdout, stderr };
+  } catch (error) {
+    return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+  }
+}
+
+/**
+ * Seeds the history of two parties who joined the queue on the export's date:
+ * - a party of 2 who was called, checked in, and completed their visit
+ * - a party of 4 (with a name a spreadsheet would treat as a formula) who left the queue
+ *
+ * @returns {Promise<void>}
+ */
+async function seedVisits() {
+  await seedPartyEvents([
+    {
+      party_id: "seated",
+      name: "Smith, Jo",
+      size: 2,
+      previous_status: null,
+      status: STATUS_QUEUED,
+      occurred_at: "2026-01-01T12:00:00.000Z",
+    },
+    {
+      party_id: "seated",
+      name: "Smith, Jo",
+      size: 2,
+      previous_status: STATUS_QUEUED,
+      status: STATUS_CHECKING_IN,
+      occurred_at: "2026-01-01T12:10:00.000Z",
+    },
+    {
+      party_id: "seated",
+      name: "Smith, Jo",
+      size: 2,
+      seat_expiration: "2026-01-01T12:41:00.000Z",
+      previous_status: STATUS_CHECKING_IN,
+      status: STATUS_SEATED,
+      occurred_at: "2026-01-01T12:11:00.000Z",
+    },
+    {
+      party_id: "seated",
+      name: "Smith, Jo",
+      size: 2,
+      previous_status: STATUS_SEATED,
+      status: STATUS_COMPLETED,
+      occurred_at: "2026-01-01T12:41:00.000Z",
+    },
+    {
+      party_id: "walkaway",
+      name: "=HYPERLINK()",
+      size: 4,
+      previous_status: null,
+      status: STATUS_QUEUED,
+      occurred_at: "2026-01-01T13:00:00.000Z",
+    },
+    {
+      party_id: "walkaway",
+      name: "=HYPERLINK()",
+      size: 4,
+      previous_status: STATUS_QUEUED,
+      status: STATUS_LEFT,
+      occurred_at: "2026-01-01T13:05:00.000Z",
+    },
+    // a party who joined the queue after the export's date range
+    {
+      party_id: "later",
+      size: 2,
+      previous_status: null,
+      status: STATUS_QUEUED,
+      occurred_at: "2026-01-02T00:00:00.000Z",
+    },
+  ]);
+}
+
+/**
+ * Seeds another location, with a party who joined its queue on the export's date.
+ *
+ * @returns {Promise<import('../../typedefs.js').Location>} the other location
+ */
+async function seedOtherLocationVisit() {
+  const location = await seedLocation();
+  await seedPartyEvents([
+    {
+      party_id: "elsewhere",
+      size: 2,
+      location_id: location.id,
+      previous_status: null,
+      status: STATUS_QUEUED,
+      occurred_at: "2026-01-01T12:30:00.000Z",
+    },
+  ]);
+
+  return location;
+}
+
+beforeEach(async () => {
+  await deletePartyEvents();
+  await db("staff").truncate();
+});
+
+afterAll(async () => {
+  await deletePartyEvents();
+  await deleteLocations();
+  await db.destroy();
+});
+
+describe("party history export", () => {
+  it("should export the parties who joined within the date range as CSV", async () => {
+    // arrange: sign in as a manager, with some history
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+    await seedVisits();
+
+    // act: export the day's history
+    const response = await agent
+      .get(ENDPOINT_EXPORT)
+      .query({ from: EXPORT_FROM, to: EXPORT_TO });
+
+    // assert: a row is exported for each party, with the names escaped
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toMatch(/^text\/csv/);
+    expect(response.headers["content-disposition"]).toContain("attachment");
+    expect(response.text.trimEnd().split("\r\n")).toEqual([
+      CSV_HEADER,
+      'seated,"Smith, Jo",2,2026-01-01T12:00:00.000Z,2026-01-01T12:10:00.000Z,2026-01-01T12:11:00.000Z,2026-01-01T12:41:00.000Z,completed',
+      "walkaway,'=HYPERLINK(),4,2026-01-01T13:00:00.000Z,,,,left",
+    ]);
+  });
+
+  it("should export the parties as newline-delimited JSON", async () => {
+    // arrange: sign in as a manager, with some history
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+    await seedVisits();
+
+    // act: export the day's history as NDJSON
+    const response = await agent
+      .get(ENDPOINT_EXPORT)
+      .query({ from: EXPORT_FROM, to: EXPORT_TO, format: "ndjson" })
+      .buffer(true)
+      .parse((res, callback) => {
+        let text = "";
+        res.on("data", (chunk) => (text += chunk));
+        res.on("end", () => callback(null, text));
+      });
+
+    // assert: each line is a party's record
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toMatch(/^application\/x-ndjson/);
+    const records = response.body
+      .trimEnd()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    expect(records).toEqual([
+      {
+        party_id: "seated",
+        name: "Smith, Jo",
+        size: 2,
+        queued_at: "2026-01-01T12:00:00.000Z",
+        dequeued_at: "2026-01-01T12:10:00.000Z",
+        checked_in_at: "2026-01-01T12:11:00.000Z",
+        seat_expiration: "2026-01-01T12:41:00.000Z",
+        outcome: STATUS_COMPLETED,
+      },
+      {
+        party_id: "walkaway",
+        name: "=HYPERLINK()",
+        size: 4,
+        queued_at: "2026-01-01T13:00:00.000Z",
+        dequeued_at: null,
+        checked_in_at: null,
+        seat_expiration: null,
+        outcome: STATUS_LEFT,
+      },
+    ]);
+  });
+
+  it("should export only the header when no parties joined within the date range", async () => {
+    // arrange: sign in as a manager, without any history
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: export the day's history
+    const response = await agent
+      .get(ENDPOINT_EXPORT)
+      .query({ from: EXPORT_FROM, to: EXPORT_TO });
+
+    // assert: only the header row is exported
+    expect(response.status).toBe(200);
+    expect(response.text).toBe(`${CSV_HEADER}\r\n`);
+  });
+
+  it("should not allow hosts to export the party history", async () => {
+    // arrange: sign in as a host
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: export the day's history
+    const response = await agent
+      .get(ENDPOINT_EXPORT)
+      .query({ from: EXPORT_FROM, to: EXPORT_TO });
+
+    // assert: the host is forbidden
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe(ERROR_FORBIDDEN);
+  });
+
+  it("should return 400 if the date range or format is invalid", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: export without a date range, then with an unknown format
+    const missingRangeResponse = await agent.get(ENDPOINT_EXPORT);
+    const unknownFormatResponse = await agent
+      .get(ENDPOINT_EXPORT)
+      .query({ from: EXPORT_FROM, to: EXPORT_TO, format: "xlsx" });
+
+    // assert: both requests are rejected
+    expect(missingRangeResponse.status).toBe(400);
+    expect(missingRangeResponse.body.message).toBe(ERROR_INVALID_REQUEST);
+    expect(unknownFormatResponse.status).toBe(400);
+  });
+});
+
+describe("party history export script", () => {
+  it("should export the default location's parties", async () => {
+    // arrange: some history at the default location, and a party at another location
+    await seedVisits();
+    await seedOtherLocationVisit();
+
+    // act: export the day's history from the command line
+    const { code, stdout } = await runExportScript([
+      "--from",
+      EXPORT_FROM,
+      "--to",
+      EXPORT_TO,
+    ]);
+
+    // assert: only the default location's parties are exported
+    expect(code).toBe(0);
+    expect(stdout.trimEnd().split("\r\n")).toEqual([
+      CSV_HEADER,
+      'seated,"Smith, Jo",2,2026-01-01T12:00:00.000Z,2026-01-01T12:10:00.000Z,2026-01-01T12:11:00.000Z,2026-01-01T12:41:00.000Z,completed',
+      "walkaway,'=HYPERLINK(),4,2026-01-01T13:00:00.000Z,,,,left",
+    ]);
+  });
+
+  it("should export another location's parties by its slug", async () => {
+    // arrange: some history at the default location, and a party at another location
+    await seedVisits();
+    const location = await seedOtherLocationVisit();
+
+    // act: export the other location's history as NDJSON
+    const { code, stdout } = await runExportScript([
+      "--from",
+      EXPORT_FROM,
+      "--to",
+      EXPORT_TO,
+      "--location",
+      location.slug,
+      "--format",
+      "ndjson",
+    ]);
+
+    // assert: only the other location's party is exported
+    expect(code).toBe(0);
+    const records = stdout
+      .trimEnd()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    expect(records).toEqual([
+      expect.objectContaining({
+        party_id: "elsewhere",
+        outcome: STATUS_QUEUED,
+      }),
+    ]);
+  });
+
+  it("should fail when the location does not exist", async () => {
+    // act: export the history of an unknown location
+    const { code, stdout, stderr } = await runExportScript([
+      "--from",
+      EXPORT_FROM,
+      "--to",
+      EXPORT_TO,
+      "--location",
+      "nowhere",
+    ]);
+
+    // assert: nothing is exported
+    expect(code).toBe(1);
+    expect(stdout).toBe("");
+    expect(stderr).toContain('"nowhere"');
+  });
+});
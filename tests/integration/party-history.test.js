@@ -0,0 +1,135 @@
+import db from "../../models/db.js";
+import parties from "../../models/parties.js";
+import { getPartyByID, seedParties, updateParty } from "../utils/party.js";
+import {
+  deletePartyEvents,
+  getPartyTransitions,
+} from "../utils/party-events.js";
+import {
+  STATUS_CHECKIN_EXPIRED,
+  STATUS_CHECKING_IN,
+  STATUS_COMPLETED,
+  STATUS_LEFT,
+  STATUS_QUEUED,
+  STATUS_REMOVED,
+  STATUS_SEATED,
+} from "../../constants/party-statuses.js";
+import { getDefaultLocationID } from "../utils/locations.js";
+
+let locationID;
+beforeAll(async () => {
+  locationID = await getDefaultLocationID();
+});
+
+beforeEach(async () => {
+  await db("parties").del();
+  await deletePartyEvents();
+});
+
+afterAll(async () => {
+  await db.destroy();
+});
+
+describe("party history", () => {
+  it("should record every transition of a party that checks in and finishes their visit", async () => {
+    // arrange: create a party
+    const [_createError, { partyID }] = await parties.createParty(
+      locationID,
+      "Alex",
+      2,
+    );
+
+    // act: dequeue the party, check them in, then expire their seat
+    await parties.setCheckingInStatus(locationID, [partyID]);
+    await parties.updateSeatedStatus(locationID, partyID, 2);
+    await updateParty(partyID, {
+      seat_expiration: new Date(Date.now() - 1000).toISOString(),
+    });
+    await parties.removeExpiredSeats(locationID);
+
+    // assert: the party is gone, but their history remains
+    expect(await getPartyByID(partyID)).toBeUndefined();
+    expect(await getPartyTransitions(partyID)).toEqual([
+      { previous_status: null, status: STATUS_QUEUED },
+      { previous_status: STATUS_QUEUED, status: STATUS_CHECKING_IN },
+      { previous_status: STATUS_CHECKING_IN, status: STATUS_SEATED },
+      { previous_status: STATUS_SEATED, status: STATUS_COMPLETED },
+    ]);
+  });
+
+  it("should record that a party's check-in expired", async () => {
+    // arrange: a party whose check-in window has passed
+    const [party] = await seedParties(1, 2, {
+      status: STATUS_CHECKING_IN,
+      checkin_expiration: new Date(Date.now() - 1000).toISOString(),
+    });
+
+    // act: clean up the expired parties
+    await parties.deleteCheckingInExpiredParties(locationID);
+
+    // assert: the check-in expiry is recorded as the party's terminal status
+    expect(await getPartyTransitions(party.party_id)).toEqual([
+      { previous_status: STATUS_CHECKING_IN, status: STATUS_CHECKIN_EXPIRED },
+    ]);
+  });
+
+  it("should record the terminal status a party was deleted with", async () => {
+    // arrange: a queued party and a checking-in party
+    const [queuedParty] = await seedParties(1, 2, { status: STATUS_QUEUED });
+    const [checkingInParty] = await seedParties(1, 2, {
+      status: STATUS_CHECKING_IN,
+    });
+
+    // act: the first party leaves, and the second is removed by a host
+    await parties.deletePartyByID(
+      locationID,
+      queuedParty.party_id,
+      STATUS_LEFT,
+    );
+    await parties.deletePartyByID(
+      locationID,
+      checkingInParty.party_id,
+      STATUS_REMOVED,
+    );
+
+    // assert: each party's previous status and terminal status are recorded
+    expect(await getPartyTransitions(queuedParty.party_id)).toEqual([
+      { previous_status: STATUS_QUEUED, status: STATUS_LEFT },
+    ]);
+    expect(await getPartyTransitions(checkingInParty.party_id)).toEqual([
+      { previous_status: STATUS_CHECKING_IN, status: STATUS_REMOVED },
+    ]);
+  });
+
+  it("should record the status a party was seated from by a host", async () => {
+    // arrange: a queued party
+    const [party] = await seedParties(1, 2, { status: STATUS_QUEUED });
+
+    // act: a host seats the party
+    await parties.forceSeatParty(locationID, party.party_id);
+
+    // assert: the party is recorded as seated straight from the queue
+    expect(await getPartyTransitions(party.party_id)).toEqual([
+      { previous_status: STATUS_QUEUED, status: STATUS_SEATED },
+    ]);
+  });
+
+  it("should not record a transition that did not happen", async () => {
+    // arrange: a seated party
+    const [party] = await seedParties(1, 2, {
+      status: STATUS_SEATED,
+      seat_expiration: new Date(Date.now() + 1000 * 60).toISOString(),
+    });
+
+    // act: try to dequeue and force seat the party
+    await parties.setCheckingInStatus(locationID, [party.party_id]);
+    const [forceSeatError, _seatExpiration] = await parties.forceSeatParty(
+      locationID,
+      party.party_id,
+    );
+
+    // assert: nothing is recorded
+    expect(forceSeatError).not.toBeNull();
+    expect(await getPartyTransitions(party.party_id)).toEqual([]);
+  });
+});
@@ -0,0 +1,339 @@
+import { jest } from "@jest/globals";
+import request from "supertest";
+import db from "../../models/db.js";
+
+const PAGE_VIEW_PARTY_STATUS = "/party";
+const PAGE_NEW_PARTY = "/party/new";
+const PAGE_RECOVER_PARTY = "/party/recover";
+const ENDPOINT_NEW_PARTY = "/party";
+const ENDPOINT_RECOVER_PARTY = "/party/recover";
+
+const mockRedisSet = jest.fn();
+const mockRedisExec = jest.fn();
+const mockRedisMulti = {
+  set: (...args) => {
+    mockRedisSet(...args);
+    return mockRedisMulti;
+  },
+  incr: () => mockRedisMulti,
+  ttl: () => mockRedisMulti,
+  exec: mockRedisExec,
+};
+const mockRedisModule = {
+  default: {
+    createQueue: () => ({ add: jest.fn() }),
+    createRedisClient: () => ({
+      multi: () => mockRedisMulti,
+      publish: jest.fn(),
+    }),
+  },
+};
+jest.unstable_mockModule("../../utils/redis.js", () => mockRedisModule);
+
+const { default: app } = await import("../../app.js");
+
+import { deletePartyByID, seedParties } from "../utils/party.js";
+import {
+  createRecoveryToken,
+  verifyRecoveryToken,
+} from "../../utils/recovery-tokens.js";
+import {
+  ERROR_INVALID_REQUEST,
+  ERROR_TOO_MANY_REQUESTS,
+  getClientErrorMessage,
+  PARTY_RECOVERY_FAILED,
+  PARTY_RECOVERY_LINK_INVALID,
+} from "../../constants/errors.js";
+import {
+  RECOVERY_LINK_TTL_SECONDS,
+  RECOVERY_RATE_LIMIT,
+  RECOVERY_RATE_LIMIT_WINDOW_SECONDS,
+} from "../../config/recovery.js";
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  // by default, every request is the client's first within the rate limit window
+  mockRedisExec.mockResolvedValue(
+    countedRequest(1, RECOVERY_RATE_LIMIT_WINDOW_SECONDS),
+  );
+
+  await db("parties").del();
+});
+
+afterAll(async () => {
+  await db.destroy();
+});
+
+/**
+ * Gets the results of the redis transaction the rate limit counts a request in.
+ *
+ * @param {number} requestCount - how many requests the client has made in the window (including this one)
+ * @param {number} secondsLeft - how many seconds are left in the window
+ * @returns {[Error|null, string|number][]} the result of each command in the transaction
+ */
+function countedRequest(requestCount, secondsLeft) {
+  return [
+    [null, requestCount === 1 ? "OK" : null],
+    [null, requestCount],
+    [null, secondsLeft],
+  ];
+}
+
+/**
+ * Gets a recovery link's path (and token) from a rendered status page.
+ *
+ * @param {string} html - the status page
+ * @returns {string} the path of the recovery link
+ */
+function getRecoveryPath(html) {
+  // the link's "=" is escaped in the page's HTML
+  const [, token] =
+    html.match(/\/party\/recover\?token(?:=|&#x3D;)([\w.-]+)/) ?? [];
+  return `${PAGE_RECOVER_PARTY}?token=${token}`;
+}
+
+describe("recovery tokens", () => {
+  it("should verify a token for the party it was created for", () => {
+    // arrange: create a token
+    const token = createRecoveryToken("abcdefghij");
+    // act: verify the token
+    const partyID = verifyRecoveryToken(token);
+    // assert: the token is for the party
+    expect(partyID).toBe("abcdefghij");
+  });
+
+  it("should not verify an expired token", () => {
+    // arrange: create a token that expired a second ago
+    const createdAt = Date.now() - (RECOVERY_LINK_TTL_SECONDS + 1) * 1000;
+    const token = createRecoveryToken("abcdefghij", createdAt);
+    // act + assert: the token is not verified
+    expect(verifyRecoveryToken(token)).toBeNull();
+  });
+
+  it("should not verify a token that was changed", () => {
+    // arrange: swap the party ID and extend the expiry of a token
+    const [, expiresAt, signature] =
+      createRecoveryToken("abcdefghij").split(".");
+    const tokens = [
+      `klmnopqrst.${expiresAt}.${signature}`,
+      `abcdefghij.${Number(expiresAt) + 60}.${signature}`,
+      `abcdefghij.${expiresAt}.${signature.slice(0, -1)}`,
+      "abcdefghij",
+      "",
+    ];
+    // act + assert: none of the tokens are verified
+    for (const token of tokens) {
+      expect(verifyRecoveryToken(token)).toBeNull();
+    }
+  });
+});
+
+describe("party recovery link", () => {
+  it("should restore the session of the party on the status page", async () => {
+    // arrange: join the waitlist and get the status page's recovery link
+    const agent = request.agent(app);
+    const {
+      body: { partyID },
+    } = await agent.post(ENDPOINT_NEW_PARTY).send({ name: "test", size: 2 });
+    const statusPage = await agent.get(PAGE_VIEW_PARTY_STATUS);
+    const recoveryPath = getRecoveryPath(statusPage.text);
+
+    // act: open the link on another device (without the party's session)
+    const otherDevice = request.agent(app);
+    const response = await otherDevice.get(recoveryPath);
+
+    // assert: the other device is redirected to the party's status page
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe(PAGE_VIEW_PARTY_STATUS);
+    const otherStatusPage = await otherDevice.get(PAGE_VIEW_PARTY_STATUS);
+    expect(otherStatusPage.status).toBe(200);
+    expect(otherStatusPage.text).toContain(partyID);
+  });
+
+  it("should not restore a session with an expired link", async () => {
+    // arrange: create a party with a link that has expired
+    const [party] = await seedParties(1, 2);
+    const createdAt = Date.now() - (RECOVERY_LINK_TTL_SECONDS + 1) * 1000;
+    const token = createRecoveryToken(party.party_id, createdAt);
+    const agent = request.agent(app);
+
+    // act: open the link
+    const response = await agent.get(`${PAGE_RECOVER_PARTY}?token=${token}`);
+
+    // assert: the recovery form is shown instead, and there is no session
+    expect(response.status).toBe(400);
+    expect(response.text).toContain(
+      getClientErrorMessage(PARTY_RECOVERY_LINK_INVALID),
+    );
+    expect(response.text).toContain('id="recover-party-form"');
+    const statusPage = await agent.get(PAGE_VIEW_PARTY_STATUS);
+    expect(statusPage.headers.location).toBe(PAGE_NEW_PARTY);
+  });
+
+  it("should not restore a session with a link for another party", async () => {
+    // arrange: create two parties, and change the first party's link to be for the second party
+    const [firstParty, secondParty] = await seedParties(2, 2);
+    const token = createRecoveryToken(firstParty.party_id).replace(
+      firstParty.party_id,
+      secondParty.party_id,
+    );
+
+    // act: open the changed link
+    const response = await request(app).get(
+      `${PAGE_RECOVER_PARTY}?token=${token}`,
+    );
+
+    // assert: the link is rejected
+    expect(response.status).toBe(400);
+    expect(response.headers["set-cookie"]).toBeUndefined();
+  });
+
+  it("should not restore a session for a party that has left", async () => {
+    // arrange: create a party with a link, then remove the party
+    const [party] = await seedParties(1, 2);
+    const token = createRecoveryToken(party.party_id);
+    await deletePartyByID(party.party_id);
+
+    // act: open the link
+    const response = await request(app).get(
+      `${PAGE_RECOVER_PARTY}?token=${token}`,
+    );
+
+    // assert: the link is rejected
+    expect(response.status).toBe(400);
+    expect(response.text).toContain(
+      getClientErrorMessage(PARTY_RECOVERY_LINK_INVALID),
+    );
+  });
+
+  it("should render the recovery form without a link", async () => {
+    // act: visit the recovery page
+    const response = await request(app).get(PAGE_RECOVER_PARTY);
+    // assert: the form is shown without an error
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('id="recover-party-form"');
+    expect(response.text).not.toContain(
+      getClientErrorMessage(PARTY_RECOVERY_LINK_INVALID),
+    );
+  });
+});
+
+describe("party recovery form", () => {
+  it("should restore the session of a party with a matching ID and name", async () => {
+    // arrange: create a party
+    const [party] = await seedParties(1, 2, { name: "Jane Doe" });
+    const agent = request.agent(app);
+
+    // act: recover the party (with a differently-cased name)
+    const response = await agent
+      .post(ENDPOINT_RECOVER_PARTY)
+      .send({ partyID: party.party_id, name: "jane doe" });
+
+    // assert: the party's status page can be viewed
+    expect(response.status).toBe(200);
+    expect(response.body.partyID).toBe(party.party_id);
+    const statusPage = await agent.get(PAGE_VIEW_PARTY_STATUS);
+    expect(statusPage.status).toBe(200);
+    expect(statusPage.text).toContain(party.party_id);
+  });
+
+  it("should send the same error for a wrong name or party ID", async () => {
+    // arrange: create a party
+    const [party] = await seedParties(1, 2, { name: "Jane Doe" });
+
+    // act: try to recover with the wrong name, and with the wrong party ID
+    const wrongName = await request(app)
+      .post(ENDPOINT_RECOVER_PARTY)
+      .send({ partyID: party.party_id, name: "John Doe" });
+    const wrongID = await request(app)
+      .post(ENDPOINT_RECOVER_PARTY)
+      .send({ partyID: "abcdefghij", name: "Jane Doe" });
+
+    // assert: neither request restores a session, and both get the same error
+    for (const response of [wrongName, wrongID]) {
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe(
+        getClientErrorMessage(PARTY_RECOVERY_FAILED),
+      );
+      expect(response.headers["set-cookie"]).toBeUndefined();
+    }
+  });
+
+  it("should reject a request without a party ID", async () => {
+    // act: try to recover without a party ID
+    const response = await request(app)
+      .post(ENDPOINT_RECOVER_PARTY)
+      .send({ name: "Jane Doe" });
+    // assert: the request is rejected
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe(ERROR_INVALID_REQUEST);
+  });
+});
+
+describe("party recovery rate limit", () => {
+  it("should start the rate limit window on the client's first attempt", async () => {
+    // act: make a first recovery attempt
+    await request(app)
+      .post(ENDPOINT_RECOVER_PARTY)
+      .send({ partyID: "abcdefghij", name: "Jane Doe" });
+    // assert: the attempt count is created with its expiry at the end of the window
+    expect(mockRedisSet).toHaveBeenCalledWith(
+      expect.stringContaining("party-recovery"),
+      0,
+      "EX",
+      RECOVERY_RATE_LIMIT_WINDOW_SECONDS,
+      "NX",
+    );
+  });
+
+  it("should reject attempts over the rate limit", async () => {
+    // arrange: create a party, and make the client have used up their attempts
+    const [party] = await seedParties(1, 2, { name: "Jane Doe" });
+    mockRedisExec.mockResolvedValue(
+      countedRequest(RECOVERY_RATE_LIMIT + 1, 42),
+    );
+
+    // act: try to recover the party with the correct details, and with a link
+    const formResponse = await request(app)
+      .post(ENDPOINT_RECOVER_PARTY)
+      .send({ partyID: party.party_id, name: "Jane Doe" });
+    const token = createRecoveryToken(party.party_id);
+    const linkResponse = await request(app).get(
+      `${PAGE_RECOVER_PARTY}?token=${token}`,
+    );
+
+    // assert: both attempts are rejected, telling the client when the window ends
+    for (const response of [formResponse, linkResponse]) {
+      expect(response.status).toBe(429);
+      expect(response.body.message).toBe(ERROR_TOO_MANY_REQUESTS);
+      expect(response.headers["retry-after"]).toBe("42");
+      expect(response.headers["set-cookie"]).toBeUndefined();
+    }
+  });
+
+  it("should reject attempts that cannot be counted", async () => {
+    // arrange: make redis unavailable
+    mockRedisExec.mockRejectedValue(new Error("Connection is closed."));
+    // act: make a recovery attempt
+    const response = await request(app)
+      .post(ENDPOINT_RECOVER_PARTY)
+      .send({ partyID: "abcdefghij", name: "Jane Doe" });
+    // assert: the attempt is rejected
+    expect(response.status).toBe(500);
+  });
+
+  it("should reject attempts when a command in the count fails", async () => {
+    // arrange: make the count fail inside the transaction
+    mockRedisExec.mockResolvedValue([
+      [null, "OK"],
+      [new Error("ERR value is not an integer or out of range"), null],
+      [null, RECOVERY_RATE_LIMIT_WINDOW_SECONDS],
+    ]);
+    // act: make a recovery attempt
+    const response = await request(app)
+      .post(ENDPOINT_RECOVER_PARTY)
+      .send({ partyID: "abcdefghij", name: "Jane Doe" });
+    // assert: the attempt is rejected
+    expect(response.status).toBe(500);
+  });
+});
@@ -9,6 +9,8 @@ import db from "../../models/db.js";
 const PAGE_NEW_PARTY = "/party/new";
 const PAGE_VIEW_PARTY_STATUS = "/party";
 const ENDPOINT_PARTY_CHECKIN = "/party/check-in";
+const ENDPOINT_PARTY_SNOOZE = "/party/snooze";
+const ENDPOINT_PARTY_UPDATE = "/party";
 const ENDPOINT_PARTY_LEAVE_QUEUE = "/party";
 const ENDPOINT_PARTY_EVENTS = "/party/events";
 const ENDPOINT_NEW_PARTY = "/party";
@@ -34,24 +36,46 @@ jest.unstable_mockModule(
 );
 
 const mockCreateQueue = jest.fn();
+const mockRedisPublish = jest.fn();
+const mockRedisSet = jest.fn();
 const mockRedisModule = {
   default: {
     createQueue: mockCreateQueue,
+    createRedisClient: () => ({
+      publish: mockRedisPublish,
+      set: mockRedisSet,
+    }),
   },
 };
 jest.unstable_mockModule("../../utils/redis.js", () => mockRedisModule);
 
 const { default: app } = await import("../../app.js");
+const { default: dequeueService } = await import(
+  "../../services/dequeue-service.js"
+);
 
 import parties from "../../models/parties.js";
-import { deletePartyByID, seedParties, updateParty } from "../utils/party.js";
+import {
+  deletePartyByID,
+  getPartyByID,
+  seedParties,
+  seedQueue,
+  updateParty,
+} from "../utils/party.js";
 import {
   ERROR_INVALID_REQUEST,
   ERROR_UNAUTHORIZED,
   getClientErrorMessage,
   PARTY_NOT_FOUND,
+  PARTY_SNOOZE_LIMIT_REACHED,
 } from "../../constants/errors.js";
-import { STATUS_CHECKING_IN } from "../../constants/party-statuses.js";
+import {
+  STATUS_CHECKING_IN,
+  STATUS_QUEUED,
+} from "../../constants/party-statuses.js";
+import { SNOOZE_POSITIONS } from "../../config/waitlist.js";
+import { getDefaultLocationID } from "../utils/locations.js";
+import { deleteTables, seedTables } from "../utils/tables.js";
 
 beforeEach(async () => {
   jest.clearAllMocks();
@@ -60,7 +84,7 @@ beforeEach(async () => {
     add: jest.fn(),
   }));
 
-  await db("parties").truncate();
+  await db("parties").del();
 });
 
 afterAll(async () => {
@@ -106,11 +130,55 @@ describe("party check-in", () => {
     // assert: status code is correct and the expected side-effect occurs
     expect(response.status).toBe(201);
     // side effect should be the queue creation
-    expect(createPartySpy).toHaveBeenCalledWith(validData.name, validData.size);
+    // parties joining without a location prefix join the default location
+    expect(createPartySpy).toHaveBeenCalledWith(
+      await getDefaultLocationID(),
+      validData.name,
+      validData.size,
+      {
+        phone: undefined,
+        email: undefined,
+      },
+      // the queue is not capped by default
+      null,
+    );
     expect(mockCreateQueue).toHaveBeenCalledWith(DEQUEUE_QUEUE);
     expect(mockCreateQueue).toHaveBeenCalledTimes(1);
   });
 
+  it("should save the party's contact details when given", async () => {
+    // arrange: valid data with a formatted phone number and an email
+    const data = {
+      ...validData,
+      phone: "+1 (555) 555-0123",
+      email: "guest@example.com",
+    };
+
+    // act: join the waitlist
+    const response = await request(app).post(ENDPOINT_NEW_PARTY).send(data);
+
+    // assert: the contact details are saved, with the phone number's formatting removed
+    expect(response.status).toBe(201);
+    const party = await getPartyByID(response.body.partyID);
+    expect(party.contact_phone).toBe("+15555550123");
+    expect(party.contact_email).toBe("guest@example.com");
+  });
+
+  it("should return 400 when the contact details are invalid", async () => {
+    // act: join with a phone number missing its country code, then with an invalid email
+    const phoneResponse = await request(app)
+      .post(ENDPOINT_NEW_PARTY)
+      .send({ ...validData, phone: "555-0123" });
+    const emailResponse = await request(app)
+      .post(ENDPOINT_NEW_PARTY)
+      .send({ ...validData, email: "not-an-email" });
+
+    // assert: both requests are rejected
+    expect(phoneResponse.status).toBe(400);
+    expect(phoneResponse.body).toEqual({ message: ERROR_INVALID_REQUEST });
+    expect(emailResponse.status).toBe(400);
+  });
+
   it("should render new party page when session is empty", async () => {
     // arrange: spy on the model
     const getPartyByIDSpy = jest.spyOn(parties, "getPartyByID");
@@ -331,4 +399,257 @@ describe("party status", () => {
     expect(response.status).toBe(204);
     expect(mockCreateQueue).toHaveBeenCalledWith(DEQUEUE_QUEUE);
   });
+
+  it("should return 401 when an unauthorized client attempts to snooze", async () => {
+    // act: send request to snooze without a party ID
+    const response = await request(app).patch(ENDPOINT_PARTY_SNOOZE);
+
+    // assert: we're given a 401 status code
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({ message: ERROR_UNAUTHORIZED });
+  });
+
+  it("should move a checking-in party back in the queue and schedule a dequeue when they snooze", async () => {
+    // arrange: a checking-in party, with a queue of parties behind them
+    const agent = request.agent(app);
+    const { partyID } = await getPartySession(agent);
+    const queuedParties = await seedQueue([2, 2, 2, 2, 2]);
+    await updateParty(partyID, {
+      status: STATUS_CHECKING_IN,
+      checkin_expiration: new Date(Date.now() + 1000 * 30),
+      dequeued_at: new Date(),
+    });
+
+    // act: snooze
+    const response = await agent.patch(ENDPOINT_PARTY_SNOOZE);
+
+    // assert: the party is queued again, behind the configured number of parties
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      positionInQueue: SNOOZE_POSITIONS + 1,
+      snoozesLeft: 0,
+    });
+    const snoozedParty = await getPartyByID(partyID);
+    expect(snoozedParty.status).toBe(STATUS_QUEUED);
+    expect(snoozedParty.checkin_expiration).toBeNull();
+    expect(snoozedParty.snooze_count).toBe(1);
+
+    const queueOrder = await db("parties")
+      .where({ status: STATUS_QUEUED })
+      .orderBy([
+        { column: "queued_at", order: "asc" },
+        { column: "party_id", order: "asc" },
+      ])
+      .pluck("party_id");
+    const queuedIDs = queuedParties.map((party) => party.party_id);
+    expect(queueOrder).toEqual([
+      ...queuedIDs.slice(0, SNOOZE_POSITIONS),
+      partyID,
+      ...queuedIDs.slice(SNOOZE_POSITIONS),
+    ]);
+
+    // the seats the party was holding are freed up for the next parties
+    expect(mockCreateQueue).toHaveBeenCalledWith(DEQUEUE_QUEUE);
+  });
+
+  it("should move a snoozing party to the end of the queue if there are not enough parties ahead of them", async () => {
+    // arrange: a checking-in party, with a single party queued
+    const agent = request.agent(app);
+    const { partyID } = await getPartySession(agent);
+    await seedQueue([2]);
+    await updateParty(partyID, { status: STATUS_CHECKING_IN });
+
+    // act: snooze
+    const response = await agent.patch(ENDPOINT_PARTY_SNOOZE);
+
+    // assert: the party is queued behind the other party
+    expect(response.status).toBe(200);
+    expect(response.body.positionInQueue).toBe(2);
+  });
+
+  it("should return 400 when a party has already snoozed as many times as they can", async () => {
+    // arrange: a checking-in party who has already snoozed
+    const agent = request.agent(app);
+    const { partyID } = await getPartySession(agent);
+    await updateParty(partyID, {
+      status: STATUS_CHECKING_IN,
+      snooze_count: 1,
+    });
+    mockCreateQueue.mockClear();
+
+    // act: attempt to snooze again
+    const response = await agent.patch(ENDPOINT_PARTY_SNOOZE);
+
+    // assert: an error is returned, and the party can still check in
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      message: getClientErrorMessage(PARTY_SNOOZE_LIMIT_REACHED),
+    });
+    const party = await getPartyByID(partyID);
+    expect(party.status).toBe(STATUS_CHECKING_IN);
+    expect(mockCreateQueue).not.toHaveBeenCalledWith(DEQUEUE_QUEUE);
+  });
+
+  it("should return 400 when a party that is not checking in attempts to snooze", async () => {
+    // arrange: a queued party
+    const agent = request.agent(app);
+    await getPartySession(agent);
+    mockCreateQueue.mockClear();
+
+    // act: attempt to snooze
+    const response = await agent.patch(ENDPOINT_PARTY_SNOOZE);
+
+    // assert: an error is returned
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      message: getClientErrorMessage(PARTY_NOT_FOUND),
+    });
+    expect(mockCreateQueue).not.toHaveBeenCalled();
+  });
+
+  it("should return 401 when an unauthorized client attempts to update their party", async () => {
+    // act: send request to update without a party ID
+    const response = await request(app)
+      .patch(ENDPOINT_PARTY_UPDATE)
+      .send({ name: "new name", size: 3 });
+
+    // assert: we're given a 401 status code
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({ message: ERROR_UNAUTHORIZED });
+  });
+
+  it("should return 400 when the updated party details are invalid", async () => {
+    // arrange: get a session
+    const agent = request.agent(app);
+    await getPartySession(agent);
+
+    // act: attempt to grow the party past the maximum party size
+    const response = await agent
+      .patch(ENDPOINT_PARTY_UPDATE)
+      .send({ name: "new name", size: 100 });
+
+    // assert: a bad request response
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ message: ERROR_INVALID_REQUEST });
+  });
+
+  it("should update a queued party's name and size, keep their place, and schedule a dequeue", async () => {
+    // arrange: a queued party, with a party queued behind them
+    const agent = request.agent(app);
+    const { partyID } = await getPartySession(agent);
+    await seedQueue([2]);
+    const { queued_at: queuedAt } = await getPartyByID(partyID);
+    mockCreateQueue.mockClear();
+
+    // act: grow the party and change its name
+    const response = await agent
+      .patch(ENDPOINT_PARTY_UPDATE)
+      .send({ name: "new name", size: 4 });
+
+    // assert: the party was updated without losing their place
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ name: "new name", size: 4 });
+    const updatedParty = await getPartyByID(partyID);
+    expect(updatedParty.name).toBe("new name");
+    expect(updatedParty.size).toBe(4);
+    expect(updatedParty.queued_at).toEqual(queuedAt);
+    expect(mockCreateQueue).toHaveBeenCalledWith(DEQUEUE_QUEUE);
+
+    // the status page's edit form shows the new details
+    const statusPage = await agent.get(PAGE_VIEW_PARTY_STATUS);
+    expect(statusPage.text).toContain('value="new name"');
+    expect(statusPage.text).toContain('value="4"');
+  });
+
+  it("should return 400 when a party that is no longer queued attempts to update their party", async () => {
+    // arrange: a checking-in party
+    const agent = request.agent(app);
+    const { partyID } = await getPartySession(agent);
+    await updateParty(partyID, { status: STATUS_CHECKING_IN });
+
+    // act: attempt to update the party
+    const response = await agent
+      .patch(ENDPOINT_PARTY_UPDATE)
+      .send({ name: "new name", size: 4 });
+
+    // assert: an error is returned and the party is unchanged
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      message: getClientErrorMessage(PARTY_NOT_FOUND),
+    });
+    const party = await getPartyByID(partyID);
+    expect(party.size).toBe(2);
+  });
+});
+
+describe("party sizes at a venue with tables", () => {
+  beforeEach(async () => {
+    await deleteTables();
+  });
+
+  afterAll(async () => {
+    await deleteTables();
+  });
+
+  it("should turn away a party that no table could seat so the parties behind them are dequeued", async () => {
+    // arrange: a 4-top and a 2-top, which can not be combined
+    await seedTables([{ capacity: 4 }, { capacity: 2 }]);
+
+    // act: a party of 6 tries to join ahead of a party of 4
+    const unseatableResponse = await request(app)
+      .post(ENDPOINT_NEW_PARTY)
+      .send({ name: "unseatable", size: 6 });
+    const seatableResponse = await request(app)
+      .post(ENDPOINT_NEW_PARTY)
+      .send({ name: "seatable", size: 4 });
+    await dequeueService.dequeueUsers(await getDefaultLocationID());
+
+    // assert: the party of 6 never joined, so the party of 4 was not held up behind them
+    expect(unseatableResponse.status).toBe(400);
+    expect(unseatableResponse.body).toEqual({ message: ERROR_INVALID_REQUEST });
+    expect(await db("parties").where({ name: "unseatable" })).toHaveLength(0);
+    expect(seatableResponse.status).toBe(201);
+    const seatableParty = await getPartyByID(seatableResponse.body.partyID);
+    expect(seatableParty.status).toBe(STATUS_CHECKING_IN);
+  });
+
+  it("should accept a party that only combined tables could seat", async () => {
+    // arrange: two combinable 4-tops in the same section
+    await seedTables([
+      { capacity: 4, section: "patio", combinable: true },
+      { capacity: 4, section: "patio", combinable: true },
+    ]);
+
+    // act: parties that fit and that outgrow the combined tables try to join
+    const combinedResponse = await request(app)
+      .post(ENDPOINT_NEW_PARTY)
+      .send({ name: "combined", size: 8 });
+    const tooLargeResponse = await request(app)
+      .post(ENDPOINT_NEW_PARTY)
+      .send({ name: "too large", size: 9 });
+
+    // assert: only the party that fits the combined tables joined
+    expect(combinedResponse.status).toBe(201);
+    expect(tooLargeResponse.status).toBe(400);
+  });
+
+  it("should not let a queued party grow past what the tables could seat", async () => {
+    // arrange: a queued party at a venue with a single 4-top
+    await seedTables([{ capacity: 4 }]);
+    const agent = request.agent(app);
+    const {
+      body: { partyID },
+    } = await agent.post(ENDPOINT_NEW_PARTY).send({ name: "test", size: 2 });
+
+    // act: grow the party past the table
+    const response = await agent
+      .patch(ENDPOINT_PARTY_UPDATE)
+      .send({ name: "new name", size: 5 });
+
+    // assert: the update was rejected and the party is unchanged
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ message: ERROR_INVALID_REQUEST });
+    const party = await getPartyByID(partyID);
+    expect(party.size).toBe(2);
+  });
 });
@@ -0,0 +1,288 @@
+import { jest } from "@jest/globals";
+import request from "supertest";
+import db from "../../models/db.js";
+import { seedParties } from "../utils/party.js";
+import {
+  getPushSubscriptions,
+  seedPushSubscription,
+} from "../utils/push-subscriptions.js";
+import {
+  STATUS_CHECKING_IN,
+  STATUS_SEATED,
+} from "../../constants/party-statuses.js";
+import { PUSH_NOTIFICATIONS_QUEUE } from "../../constants/message-queues.js";
+import {
+  PUSH_CHECKIN_REMINDER,
+  PUSH_TABLE_READY,
+  PUSH_TRANSPORT_STUB,
+} from "../../constants/push-notifications.js";
+import {
+  ERROR_INVALID_REQUEST,
+  ERROR_UNAUTHORIZED,
+} from "../../constants/errors.js";
+
+const ENDPOINT_NEW_PARTY = "/party";
+const ENDPOINT_PUSH_SUBSCRIPTION = "/party/push-subscription";
+const PUSH_ENDPOINT = "https://push.example.com/send/browser-1";
+
+// record the push notifications instead of sending them, so they can be read back
+process.env.PUSH_TRANSPORT = PUSH_TRANSPORT_STUB;
+
+const mockCreateQueue = jest.fn();
+const mockQueueAddBulk = jest.fn();
+jest.unstable_mockModule("../../utils/redis.js", () => ({
+  default: {
+    createQueue: mockCreateQueue,
+  },
+}));
+
+const { default: app } = await import("../../app.js");
+const { default: pushService } = await import("../../services/push-service.js");
+const { clearStubbedPushes, getStubbedPushes } = await import(
+  "../../services/push-transports.js"
+);
+
+/**
+ * Gets a time a number of seconds from now.
+ *
+ * @param {number} seconds - the seconds from now
+ * @returns {string} the time (an ISO date string)
+ */
+const secondsFromNow = (seconds) =>
+  new Date(Date.now() + seconds * 1000).toISOString();
+
+/**
+ * Helper function to get a request agent for a party that has joined the waitlist.
+ *
+ * @returns {Promise<import('supertest').Agent>} the agent, with the party's session
+ */
+async function getPartyAgent() {
+  const agent = request.agent(app);
+  await agent.post(ENDPOINT_NEW_PARTY).send({ name: "party name", size: 2 });
+
+  return agent;
+}
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  mockCreateQueue.mockImplementation(() => ({
+    add: jest.fn(),
+    addBulk: mockQueueAddBulk,
+  }));
+
+  clearStubbedPushes();
+  await db("parties").del();
+});
+
+afterAll(async () => {
+  await db.destroy();
+});
+
+describe("push subscriptions", () => {
+  const validSubscription = {
+    endpoint: PUSH_ENDPOINT,
+    keys: {
+      p256dh:
+        "BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA_0QTpQtUbVlUls0VJXg7A8u-Ts1XbjhazAkj7I99e8QcYP7DkM",
+      auth: "tBHItJI5svbpez7KI4CCXg",
+    },
+  };
+
+  it("should save a party's push subscription, once per browser", async () => {
+    // arrange: a party who has joined the waitlist
+    const agent = await getPartyAgent();
+
+    // act: turn on push notifications twice from the same browser
+    const firstResponse = await agent
+      .post(ENDPOINT_PUSH_SUBSCRIPTION)
+      .send(validSubscription);
+    const secondResponse = await agent
+      .post(ENDPOINT_PUSH_SUBSCRIPTION)
+      .send(validSubscription);
+
+    // assert: the browser's subscription is saved once
+    expect(firstResponse.status).toBe(204);
+    expect(secondResponse.status).toBe(204);
+    const subscriptions = await getPushSubscriptions();
+    expect(subscriptions).toHaveLength(1);
+    expect(subscriptions[0]).toMatchObject({
+      endpoint: PUSH_ENDPOINT,
+      p256dh: validSubscription.keys.p256dh,
+      auth: validSubscription.keys.auth,
+    });
+  });
+
+  it("should return 400 when the subscription is invalid", async () => {
+    // arrange: a party who has joined the waitlist
+    const agent = await getPartyAgent();
+
+    // act: send a subscription with an insecure endpoint
+    const response = await agent
+      .post(ENDPOINT_PUSH_SUBSCRIPTION)
+      .send({ ...validSubscription, endpoint: "http://push.example.com/send" });
+
+    // assert: the subscription is rejected
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe(ERROR_INVALID_REQUEST);
+    expect(await getPushSubscriptions()).toHaveLength(0);
+  });
+
+  it("should return 401 when the client is not in a party", async () => {
+    // act: send a subscription without a session
+    const response = await request(app)
+      .post(ENDPOINT_PUSH_SUBSCRIPTION)
+      .send(validSubscription);
+
+    // assert: the request is unauthorized
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe(ERROR_UNAUTHORIZED);
+  });
+});
+
+describe("push service", () => {
+  it("should queue a push for each dequeued party, identified by their check-in expiration", async () => {
+    // arrange: the dequeued parties and their check-in expiration
+    const checkingInExpiration = "2026-01-01T12:02:00.000Z";
+
+    // act: queue the pushes twice (as if the dequeue was received twice)
+    await pushService.queueTableReadyPushes(
+      ["party-1", "party-2"],
+      checkingInExpiration,
+    );
+    await pushService.queueTableReadyPushes(
+      ["party-1", "party-2"],
+      checkingInExpiration,
+    );
+
+    // assert: a job is added for each party, with the same IDs both times so they are only sent once
+    expect(mockCreateQueue).toHaveBeenCalledWith(PUSH_NOTIFICATIONS_QUEUE);
+    const [firstJobs] = mockQueueAddBulk.mock.calls[0];
+    const [secondJobs] = mockQueueAddBulk.mock.calls[1];
+    expect(firstJobs.map(({ name, data }) => [name, data.partyID])).toEqual([
+      [PUSH_TABLE_READY, "party-1"],
+      [PUSH_TABLE_READY, "party-2"],
+    ]);
+    const firstJobIDs = firstJobs.map(({ opts }) => opts.jobId);
+    expect(new Set(firstJobIDs).size).toBe(2);
+    expect(secondJobs.map(({ opts }) => opts.jobId)).toEqual(firstJobIDs);
+  });
+
+  it("should queue a push for each reminder, identified by when the reminder was scheduled", async () => {
+    // arrange: the reminded party and their check-in expiration
+    const checkingInExpiration = "2026-01-01T12:02:00.000Z";
+
+    // act: queue the pushes for two reminders
+    await pushService.queueCheckinReminderPushes(
+      ["party-1"],
+      checkingInExpiration,
+      "2026-01-01T12:01:00.000Z",
+    );
+    await pushService.queueCheckinReminderPushes(
+      ["party-1"],
+      checkingInExpiration,
+      "2026-01-01T12:01:36.000Z",
+    );
+
+    // assert: each reminder is its own job
+    const [firstJobs] = mockQueueAddBulk.mock.calls[0];
+    const [secondJobs] = mockQueueAddBulk.mock.calls[1];
+    expect(firstJobs[0].name).toBe(PUSH_CHECKIN_REMINDER);
+    expect(firstJobs[0].data).toEqual({
+      partyID: "party-1",
+      checkingInExpiration,
+    });
+    expect(secondJobs[0].opts.jobId).not.toBe(firstJobs[0].opts.jobId);
+  });
+
+  it("should push to each of a checking-in party's browsers", async () => {
+    // arrange: a checking-in party who turned on push notifications in two browsers
+    const checkingInExpiration = secondsFromNow(120);
+    const [party] = await seedParties(1, 2, {
+      status: STATUS_CHECKING_IN,
+      checkin_expiration: checkingInExpiration,
+    });
+    await seedPushSubscription(party.party_id, PUSH_ENDPOINT);
+    await seedPushSubscription(
+      party.party_id,
+      "https://push.example.com/send/browser-2",
+    );
+
+    // act: send the table-ready push, then the reminder
+    const [tableReadyError, result] = await pushService.sendPushNotification(
+      PUSH_TABLE_READY,
+      party.party_id,
+      checkingInExpiration,
+    );
+    const [reminderError] = await pushService.sendPushNotification(
+      PUSH_CHECKIN_REMINDER,
+      party.party_id,
+      checkingInExpiration,
+    );
+
+    // assert: both browsers are told to check in, with the reminder replacing the first notification
+    expect(tableReadyError).toBeNull();
+    expect(reminderError).toBeNull();
+    expect(result).toBe("Pushed to 2 browsers");
+    const pushes = getStubbedPushes();
+    expect(pushes.map(({ endpoint }) => endpoint)).toEqual([
+      PUSH_ENDPOINT,
+      "https://push.example.com/send/browser-2",
+      PUSH_ENDPOINT,
+      "https://push.example.com/send/browser-2",
+    ]);
+    expect(pushes[0]).toMatchObject({
+      title: "Your table is ready!",
+      tag: "check-in",
+      url: "/party",
+    });
+    expect(pushes[0].body).toContain("within 2 minutes");
+    expect(pushes[2].title).toBe("Your check-in window is closing");
+    expect(pushes[2].tag).toBe(pushes[0].tag);
+  });
+
+  it("should not push to a party who is no longer checking in, or whose check-in window changed", async () => {
+    // arrange: a party who has checked in, and a party whose check-in window changed after the push was queued
+    const [seatedParty] = await seedParties(1, 2, { status: STATUS_SEATED });
+    await seedPushSubscription(seatedParty.party_id, PUSH_ENDPOINT);
+    const [checkingInParty] = await seedParties(1, 2, {
+      status: STATUS_CHECKING_IN,
+      checkin_expiration: secondsFromNow(120),
+    });
+    await seedPushSubscription(
+      checkingInParty.party_id,
+      "https://push.example.com/send/browser-2",
+    );
+
+    // act: send the reminders
+    const [seatedError, seatedResult] = await pushService.sendPushNotification(
+      PUSH_CHECKIN_REMINDER,
+      seatedParty.party_id,
+      secondsFromNow(30),
+    );
+    const [changedError, changedResult] =
+      await pushService.sendPushNotification(
+        PUSH_CHECKIN_REMINDER,
+        checkingInParty.party_id,
+        secondsFromNow(30),
+      );
+
+    // assert: nothing is pushed
+    expect(seatedError).toBeNull();
+    expect(seatedResult).toBe("Party is no longer checking in");
+    expect(changedError).toBeNull();
+    expect(changedResult).toBe("Party's check-in window has changed");
+    expect(getStubbedPushes()).toHaveLength(0);
+  });
+
+  it("should delete a party's push subscriptions when the party is deleted", async () => {
+    // arrange: a party who turned on push notifications
+    const [party] = await seedParties(1, 2);
+    await seedPushSubscription(party.party_id, PUSH_ENDPOINT);
+
+    // act: delete the party
+    await db("parties").where({ party_id: party.party_id }).del();
+
+    // assert: the subscription is deleted along with them
+    expect(await getPushSubscriptions()).toHaveLength(0);
+  });
+});
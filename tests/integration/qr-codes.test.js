@@ -0,0 +1,113 @@
+import { jest } from "@jest/globals";
+import request from "supertest";
+import db from "../../models/db.js";
+
+const PAGE_VIEW_PARTY_STATUS = "/party";
+const ENDPOINT_NEW_PARTY = "/party";
+const ENDPOINT_JOIN_QR_CODE = "/party/new/qr";
+const ENDPOINT_RECOVERY_QR_CODE = "/party/recover/qr";
+
+// the signature at the start of every PNG file
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+
+const mockRedisModule = {
+  default: {
+    createQueue: () => ({ add: jest.fn() }),
+    createRedisClient: () => ({ publish: jest.fn() }),
+  },
+};
+jest.unstable_mockModule("../../utils/redis.js", () => mockRedisModule);
+
+const { default: app } = await import("../../app.js");
+
+import { deletePartyByID } from "../utils/party.js";
+import { ERROR_INVALID_REQUEST } from "../../constants/errors.js";
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  await db("parties").del();
+});
+
+afterAll(async () => {
+  await db.destroy();
+});
+
+describe("join page QR code", () => {
+  it("should send an SVG QR code", async () => {
+    // act: get the QR code as an SVG
+    const response = await request(app).get(`${ENDPOINT_JOIN_QR_CODE}.svg`);
+    // assert: an SVG image is sent
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toMatch(/^image\/svg\+xml/);
+    expect(response.body.toString()).toMatch(/^<svg/);
+  });
+
+  it("should send a PNG QR code", async () => {
+    // act: get the QR code as a PNG
+    const response = await request(app).get(`${ENDPOINT_JOIN_QR_CODE}.png`);
+    // assert: a PNG image is sent
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toBe("image/png");
+    expect(response.body.subarray(0, PNG_SIGNATURE.length)).toEqual(
+      PNG_SIGNATURE,
+    );
+  });
+
+  it("should reject an unsupported format", async () => {
+    // act: get the QR code as a GIF
+    const response = await request(app).get(`${ENDPOINT_JOIN_QR_CODE}.gif`);
+    // assert: the request is rejected
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe(ERROR_INVALID_REQUEST);
+  });
+});
+
+describe("recovery link QR code", () => {
+  it("should show the QR code on the status page", async () => {
+    // arrange: join the waitlist
+    const agent = request.agent(app);
+    await agent.post(ENDPOINT_NEW_PARTY).send({ name: "test", size: 2 });
+    // act: visit the status page
+    const response = await agent.get(PAGE_VIEW_PARTY_STATUS);
+    // assert: the QR code is shown
+    expect(response.text).toContain(`src="${ENDPOINT_RECOVERY_QR_CODE}.svg"`);
+  });
+
+  it("should send an uncached QR code to a party", async () => {
+    // arrange: join the waitlist
+    const agent = request.agent(app);
+    await agent.post(ENDPOINT_NEW_PARTY).send({ name: "test", size: 2 });
+
+    // act: get the QR code
+    const response = await agent.get(`${ENDPOINT_RECOVERY_QR_CODE}.svg`);
+
+    // assert: an SVG image is sent, which is not cached (as it can restore the party's session)
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toMatch(/^image\/svg\+xml/);
+    expect(response.headers["cache-control"]).toBe("no-store");
+  });
+
+  it("should not send a QR code without a party", async () => {
+    // act: get the QR code without a session
+    const response = await request(app).get(`${ENDPOINT_RECOVERY_QR_CODE}.svg`);
+    // assert: the request is rejected
+    expect(response.status).toBe(401);
+  });
+
+  it("should not send a QR code for a party that has left", async () => {
+    // arrange: join the waitlist, then remove the party
+    const agent = request.agent(app);
+    const {
+      body: { partyID },
+    } = await agent.post(ENDPOINT_NEW_PARTY).send({ name: "test", size: 2 });
+    await deletePartyByID(partyID);
+
+    // act: get the QR code
+    const response = await agent.get(`${ENDPOINT_RECOVERY_QR_CODE}.png`);
+
+    // assert: the request is rejected
+    expect(response.status).toBe(404);
+  });
+});
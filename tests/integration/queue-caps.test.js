@@ -0,0 +1,263 @@
+import { jest } from "@jest/globals";
+import request from "supertest";
+import {
+  getClientErrorMessage,
+  WAITLIST_FULL,
+} from "../../constants/errors.js";
+import {
+  STATUS_QUEUED,
+  STATUS_SEATED,
+} from "../../constants/party-statuses.js";
+import {
+  SETTING_MAX_QUEUED_COVERS,
+  SETTING_MAX_QUEUED_PARTIES,
+  SETTING_MAX_WAIT_MINUTES,
+} from "../../constants/settings.js";
+import { MAX_SEATS } from "../../config/waitlist.js";
+import db from "../../models/db.js";
+import { applyWaitlistSettings } from "../../utils/waitlist-settings.js";
+import { getPartyByID, seedParties, seedQueue } from "../utils/party.js";
+import { deleteTables } from "../utils/tables.js";
+
+const ENDPOINT_NEW_PARTY = "/party";
+const ENDPOINT_PARTY_UPDATE = "/party";
+const PAGE_NEW_PARTY = "/party/new";
+
+const mockCreateQueue = jest.fn();
+const mockQueueAdd = jest.fn();
+jest.unstable_mockModule("../../utils/redis.js", () => ({
+  default: {
+    createQueue: mockCreateQueue,
+    createRedisClient: () => ({
+      publish: jest.fn(),
+      set: jest.fn(),
+    }),
+  },
+}));
+
+const { default: app } = await import("../../app.js");
+
+/**
+ * Helper function to count the parties queued at the default location.
+ *
+ * @returns {Promise<number>}
+ */
+async function countQueuedParties() {
+  const [{ count }] = await db("parties")
+    .count("* as count")
+    .where({ status: STATUS_QUEUED });
+  return parseInt(count);
+}
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  mockCreateQueue.mockReset();
+  mockCreateQueue.mockImplementation(() => ({
+    add: mockQueueAdd,
+  }));
+
+  await db("parties").del();
+  await deleteTables();
+});
+
+afterEach(() => {
+  // no caps, as set by the environmental variables
+  applyWaitlistSettings({});
+});
+
+afterAll(async () => {
+  await db("parties").del();
+  await db.destroy();
+});
+
+describe("joining a capped waitlist", () => {
+  it("should let parties join while the queue is under its caps", async () => {
+    // arrange: room for one more party
+    applyWaitlistSettings({ [SETTING_MAX_QUEUED_PARTIES]: 3 });
+    await seedQueue([2, 2]);
+
+    // act: join
+    const response = await request(app)
+      .post(ENDPOINT_NEW_PARTY)
+      .send({ name: "party name", size: 2 });
+
+    // assert: the party joins at the end of the queue
+    expect(response.status).toBe(201);
+    expect(response.body.positionInQueue).toBe(3);
+  });
+
+  it("should reject parties once the queue has the max parties", async () => {
+    // arrange: a full queue
+    applyWaitlistSettings({ [SETTING_MAX_QUEUED_PARTIES]: 2 });
+    await seedQueue([2, 2]);
+
+    // act: attempt to join
+    const response = await request(app)
+      .post(ENDPOINT_NEW_PARTY)
+      .send({ name: "party name", size: 2 });
+
+    // assert: the party is rejected with the full error, and no dequeue is scheduled
+    expect(response.status).toBe(409);
+    expect(response.body).toEqual({
+      message: getClientErrorMessage(WAITLIST_FULL),
+    });
+    expect(await countQueuedParties()).toBe(2);
+    expect(mockQueueAdd).not.toHaveBeenCalled();
+  });
+
+  it("should reject parties who would take the queue past the max covers", async () => {
+    // arrange: room for 2 more people
+    applyWaitlistSettings({ [SETTING_MAX_QUEUED_COVERS]: 6 });
+    await seedQueue([2, 2]);
+
+    // act: a party of 3 and a party of 2 attempt to join
+    const largeResponse = await request(app)
+      .post(ENDPOINT_NEW_PARTY)
+      .send({ name: "party name", size: 3 });
+    const smallResponse = await request(app)
+      .post(ENDPOINT_NEW_PARTY)
+      .send({ name: "party name", size: 2 });
+
+    // assert: only the party that fits joins
+    expect(largeResponse.status).toBe(409);
+    expect(smallResponse.status).toBe(201);
+  });
+
+  it("should reject parties who would wait longer than the max wait", async () => {
+    // arrange: every seat is taken for the next two hours
+    applyWaitlistSettings({ [SETTING_MAX_WAIT_MINUTES]: 60 });
+    await seedParties(1, MAX_SEATS, {
+      status: STATUS_SEATED,
+      seat_expiration: new Date(Date.now() + 2 * 60 * 60 * 1000),
+    });
+
+    // act: attempt to join
+    const response = await request(app)
+      .post(ENDPOINT_NEW_PARTY)
+      .send({ name: "party name", size: 2 });
+
+    // assert: the party is rejected
+    expect(response.status).toBe(409);
+    expect(await countQueuedParties()).toBe(0);
+  });
+
+  it("should only let one party take the last place in the queue", async () => {
+    // arrange: room for one more party
+    applyWaitlistSettings({ [SETTING_MAX_QUEUED_PARTIES]: 1 });
+
+    // act: two parties attempt to join at the same time
+    const responses = await Promise.all(
+      ["first party", "second party"].map((name) =>
+        request(app).post(ENDPOINT_NEW_PARTY).send({ name, size: 2 }),
+      ),
+    );
+
+    // assert: one party joins and the other is rejected
+    expect(responses.map(({ status }) => status).sort()).toEqual([201, 409]);
+    expect(await countQueuedParties()).toBe(1);
+  });
+});
+
+describe("growing a party in a capped waitlist", () => {
+  /**
+   * Helper function to get a request agent for a party of 2 that has joined the waitlist.
+   *
+   * @returns {Promise<{agent: import('supertest').Agent, partyID: string}>} the party's agent and ID
+   */
+  async function joinWaitlist() {
+    const agent = request.agent(app);
+    const response = await agent
+      .post(ENDPOINT_NEW_PARTY)
+      .send({ name: "party name", size: 2 });
+    expect(response.status).toBe(201);
+
+    return { agent, partyID: response.body.partyID };
+  }
+
+  it("should reject a party who would grow the queue past the max covers", async () => {
+    // arrange: a queued party, with room for 2 more people in the queue
+    await seedQueue([2]);
+    const { agent, partyID } = await joinWaitlist();
+    applyWaitlistSettings({ [SETTING_MAX_QUEUED_COVERS]: 6 });
+
+    // act: grow the party by 3, then by 2
+    const largeResponse = await agent
+      .patch(ENDPOINT_PARTY_UPDATE)
+      .send({ name: "party name", size: 5 });
+    const smallResponse = await agent
+      .patch(ENDPOINT_PARTY_UPDATE)
+      .send({ name: "party name", size: 4 });
+
+    // assert: only the size that fits is accepted
+    expect(largeResponse.status).toBe(409);
+    expect(largeResponse.body).toEqual({
+      message: getClientErrorMessage(WAITLIST_FULL),
+    });
+    expect(smallResponse.status).toBe(200);
+    expect((await getPartyByID(partyID)).size).toBe(4);
+  });
+
+  it("should reject a party who would wait longer than the max wait at their new size", async () => {
+    // arrange: only 2 seats are free for the next two hours, and a party of 2 is queued for them
+    await seedParties(1, MAX_SEATS - 2, {
+      status: STATUS_SEATED,
+      seat_expiration: new Date(Date.now() + 2 * 60 * 60 * 1000),
+    });
+    const { agent, partyID } = await joinWaitlist();
+    applyWaitlistSettings({ [SETTING_MAX_WAIT_MINUTES]: 60 });
+
+    // act: grow the party past the free seats
+    const response = await agent
+      .patch(ENDPOINT_PARTY_UPDATE)
+      .send({ name: "party name", size: 4 });
+
+    // assert: the party keeps their size
+    expect(response.status).toBe(409);
+    expect((await getPartyByID(partyID)).size).toBe(2);
+  });
+
+  it("should let a party change their name once the queue is past a cap", async () => {
+    // arrange: a queued party, then the covers cap is lowered below the queue's covers
+    await seedQueue([2]);
+    const { agent, partyID } = await joinWaitlist();
+    applyWaitlistSettings({ [SETTING_MAX_QUEUED_COVERS]: 2 });
+
+    // act: change the party's name without changing their size
+    const response = await agent
+      .patch(ENDPOINT_PARTY_UPDATE)
+      .send({ name: "new name", size: 2 });
+
+    // assert: the party is updated
+    expect(response.status).toBe(200);
+    expect((await getPartyByID(partyID)).name).toBe("new name");
+  });
+});
+
+describe("the join page", () => {
+  it("should render the full page once the queue has reached a cap", async () => {
+    // arrange: a full queue
+    applyWaitlistSettings({ [SETTING_MAX_QUEUED_PARTIES]: 2 });
+    await seedQueue([2, 2]);
+
+    // act: visit the join page
+    const response = await request(app).get(PAGE_NEW_PARTY);
+
+    // assert: the full page is shown instead of the form
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('data-testid="waitlist-full"');
+    expect(response.text).not.toContain('id="waitlist-join-form"');
+  });
+
+  it("should render the form while the queue has room", async () => {
+    // arrange: room for one more person
+    applyWaitlistSettings({ [SETTING_MAX_QUEUED_COVERS]: 5 });
+    await seedQueue([2, 2]);
+
+    // act: visit the join page
+    const response = await request(app).get(PAGE_NEW_PARTY);
+
+    // assert: the form is shown
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('id="waitlist-join-form"');
+  });
+});
@@ -0,0 +1,242 @@
+import { jest } from "@jest/globals";
+import {
+  ERROR_FORBIDDEN,
+  ERROR_INVALID_REQUEST,
+} from "../../constants/errors.js";
+import {
+  STATUS_CHECKIN_EXPIRED,
+  STATUS_CHECKING_IN,
+  STATUS_COMPLETED,
+  STATUS_LEFT,
+  STATUS_QUEUED,
+  STATUS_SEATED,
+} from "../../constants/party-statuses.js";
+import { ROLE_HOST, ROLE_MANAGER } from "../../constants/staff-roles.js";
+import db from "../../models/db.js";
+import { deletePartyEvents, seedPartyEvents } from "../utils/party-events.js";
+import { mockRateLimitMulti } from "../utils/rate-limit.js";
+import { getSignedInAgent } from "../utils/staff.js";
+import { deleteTables } from "../utils/tables.js";
+
+const PAGE_REPORTS = "/reports";
+const ENDPOINT_REPORT_METRICS = "/reports/metrics";
+
+// the reports are grouped by hour in the (default) UTC time zone
+const REPORT_FROM = "2026-01-01T00:00:00.000Z";
+const REPORT_TO = "2026-01-02T00:00:00.000Z";
+const NOON = Date.parse("2026-01-01T12:00:00.000Z");
+
+jest.unstable_mockModule("../../utils/redis.js", () => ({
+  default: {
+    createQueue: jest.fn(),
+    createRedisClient: () => ({ multi: mockRateLimitMulti() }),
+  },
+}));
+
+const { default: app } = await import("../../app.js");
+const { MAX_SEATS } = await import("../../config/waitlist.js");
+
+/**
+ * Gets the time a number of minutes after noon on the report's date.
+ *
+ * @param {number} minutes - the minutes after noon
+ * @returns {string} the time (an ISO date string)
+ */
+const minutesAfterNoon = (minutes) =>
+  new Date(NOON + minutes * 60 * 1000).toISOString();
+
+/**
+ * Seeds the history of three parties who joined the queue at noon:
+ * - a party of 2 who was called after 10 minutes, then seated for 30 minutes
+ * - a party of 2 who was called after 20 minutes, but did not check in
+ * - a party of 6 who left the queue after 5 minutes
+ *
+ * @returns {Promise<void>}
+ */
+async function seedVisits() {
+  const queued = (partyID, size) => ({
+    party_id: partyID,
+    size,
+    previous_status: null,
+    status: STATUS_QUEUED,
+    occurred_at: minutesAfterNoon(0),
+  });
+  const transition = (partyID, size, previousStatus, status, minutes) => ({
+    party_id: partyID,
+    size,
+    previous_status: previousStatus,
+    status,
+    occurred_at: minutesAfterNoon(minutes),
+  });
+
+  await seedPartyEvents([
+    queued("seated", 2),
+    transition("seated", 2, STATUS_QUEUED, STATUS_CHECKING_IN, 10),
+    transition("seated", 2, STATUS_CHECKING_IN, STATUS_SEATED, 11),
+    transition("seated", 2, STATUS_SEATED, STATUS_COMPLETED, 41),
+    queued("noshow", 2),
+    transition("noshow", 2, STATUS_QUEUED, STATUS_CHECKING_IN, 20),
+    transition("noshow", 2, STATUS_CHECKING_IN, STATUS_CHECKIN_EXPIRED, 21),
+    queued("walkaway", 6),
+    transition("walkaway", 6, STATUS_QUEUED, STATUS_LEFT, 5),
+    // a party who joined the queue before the report's date range
+    {
+      party_id: "earlier",
+      size: 2,
+      previous_status: null,
+      status: STATUS_QUEUED,
+      occurred_at: "2025-12-31T23:00:00.000Z",
+    },
+  ]);
+}
+
+beforeEach(async () => {
+  await deletePartyEvents();
+  await deleteTables();
+  await db("staff").truncate();
+});
+
+afterAll(async () => {
+  await deletePartyEvents();
+  await db.destroy();
+});
+
+describe("report access", () => {
+  it("should not allow hosts to view reports", async () => {
+    // arrange: sign in as a host
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: request the report metrics
+    const response = await agent.get(ENDPOINT_REPORT_METRICS);
+
+    // assert: the host is forbidden
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe(ERROR_FORBIDDEN);
+  });
+
+  it("should render the reports page for managers", async () => {
+    // arrange: sign in as a manager, with some history
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+    await seedVisits();
+
+    // act: visit the reports page
+    const response = await agent
+      .get(PAGE_REPORTS)
+      .query({ from: REPORT_FROM, to: REPORT_TO })
+      .set("Accept", "text/html");
+
+    // assert: the page is rendered with the metrics
+    expect(response.status).toBe(200);
+    expect(response.text).toContain("Waitlist Reports");
+    expect(response.text).toContain("33.3%");
+  });
+});
+
+describe("report metrics", () => {
+  it("should report wait times, no-shows, and walk-aways overall and by party size", async () => {
+    // arrange: sign in as a manager, with some history
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+    await seedVisits();
+
+    // act: request the metrics for the day
+    const response = await agent
+      .get(ENDPOINT_REPORT_METRICS)
+      .query({ from: REPORT_FROM, to: REPORT_TO });
+
+    // assert: only the parties who joined within the range are included
+    expect(response.status).toBe(200);
+    expect(response.body.summary).toEqual({
+      parties: 3,
+      // the called parties waited 10 and 20 minutes
+      averageWaitSeconds: 15 * 60,
+      noShowRate: 1 / 2,
+      walkAwayRate: 1 / 3,
+    });
+    expect(response.body.byPartySize).toEqual([
+      {
+        partySize: "1-2",
+        parties: 2,
+        averageWaitSeconds: 15 * 60,
+        noShowRate: 1 / 2,
+        walkAwayRate: 0,
+      },
+      {
+        partySize: "3-4",
+        parties: 0,
+        averageWaitSeconds: null,
+        noShowRate: null,
+        walkAwayRate: null,
+      },
+      {
+        partySize: "5-6",
+        parties: 1,
+        averageWaitSeconds: null,
+        noShowRate: null,
+        walkAwayRate: 1,
+      },
+      {
+        partySize: "7+",
+        parties: 0,
+        averageWaitSeconds: null,
+        noShowRate: null,
+        walkAwayRate: null,
+      },
+    ]);
+  });
+
+  it("should report arrivals by hour and the peak hours", async () => {
+    // arrange: sign in as a manager, with some history
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+    await seedVisits();
+
+    // act: request the metrics for the day
+    const response = await agent
+      .get(ENDPOINT_REPORT_METRICS)
+      .query({ from: REPORT_FROM, to: REPORT_TO });
+
+    // assert: every party joined during the noon hour
+    expect(response.body.arrivalsByHour).toHaveLength(24);
+    expect(response.body.arrivalsByHour[12]).toEqual({ hour: 12, arrivals: 3 });
+    expect(response.body.peakHours).toEqual([12]);
+  });
+
+  it("should report the seat utilization for each hour", async () => {
+    // arrange: sign in as a manager, with some history
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+    await seedVisits();
+
+    // act: request the metrics for the day
+    const response = await agent
+      .get(ENDPOINT_REPORT_METRICS)
+      .query({ from: REPORT_FROM, to: REPORT_TO });
+
+    // assert: the party of 2 was seated for 30 minutes of the noon hour
+    const { seatCapacity, seatUtilization } = response.body;
+    expect(seatCapacity).toBe(MAX_SEATS);
+    expect(seatUtilization).toHaveLength(24);
+    expect(seatUtilization[12]).toEqual({
+      hourStart: minutesAfterNoon(0),
+      averageSeatsOccupied: 1,
+      utilization: 1 / MAX_SEATS,
+    });
+    expect(seatUtilization[13].averageSeatsOccupied).toBe(0);
+  });
+
+  it("should return 400 if the date range is invalid", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: request the metrics with the range reversed, then with too long a range
+    const reversedResponse = await agent
+      .get(ENDPOINT_REPORT_METRICS)
+      .query({ from: REPORT_TO, to: REPORT_FROM });
+    const tooLongResponse = await agent
+      .get(ENDPOINT_REPORT_METRICS)
+      .query({ from: "2025-01-01", to: REPORT_TO });
+
+    // assert: both requests are rejected
+    expect(reversedResponse.status).toBe(400);
+    expect(reversedResponse.body.message).toBe(ERROR_INVALID_REQUEST);
+    expect(tooLongResponse.status).toBe(400);
+  });
+});
@@ -0,0 +1,374 @@
+import { jest } from "@jest/globals";
+import request from "supertest";
+import {
+  ERROR_UNAUTHORIZED,
+  getClientErrorMessage,
+  PARTY_NO_TABLE_AVAILABLE,
+  RESERVATION_NOT_FOUND,
+} from "../../constants/errors.js";
+import {
+  CHECKIN_EXPIRED_QUEUE,
+  DEQUEUE_QUEUE,
+  SEAT_EXPIRED_QUEUE,
+} from "../../constants/message-queues.js";
+import {
+  STATUS_CHECKING_IN,
+  STATUS_QUEUED,
+  STATUS_SEATED,
+} from "../../constants/party-statuses.js";
+import { CHANNEL_PARTY_SEATED } from "../../constants/pub-sub-channels.js";
+import { ROLE_HOST } from "../../constants/staff-roles.js";
+import {
+  MAX_SEATS,
+  RESERVATION_GRACE_MINUTES,
+  RESERVATION_HOLD_MINUTES,
+} from "../../config/waitlist.js";
+import db from "../../models/db.js";
+import { getLocationKey } from "../../utils/location-keys.js";
+import { getDefaultLocationID } from "../utils/locations.js";
+import { getPartyByID, getPartyStatuses, seedQueue } from "../utils/party.js";
+import { mockRateLimitMulti } from "../utils/rate-limit.js";
+import {
+  deleteReservations,
+  getReservationByID,
+  seedReservation,
+} from "../utils/reservations.js";
+import { getSignedInAgent } from "../utils/staff.js";
+import {
+  assignTables,
+  deleteTables,
+  getAssignedTableIDs,
+  seedTables,
+} from "../utils/tables.js";
+
+const ENDPOINT_RESERVATIONS = "/reservations";
+const endpointReservation = (reservationID) => `/reservations/${reservationID}`;
+const endpointCheckIn = (reservationID) =>
+  `/reservations/${reservationID}/check-in`;
+
+const mockRedisPublish = jest.fn();
+const mockCreateQueue = jest.fn();
+const mockQueueAdd = jest.fn();
+jest.unstable_mockModule("../../utils/redis.js", () => ({
+  default: {
+    createRedisClient: () => ({
+      multi: mockRateLimitMulti(),
+      set: jest.fn(),
+      publish: mockRedisPublish,
+    }),
+    createQueue: mockCreateQueue,
+  },
+}));
+
+const mockScheduleJobAt = jest.fn();
+jest.unstable_mockModule("../../utils/schedule-job.js", () => ({
+  default: mockScheduleJobAt,
+}));
+
+const { default: app } = await import("../../app.js");
+const { default: dequeueService } = await import(
+  "../../services/dequeue-service.js"
+);
+const { default: parties } = await import("../../models/parties.js");
+
+let locationID;
+beforeAll(async () => {
+  locationID = await getDefaultLocationID();
+});
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  mockCreateQueue.mockReset();
+  mockCreateQueue.mockImplementation(() => ({
+    add: mockQueueAdd,
+  }));
+  mockScheduleJobAt.mockReset();
+
+  await deleteReservations();
+  await db("parties").del();
+  await deleteTables();
+  await db("staff").truncate();
+});
+
+afterAll(async () => {
+  await deleteReservations();
+  await db("parties").del();
+  await db.destroy();
+});
+
+describe("holding seats for reservations", () => {
+  it("should not dequeue walk-ins into the seats held for a reservation", async () => {
+    // arrange: a reservation arriving soon holds all but 4 seats
+    await seedReservation(MAX_SEATS - 4, RESERVATION_HOLD_MINUTES - 5);
+    const queue = await seedQueue([2, 2, 2, 2]);
+
+    // act: run the dequeue service
+    await dequeueService.dequeueUsers(locationID);
+
+    // assert: only the walk-ins who fit in the seats that are not held are dequeued
+    expect(await getPartyStatuses(queue)).toEqual([
+      STATUS_CHECKING_IN,
+      STATUS_CHECKING_IN,
+      STATUS_QUEUED,
+      STATUS_QUEUED,
+    ]);
+  });
+
+  it("should not hold seats for a reservation before its hold window", async () => {
+    // arrange: a reservation arriving later in the day
+    await seedReservation(MAX_SEATS - 4, RESERVATION_HOLD_MINUTES + 30);
+    const queue = await seedQueue([2, 2, 2, 2]);
+
+    // act: run the dequeue service
+    await dequeueService.dequeueUsers(locationID);
+
+    // assert: every walk-in is dequeued
+    expect(await getPartyStatuses(queue)).toEqual(
+      Array(queue.length).fill(STATUS_CHECKING_IN),
+    );
+  });
+
+  it("should release the seats of a reservation that has not arrived by the end of its grace period", async () => {
+    // arrange: a reservation that is a no-show
+    await seedReservation(MAX_SEATS - 4, -(RESERVATION_GRACE_MINUTES + 5));
+    const queue = await seedQueue([2, 2, 2, 2]);
+
+    // act: run the dequeue service
+    await dequeueService.dequeueUsers(locationID);
+
+    // assert: every walk-in is dequeued
+    expect(await getPartyStatuses(queue)).toEqual(
+      Array(queue.length).fill(STATUS_CHECKING_IN),
+    );
+  });
+
+  it("should hold a table for a reservation when the venue has tables", async () => {
+    // arrange: the venue's only table fits a reservation arriving soon
+    await seedTables([{ capacity: 4 }]);
+    await seedReservation(4, RESERVATION_HOLD_MINUTES - 5);
+    const queue = await seedQueue([2]);
+
+    // act: run the dequeue service
+    await dequeueService.dequeueUsers(locationID);
+
+    // assert: the walk-in is not given the reservation's table
+    expect(await getPartyStatuses(queue)).toEqual([STATUS_QUEUED]);
+  });
+});
+
+describe("managing reservations", () => {
+  it("should allow hosts to make a reservation and schedule a dequeue for if they do not arrive", async () => {
+    // arrange: sign in as a host
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+    const time = new Date(Date.now() + 2 * 60 * 60 * 1000);
+
+    // act: make a reservation
+    const response = await agent
+      .post(ENDPOINT_RESERVATIONS)
+      .send({ name: "reservation name", size: 4, time: time.toISOString() });
+
+    // assert: the reservation is created
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({
+      name: "reservation name",
+      size: 4,
+      checked_in_at: null,
+    });
+    expect(new Date(response.body.reservation_time)).toEqual(time);
+    // walk-ins are given the reservation's seats once its grace period ends
+    expect(mockCreateQueue).toHaveBeenCalledWith(DEQUEUE_QUEUE);
+    expect(mockScheduleJobAt).toHaveBeenCalledWith(
+      expect.anything(),
+      "dequeue",
+      { locationID },
+      new Date(time.getTime() + RESERVATION_GRACE_MINUTES * 60 * 1000),
+    );
+  });
+
+  it("should return 400 when the reservation is in the past", async () => {
+    // arrange: sign in as a host
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: make a reservation for an hour ago
+    const response = await agent.post(ENDPOINT_RESERVATIONS).send({
+      name: "reservation name",
+      size: 4,
+      time: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+    });
+
+    // assert: the reservation is rejected
+    expect(response.status).toBe(400);
+  });
+
+  it("should list upcoming reservations with whether they are holding seats", async () => {
+    // arrange: a reservation arriving soon, one later, and a no-show
+    const soon = await seedReservation(2, RESERVATION_HOLD_MINUTES - 5);
+    const later = await seedReservation(4, RESERVATION_HOLD_MINUTES + 30);
+    await seedReservation(2, -(RESERVATION_GRACE_MINUTES + 5));
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: list the reservations
+    const response = await agent.get(ENDPOINT_RESERVATIONS);
+
+    // assert: only the upcoming reservations are listed, in time order
+    expect(response.status).toBe(200);
+    expect(response.body.reservations).toEqual([
+      expect.objectContaining({ id: soon.id, is_holding_seats: true }),
+      expect.objectContaining({ id: later.id, is_holding_seats: false }),
+    ]);
+  });
+
+  it("should allow hosts to cancel a reservation", async () => {
+    // arrange: a reservation holding seats
+    const reservation = await seedReservation(4, 10);
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: cancel it twice
+    const response = await agent.delete(endpointReservation(reservation.id));
+    const repeatResponse = await agent.delete(
+      endpointReservation(reservation.id),
+    );
+
+    // assert: the reservation is removed and a dequeue is scheduled for its seats
+    expect(response.status).toBe(204);
+    expect(await getReservationByID(reservation.id)).toBeUndefined();
+    expect(mockCreateQueue).toHaveBeenCalledWith(DEQUEUE_QUEUE);
+    expect(mockQueueAdd).toHaveBeenCalledWith("dequeue", { locationID });
+    // the reservation no longer exists
+    expect(repeatResponse.status).toBe(404);
+  });
+
+  it("should return 401 when the requester is not signed in", async () => {
+    // act: list the reservations without signing in
+    const response = await request(app).get(ENDPOINT_RESERVATIONS);
+
+    // assert: the request is rejected
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({ message: ERROR_UNAUTHORIZED });
+  });
+});
+
+describe("checking in reservations", () => {
+  it("should seat the reservation's party and schedule their seat to expire", async () => {
+    // arrange: a reservation that has arrived
+    const reservation = await seedReservation(4, 5, {
+      contact_phone: "+15555550123",
+    });
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: check it in
+    const response = await agent.post(endpointCheckIn(reservation.id));
+
+    // assert: the reservation's party is seated
+    expect(response.status).toBe(200);
+    const { partyID, seatExpiration } = response.body;
+    const party = await getPartyByID(partyID);
+    expect(party).toMatchObject({
+      name: reservation.name,
+      size: 4,
+      status: STATUS_SEATED,
+      contact_phone: "+15555550123",
+    });
+    expect(await getReservationByID(reservation.id)).toMatchObject({
+      party_id: partyID,
+      checked_in_at: expect.any(Date),
+    });
+
+    // the seat expires the same way as a walk-in's
+    expect(mockCreateQueue).toHaveBeenCalledWith(SEAT_EXPIRED_QUEUE);
+    expect(mockScheduleJobAt).toHaveBeenCalledWith(
+      expect.anything(),
+      "seat-expired",
+      { locationID },
+      new Date(seatExpiration),
+    );
+    expect(mockRedisPublish).toHaveBeenCalledWith(
+      getLocationKey(CHANNEL_PARTY_SEATED, locationID),
+      JSON.stringify({ partyIDs: [partyID], seatExpiration }),
+    );
+  });
+
+  it("should schedule the check-in cleanup before seating the reservation's party", async () => {
+    // arrange: a reservation that has arrived
+    const reservation = await seedReservation(4, 5);
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: check it in
+    const response = await agent.post(endpointCheckIn(reservation.id));
+
+    // assert: the party's check-in window is cleaned up like a dequeued party's,
+    // so they are not stuck checking in if they could not be seated
+    expect(response.status).toBe(200);
+    const party = await getPartyByID(response.body.partyID);
+    expect(mockCreateQueue).toHaveBeenCalledWith(CHECKIN_EXPIRED_QUEUE);
+    expect(mockScheduleJobAt.mock.calls.map(([, name]) => name)).toEqual([
+      "expire-checking-in-users",
+      "seat-expired",
+    ]);
+    expect(mockScheduleJobAt).toHaveBeenCalledWith(
+      expect.anything(),
+      "expire-checking-in-users",
+      { locationID },
+      party.checkin_expiration,
+    );
+  });
+
+  it("should not check in a reservation whose tables were assigned in the meantime", async () => {
+    // arrange: a reservation, and the table chosen for it is assigned to a dequeued walk-in before it checks in
+    const [table] = await seedTables([{ capacity: 4 }]);
+    const reservation = await seedReservation(4, 5);
+    const [walkIn] = await seedQueue([4], { status: STATUS_CHECKING_IN });
+    await assignTables(walkIn.party_id, [table.id]);
+
+    // act: check in the reservation at the table
+    const [error, party] = await parties.checkInReservation(
+      locationID,
+      reservation.id,
+      [table.id],
+    );
+
+    // assert: the reservation is not checked in, and the table stays with the walk-in
+    expect(error).toBe(PARTY_NO_TABLE_AVAILABLE);
+    expect(party).toBeNull();
+    expect(await getReservationByID(reservation.id)).toMatchObject({
+      party_id: null,
+      checked_in_at: null,
+    });
+    expect(await getAssignedTableIDs(walkIn.party_id)).toEqual([table.id]);
+    expect(await db("parties").count("* as count").first()).toEqual({
+      count: "1",
+    });
+  });
+
+  it("should seat the reservation's party at the table held for them", async () => {
+    // arrange: a reservation holding the venue's only table
+    const [table] = await seedTables([{ capacity: 4 }]);
+    const reservation = await seedReservation(4, 5);
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: check it in
+    const response = await agent.post(endpointCheckIn(reservation.id));
+
+    // assert: the party is assigned the table
+    expect(response.status).toBe(200);
+    expect(await getAssignedTableIDs(response.body.partyID)).toEqual([
+      table.id,
+    ]);
+  });
+
+  it("should return 404 when the reservation has already been checked in", async () => {
+    // arrange: a reservation that has been checked in
+    const reservation = await seedReservation(4, 5);
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+    await agent.post(endpointCheckIn(reservation.id));
+
+    // act: check it in again
+    const response = await agent.post(endpointCheckIn(reservation.id));
+
+    // assert: the reservation cannot be checked in twice
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({
+      message: getClientErrorMessage(RESERVATION_NOT_FOUND),
+    });
+  });
+});
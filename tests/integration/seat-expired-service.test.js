@@ -3,6 +3,8 @@ import db from "../../models/db.js";
 import { getPartiesByIDs, seedParties } from "../utils/party.js";
 import { STATUS_SEATED } from "../../constants/party-statuses.js";
 import { DEQUEUE_QUEUE } from "../../constants/message-queues.js";
+import { assignTables, deleteTables, seedTables } from "../utils/tables.js";
+import { getDefaultLocationID } from "../utils/locations.js";
 
 const mockCreateQueue = jest.fn();
 const mockQueueAdd = jest.fn();
@@ -15,6 +17,11 @@ const { default: seatExpiredService } = await import(
   "../../services/seat-expired-service.js"
 );
 
+let locationID;
+beforeAll(async () => {
+  locationID = await getDefaultLocationID();
+});
+
 beforeEach(async () => {
   jest.clearAllMocks();
   mockCreateQueue.mockReset();
@@ -22,7 +29,8 @@ beforeEach(async () => {
     add: mockQueueAdd,
   }));
 
-  await db("parties").truncate();
+  await db("parties").del();
+  await deleteTables();
 });
 
 afterAll(async () => {
@@ -40,7 +48,7 @@ describe("seat expired service", () => {
     const partyIDs = parties.map((party) => party.party_id);
 
     // act: call the service
-    await seatExpiredService.expireSeats();
+    await seatExpiredService.expireSeats(locationID);
 
     // assert: the parties with expired seats are removed from the database
     const updatedParties = await getPartiesByIDs(partyIDs);
@@ -60,7 +68,7 @@ describe("seat expired service", () => {
     const partyIDs = parties.map((party) => party.party_id);
 
     // act: call the service
-    await seatExpiredService.expireSeats();
+    await seatExpiredService.expireSeats(locationID);
 
     // assert: the parties have not been removed from the database
     const updatedParties = await getPartiesByIDs(partyIDs);
@@ -68,4 +76,23 @@ describe("seat expired service", () => {
     // dequeue is not called
     expect(mockCreateQueue).not.toHaveBeenCalled();
   });
+
+  it("should free the tables of parties whose seats are expired", async () => {
+    // arrange: a party with an expired seat at a table
+    const [table] = await seedTables([{ capacity: 4 }]);
+    const [party] = await seedParties(1, 4, {
+      status: STATUS_SEATED,
+      seat_expiration: new Date(Date.now() - 1000 * 60).toISOString(),
+    });
+    await assignTables(party.party_id, [table.id]);
+
+    // act: call the service
+    await seatExpiredService.expireSeats(locationID);
+
+    // assert: the table is no longer assigned to anyone
+    const assignments = await db("table_assignments").where({
+      table_id: table.id,
+    });
+    expect(assignments).toHaveLength(0);
+  });
 });
@@ -0,0 +1,225 @@
+import { jest } from "@jest/globals";
+import request from "supertest";
+import {
+  ERROR_FORBIDDEN,
+  ERROR_INVALID_REQUEST,
+} from "../../constants/errors.js";
+import { DEQUEUE_QUEUE } from "../../constants/message-queues.js";
+import { CHANNEL_SETTINGS_UPDATED } from "../../constants/pub-sub-channels.js";
+import {
+  SETTING_MAX_SEATS,
+  SETTING_SERVICE_TIME_SECONDS,
+} from "../../constants/settings.js";
+import { ROLE_HOST, ROLE_MANAGER } from "../../constants/staff-roles.js";
+import {
+  CHECKIN_EXPIRY_SECONDS,
+  MAX_QUEUED_COVERS,
+  MAX_QUEUED_PARTIES,
+  MAX_SEATS,
+  MAX_WAIT_MINUTES,
+  SERVICE_TIME_SECONDS,
+} from "../../config/waitlist.js";
+import db from "../../models/db.js";
+import { mockRateLimitMulti } from "../utils/rate-limit.js";
+import { getSignedInAgent } from "../utils/staff.js";
+
+const ENDPOINT_SETTINGS = "/settings";
+const ENDPOINT_NEW_PARTY = "/party";
+
+const mockCreateQueue = jest.fn();
+const mockQueueAdd = jest.fn();
+const mockRedisPublish = jest.fn();
+const mockRedisSubscribe = jest.fn();
+const mockRedisOn = jest.fn();
+jest.unstable_mockModule("../../utils/redis.js", () => ({
+  default: {
+    createQueue: mockCreateQueue,
+    createRedisClient: () => ({
+      multi: mockRateLimitMulti(),
+      publish: mockRedisPublish,
+      set: jest.fn(),
+      on: mockRedisOn,
+      subscribe: mockRedisSubscribe,
+    }),
+  },
+}));
+
+const { default: app } = await import("../../app.js");
+const { applyWaitlistSettings, getWaitlistSettings, watchWaitlistSettings } =
+  await import("../../utils/waitlist-settings.js");
+
+const DEFAULT_SETTINGS = {
+  maxSeats: MAX_SEATS,
+  serviceTimeSeconds: SERVICE_TIME_SECONDS,
+  checkinExpirySeconds: CHECKIN_EXPIRY_SECONDS,
+  maxQueuedParties: MAX_QUEUED_PARTIES,
+  maxQueuedCovers: MAX_QUEUED_COVERS,
+  maxWaitMinutes: MAX_WAIT_MINUTES,
+};
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  mockCreateQueue.mockReset();
+  mockCreateQueue.mockImplementation(() => ({
+    add: mockQueueAdd,
+  }));
+
+  await db("settings").del();
+  await db("staff").truncate();
+  // go back to the environmental variables' values
+  applyWaitlistSettings({});
+});
+
+afterAll(async () => {
+  await db("settings").del();
+  await db("parties").del();
+  applyWaitlistSettings({});
+  await db.destroy();
+});
+
+describe("managing settings", () => {
+  it("should fall back to the environmental variables until a setting is changed", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: get the settings
+    const response = await agent.get(ENDPOINT_SETTINGS);
+
+    // assert: the settings are the environmental variables' values
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(DEFAULT_SETTINGS);
+  });
+
+  it("should store and broadcast the changed settings", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: change the service time
+    const response = await agent
+      .patch(ENDPOINT_SETTINGS)
+      .send({ serviceTimeSeconds: 30 });
+
+    // assert: the setting is stored, used by this process, and published for the other processes
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      ...DEFAULT_SETTINGS,
+      serviceTimeSeconds: 30,
+    });
+    const rows = await db("settings").select("key", "value");
+    expect(rows).toEqual([{ key: SETTING_SERVICE_TIME_SECONDS, value: 30 }]);
+    expect(getWaitlistSettings().serviceTimeSeconds).toBe(30);
+    expect(mockRedisPublish).toHaveBeenCalledWith(
+      CHANNEL_SETTINGS_UPDATED,
+      JSON.stringify({ [SETTING_SERVICE_TIME_SECONDS]: 30 }),
+    );
+  });
+
+  it("should add a dequeue job when the max seats increase", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: add more seats
+    const response = await agent
+      .patch(ENDPOINT_SETTINGS)
+      .send({ maxSeats: MAX_SEATS + 2 });
+
+    // assert: every location's queue is checked for parties that now fit
+    expect(response.status).toBe(200);
+    expect(response.body.maxSeats).toBe(MAX_SEATS + 2);
+    expect(mockCreateQueue).toHaveBeenCalledWith(DEQUEUE_QUEUE);
+    expect(mockQueueAdd).toHaveBeenCalledWith("dequeue");
+  });
+
+  it("should not add a dequeue job when the max seats decrease", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: remove some seats
+    const response = await agent
+      .patch(ENDPOINT_SETTINGS)
+      .send({ maxSeats: MAX_SEATS - 2 });
+
+    // assert: the seats are changed, but no dequeue job is added
+    expect(response.status).toBe(200);
+    expect(response.body.maxSeats).toBe(MAX_SEATS - 2);
+    expect(mockQueueAdd).not.toHaveBeenCalled();
+  });
+
+  it("should return 400 when no settings are given", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: send an empty change
+    const response = await agent.patch(ENDPOINT_SETTINGS).send({});
+
+    // assert: the request is rejected
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ message: ERROR_INVALID_REQUEST });
+  });
+
+  it("should return 400 when a setting is not a positive integer", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: set the check-in expiry to 0
+    const response = await agent
+      .patch(ENDPOINT_SETTINGS)
+      .send({ checkinExpirySeconds: 0 });
+
+    // assert: the request is rejected, and nothing is stored
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ message: ERROR_INVALID_REQUEST });
+    expect(await db("settings").select("key")).toEqual([]);
+  });
+
+  it("should forbid hosts from changing settings", async () => {
+    // arrange: sign in as a host
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: attempt to change the max seats
+    const response = await agent
+      .patch(ENDPOINT_SETTINGS)
+      .send({ maxSeats: 20 });
+
+    // assert: the host is forbidden
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual({ message: ERROR_FORBIDDEN });
+  });
+});
+
+describe("hot reloading settings", () => {
+  it("should load the stored settings and apply the published changes", async () => {
+    // arrange: a stored setting, and another process' change
+    await db("settings").insert({ key: SETTING_MAX_SEATS, value: 4 });
+    await watchWaitlistSettings();
+    const [, onMessage] = mockRedisOn.mock.calls.find(
+      ([event]) => event === "message",
+    );
+    const storedSetting = getWaitlistSettings().maxSeats;
+
+    // act: receive the change
+    onMessage(
+      CHANNEL_SETTINGS_UPDATED,
+      JSON.stringify({ [SETTING_MAX_SEATS]: 2 }),
+    );
+
+    // assert: the stored setting was loaded, then replaced by the change
+    expect(mockRedisSubscribe).toHaveBeenCalledWith(CHANNEL_SETTINGS_UPDATED);
+    expect(storedSetting).toBe(4);
+    expect(getWaitlistSettings()).toEqual({ ...DEFAULT_SETTINGS, maxSeats: 2 });
+  });
+
+  it("should validate party sizes against the changed max seats", async () => {
+    // arrange: fewer seats than the environmental variable
+    applyWaitlistSettings({ [SETTING_MAX_SEATS]: 2 });
+
+    // act: join with a party of 3
+    const response = await request(app)
+      .post(ENDPOINT_NEW_PARTY)
+      .send({ name: "party name", size: 3 });
+
+    // assert: the party is too large
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ message: ERROR_INVALID_REQUEST });
+  });
+});
@@ -0,0 +1,304 @@
+import { jest } from "@jest/globals";
+import request from "supertest";
+import {
+  ERROR_FORBIDDEN,
+  ERROR_INVALID_REQUEST,
+  ERROR_TOO_MANY_REQUESTS,
+  ERROR_UNAUTHORIZED,
+  getClientErrorMessage,
+  LOCATION_NOT_FOUND,
+  STAFF_INVALID_CREDENTIALS,
+  STAFF_USERNAME_TAKEN,
+} from "../../constants/errors.js";
+import { ROLE_HOST, ROLE_MANAGER } from "../../constants/staff-roles.js";
+import { STAFF_LOGIN_RATE_LIMIT } from "../../config/staff.js";
+import db from "../../models/db.js";
+import { verifyPassword } from "../../utils/passwords.js";
+import { deleteLocations, seedLocation } from "../utils/locations.js";
+import { mockRateLimitMulti } from "../utils/rate-limit.js";
+import {
+  getSignedInAgent,
+  getStaffByUsername,
+  seedStaff,
+  TEST_STAFF_PASSWORD,
+} from "../utils/staff.js";
+
+const mockRedisMulti = jest.fn();
+jest.unstable_mockModule("../../utils/redis.js", () => ({
+  default: {
+    createQueue: jest.fn(),
+    createRedisClient: () => ({ multi: mockRedisMulti }),
+  },
+}));
+
+const { default: app } = await import("../../app.js");
+
+const PAGE_STAFF_LOGIN = "/staff/login";
+const PAGE_HOST_DASHBOARD = "/host";
+const ENDPOINT_STAFF_LOGIN = "/staff/login";
+const ENDPOINT_STAFF_LOGOUT = "/staff/logout";
+const ENDPOINT_CREATE_STAFF = "/staff";
+
+beforeEach(async () => {
+  // by default, every sign in attempt is the client's first within the rate limit window
+  mockRedisMulti.mockImplementation(mockRateLimitMulti());
+  await db("staff").truncate();
+});
+
+afterAll(async () => {
+  await deleteLocations();
+  await db.destroy();
+});
+
+describe("staff login", () => {
+  it("should render the login page when signed out", async () => {
+    // act: visit the login page
+    const response = await request(app).get(PAGE_STAFF_LOGIN);
+
+    // assert: the login page is rendered
+    expect(response.status).toBe(200);
+    expect(response.text).toMatch(/staff sign in/i);
+  });
+
+  it("should sign in with valid credentials", async () => {
+    // arrange: a host account
+    const host = await seedStaff(ROLE_HOST);
+
+    // act: sign in
+    const response = await request(app)
+      .post(ENDPOINT_STAFF_LOGIN)
+      .send({ username: host.username, password: TEST_STAFF_PASSWORD });
+
+    // assert: the account details are returned and a session cookie is set
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      username: host.username,
+      role: ROLE_HOST,
+      dashboardPath: PAGE_HOST_DASHBOARD,
+    });
+    expect(response.headers["set-cookie"]).toBeDefined();
+  });
+
+  it("should return 401 when the password is incorrect", async () => {
+    // arrange: a host account
+    const host = await seedStaff(ROLE_HOST);
+
+    // act: sign in with the wrong password
+    const response = await request(app)
+      .post(ENDPOINT_STAFF_LOGIN)
+      .send({ username: host.username, password: "wrong-password" });
+
+    // assert: the sign in is rejected
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({
+      message: getClientErrorMessage(STAFF_INVALID_CREDENTIALS),
+    });
+  });
+
+  it("should return 401 when the username does not exist", async () => {
+    // act: sign in as an account that does not exist
+    const response = await request(app)
+      .post(ENDPOINT_STAFF_LOGIN)
+      .send({ username: "nobody", password: TEST_STAFF_PASSWORD });
+
+    // assert: the same error is returned as for a wrong password
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({
+      message: getClientErrorMessage(STAFF_INVALID_CREDENTIALS),
+    });
+  });
+
+  it("should reject sign in attempts over the rate limit", async () => {
+    // arrange: a host account, and a client that has used up their attempts
+    const host = await seedStaff(ROLE_HOST);
+    mockRedisMulti.mockImplementation(
+      mockRateLimitMulti(STAFF_LOGIN_RATE_LIMIT + 1),
+    );
+
+    // act: sign in with the correct password
+    const response = await request(app)
+      .post(ENDPOINT_STAFF_LOGIN)
+      .send({ username: host.username, password: TEST_STAFF_PASSWORD });
+
+    // assert: the attempt is rejected without signing in
+    expect(response.status).toBe(429);
+    expect(response.body).toEqual({ message: ERROR_TOO_MANY_REQUESTS });
+    expect(response.headers["retry-after"]).toBe("60");
+    expect(response.headers["set-cookie"]).toBeUndefined();
+  });
+
+  it("should redirect signed in staff from the login page to the dashboard", async () => {
+    // arrange: sign in
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: visit the login page
+    const response = await agent.get(PAGE_STAFF_LOGIN);
+
+    // assert: we were redirected to the dashboard
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe(PAGE_HOST_DASHBOARD);
+  });
+
+  it("should send staff who work at a single location to its dashboard", async () => {
+    // arrange: a host who works at a location
+    const location = await seedLocation();
+    const host = await seedStaff(ROLE_HOST, location.id);
+    const agent = request.agent(app);
+
+    // act: sign in, then visit the login page
+    const loginResponse = await agent
+      .post(ENDPOINT_STAFF_LOGIN)
+      .send({ username: host.username, password: TEST_STAFF_PASSWORD });
+    const pageResponse = await agent.get(PAGE_STAFF_LOGIN);
+
+    // assert: the host is sent to their location's dashboard
+    const locationDashboard = `/l/${location.slug}/host`;
+    expect(loginResponse.status).toBe(200);
+    expect(loginResponse.body.dashboardPath).toBe(locationDashboard);
+    expect(pageResponse.status).toBe(302);
+    expect(pageResponse.headers.location).toBe(locationDashboard);
+  });
+
+  it("should sign out and lose access to guarded routes", async () => {
+    // arrange: sign in
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: sign out
+    const logoutResponse = await agent.post(ENDPOINT_STAFF_LOGOUT);
+
+    // assert: guarded routes are no longer accessible
+    expect(logoutResponse.status).toBe(204);
+    const response = await agent
+      .get(PAGE_HOST_DASHBOARD)
+      .set("Accept", "application/json");
+    expect(response.status).toBe(401);
+  });
+});
+
+describe("staff roles", () => {
+  const newAccount = {
+    username: "new-host",
+    password: "new-host-password",
+    role: ROLE_HOST,
+  };
+
+  it("should allow managers to create staff accounts", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: create an account
+    const response = await agent.post(ENDPOINT_CREATE_STAFF).send(newAccount);
+
+    // assert: the account is created with a hashed password
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({
+      username: newAccount.username,
+      role: newAccount.role,
+    });
+    expect(response.body).not.toHaveProperty("password_hash");
+    const account = await getStaffByUsername(newAccount.username);
+    expect(account.password_hash).not.toBe(newAccount.password);
+    expect(
+      await verifyPassword(newAccount.password, account.password_hash),
+    ).toBe(true);
+  });
+
+  it("should allow managers to create staff accounts that work at a single location", async () => {
+    // arrange: sign in as a manager
+    const location = await seedLocation();
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: create an account at the location
+    const response = await agent
+      .post(ENDPOINT_CREATE_STAFF)
+      .send({ ...newAccount, location: location.slug });
+
+    // assert: the account is created at the location
+    expect(response.status).toBe(201);
+    expect(response.body.location_id).toBe(location.id);
+    const account = await getStaffByUsername(newAccount.username);
+    expect(account.location_id).toBe(location.id);
+  });
+
+  it("should return 400 when the location does not exist", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: create an account at an unknown location
+    const response = await agent
+      .post(ENDPOINT_CREATE_STAFF)
+      .send({ ...newAccount, location: "nowhere" });
+
+    // assert: the request is rejected and no account is created
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      message: getClientErrorMessage(LOCATION_NOT_FOUND),
+    });
+    expect(await getStaffByUsername(newAccount.username)).toBeUndefined();
+  });
+
+  it("should return 409 when the username is already taken", async () => {
+    // arrange: sign in as a manager and create the account once
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+    await agent.post(ENDPOINT_CREATE_STAFF).send(newAccount);
+
+    // act: create the same account again
+    const response = await agent.post(ENDPOINT_CREATE_STAFF).send(newAccount);
+
+    // assert: the request is rejected
+    expect(response.status).toBe(409);
+    expect(response.body).toEqual({
+      message: getClientErrorMessage(STAFF_USERNAME_TAKEN),
+    });
+  });
+
+  it("should return 400 when the role is invalid", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: create an account with an unknown role
+    const response = await agent
+      .post(ENDPOINT_CREATE_STAFF)
+      .send({ ...newAccount, role: "owner" });
+
+    // assert: the request is rejected
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ message: ERROR_INVALID_REQUEST });
+  });
+
+  it("should return 403 when a host attempts a manager-only action", async () => {
+    // arrange: sign in as a host
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: attempt to create an account
+    const response = await agent.post(ENDPOINT_CREATE_STAFF).send(newAccount);
+
+    // assert: the request is forbidden and no account is created
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual({ message: ERROR_FORBIDDEN });
+    expect(await getStaffByUsername(newAccount.username)).toBeUndefined();
+  });
+
+  it("should return 401 when signed out", async () => {
+    // act: attempt to create an account without signing in
+    const response = await request(app)
+      .post(ENDPOINT_CREATE_STAFF)
+      .send(newAccount);
+
+    // assert: the request is rejected
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({ message: ERROR_UNAUTHORIZED });
+  });
+
+  it("should allow managers to access the host dashboard", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: visit the dashboard
+    const response = await agent.get(PAGE_HOST_DASHBOARD);
+
+    // assert: the dashboard is rendered
+    expect(response.status).toBe(200);
+    expect(response.text).toMatch(/host dashboard/i);
+  });
+});
@@ -0,0 +1,209 @@
+import { jest } from "@jest/globals";
+import {
+  ERROR_FORBIDDEN,
+  ERROR_INVALID_REQUEST,
+  getClientErrorMessage,
+  TABLE_NAME_TAKEN,
+  TABLE_OCCUPIED,
+} from "../../constants/errors.js";
+import { DEQUEUE_QUEUE } from "../../constants/message-queues.js";
+import { STATUS_SEATED } from "../../constants/party-statuses.js";
+import { ROLE_HOST, ROLE_MANAGER } from "../../constants/staff-roles.js";
+import db from "../../models/db.js";
+import { seedParties } from "../utils/party.js";
+import { mockRateLimitMulti } from "../utils/rate-limit.js";
+import { getSignedInAgent } from "../utils/staff.js";
+import { assignTables, deleteTables, seedTables } from "../utils/tables.js";
+
+const ENDPOINT_TABLES = "/tables";
+const endpointTable = (tableID) => `/tables/${tableID}`;
+
+const mockCreateQueue = jest.fn();
+const mockQueueAdd = jest.fn();
+jest.unstable_mockModule("../../utils/redis.js", () => ({
+  default: {
+    createQueue: mockCreateQueue,
+    createRedisClient: () => ({ multi: mockRateLimitMulti() }),
+  },
+}));
+
+const { default: app } = await import("../../app.js");
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  mockCreateQueue.mockReset();
+  mockCreateQueue.mockImplementation(() => ({
+    add: mockQueueAdd,
+  }));
+
+  await db("parties").del();
+  await deleteTables();
+  await db("staff").truncate();
+});
+
+afterAll(async () => {
+  await deleteTables();
+  await db.destroy();
+});
+
+describe("creating tables", () => {
+  it("should allow managers to add a table and schedule a dequeue", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: add a combinable 4-top on the patio
+    const response = await agent.post(ENDPOINT_TABLES).send({
+      name: "P1",
+      capacity: 4,
+      minPartySize: 2,
+      section: "patio",
+      combinable: true,
+    });
+
+    // assert: the table is created
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({
+      name: "P1",
+      capacity: 4,
+      min_party_size: 2,
+      section: "patio",
+      combinable: true,
+    });
+    // a queued party may now fit, so a dequeue is scheduled
+    expect(mockCreateQueue).toHaveBeenCalledWith(DEQUEUE_QUEUE);
+    expect(mockQueueAdd).toHaveBeenCalled();
+  });
+
+  it("should default the minimum party size, section, and combinable flag", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: add a table with only a name and capacity
+    const response = await agent
+      .post(ENDPOINT_TABLES)
+      .send({ name: "T1", capacity: 2 });
+
+    // assert: the defaults are used
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({
+      min_party_size: 1,
+      section: null,
+      combinable: false,
+    });
+  });
+
+  it("should return 409 when the table name is taken", async () => {
+    // arrange: an existing table
+    await seedTables([{ name: "T1", capacity: 2 }]);
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: add another table with the same name
+    const response = await agent
+      .post(ENDPOINT_TABLES)
+      .send({ name: "T1", capacity: 4 });
+
+    // assert: a conflict is returned
+    expect(response.status).toBe(409);
+    expect(response.body).toEqual({
+      message: getClientErrorMessage(TABLE_NAME_TAKEN),
+    });
+  });
+
+  it("should return 400 when the minimum party size is larger than the capacity", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: add a table whose minimum party size cannot fit
+    const response = await agent
+      .post(ENDPOINT_TABLES)
+      .send({ name: "T1", capacity: 2, minPartySize: 3 });
+
+    // assert: the request is rejected
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ message: ERROR_INVALID_REQUEST });
+  });
+
+  it("should return 403 when a host adds a table", async () => {
+    // arrange: sign in as a host
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: attempt to add a table
+    const response = await agent
+      .post(ENDPOINT_TABLES)
+      .send({ name: "T1", capacity: 2 });
+
+    // assert: the request is forbidden
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual({ message: ERROR_FORBIDDEN });
+  });
+});
+
+describe("listing and removing tables", () => {
+  it("should list the tables along with the parties occupying them", async () => {
+    // arrange: a free table and an occupied table
+    const [freeTable, occupiedTable] = await seedTables([
+      { name: "T1", capacity: 2 },
+      { name: "T2", capacity: 4 },
+    ]);
+    const [party] = await seedParties(1, 4, { status: STATUS_SEATED });
+    await assignTables(party.party_id, [occupiedTable.id]);
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: list the tables
+    const response = await agent.get(ENDPOINT_TABLES);
+
+    // assert: both tables are listed with their occupants
+    expect(response.status).toBe(200);
+    expect(response.body.tables).toEqual([
+      expect.objectContaining({ id: freeTable.id, party_id: null }),
+      expect.objectContaining({
+        id: occupiedTable.id,
+        party_id: party.party_id,
+      }),
+    ]);
+  });
+
+  it("should remove a free table", async () => {
+    // arrange: a free table
+    const [table] = await seedTables([{ capacity: 2 }]);
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: remove the table
+    const response = await agent.delete(endpointTable(table.id));
+
+    // assert: the table is removed
+    expect(response.status).toBe(204);
+    expect(await db("tables").where({ id: table.id })).toHaveLength(0);
+  });
+
+  it("should return 409 when removing an occupied table", async () => {
+    // arrange: an occupied table
+    const [table] = await seedTables([{ capacity: 2 }]);
+    const [party] = await seedParties(1, 2, { status: STATUS_SEATED });
+    await assignTables(party.party_id, [table.id]);
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: attempt to remove the table
+    const response = await agent.delete(endpointTable(table.id));
+
+    // assert: the table is not removed
+    expect(response.status).toBe(409);
+    expect(response.body).toEqual({
+      message: getClientErrorMessage(TABLE_OCCUPIED),
+    });
+    expect(await db("tables").where({ id: table.id })).toHaveLength(1);
+  });
+
+  it("should return 404 when removing a table that does not exist", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: remove a table that is not in the database
+    const response = await agent.delete(
+      endpointTable("00000000-0000-4000-8000-000000000000"),
+    );
+
+    // assert: not found is returned
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,189 @@
+import db from "../../models/db.js";
+import parties from "../../models/parties.js";
+import waitEstimateService from "../../services/wait-estimate-service.js";
+import { seedParties, seedQueue } from "../utils/party.js";
+import { deleteTables, seedTables } from "../utils/tables.js";
+import {
+  deleteCheckinLatencies,
+  getCheckinLatencies,
+  seedCheckinLatencies,
+} from "../utils/checkin-latencies.js";
+import {
+  STATUS_CHECKING_IN,
+  STATUS_SEATED,
+} from "../../constants/party-statuses.js";
+import {
+  CHECKIN_EXPIRY_SECONDS,
+  MAX_SEATS,
+  SERVICE_TIME_SECONDS,
+} from "../../config/waitlist.js";
+import { getDefaultLocation } from "../utils/locations.js";
+
+// allow for the time taken between seeding the parties and estimating their waits
+const TOLERANCE_MS = 5000;
+
+/**
+ * Asserts that an estimate is (roughly) a given number of seconds from now.
+ *
+ * @param {string} estimate - the estimated time (an ISO date string)
+ * @param {number} seconds - the expected number of seconds from now
+ * @returns {void}
+ */
+function expectSecondsFromNow(estimate, seconds) {
+  const msFromNow = new Date(estimate).getTime() - Date.now();
+  expect(Math.abs(msFromNow - seconds * 1000)).toBeLessThan(TOLERANCE_MS);
+}
+
+let location;
+let locationID;
+beforeAll(async () => {
+  location = await getDefaultLocation();
+  locationID = location.id;
+});
+
+beforeEach(async () => {
+  await db("parties").del();
+  await deleteTables();
+  await deleteCheckinLatencies();
+});
+
+afterAll(async () => {
+  await db.destroy();
+});
+
+describe("queue wait estimates", () => {
+  it("should estimate no wait for a party that fits the available seats", async () => {
+    // arrange: an empty venue
+    const [queuedParty] = await seedQueue([2]);
+
+    // act: estimate the waits
+    const [error, estimates] =
+      await waitEstimateService.getQueueWaitEstimates(location);
+
+    // assert: the party can be called now
+    expect(error).toBeNull();
+    const { min, max } = estimates.get(queuedParty.party_id);
+    expectSecondsFromNow(min, 0);
+    expectSecondsFromNow(max, 0);
+  });
+
+  it("should estimate that a party waits until a seated party's seat expires", async () => {
+    // arrange: a full venue whose seats free up in 10 minutes
+    await seedParties(1, MAX_SEATS, {
+      status: STATUS_SEATED,
+      seat_expiration: new Date(Date.now() + 1000 * 60 * 10).toISOString(),
+    });
+    const [queuedParty] = await seedQueue([2]);
+
+    // act: estimate the waits
+    const [_error, estimates] =
+      await waitEstimateService.getQueueWaitEstimates(location);
+
+    // assert: the party is called once the seat expires
+    const { min, max } = estimates.get(queuedParty.party_id);
+    expectSecondsFromNow(min, 60 * 10);
+    expectSecondsFromNow(max, 60 * 10);
+  });
+
+  it("should assume parties take up to the whole check-in window before any have checked in", async () => {
+    // arrange: two parties that each fill the venue
+    const [_firstParty, secondParty] = await seedQueue([MAX_SEATS, MAX_SEATS]);
+
+    // act: estimate the waits
+    const [_error, estimates] =
+      await waitEstimateService.getQueueWaitEstimates(location);
+
+    // assert: the second party waits for the first to check in (anywhere within the window) and be served
+    const serviceSeconds = SERVICE_TIME_SECONDS * MAX_SEATS;
+    const { min, max } = estimates.get(secondParty.party_id);
+    expectSecondsFromNow(min, serviceSeconds);
+    expectSecondsFromNow(max, serviceSeconds + CHECKIN_EXPIRY_SECONDS);
+  });
+
+  it("should use the recent check-in latencies for the range", async () => {
+    // arrange: parties have always taken 20 seconds to check in
+    await seedCheckinLatencies([20, 20, 20]);
+    const [_firstParty, secondParty] = await seedQueue([MAX_SEATS, MAX_SEATS]);
+
+    // act: estimate the waits
+    const [_error, estimates] =
+      await waitEstimateService.getQueueWaitEstimates(location);
+
+    // assert: the first party is expected to check in after 20 seconds
+    const serviceSeconds = SERVICE_TIME_SECONDS * MAX_SEATS;
+    const { min, max } = estimates.get(secondParty.party_id);
+    expectSecondsFromNow(min, serviceSeconds + 20);
+    expectSecondsFromNow(max, serviceSeconds + 20);
+  });
+
+  it("should expect a checking-in party to check in based on when they were dequeued", async () => {
+    // arrange: a party filling the venue was dequeued 15 seconds ago, and parties take 20 seconds to check in
+    await seedCheckinLatencies([20]);
+    await seedParties(1, MAX_SEATS, {
+      status: STATUS_CHECKING_IN,
+      dequeued_at: new Date(Date.now() - 1000 * 15).toISOString(),
+      checkin_expiration: new Date(Date.now() + 1000 * 45).toISOString(),
+    });
+    const [queuedParty] = await seedQueue([2]);
+
+    // act: estimate the waits
+    const [_error, estimates] =
+      await waitEstimateService.getQueueWaitEstimates(location);
+
+    // assert: the party waits for the remaining 5 seconds of check-in, then the service time
+    const { min } = estimates.get(queuedParty.party_id);
+    expectSecondsFromNow(min, 5 + SERVICE_TIME_SECONDS * MAX_SEATS);
+  });
+
+  it("should not estimate a wait for a party larger than every table", async () => {
+    // arrange: a venue with a single 2-top
+    await seedTables([{ capacity: 2 }]);
+    const [largeParty, smallParty] = await seedQueue([4, 2]);
+
+    // act: estimate the waits
+    const [_error, estimates] =
+      await waitEstimateService.getQueueWaitEstimates(location);
+
+    // assert: only the party that fits has an estimate
+    expect(estimates.get(largeParty.party_id)).toBeNull();
+    expectSecondsFromNow(estimates.get(smallParty.party_id).min, 0);
+  });
+});
+
+describe("check-in latency history", () => {
+  it("should record how long a party took to check in", async () => {
+    // arrange: a party dequeued 30 seconds ago
+    const [party] = await seedParties(1, 2, {
+      status: STATUS_CHECKING_IN,
+      dequeued_at: new Date(Date.now() - 1000 * 30).toISOString(),
+      checkin_expiration: new Date(Date.now() + 1000 * 30).toISOString(),
+    });
+
+    // act: check the party in
+    const [error, _seatExpiration] = await parties.updateSeatedStatus(
+      locationID,
+      party.party_id,
+      party.size,
+    );
+
+    // assert: the latency is recorded
+    expect(error).toBeNull();
+    const latencies = await getCheckinLatencies();
+    expect(latencies).toHaveLength(1);
+    expect(Math.abs(latencies[0] - 30)).toBeLessThan(TOLERANCE_MS / 1000);
+  });
+
+  it("should not record a latency for a party that was never dequeued", async () => {
+    // arrange: a checking-in party without a dequeue time
+    const [party] = await seedParties(1, 2, {
+      status: STATUS_CHECKING_IN,
+      checkin_expiration: new Date(Date.now() + 1000 * 30).toISOString(),
+    });
+
+    // act: check the party in
+    await parties.updateSeatedStatus(locationID, party.party_id, party.size);
+
+    // assert: no latency is recorded
+    expect(await getCheckinLatencies()).toEqual([]);
+  });
+});
@@ -0,0 +1,408 @@
+import { jest } from "@jest/globals";
+import { createServer } from "http";
+import {
+  ERROR_FORBIDDEN,
+  ERROR_INVALID_REQUEST,
+  WEBHOOK_DELIVERY_FAILED,
+} from "../../constants/errors.js";
+import {
+  STATUS_CHECKIN_EXPIRED,
+  STATUS_CHECKING_IN,
+  STATUS_COMPLETED,
+  STATUS_QUEUED,
+  STATUS_SEATED,
+} from "../../constants/party-statuses.js";
+import {
+  WEBHOOK_DEAD_LETTER_QUEUE,
+  WEBHOOK_DELIVERY_QUEUE,
+} from "../../constants/message-queues.js";
+import {
+  DELIVERY_STATUS_DEAD,
+  DELIVERY_STATUS_DELIVERED,
+  DELIVERY_STATUS_PENDING,
+  WEBHOOK_EVENT_PARTY_COMPLETED,
+  WEBHOOK_EVENT_PARTY_CREATED,
+  WEBHOOK_EVENT_PARTY_EXPIRED,
+  WEBHOOK_EVENT_PARTY_SEATED,
+} from "../../constants/webhook-events.js";
+import { ROLE_HOST, ROLE_MANAGER } from "../../constants/staff-roles.js";
+import db from "../../models/db.js";
+import { signWebhookPayload } from "../../utils/webhook-payloads.js";
+import { deletePartyEvents, seedPartyEvents } from "../utils/party-events.js";
+import { mockRateLimitMulti } from "../utils/rate-limit.js";
+import { getSignedInAgent } from "../utils/staff.js";
+import { deleteWebhooks, getWebhookDeliveries } from "../utils/webhooks.js";
+
+const ENDPOINT_WEBHOOKS = "/webhooks";
+
+const mockCreateQueue = jest.fn();
+const mockQueueAdd = jest.fn();
+const mockQueueAddBulk = jest.fn();
+jest.unstable_mockModule("../../utils/redis.js", () => ({
+  default: {
+    createQueue: mockCreateQueue,
+    createRedisClient: () => ({ multi: mockRateLimitMulti() }),
+  },
+}));
+
+const { default: app } = await import("../../app.js");
+const { default: webhookService } = await import(
+  "../../services/webhook-service.js"
+);
+
+/**
+ * Starts a server that stands in for a webhook subscriber, recording the requests it receives.
+ *
+ * @param {number} responseStatus - the status to respond to every request with
+ * @returns {Promise<{url: string, requests: {headers: object, body: string}[], close: () => Promise<void>}>}
+ * the subscriber's URL, the requests it has received, and a function to stop it
+ */
+async function startSubscriber(responseStatus) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(responseStatus).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Seeds the history of a party who joined the queue, was called, and was seated.
+ *
+ * @returns {Promise<void>}
+ */
+async function seedSeatedPartyHistory() {
+  const transition = (previousStatus, status, minutes) => ({
+    party_id: "seated",
+    size: 2,
+    previous_status: previousStatus,
+    status,
+    occurred_at: new Date(Date.UTC(2026, 0, 1, 12, minutes)).toISOString(),
+  });
+
+  await seedPartyEvents([
+    transition(null, STATUS_QUEUED, 0),
+    transition(STATUS_QUEUED, STATUS_CHECKING_IN, 10),
+    transition(STATUS_CHECKING_IN, STATUS_SEATED, 11),
+  ]);
+}
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  mockCreateQueue.mockImplementation(() => ({
+    add: mockQueueAdd,
+    addBulk: mockQueueAddBulk,
+  }));
+
+  await deleteWebhooks();
+  await deletePartyEvents();
+  await db("staff").truncate();
+});
+
+afterAll(async () => {
+  await deleteWebhooks();
+  await deletePartyEvents();
+  await db.destroy();
+});
+
+describe("webhook subscriptions", () => {
+  it("should let managers subscribe a URL, generating its secret", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: subscribe a URL, then list the subscriptions
+    const createResponse = await agent.post(ENDPOINT_WEBHOOKS).send({
+      url: "http://pos.local/hooks",
+      eventTypes: [WEBHOOK_EVENT_PARTY_SEATED],
+    });
+    const listResponse = await agent.get(ENDPOINT_WEBHOOKS);
+
+    // assert: the secret is only sent when the subscription is created
+    expect(createResponse.status).toBe(201);
+    expect(createResponse.body.secret).toMatch(/^[0-9a-f]{64}$/);
+    expect(listResponse.body.webhooks).toEqual([
+      {
+        id: createResponse.body.id,
+        url: "http://pos.local/hooks",
+        event_types: [WEBHOOK_EVENT_PARTY_SEATED],
+        created_at: createResponse.body.created_at,
+      },
+    ]);
+  });
+
+  it("should let managers remove a subscription", async () => {
+    // arrange: sign in as a manager and subscribe a URL
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+    const createResponse = await agent.post(ENDPOINT_WEBHOOKS).send({
+      url: "https://pager.example.com/hooks",
+      eventTypes: [WEBHOOK_EVENT_PARTY_CREATED],
+    });
+    const webhookURL = `${ENDPOINT_WEBHOOKS}/${createResponse.body.id}`;
+
+    // act: remove the subscription twice
+    const firstResponse = await agent.delete(webhookURL);
+    const secondResponse = await agent.delete(webhookURL);
+
+    // assert: the subscription is removed, then can no longer be found
+    expect(firstResponse.status).toBe(204);
+    expect(secondResponse.status).toBe(404);
+  });
+
+  it("should return 400 if the subscription is invalid", async () => {
+    // arrange: sign in as a manager
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+
+    // act: subscribe to an unknown event, then subscribe a URL that is not http(s)
+    const eventResponse = await agent.post(ENDPOINT_WEBHOOKS).send({
+      url: "https://pos.example.com/hooks",
+      eventTypes: ["party.teleported"],
+    });
+    const urlResponse = await agent.post(ENDPOINT_WEBHOOKS).send({
+      url: "ftp://pos.example.com/hooks",
+      eventTypes: [WEBHOOK_EVENT_PARTY_CREATED],
+    });
+
+    // assert: both requests are rejected
+    expect(eventResponse.status).toBe(400);
+    expect(eventResponse.body.message).toBe(ERROR_INVALID_REQUEST);
+    expect(urlResponse.status).toBe(400);
+  });
+
+  it("should not allow hosts to manage webhooks", async () => {
+    // arrange: sign in as a host
+    const agent = await getSignedInAgent(app, ROLE_HOST);
+
+    // act: list the subscriptions
+    const response = await agent.get(ENDPOINT_WEBHOOKS);
+
+    // assert: the host is forbidden
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe(ERROR_FORBIDDEN);
+  });
+});
+
+describe("webhook dispatch", () => {
+  it("should create a delivery for each subscribed event, and queue them to be sent", async () => {
+    // arrange: subscribe to parties being created and seated, then seed a party's history
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+    const { body: webhook } = await agent.post(ENDPOINT_WEBHOOKS).send({
+      url: "http://pos.local/hooks",
+      eventTypes: [WEBHOOK_EVENT_PARTY_CREATED, WEBHOOK_EVENT_PARTY_SEATED],
+    });
+    await seedSeatedPartyHistory();
+
+    // act: dispatch the events twice
+    const [firstError] = await webhookService.dispatchWebhooks();
+    const [secondError] = await webhookService.dispatchWebhooks();
+
+    // assert: only the subscribed events are delivered, and only once
+    expect(firstError).toBeNull();
+    expect(secondError).toBeNull();
+    const deliveries = await getWebhookDeliveries();
+    expect(deliveries.map(({ event_type }) => event_type)).toEqual([
+      WEBHOOK_EVENT_PARTY_CREATED,
+      WEBHOOK_EVENT_PARTY_SEATED,
+    ]);
+    expect(deliveries[1]).toMatchObject({
+      subscription_id: webhook.id,
+      status: DELIVERY_STATUS_PENDING,
+      payload: {
+        event: WEBHOOK_EVENT_PARTY_SEATED,
+        occurredAt: "2026-01-01T12:11:00.000Z",
+        party: { id: "seated", name: "seated", size: 2, seatExpiration: null },
+        previousStatus: STATUS_CHECKING_IN,
+        status: STATUS_SEATED,
+      },
+    });
+    // the pending deliveries are queued each time, under the same job IDs
+    expect(mockCreateQueue).toHaveBeenCalledWith(WEBHOOK_DELIVERY_QUEUE);
+    const [firstJobs] = mockQueueAddBulk.mock.calls[0];
+    const [secondJobs] = mockQueueAddBulk.mock.calls[1];
+    expect(firstJobs.map(({ data }) => data.deliveryID)).toEqual(
+      deliveries.map(({ id }) => id),
+    );
+    expect(secondJobs.map(({ opts }) => opts.jobId)).toEqual(
+      firstJobs.map(({ opts }) => opts.jobId),
+    );
+  });
+
+  it("should send a finished visit as completed, and only a check-in no-show as expired", async () => {
+    // arrange: subscribe to both, then seed a party that finished their visit and one that never checked in
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+    await agent.post(ENDPOINT_WEBHOOKS).send({
+      url: "http://pos.local/hooks",
+      eventTypes: [WEBHOOK_EVENT_PARTY_EXPIRED, WEBHOOK_EVENT_PARTY_COMPLETED],
+    });
+    await seedPartyEvents([
+      {
+        party_id: "finished",
+        size: 2,
+        previous_status: STATUS_SEATED,
+        status: STATUS_COMPLETED,
+        occurred_at: new Date(Date.UTC(2026, 0, 1, 13)).toISOString(),
+      },
+      {
+        party_id: "noshow",
+        size: 2,
+        previous_status: STATUS_CHECKING_IN,
+        status: STATUS_CHECKIN_EXPIRED,
+        occurred_at: new Date(Date.UTC(2026, 0, 1, 14)).toISOString(),
+      },
+    ]);
+
+    // act: dispatch the events
+    await webhookService.dispatchWebhooks();
+
+    // assert: each party is sent as its own event type
+    const deliveries = await getWebhookDeliveries();
+    expect(
+      deliveries.map(({ event_type, payload }) => [
+        event_type,
+        payload.party.id,
+      ]),
+    ).toEqual([
+      [WEBHOOK_EVENT_PARTY_COMPLETED, "finished"],
+      [WEBHOOK_EVENT_PARTY_EXPIRED, "noshow"],
+    ]);
+  });
+
+  it("should not deliver events that occurred before the subscription's webhooks were dispatched", async () => {
+    // arrange: seed a party's history and dispatch it before anyone is subscribed
+    await seedSeatedPartyHistory();
+    await webhookService.dispatchWebhooks();
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+    await agent.post(ENDPOINT_WEBHOOKS).send({
+      url: "http://pos.local/hooks",
+      eventTypes: [WEBHOOK_EVENT_PARTY_CREATED],
+    });
+
+    // act: dispatch again
+    await webhookService.dispatchWebhooks();
+
+    // assert: the earlier events are not delivered
+    expect(await getWebhookDeliveries()).toHaveLength(0);
+  });
+});
+
+describe("webhook delivery", () => {
+  let subscriber;
+
+  afterEach(async () => {
+    await subscriber?.close();
+    subscriber = null;
+  });
+
+  /**
+   * Subscribes the test subscriber to parties being created, and creates a delivery for it.
+   *
+   * @returns {Promise<{secret: string, deliveryID: number}>} the subscription's secret and the delivery's ID
+   */
+  async function createDelivery() {
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+    const { body: webhook } = await agent.post(ENDPOINT_WEBHOOKS).send({
+      url: subscriber.url,
+      eventTypes: [WEBHOOK_EVENT_PARTY_CREATED],
+    });
+    await seedSeatedPartyHistory();
+    await webhookService.dispatchWebhooks();
+    const [delivery] = await getWebhookDeliveries();
+
+    return { secret: webhook.secret, deliveryID: delivery.id };
+  }
+
+  it("should POST the signed payload to the subscriber", async () => {
+    // arrange: a subscriber that accepts deliveries
+    subscriber = await startSubscriber(204);
+    const { secret, deliveryID } = await createDelivery();
+
+    // act: send the delivery
+    const [error, result] = await webhookService.deliverWebhook(deliveryID);
+
+    // assert: the subscriber receives the payload, signed with the subscription's secret
+    expect(error).toBeNull();
+    expect(result).toBe("Delivered");
+    expect(subscriber.requests).toHaveLength(1);
+    const [{ headers, body }] = subscriber.requests;
+    expect(headers["x-waitlist-event"]).toBe(WEBHOOK_EVENT_PARTY_CREATED);
+    const expectedSignature = signWebhookPayload(
+      secret,
+      headers["x-waitlist-timestamp"],
+      body,
+    );
+    expect(headers["x-waitlist-signature"]).toBe(`sha256=${expectedSignature}`);
+    expect(JSON.parse(body).party.id).toBe("seated");
+    const [delivery] = await getWebhookDeliveries();
+    expect(delivery).toMatchObject({
+      status: DELIVERY_STATUS_DELIVERED,
+      attempts: 1,
+      response_status: 204,
+      last_error: null,
+    });
+  });
+
+  it("should log failed attempts, and dead-letter the delivery once it is given up on", async () => {
+    // arrange: a subscriber that is failing
+    subscriber = await startSubscriber(500);
+    const { deliveryID } = await createDelivery();
+
+    // act: send the delivery, then give up on it
+    const [error] = await webhookService.deliverWebhook(deliveryID);
+    const [pendingDelivery] = await getWebhookDeliveries();
+    const [deadLetterError] = await webhookService.deadLetterDelivery(
+      deliveryID,
+      error,
+    );
+
+    // assert: the attempt is logged so the delivery can be retried, then it is moved to the dead-letter queue
+    expect(error).toBe(WEBHOOK_DELIVERY_FAILED);
+    expect(pendingDelivery).toMatchObject({
+      status: DELIVERY_STATUS_PENDING,
+      attempts: 1,
+      response_status: 500,
+      last_error: "Subscriber responded with 500",
+    });
+    expect(deadLetterError).toBeNull();
+    const [deadDelivery] = await getWebhookDeliveries();
+    expect(deadDelivery.status).toBe(DELIVERY_STATUS_DEAD);
+    expect(mockCreateQueue).toHaveBeenCalledWith(WEBHOOK_DEAD_LETTER_QUEUE);
+    expect(mockQueueAdd).toHaveBeenCalledWith(
+      "dead-letter",
+      { deliveryID, reason: WEBHOOK_DELIVERY_FAILED },
+      expect.anything(),
+    );
+  });
+
+  it("should list a subscription's deliveries in its delivery log", async () => {
+    // arrange: a delivery that has been sent
+    subscriber = await startSubscriber(200);
+    const { deliveryID } = await createDelivery();
+    await webhookService.deliverWebhook(deliveryID);
+    const agent = await getSignedInAgent(app, ROLE_MANAGER);
+    const [{ subscription_id: webhookID }] = await getWebhookDeliveries();
+
+    // act: view the delivery log
+    const response = await agent.get(
+      `${ENDPOINT_WEBHOOKS}/${webhookID}/deliveries`,
+    );
+
+    // assert: the delivery is listed with its outcome
+    expect(response.status).toBe(200);
+    expect(response.body.deliveries).toHaveLength(1);
+    expect(response.body.deliveries[0]).toMatchObject({
+      id: deliveryID,
+      status: DELIVERY_STATUS_DELIVERED,
+      attempts: 1,
+      response_status: 200,
+    });
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * @file This file provides test utilities for setting up the history of how long parties took to check in
+ * that are independent of the functions provided by the check-in latencies model.
+ */
+import db from "../../models/db.js";
+import { getDefaultLocationID } from "./locations.js";
+
+const TABLE_NAME = "checkin_latencies";
+
+/**
+ * Seeds the database with how long past parties took to check in.
+ *
+ * @param {number[]} latencies - how long (in seconds) each party took to check in
+ * @param {string} [locationID] - the location the parties were at (defaults to the default location)
+ * @returns {Promise<void>}
+ */
+export async function seedCheckinLatencies(latencies, locationID) {
+  const latencyLocationID = locationID ?? (await getDefaultLocationID());
+  await db(TABLE_NAME).insert(
+    latencies.map((latency) => ({
+      latency_seconds: latency,
+      location_id: latencyLocationID,
+    })),
+  );
+}
+
+/**
+ * Deletes the recorded check-in latencies.
+ *
+ * @returns {Promise<void>}
+ */
+export async function deleteCheckinLatencies() {
+  await db(TABLE_NAME).del();
+}
+
+/**
+ * Gets the recorded check-in latencies.
+ *
+ * @returns {Promise<number[]>} how long (in seconds) each party took to check in, in the order recorded
+ */
+export async function getCheckinLatencies() {
+  const rows = await db(TABLE_NAME).select("latency_seconds").orderBy("id");
+  return rows.map(({ latency_seconds }) => latency_seconds);
+}
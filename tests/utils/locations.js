@@ -0,0 +1,61 @@
+/**
+ * @file This file provides test utilities for setting up locations that are independent
+ * of the functions provided by the locations model.
+ */
+import { nanoid } from "nanoid";
+import db from "../../models/db.js";
+import { DEFAULT_LOCATION_SLUG } from "../../constants/locations.js";
+
+const TABLE_NAME = "locations";
+
+/**
+ * @import { Location } from '../../typedefs.js';
+ */
+
+/**
+ * Gets the default location, which the migrations create (and which the waitlist pages without `/l/<slug>` are for).
+ *
+ * @returns {Promise<Location>} the default location
+ */
+export async function getDefaultLocation() {
+  return await db(TABLE_NAME)
+    .select("*")
+    .where({ slug: DEFAULT_LOCATION_SLUG })
+    .first();
+}
+
+/**
+ * Gets the ID of the default location.
+ *
+ * @returns {Promise<string>} the default location's ID
+ */
+export async function getDefaultLocationID() {
+  const { id } = await getDefaultLocation();
+  return id;
+}
+
+/**
+ * Seeds the database with a location.
+ *
+ * @param {Partial<Location>} [location={}] - the location's properties to set (a random slug and name are used otherwise)
+ * @returns {Promise<Location>} the inserted location
+ */
+export async function seedLocation(location = {}) {
+  const slug = nanoid(8)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "x");
+  const [inserted] = await db(TABLE_NAME)
+    .insert({ slug, name: slug, ...location })
+    .returning("*");
+  return inserted;
+}
+
+/**
+ * Deletes every location other than the default location.
+ * Their parties, tables, and history must be deleted first.
+ *
+ * @returns {Promise<void>}
+ */
+export async function deleteLocations() {
+  await db(TABLE_NAME).whereNot({ slug: DEFAULT_LOCATION_SLUG }).del();
+}
@@ -0,0 +1,61 @@
+/**
+ * @file This file provides test utilities for setting up each location's opening hours (and pausing its waitlist)
+ * that are independent of the functions provided by the operating hours and locations models.
+ */
+import db from "../../models/db.js";
+import { getDefaultLocationID } from "./locations.js";
+
+const TABLE_NAME = "operating_hours";
+const OVERRIDES_TABLE_NAME = "operating_hours_overrides";
+
+/**
+ * Seeds the database with weekly opening hours.
+ *
+ * @param {{ weekday: number, opens_at: string, closes_at: string, location_id?: string }[]} hours - the opening periods
+ * (at the default location unless a `location_id` is given)
+ * @returns {Promise<void>}
+ */
+export async function seedWeeklyHours(hours) {
+  const locationID = await getDefaultLocationID();
+  await db(TABLE_NAME).insert(
+    hours.map((period) => ({ location_id: locationID, ...period })),
+  );
+}
+
+/**
+ * Seeds the database with special hours for a date.
+ *
+ * @param {{ date: string, opens_at?: string|null, closes_at?: string|null, location_id?: string }} override
+ * - the special hours (closed all day unless opening and closing times are given, at the default location unless
+ * a `location_id` is given)
+ * @returns {Promise<void>}
+ */
+export async function seedHoursOverride(override) {
+  const locationID = await getDefaultLocationID();
+  await db(OVERRIDES_TABLE_NAME).insert({
+    location_id: locationID,
+    ...override,
+  });
+}
+
+/**
+ * Pauses parts of the default location's waitlist.
+ *
+ * @param {{ intake_paused?: boolean, dequeue_paused?: boolean }} paused - which parts of the waitlist to pause
+ * @returns {Promise<void>}
+ */
+export async function pauseWaitlist(paused) {
+  const locationID = await getDefaultLocationID();
+  await db("locations").update(paused).where({ id: locationID });
+}
+
+/**
+ * Deletes every location's opening hours, and resumes every location's waitlist.
+ *
+ * @returns {Promise<void>}
+ */
+export async function resetOperatingHours() {
+  await db(OVERRIDES_TABLE_NAME).del();
+  await db(TABLE_NAME).del();
+  await db("locations").update({ intake_paused: false, dequeue_paused: false });
+}
@@ -0,0 +1,48 @@
+/**
+ * @file This file provides test utilities for reading the party history that are independent
+ * of the functions provided by the parties model.
+ */
+import db from "../../models/db.js";
+import { getDefaultLocationID } from "./locations.js";
+
+const TABLE_NAME = "party_events";
+
+/**
+ * Gets the status transitions recorded for a party, in the order they occurred.
+ *
+ * @param {string} partyID - the ID of the party
+ * @returns {Promise<{previous_status: string|null, status: string}[]>} the party's status transitions
+ */
+export async function getPartyTransitions(partyID) {
+  return await db(TABLE_NAME)
+    .select("previous_status", "status")
+    .where({ party_id: partyID })
+    .orderBy("id");
+}
+
+/**
+ * Deletes the entire party history.
+ *
+ * @returns {Promise<void>}
+ */
+export async function deletePartyEvents() {
+  await db(TABLE_NAME).del();
+}
+
+/**
+ * Seeds the party history with the provided events.
+ *
+ * @param {{party_id: string, name?: string, size: number, previous_status: string|null, status: string, occurred_at: string}[]} events
+ * the events to insert
+ * @returns {Promise<void>}
+ */
+export async function seedPartyEvents(events) {
+  const locationID = await getDefaultLocationID();
+  await db(TABLE_NAME).insert(
+    events.map((event) => ({
+      name: event.party_id,
+      location_id: locationID,
+      ...event,
+    })),
+  );
+}
@@ -5,6 +5,8 @@
  */
 import { nanoid } from "nanoid";
 import db from "../../models/db.js";
+import { STATUS_QUEUED } from "../../constants/party-statuses.js";
+import { getDefaultLocationID } from "./locations.js";
 
 const TABLE_NAME = "parties";
 
@@ -18,6 +20,7 @@ const TABLE_NAME = "parties";
  * @param {number} numberOfParties - the number of parties to create
  * @param {number} sizePerParty - the size per party
  * @param {object} additionalProperties - additional party properties to adjust (such as status or name)
+ * (the parties are at the default location unless a `location_id` is given)
  * @returns {Promise<Party[]>} the inserted partys, sorted by party_id
  */
 export async function seedParties(
@@ -25,6 +28,7 @@ export async function seedParties(
   sizePerParty,
   additionalProperties = {},
 ) {
+  const locationID = await getDefaultLocationID();
   const partyData = [];
   for (let i = 0; i < numberOfParties; i++) {
     const id = nanoid(10);
@@ -32,18 +36,40 @@ export async function seedParties(
       name: id,
       party_id: id,
       size: sizePerParty,
+      location_id: locationID,
       ...additionalProperties,
     });
   }
 
   const inserted = await db(TABLE_NAME).insert(partyData).returning("party_id");
+  const insertedIDs = inserted.map(({ party_id }) => party_id);
   // return the parties sorted by party id
   return await db(TABLE_NAME)
     .select("*")
-    .whereIn("party_id", inserted)
+    .whereIn("party_id", insertedIDs)
     .orderBy("party_id");
 }
 
+/**
+ * Seed the database with queued parties one at a time, so that their order in the queue is known.
+ *
+ * @param {number[]} partySizes - the size of each party, in queue order
+ * @param {object} additionalProperties - additional party properties to set on every party
+ * @returns {Promise<Party[]>} the inserted parties, in queue order
+ */
+export async function seedQueue(partySizes, additionalProperties = {}) {
+  const queuedParties = [];
+  for (const size of partySizes) {
+    const [party] = await seedParties(1, size, {
+      status: STATUS_QUEUED,
+      ...additionalProperties,
+    });
+    queuedParties.push(party);
+  }
+
+  return queuedParties;
+}
+
 /**
  * Deletes a given party by its ID.
  *
@@ -74,6 +100,22 @@ export async function getPartiesByIDs(partyIDs) {
   return await db(TABLE_NAME).select("*").where("party_id", "in", partyIDs);
 }
 
+/**
+ * Gets the current statuses of a list of parties.
+ *
+ * @param {Party[]} parties - the parties whose statuses to get
+ * @returns {Promise<string[]>} the parties' statuses, in the same order as the parties
+ */
+export async function getPartyStatuses(parties) {
+  const statuses = [];
+  for (const party of parties) {
+    const { status } = await getPartyByID(party.party_id);
+    statuses.push(status);
+  }
+
+  return statuses;
+}
+
 /**
  * Update a given party's properties.
  *
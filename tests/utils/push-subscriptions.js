@@ -0,0 +1,33 @@
+/**
+ * @file This file provides test utilities for reading and seeding push subscriptions that are
+ * independent of the functions provided by the push subscriptions model.
+ */
+import db from "../../models/db.js";
+
+const TABLE_NAME = "push_subscriptions";
+
+/**
+ * Seed the database with a push subscription for a party.
+ *
+ * @param {string} partyID - the party's ID
+ * @param {string} endpoint - the subscription's push service URL
+ * @returns {Promise<void>}
+ */
+export async function seedPushSubscription(partyID, endpoint) {
+  await db(TABLE_NAME).insert({
+    party_id: partyID,
+    endpoint,
+    p256dh:
+      "BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA_0QTpQtUbVlUls0VJXg7A8u-Ts1XbjhazAkj7I99e8QcYP7DkM",
+    auth: "tBHItJI5svbpez7KI4CCXg",
+  });
+}
+
+/**
+ * Gets every push subscription, in the order they were saved.
+ *
+ * @returns {Promise<object[]>} the subscriptions
+ */
+export async function getPushSubscriptions() {
+  return await db(TABLE_NAME).select("*").orderBy("id");
+}
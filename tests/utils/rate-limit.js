@@ -0,0 +1,24 @@
+/**
+ * @file This file provides test utilities for the rate limit middleware, for tests that mock the redis client.
+ */
+
+/**
+ * Creates a stand-in for the redis transaction the rate limit middleware counts requests in.
+ *
+ * @param {number} [requestCount=1] - how many requests the client has made in the window (including this one),
+ * where the default counts every request as the client's first
+ * @returns {() => object} a `multi` function to put on the mocked redis client
+ */
+export function mockRateLimitMulti(requestCount = 1) {
+  const transaction = {
+    set: () => transaction,
+    incr: () => transaction,
+    ttl: () => transaction,
+    exec: async () => [
+      [null, "OK"],
+      [null, requestCount],
+      [null, 60],
+    ],
+  };
+  return () => transaction;
+}
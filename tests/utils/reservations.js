@@ -0,0 +1,58 @@
+/**
+ * @file This file provides test utilities for setting up reservations that are independent
+ * of the functions provided by the reservations model.
+ */
+import db from "../../models/db.js";
+import { getDefaultLocationID } from "./locations.js";
+
+const TABLE_NAME = "reservations";
+
+/**
+ * @import { Reservation } from '../../typedefs.js';
+ */
+
+/**
+ * Seeds the database with a reservation.
+ *
+ * @param {number} size - the size of the reservation
+ * @param {number} minutesFromNow - how long until the reservation's time (negative for past times)
+ * @param {Partial<Reservation>} [additionalProperties={}] - any other properties of the reservation
+ * (the reservation is at the default location unless a `location_id` is given)
+ * @returns {Promise<Reservation>} the inserted reservation
+ */
+export async function seedReservation(
+  size,
+  minutesFromNow,
+  additionalProperties = {},
+) {
+  const locationID = await getDefaultLocationID();
+  const [reservation] = await db(TABLE_NAME)
+    .insert({
+      location_id: locationID,
+      name: "reservation name",
+      size,
+      reservation_time: new Date(Date.now() + minutesFromNow * 60 * 1000),
+      ...additionalProperties,
+    })
+    .returning("*");
+  return reservation;
+}
+
+/**
+ * Gets a reservation by its ID.
+ *
+ * @param {string} reservationID - the ID of the reservation
+ * @returns {Promise<Reservation|undefined>} the reservation, if it exists
+ */
+export async function getReservationByID(reservationID) {
+  return await db(TABLE_NAME).where({ id: reservationID }).first();
+}
+
+/**
+ * Deletes every reservation.
+ *
+ * @returns {Promise<void>}
+ */
+export async function deleteReservations() {
+  await db(TABLE_NAME).del();
+}
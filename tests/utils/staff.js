@@ -0,0 +1,77 @@
+/**
+ * @file This file provides test utilities for creating staff accounts that are independent
+ * of the functions provided by the staff model.
+ */
+import { nanoid } from "nanoid";
+import request from "supertest";
+import db from "../../models/db.js";
+import { hashPassword } from "../../utils/passwords.js";
+
+const TABLE_NAME = "staff";
+const ENDPOINT_STAFF_LOGIN = "/staff/login";
+export const TEST_STAFF_PASSWORD = "test-staff-password";
+
+/**
+ * @import { Staff } from '../../typedefs.js';
+ */
+
+/**
+ * Seeds the database with a staff account using the test password.
+ *
+ * @param {"host" | "manager"} role - the role of the staff account
+ * @param {string|null} [locationID=null] - the ID of the location the staff member works at (every location if null)
+ * @returns {Promise<Staff>} the inserted staff account
+ */
+export async function seedStaff(role, locationID = null) {
+  const [inserted] = await db(TABLE_NAME)
+    .insert({
+      username: `${role}-${nanoid(6)}`,
+      password_hash: await hashPassword(TEST_STAFF_PASSWORD),
+      role,
+      location_id: locationID,
+    })
+    .returning("*");
+
+  return inserted;
+}
+
+/**
+ * Gets a staff account by its username.
+ *
+ * @param {string} username - the staff account's username
+ * @returns {Promise<Staff>} a staff account with a matching username
+ */
+export async function getStaffByUsername(username) {
+  return await db(TABLE_NAME).select("*").where({ username }).first();
+}
+
+/**
+ * Signs a request agent in to a staff account that uses the test password.
+ *
+ * @param {import('supertest').Agent} agent - the agent to sign in, which keeps the session cookie for its later requests
+ * @param {Staff} account - the staff account to sign in to
+ * @returns {Promise<import('supertest').Agent>} the signed in agent
+ */
+export async function signInAgent(agent, account) {
+  const response = await agent
+    .post(ENDPOINT_STAFF_LOGIN)
+    .send({ username: account.username, password: TEST_STAFF_PASSWORD });
+  if (response.status !== 200) {
+    throw new Error(`Could not sign in as ${account.username}`);
+  }
+
+  return agent;
+}
+
+/**
+ * Gets a request agent signed in with a new staff account.
+ *
+ * @param {import('express').Express} app - the app to make requests to
+ * @param {"host" | "manager"} role - the role of the staff account to sign in as
+ * @param {string|null} [locationID=null] - the ID of the location the staff member works at (every location if null)
+ * @returns {Promise<import('supertest').Agent>} the signed in agent
+ */
+export async function getSignedInAgent(app, role, locationID = null) {
+  const account = await seedStaff(role, locationID);
+  return await signInAgent(request.agent(app), account);
+}
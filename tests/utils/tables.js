@@ -0,0 +1,67 @@
+/**
+ * @file This file provides test utilities for setting up the venue's tables that are independent
+ * of the functions provided by the tables model.
+ */
+import { nanoid } from "nanoid";
+import db from "../../models/db.js";
+import { getDefaultLocationID } from "./locations.js";
+
+const TABLE_NAME = "tables";
+const ASSIGNMENTS_TABLE_NAME = "table_assignments";
+
+/**
+ * @import { Table } from '../../typedefs.js';
+ */
+
+/**
+ * Seeds the database with the provided tables.
+ *
+ * @param {Partial<Table>[]} tables - the tables to insert (at least their capacity)
+ * (the tables are at the default location unless a `location_id` is given)
+ * @returns {Promise<Table[]>} the inserted tables, in the order provided
+ */
+export async function seedTables(tables) {
+  const locationID = await getDefaultLocationID();
+  const tableData = tables.map((table) => ({
+    name: nanoid(8),
+    location_id: locationID,
+    ...table,
+  }));
+  return await db(TABLE_NAME).insert(tableData).returning("*");
+}
+
+/**
+ * Deletes every table (and table assignment).
+ *
+ * @returns {Promise<void>}
+ */
+export async function deleteTables() {
+  await db(ASSIGNMENTS_TABLE_NAME).del();
+  await db(TABLE_NAME).del();
+}
+
+/**
+ * Gets the IDs of the tables assigned to a party.
+ *
+ * @param {string} partyID - the ID of the party
+ * @returns {Promise<string[]>} the IDs of the party's tables
+ */
+export async function getAssignedTableIDs(partyID) {
+  const assignments = await db(ASSIGNMENTS_TABLE_NAME)
+    .select("table_id")
+    .where({ party_id: partyID });
+  return assignments.map(({ table_id }) => table_id);
+}
+
+/**
+ * Assigns tables to a party.
+ *
+ * @param {string} partyID - the ID of the party
+ * @param {string[]} tableIDs - the IDs of the tables to assign
+ * @returns {Promise<void>}
+ */
+export async function assignTables(partyID, tableIDs) {
+  await db(ASSIGNMENTS_TABLE_NAME).insert(
+    tableIDs.map((tableID) => ({ party_id: partyID, table_id: tableID })),
+  );
+}
@@ -0,0 +1,26 @@
+/**
+ * @file This file provides test utilities for reading and resetting webhooks that are
+ * independent of the functions provided by the webhooks model.
+ */
+import db from "../../models/db.js";
+
+const TABLE_NAME = "webhook_subscriptions";
+const DELIVERIES_TABLE_NAME = "webhook_deliveries";
+
+/**
+ * Deletes every webhook subscription, along with their deliveries.
+ *
+ * @returns {Promise<void>}
+ */
+export async function deleteWebhooks() {
+  await db(TABLE_NAME).del();
+}
+
+/**
+ * Gets every webhook delivery, in the order they were created.
+ *
+ * @returns {Promise<object[]>} the deliveries
+ */
+export async function getWebhookDeliveries() {
+  return await db(DELIVERIES_TABLE_NAME).select("*").orderBy("id");
+}
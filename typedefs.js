@@ -12,10 +12,102 @@
  * @property {Date | undefined} seat_expiration - when the party's seat expired (end of their service time)
  * @property {Date | undefined} checkin_expiration - when the party's checkin time expired (indicating they did not hit the "Check in" button)
  * @property {PartyStatus} status - the status of the party in the checkin process
+ * @property {number} skip_count - how many times parties behind this party have been dequeued ahead of them
+ * @property {Date | null} first_skipped_at - when the party was first skipped over by a dequeue
+ * @property {string | null} contact_phone - the phone number to text the party at when they are dequeued (if given)
+ * @property {string | null} contact_email - the email address to notify the party at when they are dequeued (if given)
+ * @property {string} location_id - the ID of the location whose waitlist the party is on
  *
  * @exports Party
  */
 
+/**
+ * Represents a location (such as one of a group's restaurants), which has its own waitlist.
+ * @typedef {object} Location
+ * @property {string} id - the location's primary key
+ * @property {string} slug - the slug in the location's URLs (ex: "downtown" for /l/downtown/party/new)
+ * @property {string} name - the name guests know the location by
+ * @property {number | null} max_seats - the seats available when the location has no tables (the max seats setting is used when null)
+ * @property {boolean} intake_paused - whether staff have stopped new parties from joining the waitlist
+ * @property {boolean} dequeue_paused - whether staff have stopped queued parties from being called to check in
+ * @property {Date} created_at - when the location was added
+ *
+ * @exports Location
+ */
+
+/**
+ * Represents a period of the week when parties can join a location's waitlist.
+ * @typedef {object} OperatingHours
+ * @property {number} weekday - the day of the week the period starts on (0 for Sunday, through to 6 for Saturday)
+ * @property {string} opens_at - when the period starts, in the opening hours' time zone (ex: "11:00")
+ * @property {string} closes_at - when the period ends (the period runs past midnight when this is not after `opens_at`)
+ *
+ * @exports OperatingHours
+ */
+
+/**
+ * Represents the hours used instead of a location's weekly hours on a date (ex: a holiday).
+ * @typedef {object} OperatingHoursOverride
+ * @property {string} date - the date, in the opening hours' time zone (ex: "2026-12-25")
+ * @property {string | null} opens_at - when the location opens on the date, or null if it is closed all day
+ * @property {string | null} closes_at - when the location closes, or null if it is closed all day
+ *
+ * @exports OperatingHoursOverride
+ */
+
+/**
+ * Represents a table in the venue that parties are seated at.
+ * @typedef {object} Table
+ * @property {string} id - the table's primary key
+ * @property {string} name - the name hosts know the table by (ex: "T4")
+ * @property {number} capacity - the most guests that can be seated at the table
+ * @property {number} min_party_size - the smallest party that should be seated at the table
+ * @property {string | null} section - the section of the venue the table is in (ex: "patio")
+ * @property {boolean} combinable - whether the table can be combined with other combinable tables in its section
+ * @property {string} location_id - the ID of the location the table is in
+ * @property {Date} created_at - when the table was added
+ *
+ * @exports Table
+ */
+
+/**
+ * Represents the tables a party has been assigned when leaving the queue.
+ * @typedef {object} TableAssignment
+ * @property {string} partyID - the ID of the party occupying the tables
+ * @property {string[]} tableIDs - the IDs of the tables (more than one when tables are combined)
+ *
+ * @exports TableAssignment
+ */
+
+/**
+ * Represents a reservation, which holds seats back from the waitlist's walk-ins around its time.
+ * @typedef {object} Reservation
+ * @property {string} id - the reservation's primary key
+ * @property {string} location_id - the ID of the location the reservation is at
+ * @property {string} name - the name the reservation is under
+ * @property {number} size - the number of guests the reservation is for
+ * @property {Date} reservation_time - when the reservation is for
+ * @property {string | null} contact_phone - the phone number the reservation was made with (if given)
+ * @property {string | null} contact_email - the email address the reservation was made with (if given)
+ * @property {Date | null} checked_in_at - when a host checked the reservation in (null until they arrive)
+ * @property {string | null} party_id - the ID of the party the reservation was checked in as (null once they leave)
+ * @property {Date} created_at - when the reservation was made
+ *
+ * @exports Reservation
+ */
+
+/**
+ * Represents a staff account (such as a host or manager).
+ * @typedef {object} Staff
+ * @property {string} id - the staff member's primary key
+ * @property {string} username - the username the staff member signs in with
+ * @property {"host" | "manager"} role - the staff member's role, which determines which routes they can access
+ * @property {string|null} location_id - the ID of the location the staff member works at (null if they work at every location)
+ * @property {Date} created_at - when the account was created
+ *
+ * @exports Staff
+ */
+
 /**
  * @typedef {import('express').Request} ExpressRequest
  * @typedef {import('express').Response} ExpressResponse
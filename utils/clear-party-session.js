@@ -11,6 +11,7 @@
  */
 export default function clearPartySession(request) {
   delete request?.session.partyID;
+  delete request?.session.locationID;
   delete request?.session.partySize;
   delete request?.session.status;
   delete request?.session.seated;
@@ -0,0 +1,18 @@
+/**
+ * @import { ExpressRequest } from '../typedefs.js';
+ */
+
+/**
+ * Clears all staff-related variables from the session.
+ * Any non-staff variables (such as a party the client is in) are left unchanged.
+ *
+ * @param {ExpressRequest} request - the client request
+ * @returns {void}
+ */
+export default function clearStaffSession(request) {
+  delete request?.session.staffID;
+  delete request?.session.staffRole;
+  delete request?.session.staffUsername;
+  delete request?.session.staffLocationID;
+  delete request?.session.staffDashboardPath;
+}
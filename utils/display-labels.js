@@ -0,0 +1,60 @@
+/**
+ * @file This file provides a function for labelling parties on the lobby display,
+ * which is shown publicly (so parties may not want their full name shown).
+ */
+import {
+  DISPLAY_PRIVACY_ID_SUFFIX,
+  DISPLAY_PRIVACY_NAME,
+} from "../constants/display-privacy.js";
+
+// how many characters from the end of the party ID are shown
+const ID_SUFFIX_LENGTH = 4;
+
+// party names are HTML-escaped when saved (see validators/parties.js), but the display renders them as text
+const ESCAPED_CHARACTERS = {
+  "&amp;": "&",
+  "&quot;": '"',
+  "&#x27;": "'",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&#x2F;": "/",
+  "&#x5C;": "\\",
+  "&#96;": "`",
+};
+
+/**
+ * Reverses the HTML-escaping of a party's name.
+ *
+ * @param {string} name - the name, as saved in the database
+ * @returns {string} the name as the party entered it
+ * @private
+ */
+function unescapeName(name) {
+  return name.replace(
+    /&(?:amp|quot|#x27|lt|gt|#x2F|#x5C|#96);/g,
+    (entity) => ESCAPED_CHARACTERS[entity],
+  );
+}
+
+/**
+ * Gets the label that identifies a party on the lobby display.
+ *
+ * @param {{ party_id: string, name: string }} party - the party to label
+ * @param {string} privacy - how parties are identified, one of the `DISPLAY_PRIVACY_*` constants
+ * @returns {string} the party's label (ex: "Jane Doe", "J. D.", or "#x7Kq")
+ */
+export default function getDisplayLabel(party, privacy) {
+  if (privacy === DISPLAY_PRIVACY_ID_SUFFIX) {
+    return `#${party.party_id.slice(-ID_SUFFIX_LENGTH)}`;
+  }
+
+  const name = unescapeName(party.name);
+  if (privacy === DISPLAY_PRIVACY_NAME) return name;
+
+  // the first character of each word (spreading the word keeps characters like emoji whole)
+  const initials = name
+    .split(/\s+/)
+    .filter((word) => word.length > 0)
+    .map((word) => `${[...word][0].toLocaleUpperCase()}.`);
+  return initials.length > 0 ? initials.join(" ") : "?";
+}
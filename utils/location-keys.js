@@ -0,0 +1,35 @@
+/**
+ * @file This file provides functions for scoping Redis channels and cache keys to a location,
+ * so that messages about one location's waitlist never reach another location's clients.
+ */
+
+/**
+ * Gets a location's copy of a Redis channel or cache key.
+ *
+ * @param {string} key - the channel or cache key (see constants/pub-sub-channels.js)
+ * @param {string} locationID - the ID of the location
+ * @returns {string} the location's channel or cache key (ex: "dequeued-channel:<location ID>")
+ */
+export function getLocationKey(key, locationID) {
+  return `${key}:${locationID}`;
+}
+
+/**
+ * Gets the pattern matching every location's copy of a Redis channel.
+ *
+ * @param {string} channel - the channel (see constants/pub-sub-channels.js)
+ * @returns {string} a pattern for `psubscribe`, for listeners that handle every location (such as the notifications worker)
+ */
+export function getAllLocationsPattern(channel) {
+  return getLocationKey(channel, "*");
+}
+
+/**
+ * Gets the location that a location's Redis channel or cache key belongs to.
+ *
+ * @param {string} locationKey - the location's channel or cache key (see `getLocationKey`)
+ * @returns {string} the ID of the location
+ */
+export function getKeyLocationID(locationKey) {
+  return locationKey.slice(locationKey.lastIndexOf(":") + 1);
+}
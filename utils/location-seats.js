@@ -0,0 +1,15 @@
+import { getMaxSeats } from "./waitlist-settings.js";
+
+/**
+ * @import { Location } from '../typedefs.js';
+ */
+
+/**
+ * Gets how many seats a location has when it has no tables.
+ *
+ * @param {Location} location - the location
+ * @returns {number} the location's own seat count, or the max seats setting if it has not been given one
+ */
+export function getLocationMaxSeats(location) {
+  return location.max_seats ?? getMaxSeats();
+}
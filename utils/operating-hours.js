@@ -0,0 +1,193 @@
+/**
+ * @file This file provides functions for working out when a location's waitlist is open from its opening hours.
+ *
+ * Opening hours are wall-clock times in the opening hours' time zone, so dates are handled as "YYYY-MM-DD"
+ * strings and times as "HH:MM" strings (which sort in the same order as the times they represent).
+ */
+
+/**
+ * @import { OperatingHours, OperatingHoursOverride } from '../typedefs.js';
+ */
+
+/**
+ * A moment in a time zone, as shown on a wall clock there.
+ * @typedef {object} LocalDateTime
+ * @property {string} date - the date (ex: "2026-10-19")
+ * @property {number} weekday - the day of the week (0 for Sunday, through to 6 for Saturday)
+ * @property {string} time - the time of day (ex: "17:30")
+ */
+
+/**
+ * A period when the waitlist is open, starting on a date.
+ * @typedef {object} OpeningPeriod
+ * @property {string} opensAt - when the period starts (ex: "11:00")
+ * @property {string} closesAt - when the period ends (the period runs past midnight when this is not after `opensAt`)
+ */
+
+// a period that opens and closes at midnight is open for the whole day
+const ALL_DAY = { opensAt: "00:00", closesAt: "00:00" };
+// how many days ahead the next opening is looked for (so that long closures, like renovations, are still found)
+const MAX_DAYS_AHEAD = 60;
+
+/**
+ * Gets a date's day of the week.
+ *
+ * @param {string} date - the date (ex: "2026-10-19")
+ * @returns {number} the day of the week (0 for Sunday, through to 6 for Saturday)
+ * @private
+ */
+function getWeekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Gets the date a number of days after another date.
+ *
+ * @param {string} date - the date to count from (ex: "2026-10-19")
+ * @param {number} days - how many days later (or earlier, if negative)
+ * @returns {string} the later date (ex: "2026-10-20")
+ */
+export function addDays(date, days) {
+  const later = new Date(`${date}T00:00:00Z`);
+  later.setUTCDate(later.getUTCDate() + days);
+  return later.toISOString().slice(0, 10);
+}
+
+/**
+ * Gets the date and time that a moment is shown as on a wall clock in a time zone.
+ *
+ * @param {Date} instant - the moment (ex: now)
+ * @param {string} timeZone - the IANA time zone (ex: "America/Toronto")
+ * @returns {LocalDateTime}
+ */
+export function getLocalDateTime(instant, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(instant)
+      .map(({ type, value }) => [type, value]),
+  );
+
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    date,
+    weekday: getWeekday(date),
+    time: `${parts.hour}:${parts.minute}`,
+  };
+}
+
+/**
+ * Gets the periods that the waitlist opens for on a date.
+ *
+ * @param {string} date - the date (ex: "2026-10-19")
+ * @param {OperatingHours[]} weeklyHours - the location's weekly opening hours
+ * @param {OperatingHoursOverride[]} overrides - the location's special hours
+ * @returns {OpeningPeriod[]} the periods, in the order they open
+ * @private
+ * @description
+ * A date's special hours are used instead of its weekly hours. A location without any weekly hours
+ * is open all day (unless it has special hours for the date).
+ */
+function getOpeningPeriods(date, weeklyHours, overrides) {
+  const override = overrides.find((hours) => hours.date === date);
+  if (override) {
+    if (!override.opens_at || !override.closes_at) return [];
+    return [{ opensAt: override.opens_at, closesAt: override.closes_at }];
+  }
+  if (weeklyHours.length < 1) return [ALL_DAY];
+
+  const weekday = getWeekday(date);
+  return weeklyHours
+    .filter((hours) => hours.weekday === weekday)
+    .map((hours) => ({ opensAt: hours.opens_at, closesAt: hours.closes_at }))
+    .sort((a, b) => a.opensAt.localeCompare(b.opensAt));
+}
+
+/**
+ * Checks whether a period runs past midnight (into the next date).
+ *
+ * @param {OpeningPeriod} period
+ * @returns {boolean}
+ * @private
+ */
+function isOvernight(period) {
+  return period.closesAt <= period.opensAt;
+}
+
+/**
+ * Checks whether the waitlist is within its opening hours at a moment.
+ *
+ * @param {LocalDateTime} now - the moment, in the opening hours' time zone
+ * @param {OperatingHours[]} weeklyHours - the location's weekly opening hours
+ * @param {OperatingHoursOverride[]} overrides - the location's special hours (at least from the day before `now`)
+ * @returns {boolean} whether the waitlist is open
+ * @description
+ * Periods that run past midnight keep the waitlist open into the next date, even if the next date is closed.
+ */
+export function isWithinOpeningHours(now, weeklyHours, overrides) {
+  const isOpenToday = getOpeningPeriods(now.date, weeklyHours, overrides).some(
+    (period) =>
+      period.opensAt <= now.time &&
+      (isOvernight(period) || now.time < period.closesAt),
+  );
+  if (isOpenToday) return true;
+
+  const yesterday = addDays(now.date, -1);
+  return getOpeningPeriods(yesterday, weeklyHours, overrides).some(
+    (period) => isOvernight(period) && now.time < period.closesAt,
+  );
+}
+
+/**
+ * Gets when the waitlist next opens after a moment.
+ *
+ * @param {LocalDateTime} now - the moment, in the opening hours' time zone
+ * @param {OperatingHours[]} weeklyHours - the location's weekly opening hours
+ * @param {OperatingHoursOverride[]} overrides - the location's special hours (at least from the date of `now`)
+ * @returns {LocalDateTime|null} when the next period opens, or `null` if the waitlist does not open
+ * in the next `MAX_DAYS_AHEAD` days
+ */
+export function getNextOpening(now, weeklyHours, overrides) {
+  for (let days = 0; days <= MAX_DAYS_AHEAD; days++) {
+    const date = addDays(now.date, days);
+    const period = getOpeningPeriods(date, weeklyHours, overrides).find(
+      ({ opensAt }) => days > 0 || opensAt > now.time,
+    );
+    if (period) {
+      return { date, weekday: getWeekday(date), time: period.opensAt };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Formats when the waitlist opens for guests (ex: "Monday, October 19 at 11:00 AM").
+ *
+ * @param {LocalDateTime} opening - when the waitlist opens, in the opening hours' time zone
+ * @returns {string} the formatted opening
+ */
+export function formatOpening(opening) {
+  // the opening is already a wall-clock time, so it is formatted as if it were in UTC (to avoid converting it again)
+  const instant = new Date(`${opening.date}T${opening.time}:00Z`);
+  const date = instant.toLocaleDateString("en-US", {
+    timeZone: "UTC",
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+  });
+  const time = instant.toLocaleTimeString("en-US", {
+    timeZone: "UTC",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+  return `${date} at ${time}`;
+}
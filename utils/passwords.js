@@ -0,0 +1,41 @@
+/**
+ * @file This file provides functions for hashing and verifying staff passwords using scrypt.
+ */
+import { randomBytes, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+
+const scryptAsync = promisify(scrypt);
+
+const HASH_ALGORITHM = "scrypt";
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * Hashes a password with a random salt.
+ *
+ * @param {string} password - the plain-text password to hash
+ * @returns {Promise<string>} the hash, in the format `scrypt$<salt>$<key>` (both hex-encoded)
+ */
+export async function hashPassword(password) {
+  const salt = randomBytes(SALT_BYTES).toString("hex");
+  const key = await scryptAsync(password, salt, KEY_LENGTH);
+
+  return [HASH_ALGORITHM, salt, key.toString("hex")].join("$");
+}
+
+/**
+ * Verifies a password against a hash created by `hashPassword`.
+ *
+ * @param {string} password - the plain-text password to verify
+ * @param {string} passwordHash - the stored hash to compare against
+ * @returns {Promise<boolean>} whether the password matches the hash
+ */
+export async function verifyPassword(password, passwordHash) {
+  const [algorithm, salt, storedKey] = passwordHash.split("$");
+  if (algorithm !== HASH_ALGORITHM || !salt || !storedKey) return false;
+
+  const storedKeyBuffer = Buffer.from(storedKey, "hex");
+  const key = await scryptAsync(password, salt, storedKeyBuffer.length);
+
+  return timingSafeEqual(key, storedKeyBuffer);
+}
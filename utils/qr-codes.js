@@ -0,0 +1,42 @@
+/**
+ * @file This file provides functions for rendering QR codes (ex: of the join page, for printing at the door),
+ * which are generated locally rather than by an external service.
+ */
+import QRCode from "qrcode";
+
+export const QR_FORMAT_SVG = "svg";
+export const QR_FORMAT_PNG = "png";
+export const QR_FORMATS = [QR_FORMAT_SVG, QR_FORMAT_PNG];
+
+// how many pixels wide each module (square) of a PNG is, so the code stays crisp when scaled up
+// (SVGs scale to any size, so they are better for printing)
+const PNG_MODULE_PIXELS = 10;
+// the blank border (in modules) that scanners need around the code
+const QUIET_ZONE_MODULES = 4;
+
+/**
+ * Renders a QR code of some text (such as a URL).
+ *
+ * @param {string} text - the text to encode
+ * @param {string} format - the image format, one of `QR_FORMATS`
+ * @returns {Promise<{ contentType: string, body: string|Buffer }>} the image and its content type
+ */
+export async function renderQRCode(text, format) {
+  const options = {
+    margin: QUIET_ZONE_MODULES,
+    // medium error correction lets printed codes still scan when slightly scuffed
+    errorCorrectionLevel: "M",
+  };
+
+  if (format === QR_FORMAT_PNG) {
+    const body = await QRCode.toBuffer(text, {
+      ...options,
+      type: "png",
+      scale: PNG_MODULE_PIXELS,
+    });
+    return { contentType: "image/png", body };
+  }
+
+  const body = await QRCode.toString(text, { ...options, type: "svg" });
+  return { contentType: "image/svg+xml", body };
+}
@@ -0,0 +1,41 @@
+/**
+ * @import { QueueCaps } from './waitlist-settings.js';
+ */
+
+/**
+ * How long a location's queue is.
+ * @typedef {object} QueueTotals
+ * @property {number} queuedParties - how many parties are queued
+ * @property {number} queuedCovers - how many people the queued parties add up to
+ */
+
+/**
+ * Checks whether a new party joining the queue would take it past any of its caps.
+ *
+ * @param {QueueTotals} queue - how long the queue is before the party joins
+ * @param {number} partySize - the size of the new party
+ * @param {number|null} estimatedWaitMinutes - how long the new party is expected to wait
+ * (`null` if it has not been estimated)
+ * @param {QueueCaps} caps - the caps on the queue (a cap of 0 is not enforced)
+ * @returns {boolean} whether the party would take the queue past a cap
+ */
+export function isOverQueueCaps(queue, partySize, estimatedWaitMinutes, caps) {
+  if (
+    caps.maxQueuedParties > 0 &&
+    queue.queuedParties + 1 > caps.maxQueuedParties
+  ) {
+    return true;
+  }
+  if (
+    caps.maxQueuedCovers > 0 &&
+    queue.queuedCovers + partySize > caps.maxQueuedCovers
+  ) {
+    return true;
+  }
+
+  return (
+    caps.maxWaitMinutes > 0 &&
+    estimatedWaitMinutes !== null &&
+    estimatedWaitMinutes > caps.maxWaitMinutes
+  );
+}
@@ -0,0 +1,76 @@
+/**
+ * @file This file provides functions for creating and verifying the signed tokens in party recovery links,
+ * which let a party restore their session (ex: after switching devices or clearing their cookies).
+ */
+import { createHmac, timingSafeEqual } from "crypto";
+import {
+  RECOVERY_LINK_TTL_SECONDS,
+  RECOVERY_SECRET,
+} from "../config/recovery.js";
+
+/**
+ * Signs a party's ID and the time their recovery token expires.
+ *
+ * @param {string} partyID - the party's ID
+ * @param {number} expiresAt - when the token expires (in seconds since the epoch)
+ * @returns {string} the signature, as URL-safe base64
+ * @private
+ */
+function signRecoveryToken(partyID, expiresAt) {
+  return createHmac("sha256", RECOVERY_SECRET)
+    .update(`${partyID}.${expiresAt}`)
+    .digest("base64url");
+}
+
+/**
+ * Creates a recovery token for a party.
+ *
+ * @param {string} partyID - the party's ID
+ * @param {number} [now=Date.now()] - the current time (in ms)
+ * @returns {string} the token, in the format `<party ID>.<expires at>.<signature>`
+ * @description
+ * The token expires `RECOVERY_LINK_TTL_SECONDS` from now, and is signed with the `RECOVERY_SECRET`,
+ * so it cannot be forged (or have its expiry changed) without the secret.
+ */
+export function createRecoveryToken(partyID, now = Date.now()) {
+  const expiresAt = Math.floor(now / 1000) + RECOVERY_LINK_TTL_SECONDS;
+  return `${partyID}.${expiresAt}.${signRecoveryToken(partyID, expiresAt)}`;
+}
+
+/**
+ * Verifies a recovery token, getting the ID of the party it was created for.
+ *
+ * @param {string} token - the token from a recovery link
+ * @param {number} [now=Date.now()] - the current time (in ms)
+ * @returns {string|null} the party's ID, or `null` if the token is malformed, expired, or has an invalid signature
+ */
+export function verifyRecoveryToken(token, now = Date.now()) {
+  const [partyID, expiresAtText, signature, ...rest] = String(token).split(".");
+  if (!partyID || !expiresAtText || !signature || rest.length > 0) return null;
+
+  const expiresAt = Number(expiresAtText);
+  if (!Number.isInteger(expiresAt) || expiresAt * 1000 <= now) return null;
+
+  const expectedSignature = Buffer.from(signRecoveryToken(partyID, expiresAt));
+  const actualSignature = Buffer.from(signature);
+  if (
+    actualSignature.length !== expectedSignature.length ||
+    !timingSafeEqual(actualSignature, expectedSignature)
+  ) {
+    return null;
+  }
+
+  return partyID;
+}
+
+/**
+ * Gets the link that restores a party's session (ex: on another device).
+ *
+ * @param {string} baseURL - the base URL of the party's location's pages (see `req.locationBaseURL`),
+ * so that the restored session is sent to their location's status page
+ * @param {string} partyID - the party's ID
+ * @returns {string} the recovery link, with a new recovery token
+ */
+export function getRecoveryURL(baseURL, partyID) {
+  return `${baseURL}/party/recover?token=${createRecoveryToken(partyID)}`;
+}
@@ -0,0 +1,28 @@
+import { STATUS_SEATED } from "../constants/party-statuses.js";
+import clearPartySession from "./clear-party-session.js";
+
+/**
+ * @import { ExpressRequest, Party } from '../typedefs.js';
+ */
+
+/**
+ * Sets the party-related variables in the session for an existing party (ex: when they recover their session on another device).
+ * Any non-party variables are left unchanged.
+ *
+ * @param {ExpressRequest} request - the client request
+ * @param {Party} party - the party to restore the session for
+ * @returns {void}
+ */
+export default function restorePartySession(request, party) {
+  clearPartySession(request);
+  // the status page waits for the event stream to send the party's current position instead
+  delete request.session.initialQueuePosition;
+
+  request.session.partyID = party.party_id;
+  request.session.locationID = party.location_id;
+  request.session.partySize = party.size;
+  if (party.status === STATUS_SEATED) {
+    request.session.status = STATUS_SEATED;
+    request.session.seatExpiresAt = party.seat_expiration;
+  }
+}
@@ -0,0 +1,29 @@
+import locations from "../models/locations.js";
+
+/**
+ * Runs a location's part of a worker's job, or runs it for every location if the job is not for a single location.
+ *
+ * @param {string|undefined} locationID - the ID of the location in the job's data
+ * @param {(locationID: string) => Promise<any>} run - runs the job for a location
+ * @returns {Promise<void>}
+ * @description
+ * Jobs are queued with the location they are for, so that only that location's waitlist is updated.
+ * The check each worker runs when it starts (and any job queued before the waitlist was split up by location)
+ * has no location, so it is run for every location in turn.
+ *
+ * This function throws if the locations cannot be found, so that a job fails (and is retried).
+ * Callers outside of a job (such as the check when a worker starts) must catch the error.
+ */
+export default async function runForLocations(locationID, run) {
+  if (locationID) {
+    await run(locationID);
+    return;
+  }
+
+  const [locationsError, allLocations] = await locations.getLocations();
+  if (locationsError) throw new Error(locationsError);
+
+  for (const location of allLocations) {
+    await run(location.id);
+  }
+}
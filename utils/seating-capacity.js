@@ -0,0 +1,60 @@
+/**
+ * @file This file provides the seating capacities that dequeue strategies seat parties against,
+ * so that strategies work the same whether the venue is a single pool of seats or has tables.
+ */
+import { findTablesForParty } from "./table-assignment.js";
+
+/**
+ * @import { Table } from '../typedefs.js';
+ */
+
+/**
+ * The unoccupied seating that queued parties can be dequeued to.
+ * @typedef {object} SeatingCapacity
+ * @property {(partySize: number) => string[] | null} seat
+ * seats a party if they fit, using up the capacity they take.
+ * Returns the IDs of the tables the party is seated at (empty when the venue has no tables),
+ * or `null` if the party does not fit.
+ */
+
+/**
+ * Creates the capacity for a venue treated as a single pool of seats.
+ *
+ * @param {number} availableSeats - the number of unoccupied seats
+ * @returns {SeatingCapacity} the seating capacity
+ */
+export function createSeatPoolCapacity(availableSeats) {
+  let remainingSeats = availableSeats;
+
+  return {
+    seat(partySize) {
+      if (partySize > remainingSeats) return null;
+
+      remainingSeats -= partySize;
+      return [];
+    },
+  };
+}
+
+/**
+ * Creates the capacity for a venue with tables.
+ *
+ * @param {Table[]} freeTables - the tables that are not occupied
+ * @returns {SeatingCapacity} the seating capacity
+ */
+export function createTableCapacity(freeTables) {
+  let remainingTables = [...freeTables];
+
+  return {
+    seat(partySize) {
+      const tables = findTablesForParty(partySize, remainingTables);
+      if (!tables) return null;
+
+      const tableIDs = tables.map((table) => table.id);
+      remainingTables = remainingTables.filter(
+        (table) => !tableIDs.includes(table.id),
+      );
+      return tableIDs;
+    },
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * @file This file provides functions for matching parties to free tables.
+ */
+
+/**
+ * @import { Table } from '../typedefs.js';
+ */
+
+/**
+ * Finds the free tables that a party should be seated at.
+ *
+ * @param {number} partySize - the size of the party to seat
+ * @param {Table[]} freeTables - the tables that are not occupied
+ * @returns {Table[] | null} the tables to seat the party at, or `null` if no free tables fit the party
+ * @description
+ * A single table fits a party if the party is no larger than its capacity, and no smaller
+ * than its minimum party size. The smallest single table that fits is preferred, so that
+ * larger tables are kept free for larger parties.
+ *
+ * If no single table fits, combinable tables in the same section are pushed together,
+ * taking the largest tables first so that as few tables as possible are used.
+ * The section needing the fewest tables (then wasting the fewest seats) is chosen.
+ */
+export function findTablesForParty(partySize, freeTables) {
+  const bestSingleTable = freeTables
+    .filter(
+      (table) =>
+        table.capacity >= partySize && table.min_party_size <= partySize,
+    )
+    .sort((a, b) => a.capacity - b.capacity)[0];
+  if (bestSingleTable) return [bestSingleTable];
+
+  // group the combinable tables by section, as tables in different sections cannot be pushed together
+  /** @type {Map<string|null, Table[]>} */
+  const combinableBySection = new Map();
+  for (const table of freeTables) {
+    if (!table.combinable) continue;
+    const sectionTables = combinableBySection.get(table.section) ?? [];
+    sectionTables.push(table);
+    combinableBySection.set(table.section, sectionTables);
+  }
+
+  let bestCombination = null;
+  let bestCombinationCapacity = 0;
+  for (const sectionTables of combinableBySection.values()) {
+    const combination = [];
+    let combinedCapacity = 0;
+    const largestFirst = [...sectionTables].sort(
+      (a, b) => b.capacity - a.capacity,
+    );
+    for (const table of largestFirst) {
+      if (combinedCapacity >= partySize) break;
+      combination.push(table);
+      combinedCapacity += table.capacity;
+    }
+    if (combinedCapacity < partySize) continue;
+
+    const isBetter =
+      !bestCombination ||
+      combination.length < bestCombination.length ||
+      (combination.length === bestCombination.length &&
+        combinedCapacity < bestCombinationCapacity);
+    if (isBetter) {
+      bestCombination = combination;
+      bestCombinationCapacity = combinedCapacity;
+    }
+  }
+
+  return bestCombination;
+}
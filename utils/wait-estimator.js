@@ -0,0 +1,274 @@
+/**
+ * @file This file provides functions for estimating how long queued parties will wait to be dequeued.
+ *
+ * The estimate simulates the venue going forward in time: each occupying party frees their seats
+ * when their seat expires (or, if they are still checking in, once they are expected to check in
+ * and be served), and each queued party is given the earliest seats that will be free for as
+ * long as they are expected to take to check in and be served.
+ */
+import { findTablesForParty } from "./table-assignment.js";
+import { STATUS_CHECKING_IN } from "../constants/party-statuses.js";
+
+/**
+ * @import { Table } from '../typedefs.js';
+ * @import { QueuedParty } from '../services/dequeue-strategies.js';
+ */
+
+/**
+ * A party that is occupying seats, as considered by the wait estimator.
+ * @typedef {object} OccupyingParty
+ * @property {string} party_id - the party's ID
+ * @property {number} size - the size of the party
+ * @property {string} status - the party's status (either 'checking-in' or 'seated')
+ * @property {Date | null} dequeued_at - when the party was dequeued (`null` if a host seated them from the queue)
+ * @property {Date | null} seat_expiration - when the party's seat expires (`null` while checking in)
+ */
+
+/**
+ * The range of times a queued party is expected to be dequeued.
+ * @typedef {object} WaitEstimate
+ * @property {Date} min - the earliest the party is expected to be dequeued
+ * @property {Date} max - the latest the party is expected to be dequeued
+ */
+
+/**
+ * The seating to simulate the queue against.
+ * @typedef {object} SeatingTimeline
+ * @property {(partySize: number, notBefore: number, durationMs: number) => number | null} reserve
+ * reserves seating for a party for `durationMs` at the earliest time (in ms) from `notBefore`,
+ * returning that time, or `null` if the party can never be seated
+ */
+
+/**
+ * Gets the times that seating could free up at, from a given time onward.
+ *
+ * @param {{end: number}[]} reservations - the reservations of the seating
+ * @param {number} notBefore - the earliest time (in ms) to consider
+ * @returns {number[]} the candidate times (in ms), earliest first
+ * @private
+ */
+function getCandidateTimes(reservations, notBefore) {
+  const endTimes = reservations
+    .map(({ end }) => end)
+    .filter((end) => end > notBefore);
+
+  return [notBefore, ...new Set(endTimes)].sort((a, b) => a - b);
+}
+
+/**
+ * Creates a timeline for a venue that is a single pool of seats.
+ *
+ * @param {number} maxSeats - the number of seats in the venue
+ * @param {{size: number, end: number}[]} occupied - the seats currently occupied, and when (in ms) they free up
+ * @returns {SeatingTimeline} the seating timeline
+ * @private
+ */
+function createSeatPoolTimeline(maxSeats, occupied) {
+  /** @type {{size: number, start: number, end: number}[]} */
+  const reservations = occupied.map(({ size, end }) => ({
+    size,
+    start: -Infinity,
+    end,
+  }));
+
+  // the most seats occupied at any point between start and end
+  // (the occupied count only rises when a reservation starts, so only those points are checked)
+  const getPeakOccupied = (start, end) => {
+    const checkpoints = [
+      start,
+      ...reservations
+        .map((reservation) => reservation.start)
+        .filter(
+          (reservationStart) =>
+            reservationStart > start && reservationStart < end,
+        ),
+    ];
+
+    return Math.max(
+      ...checkpoints.map((time) =>
+        reservations
+          .filter(
+            (reservation) =>
+              reservation.start <= time && reservation.end > time,
+          )
+          .reduce((sum, reservation) => sum + reservation.size, 0),
+      ),
+    );
+  };
+
+  return {
+    reserve(partySize, notBefore, durationMs) {
+      if (partySize > maxSeats) return null;
+
+      for (const start of getCandidateTimes(reservations, notBefore)) {
+        const end = start + durationMs;
+        if (getPeakOccupied(start, end) + partySize > maxSeats) continue;
+
+        reservations.push({ size: partySize, start, end });
+        return start;
+      }
+
+      return null;
+    },
+  };
+}
+
+/**
+ * Creates a timeline for a venue with tables.
+ *
+ * @param {Table[]} venueTables - the tables in the venue
+ * @param {Map<string, number>} tableFreeTimes - when (in ms) each occupied table frees up, by table ID
+ * @returns {SeatingTimeline} the seating timeline
+ * @private
+ */
+function createTableTimeline(venueTables, tableFreeTimes) {
+  /** @type {Map<string, {start: number, end: number}[]>} */
+  const tableReservations = new Map(
+    venueTables.map((table) => {
+      const freeTime = tableFreeTimes.get(table.id);
+      const reservations =
+        freeTime === undefined ? [] : [{ start: -Infinity, end: freeTime }];
+      return [table.id, reservations];
+    }),
+  );
+
+  const isFreeBetween = (table, start, end) =>
+    tableReservations
+      .get(table.id)
+      .every(
+        (reservation) => reservation.end <= start || reservation.start >= end,
+      );
+
+  return {
+    reserve(partySize, notBefore, durationMs) {
+      const reservations = [...tableReservations.values()].flat();
+      for (const start of getCandidateTimes(reservations, notBefore)) {
+        const end = start + durationMs;
+        const freeTables = venueTables.filter((table) =>
+          isFreeBetween(table, start, end),
+        );
+        const partyTables = findTablesForParty(partySize, freeTables);
+        if (!partyTables) continue;
+
+        for (const table of partyTables) {
+          tableReservations.get(table.id).push({ start, end });
+        }
+        return start;
+      }
+
+      return null;
+    },
+  };
+}
+
+/**
+ * Estimates when each queued party will be dequeued, for a given check-in latency.
+ *
+ * @param {object} venue - the current state of the venue
+ * @param {QueuedParty[]} venue.queuedParties - the queued parties, in the order they were queued
+ * @param {OccupyingParty[]} venue.occupyingParties - the parties checking in or seated
+ * @param {Table[]} venue.tables - the tables in the venue, with the ID of the party assigned to each (if any)
+ * @param {number} venue.maxSeats - the number of seats in the venue (used when it has no tables)
+ * @param {number} venue.serviceTimeSeconds - how long each member of a party is served for
+ * @param {boolean} venue.isStrictOrder - whether parties are only ever dequeued in the order they were queued
+ * @param {number} latencySeconds - how long parties are expected to take to check in
+ * @param {number} now - the current time (in ms)
+ * @returns {Map<string, number | null>} when (in ms) each party is expected to be dequeued, by party ID
+ * (`null` if the party can never be seated)
+ * @private
+ */
+function simulateQueue(venue, latencySeconds, now) {
+  const latencyMs = latencySeconds * 1000;
+  const getServiceMs = (partySize) =>
+    venue.serviceTimeSeconds * partySize * 1000;
+
+  // seated parties free up their seats when their seat expires, while checking-in parties
+  // are expected to check in once the latency has passed, then be served
+  const partyFreeTimes = new Map(
+    venue.occupyingParties.map((party) => {
+      if (party.status !== STATUS_CHECKING_IN) {
+        return [party.party_id, new Date(party.seat_expiration).getTime()];
+      }
+      const dequeuedAt = party.dequeued_at
+        ? new Date(party.dequeued_at).getTime()
+        : now;
+      const checkinAt = Math.max(now, dequeuedAt + latencyMs);
+      return [party.party_id, checkinAt + getServiceMs(party.size)];
+    }),
+  );
+
+  let timeline;
+  if (venue.tables.length > 0) {
+    const tableFreeTimes = new Map(
+      venue.tables
+        .filter((table) => partyFreeTimes.has(table.party_id))
+        .map((table) => [table.id, partyFreeTimes.get(table.party_id)]),
+    );
+    timeline = createTableTimeline(venue.tables, tableFreeTimes);
+  } else {
+    const occupied = venue.occupyingParties.map((party) => ({
+      size: party.size,
+      end: partyFreeTimes.get(party.party_id),
+    }));
+    timeline = createSeatPoolTimeline(venue.maxSeats, occupied);
+  }
+
+  const dequeueTimes = new Map();
+  let notBefore = now;
+  for (const party of venue.queuedParties) {
+    const durationMs = latencyMs + getServiceMs(party.size);
+    const dequeueTime = timeline.reserve(party.size, notBefore, durationMs);
+    dequeueTimes.set(party.party_id, dequeueTime);
+
+    // when parties are dequeued strictly in order, no one can be dequeued before the parties ahead of them
+    if (venue.isStrictOrder && dequeueTime !== null) notBefore = dequeueTime;
+  }
+
+  return dequeueTimes;
+}
+
+/**
+ * Estimates when each queued party will be dequeued.
+ *
+ * @param {object} venue - the current state of the venue
+ * @param {QueuedParty[]} venue.queuedParties - the queued parties, in the order they were queued
+ * @param {OccupyingParty[]} venue.occupyingParties - the parties checking in or seated
+ * @param {Table[]} venue.tables - the tables in the venue, with the ID of the party assigned to each (if any)
+ * @param {number} venue.maxSeats - the number of seats in the venue (used when it has no tables)
+ * @param {number} venue.serviceTimeSeconds - how long each member of a party is served for
+ * @param {boolean} venue.isStrictOrder - whether parties are only ever dequeued in the order they were queued
+ * @param {{min: number, max: number}} latencyRange - the range of time (in seconds) parties are expected to take to check in
+ * @param {Date} [now=new Date()] - the current time
+ * @returns {Map<string, WaitEstimate | null>} the estimate for each queued party, by party ID
+ * (`null` if the party can never be seated, ex: they are larger than every table)
+ * @description
+ * The queue is simulated twice: once assuming every party checks in as quickly as parties
+ * usually do, and once assuming they check in as slowly as parties usually do.
+ * This gives the earliest and latest times each party is expected to be dequeued.
+ *
+ * This does not account for hosts dequeueing or seating parties out of order, parties leaving
+ * the queue, or parties whose seats are extended, so the estimate is refreshed every time
+ * the queue positions are broadcast.
+ */
+export function estimateWaits(venue, latencyRange, now = new Date()) {
+  const nowMs = now.getTime();
+  const fastestTimes = simulateQueue(venue, latencyRange.min, nowMs);
+  const slowestTimes = simulateQueue(venue, latencyRange.max, nowMs);
+
+  const estimates = new Map();
+  for (const { party_id: partyID } of venue.queuedParties) {
+    const fastestTime = fastestTimes.get(partyID);
+    const slowestTime = slowestTimes.get(partyID);
+    if (fastestTime === null || slowestTime === null) {
+      estimates.set(partyID, null);
+      continue;
+    }
+
+    estimates.set(partyID, {
+      min: new Date(Math.min(fastestTime, slowestTime)),
+      max: new Date(Math.max(fastestTime, slowestTime)),
+    });
+  }
+
+  return estimates;
+}
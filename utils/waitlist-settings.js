@@ -0,0 +1,183 @@
+/**
+ * @file This file keeps this process' copy of the waitlist settings that managers can change
+ * while the waitlist is running (see constants/settings.js).
+ *
+ * The settings are read from the database when the process starts, then updated whenever a
+ * manager's change is published on `CHANNEL_SETTINGS_UPDATED`, so that the web app and the
+ * workers use new values without being restarted.
+ */
+import {
+  CHECKIN_EXPIRY_SECONDS,
+  MAX_QUEUED_COVERS,
+  MAX_QUEUED_PARTIES,
+  MAX_SEATS,
+  MAX_WAIT_MINUTES,
+  SERVICE_TIME_SECONDS,
+} from "../config/waitlist.js";
+import { CHANNEL_SETTINGS_UPDATED } from "../constants/pub-sub-channels.js";
+import {
+  SETTING_CHECKIN_EXPIRY_SECONDS,
+  SETTING_MAX_QUEUED_COVERS,
+  SETTING_MAX_QUEUED_PARTIES,
+  SETTING_MAX_SEATS,
+  SETTING_MAX_WAIT_MINUTES,
+  SETTING_SERVICE_TIME_SECONDS,
+} from "../constants/settings.js";
+import logger from "./logger.js";
+import redis from "./redis.js";
+import settings from "../models/settings.js";
+
+/**
+ * The waitlist settings in use.
+ * @typedef {object} WaitlistSettings
+ * @property {number} maxSeats - the seats available when a location has no tables (and no seat count of its own)
+ * @property {number} serviceTimeSeconds - how long a party is expected to stay seated
+ * @property {number} checkinExpirySeconds - how long a called party has to check in
+ * @property {number} maxQueuedParties - how many parties can be queued at a location (0 for no cap)
+ * @property {number} maxQueuedCovers - how many people the queued parties at a location can add up to (0 for no cap)
+ * @property {number} maxWaitMinutes - how long a new party can be expected to wait, in minutes (0 for no cap)
+ */
+
+/**
+ * The caps on how long a location's queue can grow (see `isOverQueueCaps`).
+ * @typedef {Pick<WaitlistSettings, "maxQueuedParties" | "maxQueuedCovers" | "maxWaitMinutes">} QueueCaps
+ */
+
+/** @type {WaitlistSettings} */
+let waitlistSettings = getDefaultSettings();
+
+/**
+ * Gets the settings used until a manager changes them (from the environmental variables).
+ *
+ * @returns {WaitlistSettings}
+ * @private
+ */
+function getDefaultSettings() {
+  return {
+    maxSeats: MAX_SEATS,
+    serviceTimeSeconds: SERVICE_TIME_SECONDS,
+    checkinExpirySeconds: CHECKIN_EXPIRY_SECONDS,
+    maxQueuedParties: MAX_QUEUED_PARTIES,
+    maxQueuedCovers: MAX_QUEUED_COVERS,
+    maxWaitMinutes: MAX_WAIT_MINUTES,
+  };
+}
+
+/**
+ * Gets the waitlist settings in use.
+ *
+ * @returns {WaitlistSettings}
+ */
+export function getWaitlistSettings() {
+  return { ...waitlistSettings };
+}
+
+/**
+ * Gets the seats available when a location has no tables (and no seat count of its own).
+ *
+ * @returns {number}
+ */
+export function getMaxSeats() {
+  return waitlistSettings.maxSeats;
+}
+
+/**
+ * Gets how long a party is expected to stay seated, in seconds.
+ *
+ * @returns {number}
+ */
+export function getServiceTimeSeconds() {
+  return waitlistSettings.serviceTimeSeconds;
+}
+
+/**
+ * Gets how long a called party has to check in, in seconds.
+ *
+ * @returns {number}
+ */
+export function getCheckinExpirySeconds() {
+  return waitlistSettings.checkinExpirySeconds;
+}
+
+/**
+ * Gets the caps on how long a location's queue can grow.
+ *
+ * @returns {QueueCaps}
+ */
+export function getQueueCaps() {
+  const { maxQueuedParties, maxQueuedCovers, maxWaitMinutes } =
+    waitlistSettings;
+  return { maxQueuedParties, maxQueuedCovers, maxWaitMinutes };
+}
+
+/**
+ * Replaces the waitlist settings in use with the stored settings.
+ *
+ * @param {Record<string, number>} storedSettings - each stored setting's value, keyed by the setting
+ * (see constants/settings.js)
+ * @returns {WaitlistSettings} the settings now in use
+ * @description
+ * Any setting that has not been stored falls back to its environmental variable.
+ */
+export function applyWaitlistSettings(storedSettings) {
+  const defaults = getDefaultSettings();
+
+  waitlistSettings = {
+    maxSeats: storedSettings[SETTING_MAX_SEATS] ?? defaults.maxSeats,
+    serviceTimeSeconds:
+      storedSettings[SETTING_SERVICE_TIME_SECONDS] ??
+      defaults.serviceTimeSeconds,
+    checkinExpirySeconds:
+      storedSettings[SETTING_CHECKIN_EXPIRY_SECONDS] ??
+      defaults.checkinExpirySeconds,
+    maxQueuedParties:
+      storedSettings[SETTING_MAX_QUEUED_PARTIES] ?? defaults.maxQueuedParties,
+    maxQueuedCovers:
+      storedSettings[SETTING_MAX_QUEUED_COVERS] ?? defaults.maxQueuedCovers,
+    maxWaitMinutes:
+      storedSettings[SETTING_MAX_WAIT_MINUTES] ?? defaults.maxWaitMinutes,
+  };
+
+  return getWaitlistSettings();
+}
+
+/**
+ * Reads the waitlist settings from the database.
+ *
+ * @returns {Promise<WaitlistSettings>} the settings now in use
+ * @description
+ * If the settings cannot be read, the settings already in use are kept.
+ */
+export async function loadWaitlistSettings() {
+  const [error, storedSettings] = await settings.getSettings();
+  if (error) {
+    logger.error("Could not load the waitlist settings: ", error);
+    return getWaitlistSettings();
+  }
+
+  return applyWaitlistSettings(storedSettings);
+}
+
+/**
+ * Reads the waitlist settings from the database, then keeps them up to date with the changes managers make.
+ *
+ * @returns {Promise<void>}
+ * @description
+ * This should be called once when a process starts (the web app and each worker that uses the settings).
+ */
+export async function watchWaitlistSettings() {
+  await loadWaitlistSettings();
+
+  const subscriber = redis.createRedisClient();
+  subscriber.on("message", (channel, message) => {
+    if (channel !== CHANNEL_SETTINGS_UPDATED) return;
+
+    try {
+      applyWaitlistSettings(JSON.parse(message));
+      logger.info("Waitlist settings updated");
+    } catch (error) {
+      logger.error("Could not apply the waitlist settings: ", error);
+    }
+  });
+  await subscriber.subscribe(CHANNEL_SETTINGS_UPDATED);
+}
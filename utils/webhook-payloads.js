@@ -0,0 +1,108 @@
+/**
+ * @file This file provides functions for turning the party history into webhook payloads,
+ * and for signing those payloads.
+ */
+import { createHmac } from "crypto";
+import {
+  STATUS_CHECKIN_EXPIRED,
+  STATUS_CHECKING_IN,
+  STATUS_COMPLETED,
+  STATUS_LEFT,
+  STATUS_QUEUED,
+  STATUS_REMOVED,
+  STATUS_SEATED,
+} from "../constants/party-statuses.js";
+import {
+  WEBHOOK_EVENT_PARTY_COMPLETED,
+  WEBHOOK_EVENT_PARTY_CREATED,
+  WEBHOOK_EVENT_PARTY_DEQUEUED,
+  WEBHOOK_EVENT_PARTY_EXPIRED,
+  WEBHOOK_EVENT_PARTY_LEFT,
+  WEBHOOK_EVENT_PARTY_SEATED,
+} from "../constants/webhook-events.js";
+
+/**
+ * A status transition recorded in the party history.
+ * @typedef {object} PartyEvent
+ * @property {number} id - the event's primary key
+ * @property {string} party_id - the party's ID
+ * @property {string} location_id - the ID of the party's location
+ * @property {string} name - the party's name
+ * @property {number} size - the size of the party
+ * @property {Date|null} seat_expiration - the party's seat expiration at the time of the event
+ * @property {string|null} previous_status - the status the party moved from (`null` if they were just created)
+ * @property {string} status - the status the party moved to
+ * @property {Date} occurred_at - when the transition occurred
+ */
+
+// the webhook event sent when a party moves to each status
+// (leaving has more than one status, which is included in the payload)
+const STATUS_TO_EVENT_TYPE = {
+  [STATUS_CHECKING_IN]: WEBHOOK_EVENT_PARTY_DEQUEUED,
+  [STATUS_SEATED]: WEBHOOK_EVENT_PARTY_SEATED,
+  [STATUS_LEFT]: WEBHOOK_EVENT_PARTY_LEFT,
+  [STATUS_REMOVED]: WEBHOOK_EVENT_PARTY_LEFT,
+  [STATUS_CHECKIN_EXPIRED]: WEBHOOK_EVENT_PARTY_EXPIRED,
+  [STATUS_COMPLETED]: WEBHOOK_EVENT_PARTY_COMPLETED,
+};
+
+/**
+ * Gets the webhook event type for a status transition.
+ *
+ * @param {string|null} previousStatus - the status the party moved from
+ * @param {string} status - the status the party moved to
+ * @returns {string|null} the event type (see constants/webhook-events.js), or `null` if the
+ * transition is not sent to webhooks
+ */
+export function getWebhookEventType(previousStatus, status) {
+  if (status === STATUS_QUEUED) {
+    return previousStatus === null ? WEBHOOK_EVENT_PARTY_CREATED : null;
+  }
+
+  return STATUS_TO_EVENT_TYPE[status] ?? null;
+}
+
+/**
+ * Builds the payload sent to webhooks for a status transition.
+ *
+ * @param {PartyEvent} partyEvent - the status transition
+ * @param {string} eventType - the webhook event type of the transition
+ * @returns {object} the payload
+ */
+export function buildWebhookPayload(partyEvent, eventType) {
+  const seatExpiration = partyEvent.seat_expiration
+    ? new Date(partyEvent.seat_expiration).toISOString()
+    : null;
+
+  return {
+    event: eventType,
+    occurredAt: new Date(partyEvent.occurred_at).toISOString(),
+    // subscribers shared by several locations can tell which location the party is at
+    locationID: partyEvent.location_id,
+    party: {
+      id: partyEvent.party_id,
+      name: partyEvent.name,
+      size: partyEvent.size,
+      seatExpiration,
+    },
+    previousStatus: partyEvent.previous_status,
+    status: partyEvent.status,
+  };
+}
+
+/**
+ * Signs a webhook delivery's body.
+ *
+ * @param {string} secret - the subscription's secret
+ * @param {number} timestamp - when the delivery was sent (in seconds since the epoch)
+ * @param {string} body - the delivery's JSON body
+ * @returns {string} the hex-encoded HMAC-SHA256 signature of `<timestamp>.<body>`
+ * @description
+ * The timestamp is signed along with the body, so that subscribers can reject
+ * old deliveries that are replayed to them.
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
@@ -0,0 +1,51 @@
+import { body, param } from "express-validator";
+
+// the longest a host can extend a seat by in one request
+const MAX_SEAT_EXTENSION_MINUTES = 60;
+// the longest a host can extend a party's check-in window by in one request
+const MAX_CHECKIN_EXTENSION_MINUTES = 30;
+
+const partyIDValidator = [
+  param("partyID")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Party ID cannot be empty"),
+];
+
+const extendSeatValidator = [
+  ...partyIDValidator,
+  body("minutes")
+    .isInt({ min: 1, max: MAX_SEAT_EXTENSION_MINUTES })
+    .withMessage(`Minutes must be between 1 and ${MAX_SEAT_EXTENSION_MINUTES}`)
+    .toInt(),
+];
+
+const extendCheckinValidator = [
+  ...partyIDValidator,
+  body("minutes")
+    .isInt({ min: 1, max: MAX_CHECKIN_EXTENSION_MINUTES })
+    .withMessage(
+      `Minutes must be between 1 and ${MAX_CHECKIN_EXTENSION_MINUTES}`,
+    )
+    .toInt(),
+];
+
+// hosts only send the parts of the waitlist they are pausing or resuming
+const waitlistPausedValidator = [
+  body("intakePaused")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("Intake paused must be a boolean"),
+  body("dequeuePaused")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("Dequeue paused must be a boolean"),
+];
+
+export default {
+  partyIDValidator,
+  extendSeatValidator,
+  extendCheckinValidator,
+  waitlistPausedValidator,
+};
@@ -0,0 +1,55 @@
+import { body, param } from "express-validator";
+
+// the most opening periods a location can have in a week (ex: a lunch and dinner period every day)
+const MAX_WEEKLY_PERIODS = 21;
+// times of day on a 24-hour clock (ex: "09:30" or "23:00")
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+const weeklyHoursValidator = [
+  body("weeklyHours")
+    .isArray({ max: MAX_WEEKLY_PERIODS })
+    .withMessage(
+      `Weekly hours must be a list of at most ${MAX_WEEKLY_PERIODS} periods`,
+    ),
+  body("weeklyHours.*.weekday")
+    .isInt({ min: 0, max: 6 })
+    .withMessage("Weekday must be between 0 (Sunday) and 6 (Saturday)")
+    .toInt(),
+  body("weeklyHours.*.opensAt")
+    .matches(TIME_PATTERN)
+    .withMessage("Opening time must be a 24-hour time (ex: 09:30)"),
+  body("weeklyHours.*.closesAt")
+    .matches(TIME_PATTERN)
+    .withMessage("Closing time must be a 24-hour time (ex: 22:00)"),
+];
+
+const overrideDateValidator = [
+  param("date")
+    .matches(/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/)
+    .withMessage("Date must be formatted as YYYY-MM-DD")
+    .bail()
+    .isISO8601({ strict: true })
+    .withMessage("Date must be a valid date"),
+];
+
+// a date without an opening and closing time is closed all day (ex: a holiday)
+const hoursOverrideValidator = [
+  ...overrideDateValidator,
+  body("opensAt")
+    .optional({ values: "null" })
+    .matches(TIME_PATTERN)
+    .withMessage("Opening time must be a 24-hour time (ex: 09:30)"),
+  body("closesAt")
+    .optional({ values: "null" })
+    .matches(TIME_PATTERN)
+    .withMessage("Closing time must be a 24-hour time (ex: 22:00)"),
+  body()
+    .custom(({ opensAt, closesAt }) => !opensAt === !closesAt)
+    .withMessage("Opening and closing times must be given together"),
+];
+
+export default {
+  weeklyHoursValidator,
+  overrideDateValidator,
+  hoursOverrideValidator,
+};
@@ -0,0 +1,38 @@
+import { body } from "express-validator";
+import { getMaxSeats } from "../utils/waitlist-settings.js";
+
+const MAX_SLUG_LENGTH = 50;
+const MAX_LOCATION_NAME_LENGTH = 100;
+
+const createLocationValidator = [
+  // the slug is used in the location's URLs (ex: /l/downtown/party/new)
+  body("slug")
+    .isString()
+    .withMessage("Slug must be a string")
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: MAX_SLUG_LENGTH })
+    .withMessage(`Slug must be between 1 and ${MAX_SLUG_LENGTH} characters`)
+    .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .withMessage("Slug can only contain letters, numbers, and dashes"),
+  body("name")
+    .isString()
+    .withMessage("Name must be a string")
+    .trim()
+    .isLength({ min: 1, max: MAX_LOCATION_NAME_LENGTH })
+    .withMessage(
+      `Name must be between 1 and ${MAX_LOCATION_NAME_LENGTH} characters`,
+    ),
+  body("maxSeats")
+    .optional({ values: "null" })
+    .isInt({ min: 1 })
+    .withMessage("Max seats must be a positive integer")
+    .bail()
+    .custom((maxSeats) => parseInt(maxSeats) <= getMaxSeats())
+    .withMessage(() => `Max seats must be between 1 and ${getMaxSeats()}`)
+    .toInt(),
+];
+
+export default {
+  createLocationValidator,
+};
@@ -1,26 +1,103 @@
-import { body } from "express-validator";
-import { MAX_PARY_NAME_LENGTH, MAX_SEATS } from "../config/waitlist.js";
+import { body, param } from "express-validator";
+import { MAX_PARY_NAME_LENGTH } from "../config/waitlist.js";
+import { QR_FORMATS } from "../utils/qr-codes.js";
+
+const partyNameValidator = body("name")
+  .isString()
+  .withMessage("Name must be a string")
+  .trim()
+  .notEmpty()
+  .withMessage("Name cannot be empty")
+  .isLength({ min: 1, max: MAX_PARY_NAME_LENGTH })
+  .withMessage(`Name must be between 1 and ${MAX_PARY_NAME_LENGTH} characters`)
+  .escape();
+
+// the largest party depends on the party's location's seats or tables (see `canSeatPartySize`),
+// so it is checked by the controllers once the location is known
+const partySizeValidator = body("size")
+  .isInt({ min: 1 })
+  .withMessage("Size must be a positive integer")
+  .toInt()
+  .withMessage("Size must be a positive integer")
+  .escape();
 
 const createPartyValidator = [
-  body("name")
+  partyNameValidator,
+  partySizeValidator,
+  // contact details are optional, so the form's empty fields are ignored
+  body("phone")
+    .optional({ values: "falsy" })
     .isString()
-    .withMessage("Name must be a string")
-    .trim()
-    .notEmpty()
-    .withMessage("Name cannot be empty")
-    .isLength({ min: 1, max: MAX_PARY_NAME_LENGTH })
+    .withMessage("Phone number must be a string")
+    .bail()
+    // allow the number to be formatted with spaces, dashes, dots, or parentheses
+    .customSanitizer((phone) => phone.replace(/[\s().-]/g, ""))
+    .matches(/^\+[1-9][0-9]{6,14}$/)
     .withMessage(
-      `Name must be between 1 and ${MAX_PARY_NAME_LENGTH} characters`,
-    )
-    .escape(),
-  body("size")
-    .isInt({ min: 1, max: MAX_SEATS })
-    .withMessage("Size must be a positive integer")
-    .toInt()
-    .withMessage("Size must be a positive integer")
-    .escape(),
+      "Phone number must include the country code (ex: +15555550123)",
+    ),
+  body("email")
+    .optional({ values: "falsy" })
+    .isString()
+    .withMessage("Email must be a string")
+    .trim()
+    .isEmail()
+    .withMessage("Email must be a valid email address")
+    .isLength({ max: 254 })
+    .withMessage("Email must be at most 254 characters"),
+];
+
+// queued parties can change the same details they joined with (other than how to contact them)
+const updatePartyValidator = [partyNameValidator, partySizeValidator];
+
+// parties can recover their session with the ID shown on their status page and the name they joined with
+const recoverPartyValidator = [
+  body("partyID")
+    .isString()
+    .withMessage("Party ID must be a string")
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage("Party ID must be between 1 and 64 characters"),
+  partyNameValidator,
+];
+
+// QR codes are sent as scalable SVGs for the page, or as PNGs for printing
+const qrCodeValidator = [
+  param("format")
+    .isIn(QR_FORMATS)
+    .withMessage(`Format must be one of ${QR_FORMATS.join(", ")}`),
+];
+
+// the subscription sent by the browser's PushManager (see `PushSubscription.toJSON()`)
+const pushSubscriptionValidator = [
+  body("endpoint")
+    .isString()
+    .withMessage("Endpoint must be a string")
+    .isLength({ max: 2048 })
+    .withMessage("Endpoint must be at most 2048 characters")
+    // push services are always served over HTTPS
+    .isURL({ protocols: ["https"], require_protocol: true })
+    .withMessage("Endpoint must be an HTTPS URL"),
+  body("keys.p256dh")
+    .isString()
+    .withMessage("The p256dh key must be a string")
+    .isLength({ min: 1, max: 128 })
+    .withMessage("The p256dh key must be between 1 and 128 characters")
+    .isBase64({ urlSafe: true })
+    .withMessage("The p256dh key must be URL-safe base64"),
+  body("keys.auth")
+    .isString()
+    .withMessage("The auth key must be a string")
+    .isLength({ min: 1, max: 64 })
+    .withMessage("The auth key must be between 1 and 64 characters")
+    .isBase64({ urlSafe: true })
+    .withMessage("The auth key must be URL-safe base64"),
 ];
 
 export default {
   createPartyValidator,
+  updatePartyValidator,
+  recoverPartyValidator,
+  qrCodeValidator,
+  pushSubscriptionValidator,
 };
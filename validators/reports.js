@@ -0,0 +1,48 @@
+import { query } from "express-validator";
+import {
+  EXPORT_FORMAT_CSV,
+  EXPORT_FORMATS,
+} from "../constants/export-formats.js";
+
+// the longest date range a report can cover, keeping the hourly seat utilization a manageable size
+const MAX_REPORT_DAYS = 92;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const reportRangeValidator = [
+  query("from")
+    .optional()
+    .isISO8601()
+    .withMessage("From must be a date")
+    .toDate()
+    .custom((from, { req }) => {
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      return from < to;
+    })
+    .withMessage("From must be before to")
+    .custom((from, { req }) => {
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      return to.getTime() - from.getTime() <= MAX_REPORT_DAYS * DAY_MS;
+    })
+    .withMessage(`Reports cannot cover more than ${MAX_REPORT_DAYS} days`),
+  query("to").optional().isISO8601().withMessage("To must be a date").toDate(),
+];
+
+// exports are streamed rather than aggregated, so unlike reports, their date range is not capped
+const exportValidator = [
+  query("from")
+    .isISO8601()
+    .withMessage("From must be a date")
+    .toDate()
+    .custom((from, { req }) => from < new Date(req.query.to))
+    .withMessage("From must be before to"),
+  query("to").isISO8601().withMessage("To must be a date").toDate(),
+  query("format")
+    .default(EXPORT_FORMAT_CSV)
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(", ")}`),
+];
+
+export default {
+  reportRangeValidator,
+  exportValidator,
+};
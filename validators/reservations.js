@@ -0,0 +1,25 @@
+import { body, param } from "express-validator";
+import partyValidators from "./parties.js";
+
+// reservations are made with the same details as a party joining the waitlist, and when they are arriving
+const createReservationValidator = [
+  ...partyValidators.createPartyValidator,
+  body("time")
+    .isISO8601({ strict: true })
+    .withMessage("Time must be a valid date and time")
+    .bail()
+    .custom((time) => new Date(time).getTime() > Date.now())
+    .withMessage("Time must be in the future")
+    .toDate(),
+];
+
+const reservationIDValidator = [
+  param("reservationID")
+    .isUUID()
+    .withMessage("Reservation ID must be a valid ID"),
+];
+
+export default {
+  createReservationValidator,
+  reservationIDValidator,
+};
@@ -0,0 +1,58 @@
+import { body } from "express-validator";
+
+// the largest values managers can set, so that a typo cannot stall the waitlist for days
+const MAX_SEATS_LIMIT = 1000;
+const MAX_SERVICE_TIME_SECONDS = 24 * 60 * 60;
+const MAX_CHECKIN_EXPIRY_SECONDS = 60 * 60;
+const MAX_QUEUED_PARTIES_LIMIT = 1000;
+const MAX_QUEUED_COVERS_LIMIT = 10000;
+const MAX_WAIT_MINUTES_LIMIT = 24 * 60;
+
+// every setting is optional, so managers only send the settings they are changing
+const updateSettingsValidator = [
+  body("maxSeats")
+    .optional()
+    .isInt({ min: 1, max: MAX_SEATS_LIMIT })
+    .withMessage(`Max seats must be between 1 and ${MAX_SEATS_LIMIT}`)
+    .toInt(),
+  body("serviceTimeSeconds")
+    .optional()
+    .isInt({ min: 1, max: MAX_SERVICE_TIME_SECONDS })
+    .withMessage(
+      `Service time must be between 1 and ${MAX_SERVICE_TIME_SECONDS} seconds`,
+    )
+    .toInt(),
+  body("checkinExpirySeconds")
+    .optional()
+    .isInt({ min: 1, max: MAX_CHECKIN_EXPIRY_SECONDS })
+    .withMessage(
+      `Check-in expiry must be between 1 and ${MAX_CHECKIN_EXPIRY_SECONDS} seconds`,
+    )
+    .toInt(),
+  // the queue caps can be turned off with 0
+  body("maxQueuedParties")
+    .optional()
+    .isInt({ min: 0, max: MAX_QUEUED_PARTIES_LIMIT })
+    .withMessage(
+      `Max queued parties must be between 0 and ${MAX_QUEUED_PARTIES_LIMIT}`,
+    )
+    .toInt(),
+  body("maxQueuedCovers")
+    .optional()
+    .isInt({ min: 0, max: MAX_QUEUED_COVERS_LIMIT })
+    .withMessage(
+      `Max queued covers must be between 0 and ${MAX_QUEUED_COVERS_LIMIT}`,
+    )
+    .toInt(),
+  body("maxWaitMinutes")
+    .optional()
+    .isInt({ min: 0, max: MAX_WAIT_MINUTES_LIMIT })
+    .withMessage(
+      `Max wait must be between 0 and ${MAX_WAIT_MINUTES_LIMIT} minutes`,
+    )
+    .toInt(),
+];
+
+export default {
+  updateSettingsValidator,
+};
@@ -0,0 +1,48 @@
+import { body } from "express-validator";
+import { STAFF_ROLES } from "../constants/staff-roles.js";
+
+const MAX_USERNAME_LENGTH = 50;
+const MIN_PASSWORD_LENGTH = 8;
+
+const loginValidator = [
+  body("username")
+    .isString()
+    .withMessage("Username must be a string")
+    .trim()
+    .notEmpty()
+    .withMessage("Username cannot be empty"),
+  body("password")
+    .isString()
+    .withMessage("Password must be a string")
+    .notEmpty()
+    .withMessage("Password cannot be empty"),
+];
+
+const createStaffValidator = [
+  body("username")
+    .isString()
+    .withMessage("Username must be a string")
+    .trim()
+    .isLength({ min: 1, max: MAX_USERNAME_LENGTH })
+    .withMessage(
+      `Username must be between 1 and ${MAX_USERNAME_LENGTH} characters`,
+    ),
+  body("password")
+    .isString()
+    .withMessage("Password must be a string")
+    .isLength({ min: MIN_PASSWORD_LENGTH })
+    .withMessage(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`),
+  body("role")
+    .isIn(STAFF_ROLES)
+    .withMessage(`Role must be one of: ${STAFF_ROLES.join(", ")}`),
+  // staff who are not given a location can work at every location
+  body("location")
+    .optional()
+    .isString()
+    .withMessage("Location must be a location's slug"),
+];
+
+export default {
+  loginValidator,
+  createStaffValidator,
+};
@@ -0,0 +1,52 @@
+import { body, param } from "express-validator";
+import { getMaxSeats } from "../utils/waitlist-settings.js";
+
+const MAX_TABLE_NAME_LENGTH = 20;
+const MAX_SECTION_LENGTH = 50;
+
+const createTableValidator = [
+  body("name")
+    .isString()
+    .withMessage("Name must be a string")
+    .trim()
+    .isLength({ min: 1, max: MAX_TABLE_NAME_LENGTH })
+    .withMessage(
+      `Name must be between 1 and ${MAX_TABLE_NAME_LENGTH} characters`,
+    ),
+  body("capacity")
+    .isInt({ min: 1 })
+    .withMessage("Capacity must be a positive integer")
+    .bail()
+    .custom((capacity) => parseInt(capacity) <= getMaxSeats())
+    .withMessage(() => `Capacity must be between 1 and ${getMaxSeats()}`)
+    .toInt(),
+  body("minPartySize")
+    .default(1)
+    .isInt({ min: 1 })
+    .withMessage("Minimum party size must be a positive integer")
+    .toInt()
+    .custom((minPartySize, { req }) => minPartySize <= req.body.capacity)
+    .withMessage("Minimum party size cannot be larger than the capacity"),
+  body("section")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("Section must be a string")
+    .trim()
+    .isLength({ min: 1, max: MAX_SECTION_LENGTH })
+    .withMessage(
+      `Section must be between 1 and ${MAX_SECTION_LENGTH} characters`,
+    ),
+  body("combinable")
+    .default(false)
+    .isBoolean({ strict: true })
+    .withMessage("Combinable must be a boolean"),
+];
+
+const tableIDValidator = [
+  param("tableID").isUUID().withMessage("Table ID must be a valid ID"),
+];
+
+export default {
+  createTableValidator,
+  tableIDValidator,
+};
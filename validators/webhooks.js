@@ -0,0 +1,46 @@
+import { body, param } from "express-validator";
+import { WEBHOOK_EVENTS } from "../constants/webhook-events.js";
+
+const MAX_URL_LENGTH = 2048;
+const MIN_SECRET_LENGTH = 16;
+const MAX_SECRET_LENGTH = 128;
+
+const createWebhookValidator = [
+  body("url")
+    .isString()
+    .withMessage("URL must be a string")
+    .trim()
+    .isLength({ max: MAX_URL_LENGTH })
+    .withMessage(`URL must be at most ${MAX_URL_LENGTH} characters`)
+    // subscribers such as a POS are often on the venue's network, so top-level domains are not required
+    .isURL({
+      protocols: ["http", "https"],
+      require_protocol: true,
+      require_tld: false,
+    })
+    .withMessage("URL must be an http or https URL"),
+  body("eventTypes")
+    .isArray({ min: 1 })
+    .withMessage("Event types must be a non-empty list"),
+  body("eventTypes.*")
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage(`Event types must be any of: ${WEBHOOK_EVENTS.join(", ")}`),
+  // the secret is generated when one is not given
+  body("secret")
+    .optional()
+    .isString()
+    .withMessage("Secret must be a string")
+    .isLength({ min: MIN_SECRET_LENGTH, max: MAX_SECRET_LENGTH })
+    .withMessage(
+      `Secret must be between ${MIN_SECRET_LENGTH} and ${MAX_SECRET_LENGTH} characters`,
+    ),
+];
+
+const webhookIDValidator = [
+  param("webhookID").isUUID().withMessage("Webhook ID must be a valid ID"),
+];
+
+export default {
+  createWebhookValidator,
+  webhookIDValidator,
+};
@@ -2,13 +2,24 @@
  * @file This file sets up the checkin-expired worker, which handles calling
  * the checkin expired service to remove users from the database if they have
  * not checked in within a certain time frame of being dequeued.
+ *
+ * It also handles the reminders sent to those users before their check-in window expires.
  */
 import "../config/load-config.js";
-import { CHECKIN_EXPIRED_QUEUE } from "../constants/message-queues.js";
+import {
+  CHECKIN_EXPIRED_QUEUE,
+  CHECKIN_REMINDER_QUEUE,
+} from "../constants/message-queues.js";
 import { Worker } from "bullmq";
 import checkingInExpireService from "../services/checkin-expired-service.js";
+import checkinReminderService from "../services/checkin-reminder-service.js";
 import logger from "../utils/logger.js";
 import redis from "../utils/redis.js";
+import runForLocations from "../utils/run-for-locations.js";
+import { watchWaitlistSettings } from "../utils/waitlist-settings.js";
+
+// load the waitlist settings, and pick up any changes managers make while the worker is running
+await watchWaitlistSettings();
 
 const connection = redis.createRedisClient({ maxRetriesPerRequest: null });
 
@@ -16,7 +27,10 @@ const worker = new Worker(
   CHECKIN_EXPIRED_QUEUE,
   async (job) => {
     logger.info("[Checkin expired worker]: received job - ", job.id);
-    await checkingInExpireService.expireCheckedinUsers();
+    await runForLocations(
+      job.data?.locationID,
+      checkingInExpireService.expireCheckedinUsers,
+    );
   },
   { connection },
 );
@@ -24,11 +38,20 @@ const worker = new Worker(
 worker.on("ready", async () => {
   logger.info("[Checkin expired worker]: is ready to process jobs");
 
-  // Initial check for expired check-ins when the worker starts
-  await checkingInExpireService.expireCheckedinUsers();
-  logger.info(
-    "[Checkin expired worker]: initial check-in expiration check completed",
-  );
+  // Initial check for expired check-ins (at every location) when the worker starts
+  try {
+    await runForLocations(
+      undefined,
+      checkingInExpireService.expireCheckedinUsers,
+    );
+    logger.info(
+      "[Checkin expired worker]: initial check-in expiration check completed",
+    );
+  } catch (error) {
+    logger.error(
+      `[Checkin expired worker]: initial check-in expiration check failed with ${error.message}`,
+    );
+  }
 });
 
 worker.on("completed", (job) => {
@@ -40,3 +63,34 @@ worker.on("failed", (job, err) => {
     `[Checkin expired worker]: ${job.id} has failed with ${err.message}`,
   );
 });
+
+const reminderWorker = new Worker(
+  CHECKIN_REMINDER_QUEUE,
+  async (job) => {
+    logger.info("[Checkin expired worker]: received reminder job - ", job.id);
+    const { locationID, partyIDs, checkingInExpiration, remindAt } = job.data;
+    const [error, result] =
+      await checkinReminderService.remindCheckingInParties(
+        locationID,
+        partyIDs,
+        checkingInExpiration,
+        remindAt,
+      );
+    if (error) throw new Error(error);
+
+    return result;
+  },
+  { connection },
+);
+
+reminderWorker.on("completed", (job) => {
+  logger.info(
+    `[Checkin expired worker]: reminder ${job.id} has completed with: ${job.returnvalue}`,
+  );
+});
+
+reminderWorker.on("failed", (job, err) => {
+  logger.info(
+    `[Checkin expired worker]: reminder ${job.id} has failed with ${err.message}`,
+  );
+});
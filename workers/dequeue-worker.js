@@ -8,6 +8,11 @@ import { Worker } from "bullmq";
 import dequeueService from "../services/dequeue-service.js";
 import logger from "../utils/logger.js";
 import redis from "../utils/redis.js";
+import runForLocations from "../utils/run-for-locations.js";
+import { watchWaitlistSettings } from "../utils/waitlist-settings.js";
+
+// dequeuing depends on the max seats and check-in expiry, which managers can change at any time
+await watchWaitlistSettings();
 
 const connection = redis.createRedisClient({ maxRetriesPerRequest: null });
 
@@ -15,7 +20,7 @@ const worker = new Worker(
   DEQUEUE_QUEUE,
   async (job) => {
     logger.info("[Dequeue worker]: received job - ", job.id);
-    await dequeueService.dequeueUsers();
+    await runForLocations(job.data?.locationID, dequeueService.dequeueUsers);
   },
   { connection },
 );
@@ -23,9 +28,16 @@ const worker = new Worker(
 worker.on("ready", async () => {
   logger.info("[Dequeue worker]: is ready to process jobs");
 
-  // Initial check for parties to dequeue when the worker starts
-  await dequeueService.dequeueUsers();
-  logger.info("[Dequeue worker]: initial dequeue check completed");
+  // Initial check for parties to dequeue (at every location) when the worker starts
+  // (the locations may not be found if the database is unavailable, which should not crash the worker)
+  try {
+    await runForLocations(undefined, dequeueService.dequeueUsers);
+    logger.info("[Dequeue worker]: initial dequeue check completed");
+  } catch (error) {
+    logger.error(
+      `[Dequeue worker]: initial dequeue check failed with ${error.message}`,
+    );
+  }
 });
 
 worker.on("completed", (job) => {
@@ -0,0 +1,92 @@
+/**
+ * @file This file sets up the notifications worker, which listens for dequeued parties
+ * and notifies them (by text and/or email) that their table is ready, so they do not
+ * need to keep their status page open. Parties who have not checked in yet are also
+ * reminded when their check-in window is closing.
+ */
+import "../config/load-config.js";
+import { NOTIFICATIONS_QUEUE } from "../constants/message-queues.js";
+import {
+  CHANNEL_CHECKIN_WINDOW_CLOSING,
+  CHANNEL_DEQUEUE,
+} from "../constants/pub-sub-channels.js";
+import { Worker } from "bullmq";
+import notificationService from "../services/notification-service.js";
+import logger from "../utils/logger.js";
+import redis from "../utils/redis.js";
+import { getAllLocationsPattern } from "../utils/location-keys.js";
+
+const connection = redis.createRedisClient({ maxRetriesPerRequest: null });
+const subscriber = redis.createRedisClient();
+
+// queue a notification for each party as they are dequeued, or reminded to check in
+subscriber.on("pmessage", async (pattern, channel, message) => {
+  // a malformed message or a redis error is logged, so that it does not crash the worker
+  try {
+    const { partyIDs, checkingInExpiration, remindAt } = JSON.parse(message);
+    if (!partyIDs?.length) return;
+
+    if (pattern === getAllLocationsPattern(CHANNEL_CHECKIN_WINDOW_CLOSING)) {
+      await notificationService.queueCheckinReminderNotifications(
+        partyIDs,
+        checkingInExpiration,
+        remindAt,
+      );
+    } else {
+      await notificationService.queueTableReadyNotifications(
+        partyIDs,
+        checkingInExpiration,
+      );
+    }
+    logger.info(
+      `[Notifications worker]: queued notifications for ${partyIDs.length} parties`,
+    );
+  } catch (error) {
+    logger.error(
+      `[Notifications worker]: could not queue notifications from ${channel} - ${error.message}`,
+    );
+  }
+});
+// parties are notified the same way at every location
+await subscriber.psubscribe(
+  getAllLocationsPattern(CHANNEL_DEQUEUE),
+  getAllLocationsPattern(CHANNEL_CHECKIN_WINDOW_CLOSING),
+);
+
+const worker = new Worker(
+  NOTIFICATIONS_QUEUE,
+  async (job) => {
+    logger.info("[Notifications worker]: received job - ", job.id);
+    // the job's name is the kind of notification to send
+    const [error, result] =
+      job.name === "checkin-reminder"
+        ? await notificationService.sendCheckinReminderNotification(
+            job.data.partyID,
+            job.data.checkingInExpiration,
+          )
+        : await notificationService.sendTableReadyNotification(
+            job.data.partyID,
+          );
+    // throwing fails the job, so that it is retried
+    if (error) throw new Error(error);
+
+    return result;
+  },
+  { connection },
+);
+
+worker.on("ready", () => {
+  logger.info("[Notifications worker]: is ready to process jobs");
+});
+
+worker.on("completed", (job) => {
+  logger.info(
+    `[Notifications worker]: ${job.id} has completed with: ${job.returnvalue}`,
+  );
+});
+
+worker.on("failed", (job, err) => {
+  logger.info(
+    `[Notifications worker]: ${job.id} has failed with ${err.message}`,
+  );
+});
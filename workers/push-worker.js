@@ -0,0 +1,83 @@
+/**
+ * @file This file sets up the push worker, which listens for dequeued parties and sends
+ * Web Push notifications to the browsers they turned them on in, so they are told to check in
+ * even when their status page is in the background or their phone is locked (and reminded
+ * when their check-in window is closing).
+ */
+import "../config/load-config.js";
+import { PUSH_NOTIFICATIONS_QUEUE } from "../constants/message-queues.js";
+import {
+  CHANNEL_CHECKIN_WINDOW_CLOSING,
+  CHANNEL_DEQUEUE,
+} from "../constants/pub-sub-channels.js";
+import { Worker } from "bullmq";
+import pushService from "../services/push-service.js";
+import logger from "../utils/logger.js";
+import redis from "../utils/redis.js";
+import { getAllLocationsPattern } from "../utils/location-keys.js";
+
+const connection = redis.createRedisClient({ maxRetriesPerRequest: null });
+const subscriber = redis.createRedisClient();
+
+// queue a push notification for each party as they are dequeued, or reminded to check in
+subscriber.on("pmessage", async (pattern, channel, message) => {
+  // a malformed message or a redis error is logged, so that it does not crash the worker
+  try {
+    const { partyIDs, checkingInExpiration, remindAt } = JSON.parse(message);
+    if (!partyIDs?.length) return;
+
+    if (pattern === getAllLocationsPattern(CHANNEL_CHECKIN_WINDOW_CLOSING)) {
+      await pushService.queueCheckinReminderPushes(
+        partyIDs,
+        checkingInExpiration,
+        remindAt,
+      );
+    } else {
+      await pushService.queueTableReadyPushes(partyIDs, checkingInExpiration);
+    }
+    logger.info(
+      `[Push worker]: queued push notifications for ${partyIDs.length} parties`,
+    );
+  } catch (error) {
+    logger.error(
+      `[Push worker]: could not queue push notifications from ${channel} - ${error.message}`,
+    );
+  }
+});
+// parties are notified the same way at every location
+await subscriber.psubscribe(
+  getAllLocationsPattern(CHANNEL_DEQUEUE),
+  getAllLocationsPattern(CHANNEL_CHECKIN_WINDOW_CLOSING),
+);
+
+const worker = new Worker(
+  PUSH_NOTIFICATIONS_QUEUE,
+  async (job) => {
+    logger.info("[Push worker]: received job - ", job.id);
+    // the job's name is the kind of push notification to send
+    const [error, result] = await pushService.sendPushNotification(
+      job.name,
+      job.data.partyID,
+      job.data.checkingInExpiration,
+    );
+    // throwing fails the job, so that it is retried
+    if (error) throw new Error(error);
+
+    return result;
+  },
+  { connection },
+);
+
+worker.on("ready", () => {
+  logger.info("[Push worker]: is ready to process jobs");
+});
+
+worker.on("completed", (job) => {
+  logger.info(
+    `[Push worker]: ${job.id} has completed with: ${job.returnvalue}`,
+  );
+});
+
+worker.on("failed", (job, err) => {
+  logger.info(`[Push worker]: ${job.id} has failed with ${err.message}`);
+});
@@ -7,7 +7,12 @@ import { SEAT_EXPIRED_QUEUE } from "../constants/message-queues.js";
 import { Worker } from "bullmq";
 import logger from "../utils/logger.js";
 import redis from "../utils/redis.js";
+import runForLocations from "../utils/run-for-locations.js";
 import seatExpiredService from "../services/seat-expired-service.js";
+import { watchWaitlistSettings } from "../utils/waitlist-settings.js";
+
+// load the waitlist settings (and keep them up to date)
+await watchWaitlistSettings();
 
 const connection = redis.createRedisClient({ maxRetriesPerRequest: null });
 
@@ -15,7 +20,7 @@ const worker = new Worker(
   SEAT_EXPIRED_QUEUE,
   async (job) => {
     logger.info("[Seat Expired Worker]: received job - ", job.id);
-    await seatExpiredService.expireSeats();
+    await runForLocations(job.data?.locationID, seatExpiredService.expireSeats);
   },
   { connection },
 );
@@ -23,9 +28,17 @@ const worker = new Worker(
 worker.on("ready", async () => {
   logger.info("[Seat expired worker]: is ready to process jobs");
 
-  // Initial check for expired seats when the worker starts
-  await seatExpiredService.expireSeats();
-  logger.info("[Seat expired worker]: initial seat expiration check completed");
+  // Initial check for expired seats (at every location) when the worker starts
+  try {
+    await runForLocations(undefined, seatExpiredService.expireSeats);
+    logger.info(
+      "[Seat expired worker]: initial seat expiration check completed",
+    );
+  } catch (error) {
+    logger.error(
+      `[Seat expired worker]: initial seat expiration check failed with ${error.message}`,
+    );
+  }
 });
 
 worker.on("completed", (job) => {
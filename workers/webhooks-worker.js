@@ -0,0 +1,96 @@
+/**
+ * @file This file sets up the webhooks worker, which turns party lifecycle events into
+ * webhook deliveries and sends them to subscribers (such as a POS or pager system),
+ * retrying failed deliveries before moving them to the dead-letter queue.
+ */
+import "../config/load-config.js";
+import {
+  WEBHOOK_DELIVERY_QUEUE,
+  WEBHOOK_DISPATCH_QUEUE,
+} from "../constants/message-queues.js";
+import { WEBHOOK_DISPATCH_INTERVAL_MS } from "../config/webhooks.js";
+import { Worker } from "bullmq";
+import webhookService from "../services/webhook-service.js";
+import logger from "../utils/logger.js";
+import redis from "../utils/redis.js";
+
+// how many deliveries are sent at once, so one slow subscriber does not hold up the others
+const DELIVERY_CONCURRENCY = 5;
+
+const connection = redis.createRedisClient({ maxRetriesPerRequest: null });
+
+// check for new party events on an interval (a single schedule is shared by every webhooks worker)
+const dispatchQueue = redis.createQueue(WEBHOOK_DISPATCH_QUEUE);
+await dispatchQueue.upsertJobScheduler(
+  "dispatch-party-events",
+  { every: WEBHOOK_DISPATCH_INTERVAL_MS },
+  { name: "dispatch", opts: { removeOnComplete: true, removeOnFail: true } },
+);
+
+const dispatchWorker = new Worker(
+  WEBHOOK_DISPATCH_QUEUE,
+  async () => {
+    const [error, result] = await webhookService.dispatchWebhooks();
+    if (error) throw new Error(error);
+
+    return result;
+  },
+  { connection },
+);
+
+dispatchWorker.on("ready", () => {
+  logger.info("[Webhooks worker]: is ready to dispatch party events");
+});
+
+dispatchWorker.on("failed", (job, err) => {
+  logger.info(`[Webhooks worker]: dispatch has failed with ${err.message}`);
+});
+
+const deliveryWorker = new Worker(
+  WEBHOOK_DELIVERY_QUEUE,
+  async (job) => {
+    logger.info("[Webhooks worker]: received job - ", job.id);
+    const [error, result] = await webhookService.deliverWebhook(
+      job.data.deliveryID,
+    );
+    // throwing fails the job, so that it is retried with backoff
+    if (error) throw new Error(error);
+
+    return result;
+  },
+  { connection, concurrency: DELIVERY_CONCURRENCY },
+);
+
+deliveryWorker.on("ready", () => {
+  logger.info("[Webhooks worker]: is ready to deliver webhooks");
+});
+
+deliveryWorker.on("completed", (job) => {
+  logger.info(
+    `[Webhooks worker]: ${job.id} has completed with: ${job.returnvalue}`,
+  );
+});
+
+deliveryWorker.on("failed", async (job, err) => {
+  logger.info(`[Webhooks worker]: ${job.id} has failed with ${err.message}`);
+
+  // once every attempt has failed, give up on the delivery
+  if (job.attemptsMade < (job.opts.attempts ?? 1)) return;
+
+  // adding to the dead-letter queue can throw (ex: if redis is down), which would crash the worker
+  try {
+    const [deadLetterError] = await webhookService.deadLetterDelivery(
+      job.data.deliveryID,
+      err.message,
+    );
+    if (deadLetterError) {
+      logger.error(
+        `[Webhooks worker]: could not dead-letter ${job.id}: ${deadLetterError}`,
+      );
+    }
+  } catch (error) {
+    logger.error(
+      `[Webhooks worker]: could not dead-letter ${job.id}: ${error.message}`,
+    );
+  }
+});